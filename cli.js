@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { executarCli } from './lib/cli.js';
+
+// Uso: npm run cli -- acao PETR4 VALE3 --csv   (ou: node cli.js --help)
+process.exitCode = await executarCli(process.argv.slice(2));
@@ -0,0 +1,91 @@
+import { coletarDados } from './providers/index.js';
+import { strToNumber, getRecClass, formatPercent } from './indicadores.js';
+import { classificar } from './classificacao.js';
+import { aplicarValuation } from './valuation.js';
+import { normalizarProventos } from './analiseProventos.js';
+import { log } from './log.js';
+
+// --- ANÁLISE COMPLETA DA AÇÃO ---
+// Monta o payload de /buscar. Retorna null quando o ativo não é encontrado.
+export async function analisarAcao(ticker, { signal, modo } = {}) {
+    const { dados: rawData, fontes, completude, providers } = await coletarDados('acao', ticker, { signal, modo });
+
+    if (!rawData || !rawData.cotacao || rawData.cotacao === '-') {
+        log.info('Ação não encontrada ou sem cotação', { ticker });
+        return null;
+    }
+
+    const cotacaoNum = strToNumber(rawData.cotacao);
+
+    // Potencial da XP: usa o publicado ou calcula pelo preço-alvo
+    const xpiPrecoAlvoNum = strToNumber(rawData.xpiPrecoAlvo);
+    const xpiPotencial = rawData.xpiPotencial
+        || ((cotacaoNum && xpiPrecoAlvoNum) ? formatPercent((xpiPrecoAlvoNum / cotacaoNum - 1) * 100) : null);
+
+    // As classes good/bad dos indicadores saem do motor de regras (lib/classificacao.js), no fim
+    const createIndicatorResponse = (valueStr) => ({ value: valueStr || '-', class: 'neutral' });
+
+    const responseData = {
+        ticker: ticker.toUpperCase(),
+        setor: createIndicatorResponse(rawData.setor),
+        segmento: createIndicatorResponse(rawData.segmento),
+        // Preço & Mercado
+        cotacao: createIndicatorResponse(rawData.cotacao),
+        pl: createIndicatorResponse(rawData.pl),
+        pvp: createIndicatorResponse(rawData.pvp),
+        // pebitda REMOVIDO
+        // evebitda REMOVIDO
+        // pativo REMOVIDO
+        
+        // Proventos
+        dy: createIndicatorResponse(rawData.dy),
+        dy5Anos: createIndicatorResponse(rawData.dy5Anos),
+        payout: createIndicatorResponse(rawData.payout),
+        // Dividendos e JCP com data com e pagamento (lib/analiseProventos.js)
+        proventos: normalizarProventos(rawData.proventos),
+
+        // Rentabilidade
+        roe: createIndicatorResponse(rawData.roe),
+        roic: createIndicatorResponse(rawData.roic),
+        roa: createIndicatorResponse(rawData.roa),
+        margemBruta: createIndicatorResponse(rawData.margemBruta),
+        // margemEbit REMOVIDO
+        margemEbitda: createIndicatorResponse(rawData.margemEbitda),
+        margemLiquida: createIndicatorResponse(rawData.margemLiquida),
+
+        // Dívida e Liquidez
+        // dividaLiquidaEbit REMOVIDO
+        dividaLiquidaEbitda: createIndicatorResponse(rawData.dividaLiquidaEbitda),
+        dividaLiquidaPatrimonio: createIndicatorResponse(rawData.dividaLiquidaPatrimonio),
+        liquidezCorrente: createIndicatorResponse(rawData.liquidezCorrente),
+        
+        // Outros
+        cagrLucros: createIndicatorResponse(rawData.cagrLucros),
+        lpa: createIndicatorResponse(rawData.lpa),
+        vpa: createIndicatorResponse(rawData.vpa),
+        giroAtivos: createIndicatorResponse(rawData.giroAtivos),
+
+        // Valuation (preenchido por lib/valuation.js com as premissas padrão)
+        precoTeto: { value: '-', class: 'neutral' },
+        bazin5Y: { value: '-', class: 'neutral' },
+        valorJusto: { value: '-', class: 'neutral' },
+        valorRevisado: { value: '-', class: 'neutral' },
+        grahamWarning: null,
+        
+        // Corretoras
+        xpiRecomendacao: { value: rawData.xpiRecomendacao || '-', class: getRecClass(rawData.xpiRecomendacao) },
+        xpiPrecoAlvo: createIndicatorResponse(rawData.xpiPrecoAlvo),
+        xpiPotencial: createIndicatorResponse(xpiPotencial),
+        xpiRisco: createIndicatorResponse(rawData.xpiRisco),
+        // Sem provider para o BTG ainda
+        btgRecomendacao: { value: '-', class: 'neutral' },
+        btgPrecoAlvo: { value: '-', class: 'neutral' },
+        btgPotencial: { value: '-', class: 'neutral' },
+
+        // Origem de cada campo, situação de cada provider e quanto dos campos esperados veio preenchido
+        fontes,
+        completude,
+        providers
+    };
+    return aplicarValuation(classificar('acao', responseData));
+}
@@ -0,0 +1,45 @@
+import { log } from './log.js';
+
+// --- AGENDADOR DE TAREFAS EM SEGUNDO PLANO ---
+// Sem dependência de cron: cada tarefa se reagenda com setTimeout depois de terminar.
+
+function msAteProximaHora(hora) {
+    const agora = new Date();
+    const proxima = new Date(agora);
+    proxima.setHours(hora, 0, 0, 0);
+    if (proxima <= agora) proxima.setDate(proxima.getDate() + 1);
+    return proxima - agora;
+}
+
+async function executar(nome, tarefa) {
+    const inicio = Date.now();
+    log.info('Iniciando tarefa agendada', { tarefa: nome });
+    try {
+        await tarefa();
+        log.info('Tarefa agendada concluída', { tarefa: nome, duracaoSeg: Math.round((Date.now() - inicio) / 1000) });
+    } catch (e) {
+        log.error('Erro na tarefa agendada', { tarefa: nome, erro: e });
+    }
+}
+
+// Roda todo dia no horário local indicado (0-23)
+export function agendarDiario(nome, hora, tarefa) {
+    const agendar = () => {
+        setTimeout(async () => {
+            await executar(nome, tarefa);
+            agendar();
+        }, msAteProximaHora(hora)).unref();
+    };
+    agendar();
+}
+
+// Roda a cada N minutos, contando a partir do fim da execução anterior (nunca sobrepõe)
+export function agendarIntervalo(nome, minutos, tarefa) {
+    const agendar = () => {
+        setTimeout(async () => {
+            await executar(nome, tarefa);
+            agendar();
+        }, minutos * 60 * 1000).unref();
+    };
+    agendar();
+}
@@ -0,0 +1,311 @@
+import express from 'express';
+import { pool } from './db.js';
+import { requireAuth } from './auth.js';
+import { buscarAtivo, TIPOS_ATIVO } from './ativos.js';
+import { strToNumber, compararNumeros, OPERADORES_NUMERICOS } from './indicadores.js';
+import { notificar, canaisDisponiveis, webhookValido } from './notificacoes.js';
+import { carregarPreferencias, personalizar } from './preferencias.js';
+import { validarTicker, validarCorpo } from './validacao.js';
+import { log } from './log.js';
+import { texto, textoEm } from './i18n.js';
+
+// --- ALERTAS DE PREÇO E INDICADORES ---
+// Uma regra compara um indicador do payload de /buscar ou /buscar-fii com:
+//   alvoTipo 'valor'     -> número fixo            (ex: pvp < 0.95)
+//   alvoTipo 'indicador' -> outro indicador        (ex: cotacao < precoTeto)
+//   alvoTipo 'classe'    -> classe good/bad/neutral (ex: dy classe_diferente good)
+export const alertasRouter = express.Router();
+alertasRouter.use(requireAuth);
+
+export const INDICADORES_ALERTA = {
+    acao: ['cotacao', 'pl', 'pvp', 'dy', 'dy5Anos', 'payout', 'roe', 'roic', 'roa', 'margemLiquida', 'margemEbitda',
+        'dividaLiquidaEbitda', 'dividaLiquidaPatrimonio', 'liquidezCorrente', 'cagrLucros', 'precoTeto', 'bazin5Y',
+        'valorJusto', 'valorRevisado', 'xpiPrecoAlvo', 'xpiPotencial'],
+    fii: ['cotacao', 'pvp', 'dy', 'y1m', 'ultimoRendimento', 'vacancia', 'taxaAdm', 'vpa', 'vn', 'dy12m', 'notaQualidade', 'vnMedio']
+};
+
+const OPERADORES_CLASSE = ['classe_igual', 'classe_diferente'];
+const CLASSES = ['good', 'bad', 'neutral'];
+
+// Depois de disparar, o mesmo alerta só volta a disparar após este intervalo (além de a condição ter deixado de valer)
+const COOLDOWN_HORAS = Number(process.env.ALERTAS_COOLDOWN_HORAS) || 24;
+
+// Valida e normaliza o corpo da requisição. Retorna { error } ou { regra }.
+export function parseRegra(body) {
+    const tipo = body.tipo || 'acao';
+    if (!TIPOS_ATIVO.includes(tipo)) return { error: texto('TIPO_INVALIDO', { opcoes: TIPOS_ATIVO }) };
+    const { error: erroTicker, ticker } = validarTicker(body.ticker);
+    if (erroTicker) return { error: erroTicker };
+
+    const indicadores = INDICADORES_ALERTA[tipo];
+    if (!indicadores.includes(body.indicador)) return { error: texto('INDICADOR_INVALIDO', { opcoes: indicadores }) };
+
+    const alvoTipo = body.alvoTipo || (OPERADORES_CLASSE.includes(body.operador) ? 'classe' : 'valor');
+    let alvo;
+    if (alvoTipo === 'classe') {
+        if (!OPERADORES_CLASSE.includes(body.operador)) return { error: texto('OPERADOR_INVALIDO', { opcoes: OPERADORES_CLASSE }) };
+        if (!CLASSES.includes(body.alvo)) return { error: texto('CLASSE_INVALIDA', { opcoes: CLASSES }) };
+        alvo = body.alvo;
+    } else if (alvoTipo === 'indicador' || alvoTipo === 'valor') {
+        if (!OPERADORES_NUMERICOS.includes(body.operador)) return { error: texto('OPERADOR_INVALIDO', { opcoes: OPERADORES_NUMERICOS }) };
+        if (alvoTipo === 'indicador') {
+            if (!indicadores.includes(body.alvo)) return { error: texto('INDICADOR_COMPARACAO_INVALIDO', { opcoes: indicadores }) };
+            alvo = body.alvo;
+        } else {
+            const num = Number(body.alvo);
+            if (body.alvo === '' || body.alvo === null || !Number.isFinite(num)) return { error: texto('VALOR_ALERTA_INVALIDO') };
+            alvo = String(num);
+        }
+    } else {
+        return { error: texto('ALVO_TIPO_INVALIDO') };
+    }
+
+    const canais = body.canais === undefined ? ['app'] : body.canais;
+    if (!Array.isArray(canais) || canais.length === 0) return { error: texto('CANAL_OBRIGATORIO') };
+    const desconhecido = canais.find(c => !canaisDisponiveis().includes(c));
+    if (desconhecido) return { error: texto('CANAL_DESCONHECIDO', { canal: desconhecido }) };
+
+    const webhookUrl = body.webhookUrl || null;
+    if (canais.includes('webhook') && !webhookValido(webhookUrl)) return { error: texto('WEBHOOK_INVALIDO') };
+
+    return {
+        regra: {
+            tipo,
+            ticker,
+            indicador: body.indicador,
+            operador: body.operador,
+            alvoTipo,
+            alvo,
+            canais: [...new Set(canais)],
+            webhookUrl,
+            ativo: body.ativo === undefined ? true : Boolean(body.ativo)
+        }
+    };
+}
+
+// Avalia a regra contra o payload do ativo.
+// Retorna { atendida, valorObservado, semDados }: sem dados a regra não conta como atendida nem como desfeita.
+export function avaliarRegra(regra, dados) {
+    const campo = dados?.[regra.indicador];
+    if (!campo || campo.value === undefined || campo.value === '-') {
+        return { atendida: false, valorObservado: null, semDados: true };
+    }
+
+    if (regra.alvoTipo === 'classe') {
+        const classe = campo.class || 'neutral';
+        const atendida = regra.operador === 'classe_igual' ? classe === regra.alvo : classe !== regra.alvo;
+        return { atendida, valorObservado: `${campo.value} (${classe})`, semDados: false };
+    }
+
+    const atual = strToNumber(campo.value);
+    const referencia = regra.alvoTipo === 'indicador' ? strToNumber(dados[regra.alvo]?.value) : Number(regra.alvo);
+    if (atual === null || referencia === null || !Number.isFinite(referencia)) {
+        return { atendida: false, valorObservado: campo.value, semDados: true };
+    }
+    const observado = regra.alvoTipo === 'indicador' ? `${campo.value} (${regra.alvo}: ${dados[regra.alvo].value})` : campo.value;
+    return { atendida: compararNumeros(atual, regra.operador, referencia), valorObservado: observado, semDados: false };
+}
+
+// texto(...): sai no idioma da requisição em /testar; na notificação gravada fica em português (textoEm)
+export function descreverRegra(regra) {
+    const { indicador, operador, alvo } = regra;
+    if (regra.alvoTipo !== 'classe') return texto('ALERTA_REGRA', { indicador, operador, alvo });
+    if (operador === 'classe_igual') return texto('ALERTA_REGRA_VIROU', { indicador, alvo });
+    return texto('ALERTA_REGRA_DEIXOU_DE_SER', { indicador, alvo });
+}
+
+// De-dup: só dispara na transição "não atendida -> atendida" e respeitando o cooldown desde o último disparo
+export function deveDisparar(alerta, resultado, agora = new Date()) {
+    if (resultado.semDados || !resultado.atendida) return false;
+    if (alerta.ultimoEstado) return false;
+    if (alerta.ultimoDisparo && agora - new Date(alerta.ultimoDisparo) < COOLDOWN_HORAS * 3600 * 1000) return false;
+    return true;
+}
+
+const parseJson = (v) => typeof v === 'string' ? JSON.parse(v) : v;
+
+const toAlertaResponse = (row) => ({
+    id: row.id,
+    tipo: row.tipo,
+    ticker: row.ticker,
+    indicador: row.indicador,
+    operador: row.operador,
+    alvoTipo: row.alvo_tipo,
+    alvo: row.alvo,
+    canais: parseJson(row.canais),
+    webhookUrl: row.webhook_url,
+    ativo: Boolean(row.ativo),
+    ultimoEstado: row.ultimo_estado === null ? null : Boolean(row.ultimo_estado),
+    ultimaAvaliacao: row.ultima_avaliacao,
+    ultimoDisparo: row.ultimo_disparo,
+    criadoEm: row.created_at
+});
+
+// Avalia um alerta já com os dados do ativo em mãos, notificando e gravando o histórico se disparar
+async function processarAlerta(alerta, usuario, dados) {
+    const resultado = avaliarRegra(alerta, dados);
+    if (resultado.semDados) {
+        await pool.execute('UPDATE alerts SET ultima_avaliacao = NOW() WHERE id = ?', [alerta.id]);
+        return false;
+    }
+
+    const disparar = deveDisparar(alerta, resultado);
+    await pool.execute(
+        `UPDATE alerts SET ultimo_estado = ?, ultima_avaliacao = NOW() ${disparar ? ', ultimo_disparo = NOW()' : ''} WHERE id = ?`,
+        [resultado.atendida ? 1 : 0, alerta.id]
+    );
+    if (!disparar) return false;
+
+    const regra = textoEm(descreverRegra(alerta));
+    const titulo = `Alerta ${alerta.ticker}: ${regra}`;
+    const mensagem = `${alerta.ticker} atendeu a condição "${regra}". Valor observado: ${resultado.valorObservado}.`;
+    const entregas = await notificar(alerta.canais, { usuario, alerta, titulo, mensagem, dados });
+    await pool.execute(
+        'INSERT INTO alert_triggers (alert_id, valor_observado, mensagem, entregas) VALUES (?, ?, ?, ?)',
+        [alerta.id, resultado.valorObservado, mensagem, JSON.stringify(entregas)]
+    );
+    log.info('Alerta disparado', { alertaId: alerta.id, ticker: alerta.ticker, regra });
+    return true;
+}
+
+// Tarefa periódica: um scraping (ou cache) por ativo, depois avalia todos os alertas daquele ativo
+export async function avaliarAlertas() {
+    const [rows] = await pool.execute(
+        'SELECT a.*, u.email FROM alerts a JOIN users u ON u.id = a.user_id WHERE a.ativo = 1 ORDER BY a.tipo, a.ticker'
+    );
+    const porAtivo = new Map();
+    for (const row of rows) {
+        const key = `${row.tipo}:${row.ticker}`;
+        if (!porAtivo.has(key)) porAtivo.set(key, []);
+        porAtivo.get(key).push(row);
+    }
+
+    // Classes e preço teto seguem o perfil de classificação e as premissas de cada usuário
+    const preferencias = new Map();
+    const preferenciasDe = async (userId) => {
+        if (!preferencias.has(userId)) preferencias.set(userId, await carregarPreferencias(userId));
+        return preferencias.get(userId);
+    };
+
+    log.info('Avaliando alertas', { alertas: rows.length, ativos: porAtivo.size });
+    let disparados = 0;
+    for (const grupo of porAtivo.values()) {
+        const { tipo, ticker } = grupo[0];
+        let cached = null;
+        try {
+            cached = await buscarAtivo(tipo, ticker);
+        } catch (e) {
+            log.error('Erro ao buscar ativo para alertas', { ticker, erro: e });
+        }
+        if (!cached) continue;
+
+        for (const row of grupo) {
+            try {
+                const dados = personalizar(tipo, cached.data, await preferenciasDe(row.user_id));
+                if (await processarAlerta(toAlertaResponse(row), { id: row.user_id, email: row.email }, dados)) disparados++;
+            } catch (e) {
+                log.error('Erro ao processar alerta', { alertaId: row.id, erro: e });
+            }
+        }
+    }
+    return disparados;
+}
+
+async function findOwnedAlert(userId, alertId) {
+    const [rows] = await pool.execute('SELECT * FROM alerts WHERE id = ? AND user_id = ?', [alertId, userId]);
+    return rows[0] ? toAlertaResponse(rows[0]) : null;
+}
+
+// --- CRUD DOS ALERTAS ---
+// Só os tipos; valores permitidos ficam com parseRegra. Na edição tudo é opcional (o resto vem do alerta salvo).
+const SCHEMA_ALERTA = {
+    tipo: { tipo: 'string', max: 10 },
+    ticker: { tipo: 'string', obrigatorio: true, max: 20 },
+    indicador: { tipo: 'string', obrigatorio: true, max: 40 },
+    operador: { tipo: 'string', obrigatorio: true, max: 20 },
+    alvoTipo: { tipo: 'string', max: 20 },
+    alvo: { tipo: ['number', 'string'], obrigatorio: true, max: 40 },
+    canais: { tipo: 'array', max: 10 },
+    webhookUrl: { tipo: 'string', max: 500 },
+    ativo: { tipo: ['boolean', 'number'] }
+};
+const SCHEMA_ALTERACAO_ALERTA = Object.fromEntries(Object.entries(SCHEMA_ALERTA).map(([campo, regra]) => [campo, { ...regra, obrigatorio: false }]));
+
+alertasRouter.get('/', async (req, res) => {
+    try {
+        const [rows] = await pool.execute('SELECT * FROM alerts WHERE user_id = ? ORDER BY created_at DESC', [req.user.id]);
+        res.json(rows.map(toAlertaResponse));
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+alertasRouter.post('/', validarCorpo(SCHEMA_ALERTA), async (req, res) => {
+    const { error, regra } = parseRegra(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+        const [result] = await pool.execute(
+            `INSERT INTO alerts (user_id, tipo, ticker, indicador, operador, alvo_tipo, alvo, canais, webhook_url, ativo)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, regra.tipo, regra.ticker, regra.indicador, regra.operador, regra.alvoTipo, regra.alvo,
+                JSON.stringify(regra.canais), regra.webhookUrl, regra.ativo ? 1 : 0]
+        );
+        res.status(201).json(await findOwnedAlert(req.user.id, result.insertId));
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+// Edição substitui a regra inteira e zera o estado, para a nova condição poder disparar
+alertasRouter.put('/:id', validarCorpo(SCHEMA_ALTERACAO_ALERTA), async (req, res) => {
+    try {
+        const atual = await findOwnedAlert(req.user.id, req.params.id);
+        if (!atual) return res.status(404).json({ error: texto('ALERTA_NAO_ENCONTRADO') });
+        const { error, regra } = parseRegra({ ...atual, ...req.body });
+        if (error) return res.status(400).json({ error });
+        await pool.execute(
+            `UPDATE alerts SET tipo = ?, ticker = ?, indicador = ?, operador = ?, alvo_tipo = ?, alvo = ?, canais = ?,
+             webhook_url = ?, ativo = ?, ultimo_estado = NULL WHERE id = ?`,
+            [regra.tipo, regra.ticker, regra.indicador, regra.operador, regra.alvoTipo, regra.alvo,
+                JSON.stringify(regra.canais), regra.webhookUrl, regra.ativo ? 1 : 0, atual.id]
+        );
+        res.json(await findOwnedAlert(req.user.id, atual.id));
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+alertasRouter.delete('/:id', async (req, res) => {
+    try {
+        const [result] = await pool.execute('DELETE FROM alerts WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ error: texto('ALERTA_NAO_ENCONTRADO') });
+        res.json({ message: texto('MSG_ALERTA_REMOVIDO') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+alertasRouter.get('/:id/disparos', async (req, res) => {
+    try {
+        const alerta = await findOwnedAlert(req.user.id, req.params.id);
+        if (!alerta) return res.status(404).json({ error: texto('ALERTA_NAO_ENCONTRADO') });
+        const [rows] = await pool.execute('SELECT * FROM alert_triggers WHERE alert_id = ? ORDER BY created_at DESC LIMIT 100', [alerta.id]);
+        res.json({
+            alerta,
+            disparos: rows.map(r => ({
+                id: r.id,
+                valorObservado: r.valor_observado,
+                mensagem: r.mensagem,
+                entregas: parseJson(r.entregas),
+                criadoEm: r.created_at
+            }))
+        });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+// Avalia na hora, sem notificar: útil para conferir a regra ao criar
+alertasRouter.post('/:id/testar', async (req, res) => {
+    try {
+        const alerta = await findOwnedAlert(req.user.id, req.params.id);
+        if (!alerta) return res.status(404).json({ error: texto('ALERTA_NAO_ENCONTRADO') });
+        const cached = await buscarAtivo(alerta.tipo, alerta.ticker);
+        if (!cached) return res.status(404).json({ error: texto('ATIVO_NAO_ENCONTRADO_PAGINA') });
+        const dados = personalizar(alerta.tipo, cached.data, await carregarPreferencias(req.user.id));
+        res.json({ alerta, descricao: descreverRegra(alerta), ...avaliarRegra(alerta, dados), fetchedAt: cached.fetchedAt });
+    } catch (error) {
+        log.error('Erro ao testar alerta', { erro: error });
+        res.status(500).json({ error: texto('ERRO_TESTAR_ALERTA') });
+    }
+});
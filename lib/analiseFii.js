@@ -0,0 +1,156 @@
+import { strToNumber } from './indicadores.js';
+
+// --- ANÁLISE DE RENDIMENTOS E QUALIDADE DO FII ---
+// Funções puras sobre o histórico de distribuições coletado pelo provider e os campos do payload.
+
+// "31/07/2024" -> Date (meio-dia UTC, para não trocar de dia com fuso). Também usada em lib/proventos.js.
+export function lerData(str) {
+    const m = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec((str || '').trim());
+    return m ? new Date(Date.UTC(Number(m[3]), Number(m[2]) - 1, Number(m[1]), 12)) : null;
+}
+
+export const chaveMes = (data) => `${data.getUTCFullYear()}-${String(data.getUTCMonth() + 1).padStart(2, '0')}`;
+
+// Lista de meses "AAAA-MM" de inicio a fim (inclusive)
+function mesesEntre(inicio, fim) {
+    const meses = [];
+    let [ano, mes] = inicio.split('-').map(Number);
+    const [anoFim, mesFim] = fim.split('-').map(Number);
+    while (ano < anoFim || (ano === anoFim && mes <= mesFim)) {
+        meses.push(`${ano}-${String(mes).padStart(2, '0')}`);
+        mes++;
+        if (mes > 12) { mes = 1; ano++; }
+    }
+    return meses;
+}
+
+export function deslocarMes(chave, delta) {
+    const [ano, mes] = chave.split('-').map(Number);
+    return chaveMes(new Date(Date.UTC(ano, mes - 1 + delta, 1, 12)));
+}
+
+const media = (valores) => valores.reduce((a, b) => a + b, 0) / valores.length;
+const arredondar = (n, casas = 2) => Number(n.toFixed(casas));
+
+// "R$ 7,85 M" -> 7850000. Aceita K/Mil, M/Mi/Milhões e B/Bi/Bilhões.
+export function numeroComEscala(str) {
+    const numero = strToNumber(str);
+    if (numero === null) return null;
+    const sufixo = (str.match(/([a-zA-ZõÕ]+)\.?\s*$/) || [])[1]?.toLowerCase() || '';
+    if (['k', 'mil'].includes(sufixo)) return numero * 1e3;
+    if (['m', 'mi', 'milhão', 'milhões', 'milhoes'].includes(sufixo)) return numero * 1e6;
+    if (['b', 'bi', 'bilhão', 'bilhões', 'bilhoes'].includes(sufixo)) return numero * 1e9;
+    return numero;
+}
+
+// --- DISTRIBUIÇÕES ---
+// rendimentos: [{ tipo, dataCom, pagamento, valor }] como vem da página. Amortizações não contam como renda.
+// A janela de 12 meses termina no mês da última data com (ou no mês atual, se o fundo parou de pagar);
+// meses sem distribuição dentro da janela contam como zero.
+export function analisarRendimentos(rendimentos, cotacao, hoje = new Date()) {
+    const pagamentos = (rendimentos || [])
+        .filter(r => !/amortiza/i.test(r.tipo || ''))
+        .map(r => ({ data: lerData(r.dataCom) || lerData(r.pagamento), valor: strToNumber(r.valor) }))
+        .filter(r => r.data && r.valor !== null && r.valor > 0 && r.data <= hoje);
+    if (pagamentos.length === 0) return null;
+
+    const porMes = new Map();
+    for (const { data, valor } of pagamentos) {
+        const mes = chaveMes(data);
+        porMes.set(mes, (porMes.get(mes) || 0) + valor);
+    }
+    const mesesComDados = [...porMes.keys()].sort();
+    const primeiroMes = mesesComDados[0];
+    const ultimoMes = mesesComDados[mesesComDados.length - 1];
+
+    // Data com do mês corrente pode ainda não ter acontecido: até 1 mês de atraso a janela acompanha o último pagamento
+    const mesAtual = chaveMes(hoje);
+    const fimJanela = ultimoMes >= deslocarMes(mesAtual, -1) ? ultimoMes : mesAtual;
+    const inicioJanela = [deslocarMes(fimJanela, -11), primeiroMes].sort()[1];
+    const janela = mesesEntre(inicioJanela, fimJanela).map(mes => ({ mes, valor: porMes.get(mes) || 0 }));
+    const valores = janela.map(m => m.valor);
+
+    const soma = valores.reduce((a, b) => a + b, 0);
+    const mediaMensal = soma / valores.length;
+
+    let volatilidade = null;
+    if (valores.length >= 3 && mediaMensal > 0) {
+        const variancia = media(valores.map(v => (v - mediaMensal) ** 2));
+        volatilidade = arredondar(Math.sqrt(variancia) / mediaMensal * 100);
+    }
+
+    // Tendência: média da metade mais recente da janela contra a metade anterior
+    let tendencia = null;
+    if (valores.length >= 6) {
+        const metade = Math.floor(valores.length / 2);
+        const anterior = media(valores.slice(0, metade));
+        const recente = media(valores.slice(valores.length - metade));
+        if (anterior > 0) {
+            const variacao = arredondar((recente / anterior - 1) * 100);
+            tendencia = { variacao, direcao: variacao > 2 ? 'alta' : variacao < -2 ? 'queda' : 'estavel' };
+        }
+    }
+
+    // Número mágico pela média: cotas para gerar uma cota nova por mês (e o valor investido para isso)
+    let ebnMedio = null;
+    let vnMedio = null;
+    if (cotacao > 0 && mediaMensal > 0) {
+        ebnMedio = Math.ceil(cotacao / mediaMensal);
+        vnMedio = arredondar(ebnMedio * cotacao);
+    }
+
+    // Até 24 meses para o gráfico
+    const inicioHistorico = [deslocarMes(ultimoMes, -23), primeiroMes].sort()[1];
+
+    return {
+        historico: mesesEntre(inicioHistorico, ultimoMes).map(mes => ({ mes, valor: arredondar(porMes.get(mes) || 0, 4) })),
+        janela: { inicio: inicioJanela, fim: fimJanela, meses: valores.length },
+        soma12m: arredondar(soma, 4),
+        mediaMensal: arredondar(mediaMensal, 4),
+        dy12m: cotacao > 0 ? arredondar(soma / cotacao * 100) : null,
+        volatilidade,
+        tendencia,
+        ebnMedio,
+        vnMedio
+    };
+}
+
+// --- NOTA DE QUALIDADE (0 a 10) ---
+// Cada critério vira uma nota de 0 a 10 por interpolação entre a faixa ideal e a faixa ruim.
+// Critérios sem dado ficam de fora e os pesos dos demais são redistribuídos.
+const CRITERIOS_QUALIDADE = {
+    vacancia: { peso: 0.4, ideal: 0, ruim: 20 },            // % de área vaga
+    liquidezDiaria: { peso: 0.3, ideal: Math.log10(5e6), ruim: Math.log10(1e5) }, // R$/dia em escala log: 5 mi = 10, 100 mil = 0
+    taxaAdm: { peso: 0.3, ideal: 0.5, ruim: 1.5 }           // % a.a.
+};
+
+function notaCriterio({ ideal, ruim }, valor) {
+    const fracao = (valor - ruim) / (ideal - ruim);
+    return arredondar(Math.min(1, Math.max(0, fracao)) * 10, 1);
+}
+
+export function notaQualidade(dados) {
+    const entradas = {
+        vacancia: strToNumber(dados.vacancia?.value),
+        liquidezDiaria: numeroComEscala(dados.liquidezDiaria?.value),
+        taxaAdm: strToNumber(dados.taxaAdm?.value)
+    };
+
+    const componentes = {};
+    let soma = 0;
+    let pesos = 0;
+    for (const [criterio, config] of Object.entries(CRITERIOS_QUALIDADE)) {
+        const valor = entradas[criterio];
+        if (valor === null || valor < 0) {
+            componentes[criterio] = { valor: null, nota: null, peso: config.peso };
+            continue;
+        }
+        const base = criterio === 'liquidezDiaria' ? Math.log10(Math.max(valor, 1)) : valor;
+        const nota = notaCriterio(config, base);
+        componentes[criterio] = { valor, nota, peso: config.peso };
+        soma += nota * config.peso;
+        pesos += config.peso;
+    }
+
+    return { nota: pesos > 0 ? arredondar(soma / pesos, 1) : null, componentes };
+}
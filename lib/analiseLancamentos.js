@@ -0,0 +1,260 @@
+import { deslocarMes } from './analiseFii.js';
+import { texto } from './i18n.js';
+
+// --- APURAÇÃO DOS LANÇAMENTOS: PREÇO MÉDIO, RESULTADO DAS VENDAS E IMPOSTO ---
+// Funções puras sobre o livro de lançamentos do usuário (compras, vendas, eventos e proventos recebidos).
+// Segue as regras da Receita para pessoa física em operações comuns (swing trade) no mercado à vista:
+// - preço médio ponderado com as taxas somadas ao custo; venda não altera o preço médio;
+// - desdobramento e grupamento mudam a quantidade sem mudar o custo total; bonificação entra pelo custo atribuído;
+// - ações: vendas de até R$ 20 mil no mês são isentas, senão 15% sobre o ganho;
+// - FIIs: 20% sobre o ganho, sem isenção; prejuízo de ações e de FIIs se compensa só dentro da mesma categoria;
+// - IRRF de 0,005% sobre as vendas do dia ("dedo-duro", dispensado até R$ 1) é abatido do imposto;
+// - DARF (código 6015) abaixo de R$ 10 acumula para o mês seguinte; vence no último dia útil do mês seguinte.
+// Day trade (compra e venda do mesmo ativo no mesmo dia) não é apurado à parte: gera um aviso.
+export const OPERACOES = ['compra', 'venda', 'desdobramento', 'grupamento', 'bonificacao', 'provento'];
+export const TIPOS_PROVENTO_RECEBIDO = ['dividendo', 'jcp', 'rendimento'];
+
+export const REGRAS_IR = {
+    acao: { aliquota: 0.15, isencaoVendasMes: 20000 },
+    fii: { aliquota: 0.20, isencaoVendasMes: null }
+};
+const ALIQUOTA_IRRF = 0.00005;
+const IRRF_DISPENSADO_ATE = 1;
+export const DARF_MINIMO = 10;
+export const CODIGO_DARF = '6015';
+
+const arredondar = (n, casas = 2) => Number(n.toFixed(casas));
+// Quantidades com casas decimais (desdobramentos de 1 para 3, frações de FII) não acumulam erro de ponto flutuante
+const quantidade = (n) => Number(n.toFixed(6));
+
+// Eventos do dia antes das compras, compras antes das vendas (o preço médio da venda já inclui a compra do dia)
+const ORDEM_NO_DIA = { desdobramento: 0, grupamento: 0, bonificacao: 0, compra: 1, venda: 2, provento: 3 };
+
+function ordenar(lancamentos) {
+    return [...lancamentos].sort((a, b) => a.data.localeCompare(b.data)
+        || ORDEM_NO_DIA[a.operacao] - ORDEM_NO_DIA[b.operacao]
+        || (a.id ?? 0) - (b.id ?? 0));
+}
+
+// --- PREÇO MÉDIO E RESULTADO DAS VENDAS ---
+// lancamentos: [{ id, tipo, ticker, operacao, data: 'AAAA-MM-DD', quantidade, preco, taxas, fator, valor, proventoTipo }]
+// Retorna { posicoes: [{ tipo, ticker, quantidade, custo, precoMedio }], vendas: [...], proventos: [...], avisos: [texto(...)] }
+export function apurarLancamentos(lancamentos) {
+    const posicoes = new Map();
+    const vendas = [];
+    const proventos = [];
+    const avisos = [];
+
+    const posicaoDe = (l) => {
+        if (!posicoes.has(l.ticker)) posicoes.set(l.ticker, { tipo: l.tipo, ticker: l.ticker, quantidade: 0, custo: 0 });
+        return posicoes.get(l.ticker);
+    };
+
+    for (const l of ordenar(lancamentos)) {
+        const pos = posicaoDe(l);
+        const taxas = l.taxas || 0;
+        switch (l.operacao) {
+            case 'compra':
+                pos.quantidade = quantidade(pos.quantidade + l.quantidade);
+                pos.custo += l.quantidade * l.preco + taxas;
+                break;
+            case 'bonificacao':
+                pos.quantidade = quantidade(pos.quantidade + l.quantidade);
+                pos.custo += l.quantidade * (l.preco || 0);
+                break;
+            case 'desdobramento':
+                pos.quantidade = quantidade(pos.quantidade * l.fator);
+                break;
+            case 'grupamento':
+                pos.quantidade = quantidade(pos.quantidade / l.fator);
+                break;
+            case 'venda': {
+                if (l.quantidade > pos.quantidade) {
+                    avisos.push(texto('VENDA_MAIOR_QUE_POSICAO', { quantidade: l.quantidade, ticker: l.ticker, data: l.data, posicao: pos.quantidade }));
+                }
+                const vendida = Math.min(l.quantidade, pos.quantidade);
+                const precoMedio = pos.quantidade > 0 ? pos.custo / pos.quantidade : 0;
+                const custo = precoMedio * vendida;
+                const valorBruto = l.quantidade * l.preco;
+                vendas.push({
+                    data: l.data,
+                    tipo: l.tipo,
+                    ticker: l.ticker,
+                    quantidade: l.quantidade,
+                    valorBruto: arredondar(valorBruto),
+                    valorLiquido: arredondar(valorBruto - taxas),
+                    custo: arredondar(custo),
+                    resultado: arredondar(valorBruto - taxas - custo)
+                });
+                pos.quantidade = quantidade(pos.quantidade - vendida);
+                pos.custo = pos.quantidade > 0 ? pos.custo - custo : 0;
+                break;
+            }
+            case 'provento':
+                proventos.push({ data: l.data, tipo: l.tipo, ticker: l.ticker, proventoTipo: l.proventoTipo, valor: l.valor });
+                break;
+        }
+    }
+
+    // Compra e venda do mesmo ativo no mesmo dia
+    const dias = new Map();
+    for (const l of lancamentos.filter(l => l.operacao === 'compra' || l.operacao === 'venda')) {
+        const chave = `${l.ticker}|${l.data}`;
+        dias.set(chave, (dias.get(chave) || new Set()).add(l.operacao));
+    }
+    for (const [chave, operacoes] of dias) {
+        if (operacoes.size < 2) continue;
+        const [ticker, data] = chave.split('|');
+        avisos.push(texto('DAY_TRADE', { ticker, data }));
+    }
+
+    return {
+        posicoes: [...posicoes.values()]
+            .filter(p => p.quantidade > 0)
+            .map(p => ({ ...p, custo: arredondar(p.custo), precoMedio: arredondar(p.custo / p.quantidade, 4) }))
+            .sort((a, b) => a.ticker.localeCompare(b.ticker)),
+        vendas,
+        proventos,
+        avisos
+    };
+}
+
+// --- VENCIMENTO DO DARF ---
+// Último dia útil (seg-sex; feriados não entram) do mês seguinte ao da apuração
+export function vencimentoDarf(mes) {
+    const [ano, m] = deslocarMes(mes, 1).split('-').map(Number);
+    const dia = new Date(Date.UTC(ano, m, 0, 12));
+    while (dia.getUTCDay() === 0 || dia.getUTCDay() === 6) dia.setUTCDate(dia.getUTCDate() - 1);
+    return dia.toISOString().slice(0, 10);
+}
+
+// IRRF retido em cada dia de venda: 0,005% do total vendido no dia e na categoria, dispensado até R$ 1
+function irrfDoMes(vendasDoMes) {
+    const porDia = new Map();
+    for (const v of vendasDoMes) porDia.set(v.data, (porDia.get(v.data) || 0) + v.valorBruto);
+    return [...porDia.values()].map(total => total * ALIQUOTA_IRRF).filter(irrf => irrf > IRRF_DISPENSADO_ATE).reduce((a, b) => a + b, 0);
+}
+
+// --- IMPOSTO MÊS A MÊS ---
+// vendas: saída de apurarLancamentos. Apura de `inicio` (ou do mês da primeira venda) até `fim`, carregando
+// prejuízo por categoria, saldo de IRRF e DARF abaixo do mínimo de um mês para o outro.
+// Retorna { meses: [{ mes, acao, fii, darf }], prejuizoAcumulado: { acao, fii }, darfAcumulado, saldoIrrf }
+export function apurarImposto(vendas, { fim, inicio = null }) {
+    const primeiroMes = vendas.reduce((min, v) => (!min || v.data.slice(0, 7) < min ? v.data.slice(0, 7) : min), null);
+    let mes = [inicio, primeiroMes].filter(Boolean).sort()[0] || fim;
+    const prejuizo = { acao: 0, fii: 0 };
+    let darfAcumulado = 0;
+    let saldoIrrf = 0;
+    const meses = [];
+
+    for (; mes <= fim; mes = deslocarMes(mes, 1)) {
+        const doMes = vendas.filter(v => v.data.startsWith(mes));
+        const linha = { mes };
+        let imposto = 0;
+        let irrf = 0;
+
+        for (const categoria of Object.keys(REGRAS_IR)) {
+            const regra = REGRAS_IR[categoria];
+            const daCategoria = doMes.filter(v => v.tipo === categoria);
+            const vendasBrutas = daCategoria.reduce((soma, v) => soma + v.valorBruto, 0);
+            const resultado = daCategoria.reduce((soma, v) => soma + v.resultado, 0);
+            const isento = regra.isencaoVendasMes !== null && vendasBrutas > 0 && vendasBrutas <= regra.isencaoVendasMes;
+
+            let compensado = 0;
+            let base = 0;
+            // Prejuízo conta mesmo em mês isento; ganho de mês isento não paga nem consome prejuízo
+            if (resultado < 0) prejuizo[categoria] += -resultado;
+            else if (!isento) {
+                compensado = Math.min(prejuizo[categoria], resultado);
+                prejuizo[categoria] -= compensado;
+                base = resultado - compensado;
+            }
+            const impostoCategoria = base * regra.aliquota;
+            const irrfCategoria = irrfDoMes(daCategoria);
+            imposto += impostoCategoria;
+            irrf += irrfCategoria;
+
+            linha[categoria] = {
+                vendas: arredondar(vendasBrutas),
+                resultado: arredondar(resultado),
+                isento,
+                ganhoIsento: isento && resultado > 0 ? arredondar(resultado) : 0,
+                prejuizoCompensado: arredondar(compensado),
+                baseCalculo: arredondar(base),
+                aliquota: regra.aliquota,
+                imposto: arredondar(impostoCategoria),
+                irrf: arredondar(irrfCategoria),
+                prejuizoAcumulado: arredondar(prejuizo[categoria])
+            };
+        }
+
+        // IRRF abate o imposto do mês; o que sobrar fica para os meses seguintes
+        saldoIrrf += irrf;
+        const abatido = Math.min(saldoIrrf, imposto);
+        saldoIrrf -= abatido;
+        const devido = imposto - abatido;
+        const total = devido + darfAcumulado;
+        const darf = {
+            imposto: arredondar(imposto),
+            irrfAbatido: arredondar(abatido),
+            acumuladoAnterior: arredondar(darfAcumulado),
+            valor: 0,
+            codigo: CODIGO_DARF,
+            vencimento: null
+        };
+        if (total >= DARF_MINIMO) {
+            darf.valor = arredondar(total);
+            darf.vencimento = vencimentoDarf(mes);
+            darfAcumulado = 0;
+        } else {
+            darfAcumulado = total;
+        }
+        linha.darf = darf;
+        meses.push(linha);
+    }
+
+    return {
+        meses,
+        prejuizoAcumulado: { acao: arredondar(prejuizo.acao), fii: arredondar(prejuizo.fii) },
+        darfAcumulado: arredondar(darfAcumulado),
+        saldoIrrf: arredondar(saldoIrrf)
+    };
+}
+
+// --- RELATÓRIO ANUAL ---
+// Imposto mês a mês do ano (com prejuízo e DARF pendente vindos dos anos anteriores), posições em 31/12
+// pelo custo de aquisição (ficha Bens e Direitos) e proventos recebidos por tipo.
+// hoje limita o ano corrente: meses futuros não aparecem e a posição é a de hoje.
+export function relatorioAnual(lancamentos, ano, hoje = new Date()) {
+    const fimDoAno = `${ano}-12-31`;
+    const mesAtual = hoje.toISOString().slice(0, 7);
+    const fim = `${ano}-12` < mesAtual ? `${ano}-12` : mesAtual;
+    const ateOFim = lancamentos.filter(l => l.data <= fimDoAno);
+    const { posicoes, vendas, proventos, avisos } = apurarLancamentos(ateOFim);
+    const apuracao = apurarImposto(vendas, { fim, inicio: `${ano}-01` });
+
+    const proventosDoAno = proventos.filter(p => p.data.startsWith(`${ano}-`));
+    const somaProventos = (tipo) => arredondar(proventosDoAno.filter(p => p.proventoTipo === tipo).reduce((soma, p) => soma + p.valor, 0));
+    const meses = apuracao.meses.filter(m => m.mes.startsWith(`${ano}-`));
+
+    return {
+        ano,
+        meses,
+        darfs: meses.filter(m => m.darf.valor > 0).map(m => ({ mes: m.mes, valor: m.darf.valor, codigo: m.darf.codigo, vencimento: m.darf.vencimento })),
+        totalImposto: arredondar(meses.reduce((soma, m) => soma + m.darf.valor, 0)),
+        prejuizoAcumulado: apuracao.prejuizoAcumulado,
+        darfAcumulado: apuracao.darfAcumulado,
+        saldoIrrf: apuracao.saldoIrrf,
+        // Ganhos isentos (vendas de ações até R$ 20 mil no mês) vão na ficha de Rendimentos Isentos
+        ganhosIsentos: arredondar(meses.reduce((soma, m) => soma + m.acao.ganhoIsento, 0)),
+        proventos: {
+            dividendo: somaProventos('dividendo'),
+            rendimento: somaProventos('rendimento'),
+            jcp: somaProventos('jcp')
+        },
+        // Em 31/12 para anos fechados; no ano corrente, a posição de hoje
+        posicoesEm: fimDoAno < hoje.toISOString().slice(0, 10) ? fimDoAno : hoje.toISOString().slice(0, 10),
+        posicoes,
+        avisos
+    };
+}
@@ -0,0 +1,145 @@
+import { strToNumber } from './indicadores.js';
+import { lerData, chaveMes, deslocarMes } from './analiseFii.js';
+
+// --- ANÁLISE DE PROVENTOS: PROJEÇÃO DE RENDA E CALENDÁRIO ---
+// Funções puras sobre a lista de dividendos/JCP/rendimentos coletada pelos providers (payload.proventos)
+// e as quantidades de cada posição. Valores em R$ líquidos: JCP desconta 15% de IR na fonte; dividendos
+// e rendimentos de FII entram como pagos.
+export const MESES_PROJECAO = 12;
+const IR_JCP = 0.15;
+
+// Tipos que contam como renda (amortização devolve capital e bonificação não é dinheiro)
+const TIPOS_RENDA = ['dividendo', 'jcp', 'rendimento'];
+
+function tipoProvento(texto) {
+    const t = (texto || '').toLowerCase();
+    if (/jcp|jscp|juros/.test(t)) return 'jcp';
+    if (/amortiza/.test(t)) return 'amortizacao';
+    if (/rendimento/.test(t)) return 'rendimento';
+    if (/dividendo/.test(t)) return 'dividendo';
+    return 'outro';
+}
+
+const dataIso = (data) => data ? data.toISOString().slice(0, 10) : null;
+const arredondar = (n, casas = 2) => Number(n.toFixed(casas));
+
+// Mesmo dia em outro mês ("2024-01-31" em 2025-02 -> "2025-02-28")
+function mesmoDiaEm(mes, data) {
+    const [ano, m] = mes.split('-').map(Number);
+    const ultimoDia = new Date(Date.UTC(ano, m, 0)).getUTCDate();
+    return `${mes}-${String(Math.min(Number(data.slice(8, 10)), ultimoDia)).padStart(2, '0')}`;
+}
+
+// [{ tipo, dataCom, pagamento, valor }] como vem da página ->
+// [{ tipo, descricao, dataCom: 'AAAA-MM-DD', pagamento: 'AAAA-MM-DD' | null, valor, valorLiquido }], mais recente primeiro.
+// Fica no payload (e no cache) em JSON puro, por isso as datas são strings.
+export function normalizarProventos(lista) {
+    return (lista || [])
+        .map(p => {
+            const tipo = tipoProvento(p.tipo);
+            const valor = strToNumber(p.valor);
+            return {
+                tipo,
+                descricao: p.tipo || null,
+                dataCom: dataIso(lerData(p.dataCom)),
+                pagamento: dataIso(lerData(p.pagamento)),
+                valor,
+                valorLiquido: valor === null ? null : arredondar(tipo === 'jcp' ? valor * (1 - IR_JCP) : valor, 8)
+            };
+        })
+        .filter(p => p.dataCom && p.valor !== null && p.valor > 0)
+        .sort((a, b) => b.dataCom.localeCompare(a.dataCom));
+}
+
+// --- PROJEÇÃO DOS PRÓXIMOS 12 MESES ---
+// ativos: [{ ticker, tipo, quantidade, cotacao, proventos }] (proventos já normalizados).
+// Mês a mês, o que já foi anunciado (pagamento de hoje em diante) entra como "anunciado". Mês sem nada
+// anunciado para o ativo repete o que ele pagou no mesmo mês do ano anterior ("estimado").
+// Anunciado ainda sem data de pagamento fica em aDefinir. Supõe que a posição atual já existia na data com.
+export function projetarRenda(ativos, hoje = new Date()) {
+    const hojeIso = dataIso(hoje);
+    const mesAtual = chaveMes(hoje);
+    const meses = Array.from({ length: MESES_PROJECAO }, (_, i) => deslocarMes(mesAtual, i));
+    const porMes = new Map(meses.map(mes => [mes, []]));
+    const aDefinir = [];
+    const porAtivo = [];
+
+    for (const ativo of ativos) {
+        const renda = (ativo.proventos || []).filter(p => TIPOS_RENDA.includes(p.tipo));
+        const item = (p, situacao, pagamento) => ({
+            ticker: ativo.ticker,
+            tipo: p.tipo,
+            situacao,
+            dataCom: p.dataCom,
+            pagamento,
+            valorPorCota: p.valorLiquido,
+            valor: arredondar(p.valorLiquido * ativo.quantidade)
+        });
+        const itens = [];
+
+        // Meses em que o ativo já tem pagamento neste ano (inclusive os já pagos no mês atual)
+        const mesesCobertos = new Set(renda.filter(p => p.pagamento && p.pagamento.slice(0, 7) >= mesAtual).map(p => p.pagamento.slice(0, 7)));
+
+        for (const p of renda) {
+            if (p.pagamento && p.pagamento >= hojeIso && porMes.has(p.pagamento.slice(0, 7))) {
+                itens.push(item(p, 'anunciado', p.pagamento));
+            } else if (!p.pagamento && p.dataCom >= deslocarMes(mesAtual, -3)) {
+                // Sem data de pagamento e com data com recente: anunciado, mês ainda indefinido
+                aDefinir.push(item(p, 'anunciado', null));
+            } else if (p.pagamento) {
+                const mesPago = p.pagamento.slice(0, 7);
+                const mesProjetado = deslocarMes(mesPago, 12);
+                if (mesPago < mesAtual && porMes.has(mesProjetado) && !mesesCobertos.has(mesProjetado)) {
+                    itens.push(item(p, 'estimado', mesmoDiaEm(mesProjetado, p.pagamento)));
+                }
+            }
+        }
+
+        for (const i of itens) porMes.get(i.pagamento.slice(0, 7)).push(i);
+        const total = itens.reduce((soma, i) => soma + i.valor, 0);
+        const porCota = itens.reduce((soma, i) => soma + i.valorPorCota, 0);
+        porAtivo.push({
+            ticker: ativo.ticker,
+            tipo: ativo.tipo,
+            quantidade: ativo.quantidade,
+            total12m: arredondar(total),
+            // Renda projetada por cota sobre a cotação atual
+            yieldProjetado: ativo.cotacao > 0 ? arredondar(porCota / ativo.cotacao * 100) : null
+        });
+    }
+
+    const somar = (itens, situacao) => arredondar(itens.filter(i => !situacao || i.situacao === situacao).reduce((soma, i) => soma + i.valor, 0));
+    const listaMeses = meses.map(mes => {
+        const itens = porMes.get(mes).sort((a, b) => a.pagamento.localeCompare(b.pagamento));
+        return { mes, anunciado: somar(itens, 'anunciado'), estimado: somar(itens, 'estimado'), total: somar(itens), itens };
+    });
+    const total12m = arredondar(listaMeses.reduce((soma, m) => soma + m.total, 0));
+
+    return {
+        meses: listaMeses,
+        aDefinir,
+        total12m,
+        anunciado12m: arredondar(listaMeses.reduce((soma, m) => soma + m.anunciado, 0)),
+        estimado12m: arredondar(listaMeses.reduce((soma, m) => soma + m.estimado, 0)),
+        mediaMensal: arredondar(total12m / MESES_PROJECAO),
+        porAtivo: porAtivo
+            .map(a => ({ ...a, participacao: total12m > 0 ? arredondar(a.total12m / total12m * 100) : 0 }))
+            .sort((a, b) => b.total12m - a.total12m)
+    };
+}
+
+// --- CALENDÁRIO ---
+// Próximas datas com e pagamentos já anunciados, em ordem, nos próximos `dias` dias
+export function calendarioProventos(ativos, hoje = new Date(), dias = 90) {
+    const inicio = dataIso(hoje);
+    const fim = dataIso(new Date(hoje.getTime() + dias * 86400000));
+    const eventos = [];
+    for (const ativo of ativos) {
+        for (const p of (ativo.proventos || []).filter(p => TIPOS_RENDA.includes(p.tipo))) {
+            const base = { ticker: ativo.ticker, tipo: p.tipo, valorPorCota: p.valorLiquido, valor: arredondar(p.valorLiquido * ativo.quantidade) };
+            if (p.dataCom >= inicio && p.dataCom <= fim) eventos.push({ data: p.dataCom, evento: 'data_com', ...base });
+            if (p.pagamento && p.pagamento >= inicio && p.pagamento <= fim) eventos.push({ data: p.pagamento, evento: 'pagamento', ...base });
+        }
+    }
+    return eventos.sort((a, b) => a.data.localeCompare(b.data) || a.ticker.localeCompare(b.ticker));
+}
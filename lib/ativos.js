@@ -0,0 +1,72 @@
+import { getCached } from './cache.js';
+import { analisarAcao } from './acoes.js';
+import { analisarFii } from './fiis.js';
+import { tickerValido } from './validacao.js';
+import { log } from './log.js';
+import { texto } from './i18n.js';
+
+// --- BUSCA UNIFICADA DE ATIVOS ---
+// Ponto único para obter o payload de /buscar ou /buscar-fii (já passando pelo cache)
+const ANALISADORES = {
+    acao: analisarAcao,
+    fii: analisarFii
+};
+
+export const TIPOS_ATIVO = Object.keys(ANALISADORES);
+
+const ouvintes = [];
+
+// Registra uma função chamada a cada scraping novo com (tipo, dados). Respostas vindas do cache não disparam.
+export function aoColetar(fn) {
+    ouvintes.push(fn);
+}
+
+async function analisarENotificar(tipo, ticker, opcoes) {
+    const dados = await ANALISADORES[tipo](ticker, opcoes);
+    if (dados) {
+        for (const fn of ouvintes) {
+            try {
+                await fn(tipo, dados);
+            } catch (e) {
+                log.warn('Erro em ouvinte de coleta', { tipo, ticker, erro: e.message });
+            }
+        }
+    }
+    return dados;
+}
+
+// opcoes: { forcar, signal, modo } (signal = cliente que pode desistir, ver getCached;
+// modo = 'auto' | 'http' | 'navegador', só vale quando há scraping novo)
+// Ticker fora do padrão da B3 nunca vira URL nem aba do navegador: responde como não encontrado.
+export async function buscarAtivo(tipo, ticker, opcoes = {}) {
+    if (!tickerValido(String(ticker).toUpperCase())) return null;
+    return getCached(tipo, ticker, (t, signal) => analisarENotificar(tipo, t, { signal, modo: opcoes.modo }), opcoes);
+}
+
+// Scraping direto, sem cache nem ouvintes (CLI e scripts que rodam sem MySQL). Mesmo formato de buscarAtivo.
+export async function coletarAtivo(tipo, ticker, opcoes = {}) {
+    if (!tickerValido(String(ticker).toUpperCase())) return null;
+    const dados = await ANALISADORES[tipo](ticker, opcoes);
+    return dados ? { data: dados, fetchedAt: new Date(), stale: false } : null;
+}
+
+// --- ERROS DE BUSCA NAS ROTAS ---
+// Prazo esgotado vira 504 e todas as fontes em pausa, 503 com Retry-After; cliente que já foi embora
+// não recebe resposta nenhuma. Retorna true quando a resposta já foi resolvida aqui.
+export function erroDeBusca(req, res, error) {
+    if (req.signal.aborted) return true;
+    if (error.code === 'PRAZO_ESGOTADO') {
+        res.status(504).json({ error: texto('TEMPO_ESGOTADO') });
+        return true;
+    }
+    if (error.code === 'PROVIDERS_EM_PAUSA') {
+        res.setHeader('Retry-After', error.retryAfterSeg);
+        res.status(503).json({
+            error: texto('PROVIDERS_EM_PAUSA', { segundos: error.retryAfterSeg }),
+            codigo: 'PROVIDERS_EM_PAUSA',
+            retryAfterSeg: error.retryAfterSeg
+        });
+        return true;
+    }
+    return false;
+}
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { pool } from './db.js';
+import { log } from './log.js';
+import { texto } from './i18n.js';
+
+// --- CONFIGURAÇÃO DOS TOKENS ---
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+// Resolvido no primeiro token assinado ou conferido: quem só importa o módulo (a CLI) não gera segredo nem aviso
+let JWT_SECRET = null;
+function segredoJwt() {
+    if (JWT_SECRET) return JWT_SECRET;
+    JWT_SECRET = process.env.JWT_SECRET;
+    if (!JWT_SECRET) {
+        // Sem segredo fixo os tokens deixam de valer a cada reinício do servidor
+        log.warn('JWT_SECRET não definido: usando segredo temporário');
+        JWT_SECRET = crypto.randomBytes(32).toString('hex');
+    }
+    return JWT_SECRET;
+}
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign({ sub: user.id, email: user.email, sid: sessionId }, segredoJwt(), { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function buildTokens(user, sessionId, refreshToken) {
+    const accessToken = signAccessToken(user, sessionId);
+    const { exp } = jwt.decode(accessToken);
+    return { accessToken, refreshToken, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// Cria uma sessão nova no login e devolve o par access/refresh
+export async function createSession(user) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const [result] = await pool.execute(
+        'INSERT INTO sessions (user_id, refresh_token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))',
+        [user.id, hashToken(refreshToken), REFRESH_TOKEN_DAYS]
+    );
+    return buildTokens(user, result.insertId, refreshToken);
+}
+
+// Troca o refresh token por um novo par (rotação). Retorna null se inválido, expirado ou revogado.
+// O UPDATE só troca o hash se ele ainda for o do token recebido: de dois refreshes simultâneos com o
+// mesmo token só um vence; o outro é reuso e derruba a sessão inteira.
+export async function refreshSession(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') return null;
+    const hashAtual = hashToken(refreshToken);
+    const [rows] = await pool.execute(
+        `SELECT s.id, u.id AS user_id, u.email FROM sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+        [hashAtual]
+    );
+    if (rows.length === 0) return null;
+
+    const session = rows[0];
+    const newRefreshToken = crypto.randomBytes(48).toString('hex');
+    const [result] = await pool.execute(
+        `UPDATE sessions SET refresh_token_hash = ?, expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+         WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+        [hashToken(newRefreshToken), REFRESH_TOKEN_DAYS, session.id, hashAtual]
+    );
+    if (result.affectedRows === 0) {
+        log.warn('Refresh token reutilizado: sessão revogada', { sessao: session.id, userId: session.user_id });
+        await revokeSession(session.id);
+        return null;
+    }
+    return buildTokens({ id: session.user_id, email: session.email }, session.id, newRefreshToken);
+}
+
+export async function revokeSession(sessionId) {
+    await pool.execute('UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [sessionId]);
+}
+
+// Encerra todas as sessões do usuário (troca de senha/e-mail), opcionalmente mantendo a atual
+export async function revokeUserSessions(userId, exceto = null) {
+    await pool.execute(
+        'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL AND id <> ?',
+        [userId, exceto ?? 0]
+    );
+}
+
+// --- MIDDLEWARE DE AUTENTICAÇÃO ---
+// Exige "Authorization: Bearer <token>" e confere se a sessão ainda está ativa no banco
+export async function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) return res.status(401).json({ error: texto('NAO_AUTENTICADO') });
+
+    let payload;
+    try {
+        payload = jwt.verify(token, segredoJwt());
+    } catch (e) {
+        return res.status(401).json({ error: texto('SESSAO_INVALIDA') });
+    }
+
+    try {
+        const [rows] = await pool.execute(
+            'SELECT id FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+            [payload.sid]
+        );
+        if (rows.length === 0) return res.status(401).json({ error: texto('SESSAO_ENCERRADA') });
+    } catch (error) {
+        return res.status(500).json({ error: texto('ERRO_INTERNO') });
+    }
+
+    req.user = { id: payload.sub, email: payload.email };
+    req.sessionId = payload.sid;
+    next();
+}
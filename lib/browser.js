@@ -0,0 +1,232 @@
+import puppeteer from 'puppeteer';
+import { criarFila, aguardarOuCancelar } from './fila.js';
+import { log } from './log.js';
+import { registrarColeta } from './metricas.js';
+
+// --- POOL DO NAVEGADOR ---
+// Um único Chrome compartilhado por todo o servidor, com no máximo MAX_PAGINAS abas ao mesmo tempo.
+// Quem chega depois espera na fila até o prazo. O Chrome é reaberto se cair e reiniciado a cada
+// REINICIAR_APOS páginas (vazamento de memória em processos longos), sempre esperando as abas em uso.
+const MAX_PAGINAS = Number(process.env.BROWSER_MAX_PAGINAS) || 3;
+const REINICIAR_APOS = Number(process.env.BROWSER_REINICIAR_APOS) || 200;
+export const PRAZO_PADRAO_MS = Number(process.env.BROWSER_PRAZO_MS) || 90000;
+
+const fila = criarFila(MAX_PAGINAS);
+
+let browser = null;
+let iniciando = null;          // Promise do launch em andamento (evita dois Chromes ao mesmo tempo)
+let drenagem = null;           // { promise, liberar } enquanto um reinício programado espera as abas fecharem
+const encerrados = new WeakSet(); // browsers fechados de propósito (não contam como queda)
+let paginasAbertas = 0;
+let paginasNesteBrowser = 0;
+let iniciadoEm = null;
+
+const contadores = { paginas: 0, falhas: 0, prazosEsgotados: 0, cancelamentos: 0, reinicios: 0, quedas: 0 };
+
+// --- ERROS DE PRAZO E CANCELAMENTO ---
+// code permite às rotas diferenciar (504 para prazo; cliente que desconectou não recebe resposta)
+export function erroPrazo(prazoMs) {
+    const erro = new Error(`Prazo de ${Math.round(prazoMs / 1000)}s esgotado ao aguardar o navegador.`);
+    erro.code = 'PRAZO_ESGOTADO';
+    return erro;
+}
+
+export function erroCancelamento(mensagem = 'Requisição cancelada pelo cliente.') {
+    const erro = new Error(mensagem);
+    erro.code = 'CANCELADO';
+    return erro;
+}
+
+// --- CHROME ---
+async function lancar() {
+    const isRender = process.env.RENDER === 'true' || process.platform === 'linux';
+
+    const launchConfig = {
+        headless: "new",
+        defaultViewport: null,
+        args: []
+    };
+
+    if (isRender) {
+        log.info('Abrindo o Chrome com otimizações de memória (modo servidor)');
+        launchConfig.args = [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-accelerated-2d-canvas',
+            '--no-first-run',
+            '--no-zygote',
+            '--disable-gpu'
+        ];
+        // Com --single-process uma aba travada derruba o Chrome inteiro; só use se a memória for muito curta
+        if (process.env.BROWSER_SINGLE_PROCESS === 'true') launchConfig.args.push('--single-process');
+    } else {
+        log.info('Abrindo o Chrome (modo local)');
+    }
+
+    const novo = await puppeteer.launch(launchConfig);
+    novo.on('disconnected', () => {
+        if (browser === novo) browser = null;
+        if (!encerrados.has(novo)) {
+            contadores.quedas++;
+            log.error('Chrome caiu; será reaberto na próxima busca', { paginasNesteBrowser });
+        }
+    });
+    return novo;
+}
+
+export async function getBrowser() {
+    if (browser && !browser.isConnected()) {
+        encerrados.add(browser);
+        try { await browser.close(); } catch(e) {}
+        browser = null;
+    }
+    if (browser) return browser;
+
+    if (!iniciando) {
+        iniciando = lancar()
+            .then(novo => {
+                browser = novo;
+                paginasNesteBrowser = 0;
+                iniciadoEm = new Date();
+                return novo;
+            })
+            .finally(() => { iniciando = null; });
+    }
+    return iniciando;
+}
+
+export async function closeBrowser() {
+    const atual = browser;
+    browser = null;
+    if (atual) {
+        encerrados.add(atual);
+        try { await atual.close(); } catch(e) {}
+    }
+}
+
+// Página nova sem imagens, CSS, fontes e mídia (economiza banda e memória)
+export async function openLightPage(browser) {
+    const page = await browser.newPage();
+    try {
+        await page.setRequestInterception(true);
+    } catch (e) {
+        await page.close().catch(() => {});
+        throw e;
+    }
+    page.on('request', (req) => {
+        if (['image', 'stylesheet', 'font', 'media'].includes(req.resourceType())) {
+            req.abort();
+        } else {
+            req.continue();
+        }
+    });
+    return page;
+}
+
+// --- REINÍCIO PROGRAMADO ---
+// Novas abas esperam a drenagem; o Chrome é fechado quando a última aba em uso fecha
+function aoFecharPagina() {
+    paginasAbertas--;
+    if (!drenagem && paginasNesteBrowser >= REINICIAR_APOS) {
+        let liberar;
+        const promise = new Promise(resolve => { liberar = resolve; });
+        drenagem = { promise, liberar };
+    }
+    if (drenagem && paginasAbertas === 0) reiniciar();
+}
+
+async function reiniciar() {
+    const { liberar } = drenagem;
+    log.info('Reiniciando o Chrome (reinício programado)', { paginasNesteBrowser });
+    contadores.reinicios++;
+    await closeBrowser();
+    drenagem = null;
+    liberar();
+}
+
+// --- USO DE UMA ABA ---
+// Abre uma aba leve, executa fn(page) e fecha a aba em qualquer desfecho. O prazo conta desde a
+// entrada na fila; se ele esgotar ou o signal for abortado, a aba é fechada na hora e a promise rejeita.
+export async function comPagina(fn, { signal = null, prazoMs = PRAZO_PADRAO_MS } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(erroPrazo(prazoMs)), prazoMs);
+    const repassar = () => controller.abort(signal.reason);
+    if (signal?.aborted) repassar();
+    else signal?.addEventListener('abort', repassar, { once: true });
+
+    try {
+        return await fila(() => executarNaPagina(fn, controller.signal), { signal: controller.signal });
+    } catch (e) {
+        if (controller.signal.aborted && e === controller.signal.reason) {
+            if (e.code === 'PRAZO_ESGOTADO') contadores.prazosEsgotados++;
+            else contadores.cancelamentos++;
+        }
+        throw e;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', repassar);
+    }
+}
+
+async function executarNaPagina(fn, signal) {
+    if (drenagem) await aguardarOuCancelar(drenagem.promise, signal);
+    if (signal.aborted) throw signal.reason;
+
+    let page;
+    try {
+        page = await openLightPage(await getBrowser());
+    } catch (e) {
+        contadores.falhas++;
+        throw e;
+    }
+    paginasAbertas++;
+    paginasNesteBrowser++;
+    contadores.paginas++;
+
+    const fechar = () => { if (!page.isClosed()) page.close().catch(() => {}); };
+    signal.addEventListener('abort', fechar, { once: true });
+    try {
+        return await aguardarOuCancelar(Promise.resolve().then(() => fn(page)), signal);
+    } catch (e) {
+        if (!signal.aborted) contadores.falhas++;
+        throw e;
+    } finally {
+        signal.removeEventListener('abort', fechar);
+        if (!page.isClosed()) try { await page.close(); } catch (e) {}
+        aoFecharPagina();
+    }
+}
+
+// Estado do pool para a rota /health
+export function poolStats() {
+    const { aguardando } = fila.stats();
+    return {
+        conectado: Boolean(browser?.isConnected()),
+        iniciadoEm: iniciadoEm ? iniciadoEm.toISOString() : null,
+        maxPaginas: MAX_PAGINAS,
+        paginasAbertas,
+        aguardando,
+        paginasNesteBrowser,
+        reiniciarAposPaginas: REINICIAR_APOS,
+        reinicioPendente: Boolean(drenagem),
+        prazoPadraoMs: PRAZO_PADRAO_MS,
+        ...contadores
+    };
+}
+
+// --- MÉTRICAS DO POOL (GET /metrics) ---
+registrarColeta(() => {
+    const { aguardando } = fila.stats();
+    return [
+        { nome: 'invista_browser_conectado', ajuda: 'Chrome aberto e conectado (1) ou não (0).', valor: browser?.isConnected() ? 1 : 0 },
+        { nome: 'invista_browser_paginas_abertas', ajuda: 'Abas em uso agora.', valor: paginasAbertas },
+        { nome: 'invista_browser_fila_aguardando', ajuda: 'Buscas esperando uma aba livre.', valor: aguardando },
+        { nome: 'invista_browser_paginas_total', tipo: 'counter', ajuda: 'Abas abertas desde o início do processo.', valor: contadores.paginas },
+        { nome: 'invista_browser_falhas_total', tipo: 'counter', ajuda: 'Falhas ao abrir ou usar uma aba.', valor: contadores.falhas },
+        { nome: 'invista_browser_prazos_esgotados_total', tipo: 'counter', ajuda: 'Buscas que estouraram o prazo do navegador.', valor: contadores.prazosEsgotados },
+        { nome: 'invista_browser_cancelamentos_total', tipo: 'counter', ajuda: 'Buscas canceladas porque o cliente desconectou.', valor: contadores.cancelamentos },
+        { nome: 'invista_browser_reinicios_total', tipo: 'counter', ajuda: 'Reinícios programados do Chrome.', valor: contadores.reinicios },
+        { nome: 'invista_browser_quedas_total', tipo: 'counter', ajuda: 'Vezes em que o Chrome caiu sozinho.', valor: contadores.quedas }
+    ];
+});
@@ -0,0 +1,122 @@
+import { pool } from './db.js';
+import { aguardarOuCancelar } from './fila.js';
+import { log } from './log.js';
+
+// --- CACHE DE INDICADORES (memória + MySQL) ---
+// Dentro do TTL a resposta sai direto do cache. Passado o TTL, mas dentro da janela de "stale",
+// devolvemos o dado antigo na hora e atualizamos em segundo plano (stale-while-revalidate).
+const MINUTE = 60 * 1000;
+const TTL = {
+    acao: (Number(process.env.CACHE_TTL_ACAO_MIN) || 15) * MINUTE,
+    fii: (Number(process.env.CACHE_TTL_FII_MIN) || 30) * MINUTE
+};
+const STALE_WINDOW = (Number(process.env.CACHE_STALE_MAX_HOURS) || 24) * 60 * MINUTE;
+const MAX_MEMORY_ENTRIES = 500;
+
+const memory = new Map();   // chave -> { data, fetchedAt }
+const inFlight = new Map(); // chave -> { promise, controller, interessados, semSinal } do scraping em andamento
+
+const cacheKey = (tipo, ticker) => `${tipo}:${ticker.toUpperCase()}`;
+
+function rememberInMemory(key, entry) {
+    memory.delete(key);
+    memory.set(key, entry);
+    // Map mantém a ordem de inserção: o primeiro é o acesso mais antigo
+    if (memory.size > MAX_MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+}
+
+async function readEntry(tipo, ticker) {
+    const key = cacheKey(tipo, ticker);
+    if (memory.has(key)) {
+        const entry = memory.get(key);
+        rememberInMemory(key, entry);
+        return entry;
+    }
+    try {
+        const [rows] = await pool.execute(
+            'SELECT payload, fetched_at FROM indicator_cache WHERE tipo = ? AND ticker = ?',
+            [tipo, ticker.toUpperCase()]
+        );
+        if (rows.length === 0) return null;
+        const payload = typeof rows[0].payload === 'string' ? JSON.parse(rows[0].payload) : rows[0].payload;
+        const entry = { data: payload, fetchedAt: new Date(rows[0].fetched_at) };
+        rememberInMemory(key, entry);
+        return entry;
+    } catch (e) {
+        log.warn('Cache MySQL indisponível', { erro: e.message });
+        return null;
+    }
+}
+
+async function writeEntry(tipo, ticker, entry) {
+    rememberInMemory(cacheKey(tipo, ticker), entry);
+    try {
+        await pool.execute(
+            `INSERT INTO indicator_cache (tipo, ticker, payload, fetched_at) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE payload = VALUES(payload), fetched_at = VALUES(fetched_at)`,
+            [tipo, ticker.toUpperCase(), JSON.stringify(entry.data), entry.fetchedAt]
+        );
+    } catch (e) {
+        log.warn('Falha ao gravar cache no MySQL', { erro: e.message });
+    }
+}
+
+// Executa o scraping uma única vez por chave, mesmo com várias requisições simultâneas.
+// O scraping compartilhado só é cancelado quando todos os interessados desistiram; quem não passa
+// signal (jobs, revalidação em segundo plano) o mantém vivo até o fim.
+// Um scraping já cancelado pode continuar no mapa até o fetcher desistir: quem chega depois começa outro.
+function revalidate(tipo, ticker, fetcher, signal = null) {
+    const key = cacheKey(tipo, ticker);
+    let voo = inFlight.get(key);
+    if (!voo || voo.controller.signal.aborted) {
+        const controller = new AbortController();
+        const novo = { controller, interessados: 0, semSinal: false };
+        novo.promise = (async () => {
+            const data = await fetcher(ticker, controller.signal);
+            if (!data) return null;
+            const entry = { data, fetchedAt: new Date() };
+            await writeEntry(tipo, ticker, entry);
+            return entry;
+        })().finally(() => {
+            if (inFlight.get(key) === novo) inFlight.delete(key);
+        });
+        inFlight.set(key, novo);
+        voo = novo;
+    }
+
+    if (!signal) {
+        voo.semSinal = true;
+        return voo.promise;
+    }
+    if (signal.aborted) return Promise.reject(signal.reason);
+    const atual = voo;
+    atual.interessados++;
+    signal.addEventListener('abort', () => {
+        atual.interessados--;
+        if (!atual.semSinal && atual.interessados === 0) atual.controller.abort(signal.reason);
+    }, { once: true });
+    return aguardarOuCancelar(atual.promise, signal);
+}
+
+// Retorna { data, fetchedAt, stale } ou null quando o fetcher não encontra o ativo.
+// Com { forcar: true } ignora o cache e faz o scraping (ainda compartilhando o que já estiver em andamento).
+// Com { signal } a espera pelo scraping é abandonada quando o sinal aborta (cliente desconectou).
+export async function getCached(tipo, ticker, fetcher, { forcar = false, signal = null } = {}) {
+    if (forcar) {
+        const fresh = await revalidate(tipo, ticker, fetcher, signal);
+        return fresh ? { ...fresh, stale: false } : null;
+    }
+
+    const entry = await readEntry(tipo, ticker);
+    const age = entry ? Date.now() - entry.fetchedAt.getTime() : Infinity;
+
+    if (age < TTL[tipo]) return { ...entry, stale: false };
+
+    if (age < TTL[tipo] + STALE_WINDOW) {
+        revalidate(tipo, ticker, fetcher).catch(e => log.error('Erro ao revalidar o cache', { tipo, ticker, erro: e.message }));
+        return { ...entry, stale: true };
+    }
+
+    const fresh = await revalidate(tipo, ticker, fetcher, signal);
+    return fresh ? { ...fresh, stale: false } : null;
+}
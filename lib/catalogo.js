@@ -0,0 +1,122 @@
+import express from 'express';
+import { readFileSync } from 'node:fs';
+import { pool } from './db.js';
+import { aoColetar, buscarAtivo } from './ativos.js';
+import { log } from './log.js';
+
+// --- CATÁLOGO DE TICKERS E DETECÇÃO DO TIPO DO ATIVO ---
+// A semente (catalogo-tickers.json) traz nome e classe dos ativos mais negociados; o que as coletas
+// descobrem fora dela fica em ticker_catalog. Classe é o que o ativo é na B3; tipo é o analisador
+// que sabe ler a página dele (ETFs e BDRs ainda não têm).
+export const CLASSES_ATIVO = { acao: 'acao', unit: 'acao', fii: 'fii', etf: null, bdr: null };
+
+const SEMENTE = JSON.parse(readFileSync(new URL('./catalogo-tickers.json', import.meta.url), 'utf-8'));
+
+const entradaDe = (ticker, nome, classe) => ({ ticker, nome, tipo: CLASSES_ATIVO[classe], classe });
+
+export const CATALOGO_SEMENTE = Object.entries(SEMENTE)
+    .flatMap(([classe, itens]) => itens.map(([ticker, nome]) => entradaDe(ticker, nome, classe)));
+
+const catalogo = new Map(CATALOGO_SEMENTE.map(e => [e.ticker, e]));
+let carregamento = null;
+
+// ticker_catalog é lido uma vez por processo; sem banco, fica só a semente e tenta de novo na próxima chamada
+async function carregarAprendidos() {
+    if (!carregamento) {
+        carregamento = pool.execute('SELECT ticker, nome, classe FROM ticker_catalog').then(([rows]) => {
+            for (const r of rows) if (!catalogo.has(r.ticker)) catalogo.set(r.ticker, entradaDe(r.ticker, r.nome, r.classe));
+        }).catch(e => {
+            carregamento = null;
+            throw e;
+        });
+    }
+    return carregamento;
+}
+
+// Pelo número do código: 3 a 8 = ação, 31 a 39 = BDR. 11 pode ser FII, unit ou ETF: null (só testando).
+export function classePeloCodigo(ticker) {
+    const numero = Number(ticker.replace(/F$/, '').match(/\d+$/)?.[0]);
+    if (numero >= 31 && numero <= 39) return 'bdr';
+    return numero === 11 ? null : 'acao';
+}
+
+// Analisadores a tentar, em ordem. Fora do catálogo, final 11 tenta FII primeiro (a maioria) e depois unit.
+export function tiposParaTentar(ticker, conhecido = null) {
+    if (conhecido) return conhecido.tipo ? [conhecido.tipo] : [];
+    const classe = classePeloCodigo(ticker);
+    if (classe === null) return ['fii', 'acao'];
+    return CLASSES_ATIVO[classe] ? [CLASSES_ATIVO[classe]] : [];
+}
+
+// Final 11 que abriu como ação é unit
+const classeAprendida = (tipo, ticker) => tipo === 'fii' ? 'fii' : (classePeloCodigo(ticker) === null ? 'unit' : 'acao');
+
+// Busca o ativo sem saber o tipo. Retorna null (nenhum analisador achou),
+// { classe, nome, semAnalise: true } (ETF ou BDR) ou { tipo, classe, nome, cached } como buscarAtivo.
+export async function buscarAtivoDetectado(ticker, opcoes = {}) {
+    try {
+        await carregarAprendidos();
+    } catch (e) {
+        log.warn('Catálogo de tickers indisponível: usando só a semente', { erro: e.message });
+    }
+    const conhecido = catalogo.get(ticker) || null;
+    const nome = conhecido?.nome ?? null;
+    const tipos = tiposParaTentar(ticker, conhecido);
+    if (tipos.length === 0) return { classe: conhecido?.classe ?? classePeloCodigo(ticker), nome, semAnalise: true };
+
+    for (const tipo of tipos) {
+        const cached = await buscarAtivo(tipo, ticker, opcoes);
+        if (cached) return { tipo, classe: conhecido?.classe ?? classeAprendida(tipo, ticker), nome, cached };
+    }
+    return null;
+}
+
+// Toda coleta nova de um ativo fora do catálogo ensina o tipo dele (vale também para /buscar e /buscar-fii)
+async function aprenderTipo(tipo, dados) {
+    await carregarAprendidos();
+    if (catalogo.has(dados.ticker)) return;
+    const classe = classeAprendida(tipo, dados.ticker);
+    await pool.execute(
+        'INSERT INTO ticker_catalog (ticker, tipo, classe) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE tipo = VALUES(tipo), classe = VALUES(classe)',
+        [dados.ticker, tipo, classe]
+    );
+    catalogo.set(dados.ticker, entradaDe(dados.ticker, null, classe));
+}
+
+aoColetar(aprenderTipo);
+
+// --- AUTOCOMPLETE ---
+const normalizar = (s) => String(s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// Ticker igual, ticker começando pelo termo, palavra do nome começando pelo termo e, por último, nome contendo o termo
+export function filtrarCatalogo(entradas, termo, limite = 10) {
+    const busca = normalizar(termo);
+    if (!busca) return [];
+    const relevancia = (e) => {
+        const ticker = e.ticker.toLowerCase();
+        const nome = normalizar(e.nome);
+        if (ticker === busca) return 0;
+        if (ticker.startsWith(busca)) return 1;
+        if (nome.split(/[\s()-]+/).some(palavra => palavra.startsWith(busca))) return 2;
+        return nome.includes(busca) ? 3 : null;
+    };
+    return entradas
+        .map(e => ({ e, r: relevancia(e) }))
+        .filter(({ r }) => r !== null)
+        .sort((a, b) => a.r - b.r || a.e.ticker.localeCompare(b.e.ticker))
+        .slice(0, limite)
+        .map(({ e }) => e);
+}
+
+export const catalogoRouter = express.Router();
+
+// GET /catalogo?q=petro&limite=8
+catalogoRouter.get('/', async (req, res) => {
+    const limite = Math.min(Math.max(Math.round(Number(req.query.limite)) || 10, 1), 30);
+    try {
+        await carregarAprendidos();
+    } catch (e) {
+        log.warn('Catálogo de tickers indisponível: usando só a semente', { erro: e.message });
+    }
+    res.json(filtrarCatalogo([...catalogo.values()], req.query.q, limite));
+});
@@ -0,0 +1,163 @@
+import { readFileSync } from 'node:fs';
+import { strToNumber, compararNumeros, OPERADORES_NUMERICOS } from './indicadores.js';
+import { texto } from './i18n.js';
+
+// --- MOTOR DE CLASSIFICAÇÃO (good / bad / neutral) ---
+// As faixas ficam em regras-classificacao.json: um conjunto geral por indicador e sobrescritas por
+// setor/segmento. Cada regra é { good: [[op, valor], ...], bad: [...] } (condições da lista em "E");
+// null significa "não classificar este indicador" naquele setor.
+// Um perfil pessoal do usuário tem o mesmo formato e é aplicado por cima das regras padrão.
+export const REGRAS_PADRAO = JSON.parse(readFileSync(new URL('./regras-classificacao.json', import.meta.url), 'utf-8'));
+
+export const INDICADORES_CLASSIFICAVEIS = {
+    acao: ['pl', 'pvp', 'dy', 'dy5Anos', 'payout', 'roe', 'roic', 'roa', 'margemBruta', 'margemEbitda', 'margemLiquida',
+        'dividaLiquidaEbitda', 'dividaLiquidaPatrimonio', 'liquidezCorrente', 'cagrLucros', 'giroAtivos', 'xpiPotencial', 'xpiRisco'],
+    fii: ['pvp', 'dy', 'y1m', 'vacancia', 'taxaAdm', 'dy12m', 'volatilidadeRendimentos', 'tendenciaRendimentos', 'notaQualidade']
+};
+
+const GRAHAM_WARNING = texto('GRAHAM_IMPRECISO');
+const CLASSES_DA_REGRA = ['good', 'bad'];
+
+// "Utilidade Pública" e "utilidade publica" são o mesmo setor
+const normalizar = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+function buscarPorNome(mapa, nome) {
+    if (!mapa || !nome) return null;
+    const alvo = normalizar(nome);
+    const achado = Object.entries(mapa).find(([k]) => normalizar(k) === alvo);
+    return achado ? { nome: achado[0], conjunto: achado[1] } : null;
+}
+
+// Camadas da menos para a mais específica: padrão, setor, segmento e depois o mesmo no perfil do usuário
+function montarCamadas(tipo, setor, segmento, perfil) {
+    const camadas = [];
+    const origens = [['padrao', REGRAS_PADRAO[tipo]], ['perfil', perfil?.regras?.[tipo]]];
+    for (const [origem, base] of origens) {
+        if (!base) continue;
+        camadas.push({ origem, escopo: 'geral', nome: null, conjunto: base });
+        for (const [escopo, mapa, valor] of [['setor', base.setores, setor], ['segmento', base.segmentos, segmento]]) {
+            const achado = buscarPorNome(mapa, valor);
+            if (achado) camadas.push({ origem, escopo, nome: achado.nome, conjunto: achado.conjunto });
+        }
+    }
+    return camadas;
+}
+
+// A última camada que menciona o indicador vence (inclusive com null)
+function regraPara(camadas, indicador) {
+    for (let i = camadas.length - 1; i >= 0; i--) {
+        const indicadores = camadas[i].conjunto.indicadores || {};
+        if (Object.prototype.hasOwnProperty.call(indicadores, indicador)) return { ...camadas[i], regra: indicadores[indicador] };
+    }
+    return null;
+}
+
+const atende = (valor, condicoes) => Array.isArray(condicoes) && condicoes.length > 0
+    && condicoes.every(([op, limite]) => compararNumeros(valor, op, limite));
+
+export function aplicarRegra(regra, valueStr) {
+    const valor = strToNumber(valueStr);
+    if (!regra || valor === null) return 'neutral';
+    if (atende(valor, regra.good)) return 'good';
+    if (atende(valor, regra.bad)) return 'bad';
+    return 'neutral';
+}
+
+export function descreverRegra(regra) {
+    const condicoes = (classe) => (regra && Array.isArray(regra[classe]) && regra[classe].length > 0 ? regra[classe] : null);
+    const bom = condicoes('good');
+    const ruim = condicoes('bad');
+    if (bom && ruim) return texto('REGRA_BOM_E_RUIM', { bom, ruim });
+    if (bom) return texto('REGRA_BOM', { bom });
+    if (ruim) return texto('REGRA_RUIM', { ruim });
+    return texto('REGRA_SEM_CLASSIFICACAO');
+}
+
+// Explicação anexada a cada indicador classificado: qual regra gerou o good/bad
+function explicar(camada, perfil) {
+    const regra = descreverRegra(camada.regra);
+    const onde = camada.escopo === 'geral' ? texto('ESCOPO_GERAL')
+        : camada.escopo === 'setor' ? texto('ESCOPO_SETOR', { nome: camada.nome })
+        : texto('ESCOPO_SEGMENTO', { nome: camada.nome });
+    return {
+        origem: camada.origem,
+        escopo: camada.escopo,
+        nome: camada.nome,
+        descricao: camada.origem === 'perfil'
+            ? texto('REGRA_EXPLICADA_PERFIL', { regra, perfil: perfil.nome, onde })
+            : texto('REGRA_EXPLICADA_PADRAO', { regra, onde })
+    };
+}
+
+const textoDe = (cell) => (cell && cell.value && cell.value !== '-') ? cell.value : null;
+
+// Reclassifica o payload de /buscar ou /buscar-fii. Não altera o objeto recebido (ele pode estar no cache).
+// perfil: { id, nome, regras } ou null para usar só as regras padrão.
+export function classificar(tipo, dados, perfil = null) {
+    const setor = textoDe(dados.setor);
+    const segmento = textoDe(dados.segmento);
+    const camadas = montarCamadas(tipo, setor, segmento, perfil);
+
+    const resultado = { ...dados };
+    for (const key of INDICADORES_CLASSIFICAVEIS[tipo]) {
+        if (!dados[key]) continue;
+        const camada = regraPara(camadas, key);
+        resultado[key] = camada
+            ? { value: dados[key].value, class: aplicarRegra(camada.regra, dados[key].value), regra: explicar(camada, perfil) }
+            : { value: dados[key].value, class: 'neutral' };
+    }
+
+    if (tipo === 'acao') {
+        resultado.grahamWarning = camadas.some(c => c.conjunto.grahamImpreciso) ? GRAHAM_WARNING : null;
+    }
+    resultado.classificacao = { perfil: perfil ? { id: perfil.id, nome: perfil.nome } : null, setor, segmento };
+    return resultado;
+}
+
+// --- VALIDAÇÃO DE PERFIS PESSOAIS ---
+function validarRegra(tipo, indicador, regra, onde) {
+    if (!INDICADORES_CLASSIFICAVEIS[tipo].includes(indicador)) return texto('REGRAS_INDICADOR_DESCONHECIDO', { onde, indicador });
+    if (regra === null) return null;
+    if (typeof regra !== 'object' || Array.isArray(regra)) return texto('REGRAS_REGRA_INVALIDA', { onde: `${onde}.${indicador}` });
+    for (const [classe, condicoes] of Object.entries(regra)) {
+        if (!CLASSES_DA_REGRA.includes(classe)) return texto('REGRAS_CLASSE_INVALIDA', { onde: `${onde}.${indicador}` });
+        if (!Array.isArray(condicoes)) return texto('REGRAS_CONDICOES_NAO_LISTA', { onde: `${onde}.${indicador}.${classe}` });
+        for (const cond of condicoes) {
+            if (!Array.isArray(cond) || cond.length !== 2 || !OPERADORES_NUMERICOS.includes(cond[0]) || !Number.isFinite(cond[1])) {
+                return texto('REGRAS_CONDICAO_INVALIDA', { onde: `${onde}.${indicador}.${classe}`, opcoes: OPERADORES_NUMERICOS });
+            }
+        }
+    }
+    return null;
+}
+
+function validarConjunto(tipo, conjunto, onde) {
+    if (!conjunto || typeof conjunto !== 'object' || Array.isArray(conjunto)) return texto('REGRAS_NAO_OBJETO_EM', { onde });
+    if (conjunto.indicadores !== undefined) {
+        if (typeof conjunto.indicadores !== 'object' || conjunto.indicadores === null) return texto('REGRAS_NAO_OBJETO_EM', { onde: `${onde}.indicadores` });
+        for (const [indicador, regra] of Object.entries(conjunto.indicadores)) {
+            const erro = validarRegra(tipo, indicador, regra, `${onde}.indicadores`);
+            if (erro) return erro;
+        }
+    }
+    return null;
+}
+
+// Retorna a mensagem do primeiro problema encontrado ou null se o perfil é válido
+export function validarRegras(regras) {
+    if (!regras || typeof regras !== 'object' || Array.isArray(regras)) return texto('REGRAS_NAO_OBJETO');
+    for (const [tipo, base] of Object.entries(regras)) {
+        if (!Object.hasOwn(INDICADORES_CLASSIFICAVEIS, tipo)) return texto('REGRAS_TIPO_DESCONHECIDO', { tipo });
+        const erro = validarConjunto(tipo, base, tipo);
+        if (erro) return erro;
+        for (const escopo of ['setores', 'segmentos']) {
+            if (base[escopo] === undefined) continue;
+            if (typeof base[escopo] !== 'object' || base[escopo] === null) return texto('REGRAS_NAO_OBJETO_EM', { onde: `${tipo}.${escopo}` });
+            for (const [nome, conjunto] of Object.entries(base[escopo])) {
+                const erroEscopo = validarConjunto(tipo, conjunto, `${tipo}.${escopo}.${nome}`);
+                if (erroEscopo) return erroEscopo;
+            }
+        }
+    }
+    return null;
+}
@@ -0,0 +1,325 @@
+import { parseArgs } from 'node:util';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pool } from './db.js';
+import { definirFormatoLog, definirSaidaLog } from './log.js';
+import { closeBrowser } from './browser.js';
+import { coletarAtivo } from './ativos.js';
+import { PROVIDERS, validarModo } from './providers/index.js';
+import { LINHAS_COMPARACAO, MAX_TICKERS_COMPARACAO, montarComparacao, parseTickers } from './comparar.js';
+import { montarPosicoes } from './watchlists.js';
+import { validarTickers } from './validacao.js';
+import { localizarResposta, textoEm } from './i18n.js';
+import { aplicarMigracoes, statusMigracoes, descreverErroDeBanco } from './migracoes/index.js';
+import { semearDesenvolvimento } from './migracoes/seed-desenvolvimento.js';
+import { FORMATOS_EXPORTACAO, formatarCsv, tabelaDeCarteira, documentoDeAtivos, documentoDeCarteira, documentoDeTabela, gerarExportacao } from './exportar.js';
+
+// --- LINHA DE COMANDO ---
+// Usa a mesma coleta, classificação e valuation do servidor. As buscas de ação/FII/comparação
+// vão direto aos providers (sem cache, não precisam do MySQL); a exportação de carteira lê o banco.
+
+// Códigos de saída (documentados em AJUDA)
+export const SAIDA = {
+    OK: 0,
+    ERRO: 1,            // erro inesperado, prazo esgotado, MySQL fora do ar
+    USO: 2,             // comando ou opção inválida
+    NAO_ENCONTRADO: 3,  // algum ticker não existe no site
+    LAYOUT: 4           // ativo encontrado, mas a coleta falhou ou veio quase vazia (layout mudou)
+};
+
+export const AJUDA = `Uso: npm run cli -- <comando> [opções]
+
+Comandos:
+  acao <TICKER...>             Indicadores e valuation de uma ou mais ações (alias: stock)
+  fii <TICKER...>              Indicadores de um ou mais FIIs
+  comparar <TICKER...>         Compara de 2 a ${MAX_TICKERS_COMPARACAO} ativos lado a lado (alias: compare; --tipo fii para FIIs)
+  carteira listar              Lista as carteiras salvas (--email filtra pelo usuário; alias: watchlist)
+  carteira exportar <ID>       Exporta as posições da carteira com cotação e resultado
+  banco status                 Versão do schema e migrações pendentes (alias: db)
+  banco migrar                 Aplica as migrações pendentes (npm run migrate)
+  banco semear                 Migra e cria o usuário de demonstração com dados de exemplo (npm run seed)
+
+Opções:
+  --json                       Saída em JSON
+  --csv                        Saída em CSV
+  --saida <ARQUIVO>            Grava o relatório em arquivo .csv, .xlsx ou .pdf (o formato vem da extensão)
+  --modo <auto|http|navegador> Forma de coleta (padrão: SCRAPER_MODO ou auto)
+  --tipo <acao|fii>            Tipo dos ativos em "comparar" (padrão: acao)
+  --email <EMAIL>              Usuário em "carteira listar"
+  -v, --verbose                Mostra os logs da coleta na saída de erro
+  -h, --help                   Esta ajuda
+
+Saída: 0 ok, 1 erro, 2 uso inválido, 3 ticker não encontrado, 4 falha de layout/coleta.`;
+
+const OPCOES = {
+    json: { type: 'boolean' },
+    csv: { type: 'boolean' },
+    saida: { type: 'string', short: 'o' },
+    modo: { type: 'string' },
+    tipo: { type: 'string' },
+    email: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const COMANDOS = {
+    acao: 'acao', stock: 'acao', fii: 'fii', comparar: 'comparar', compare: 'comparar',
+    carteira: 'carteira', watchlist: 'carteira', banco: 'banco', db: 'banco'
+};
+const ACOES_BANCO = ['status', 'migrar', 'semear'];
+
+// Comandos que abrem conexão com o MySQL (o pool é fechado no fim)
+const USAM_BANCO = ['carteira', 'banco'];
+
+const formatoDoArquivo = (arquivo) => path.extname(arquivo).slice(1).toLowerCase();
+
+// Retorna { comando, args, opcoes } ou { error }
+export function parseArgumentos(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPCOES, allowPositionals: true });
+    } catch (e) {
+        return { error: e.message };
+    }
+    const { values: opcoes, positionals } = parsed;
+    if (opcoes.help || positionals.length === 0) return { comando: 'ajuda', args: [], opcoes };
+
+    const comando = COMANDOS[positionals[0].toLowerCase()];
+    if (!comando) return { error: `Comando desconhecido: ${positionals[0]}` };
+    if ([opcoes.json, opcoes.csv, opcoes.saida].filter(Boolean).length > 1) return { error: 'Use apenas um formato: --json, --csv ou --saida.' };
+    if (opcoes.saida !== undefined && !FORMATOS_EXPORTACAO.includes(formatoDoArquivo(opcoes.saida))) {
+        return { error: `O arquivo de --saida deve terminar em ${FORMATOS_EXPORTACAO.map(f => `.${f}`).join(', ')}.` };
+    }
+    if (opcoes.modo !== undefined) {
+        const erroModo = validarModo(opcoes.modo);
+        if (erroModo) return { error: textoEm(erroModo) };
+    }
+    if (opcoes.tipo !== undefined && !['acao', 'fii'].includes(opcoes.tipo)) return { error: 'Tipo deve ser acao ou fii.' };
+
+    const args = positionals.slice(1);
+    if (comando === 'carteira') {
+        const [acao, id] = args;
+        if (acao === 'listar') return { comando, args: [acao], opcoes };
+        if (acao !== 'exportar') return { error: 'Use "carteira listar" ou "carteira exportar <ID>".' };
+        if (!/^\d+$/.test(id || '')) return { error: 'Informe o ID numérico da carteira (veja "carteira listar").' };
+        return { comando, args: [acao, Number(id)], opcoes };
+    }
+
+    if (comando === 'banco') {
+        if (!ACOES_BANCO.includes(args[0])) return { error: `Use "banco ${ACOES_BANCO.join('", "banco ')}".` };
+        return { comando, args: [args[0]], opcoes };
+    }
+
+    const tickers = parseTickers(args.join(' '));
+    if (tickers.length === 0) return { error: 'Informe pelo menos um ticker.' };
+    if (comando === 'comparar' && (tickers.length < 2 || tickers.length > MAX_TICKERS_COMPARACAO)) {
+        return { error: `Informe de 2 a ${MAX_TICKERS_COMPARACAO} tickers para comparar.` };
+    }
+    const erroTickers = validarTickers(tickers);
+    if (erroTickers) return { error: textoEm(erroTickers) };
+    return { comando, args: tickers, opcoes };
+}
+
+// --- VERIFICAÇÃO DE LAYOUT ---
+// Olha o provider principal do tipo: erro na coleta ou mais da metade dos campos vazios indica que a
+// página mudou (confirme com "npm run drift -- --live"). Retorna o motivo ou null.
+export function verificarLayout(tipo, dados) {
+    const principal = PROVIDERS[tipo][0];
+    const situacao = (dados.providers || []).find(p => p.id === principal.id);
+    if (situacao && situacao.status === 'erro') return `${principal.id}: ${situacao.erro}`;
+    if (situacao && situacao.status !== 'ok') return null; // em pausa ou desativado: não é culpa do layout
+
+    const vazios = principal.campos.filter(c => !dados.fontes?.[c]);
+    if (vazios.length > principal.campos.length / 2) {
+        return `${principal.id}: ${vazios.length} de ${principal.campos.length} campos vazios (${vazios.join(', ')})`;
+    }
+    return null;
+}
+
+// --- FORMATAÇÃO ---
+// Todas as saídas tabulares passam por { cabecalho: [...], linhas: [[...]] }
+export function formatarTabela({ cabecalho, linhas }) {
+    const larguras = cabecalho.map((c, i) => Math.max(String(c).length, ...linhas.map(l => String(l[i] ?? '').length)));
+    const linha = (valores) => valores.map((v, i) => String(v ?? '').padEnd(larguras[i])).join('  ').trimEnd();
+    return [linha(cabecalho), larguras.map(l => '-'.repeat(l)).join('  '), ...linhas.map(linha)].join('\n');
+}
+
+const valorDe = (celula) => celula?.value ?? '-';
+
+// Uma coluna por ativo, uma linha por indicador (as mesmas linhas da página de comparação)
+export function tabelaDeAtivos(tipo, ativos) {
+    return {
+        cabecalho: ['Indicador', ...ativos.map(a => a.ticker)],
+        linhas: LINHAS_COMPARACAO[tipo].map(l => [l.label, ...ativos.map(a => valorDe(a[l.key]))])
+    };
+}
+
+export function tabelaDeComparacao(comparacao) {
+    return {
+        cabecalho: ['Indicador', ...comparacao.tickers, 'Melhor', 'Pior'],
+        linhas: comparacao.linhas.map(l => [
+            l.label,
+            ...comparacao.tickers.map(t => valorDe(l.valores[t])),
+            l.melhor || '',
+            l.pior || ''
+        ])
+    };
+}
+
+// Escreve o resultado no stdout (tabela, --json ou --csv) ou no arquivo de --saida (mesmo gerador de /exportar)
+async function escrever(opcoes, stdout, stderr, { json, tabela, documento }) {
+    if (opcoes.saida) {
+        const { conteudo } = await gerarExportacao(formatoDoArquivo(opcoes.saida), documento());
+        await writeFile(opcoes.saida, conteudo);
+        stderr.write(`📄 Relatório salvo em ${opcoes.saida}\n`);
+        return;
+    }
+    if (opcoes.json) stdout.write(JSON.stringify(localizarResposta(json), null, 2) + '\n');
+    else stdout.write((opcoes.csv ? formatarCsv(tabela) : formatarTabela(tabela)) + '\n');
+}
+
+// --- COMANDOS ---
+// Coleta todos os tickers e separa encontrados, não encontrados, falhas de layout e erros
+async function coletarVarios(tipo, tickers, opcoes, stderr) {
+    const resultados = await Promise.all(tickers.map(ticker =>
+        coletarAtivo(tipo, ticker, { modo: opcoes.modo })
+            .then(cached => ({ ticker, cached }))
+            .catch(e => ({ ticker, cached: null, erro: e.message }))
+    ));
+
+    const falhasLayout = [];
+    for (const r of resultados) {
+        if (r.erro) {
+            stderr.write(`❌ ${r.ticker}: ${r.erro}\n`);
+        } else if (!r.cached) {
+            stderr.write(`⚠️ ${r.ticker}: ativo não encontrado.\n`);
+        } else {
+            const motivo = verificarLayout(tipo, r.cached.data);
+            if (motivo) {
+                falhasLayout.push({ ticker: r.ticker, motivo });
+                stderr.write(`⚠️ ${r.ticker}: possível mudança de layout (${motivo}).\n`);
+            }
+        }
+    }
+
+    const codigo = resultados.some(r => r.erro) ? SAIDA.ERRO
+        : falhasLayout.length > 0 ? SAIDA.LAYOUT
+        : resultados.some(r => !r.cached) ? SAIDA.NAO_ENCONTRADO
+        : SAIDA.OK;
+    return { resultados: resultados.filter(r => !r.erro), falhasLayout, codigo };
+}
+
+async function comandoAtivos(tipo, tickers, opcoes, stdout, stderr) {
+    const { resultados, falhasLayout, codigo } = await coletarVarios(tipo, tickers, opcoes, stderr);
+    const encontrados = resultados.filter(r => r.cached);
+    const ativos = encontrados.map(r => r.cached.data);
+    if (ativos.length > 0 || opcoes.json) {
+        await escrever(opcoes, stdout, stderr, {
+            json: { tipo, ativos, naoEncontrados: resultados.filter(r => !r.cached).map(r => r.ticker), falhasLayout },
+            tabela: tabelaDeAtivos(tipo, ativos),
+            documento: () => documentoDeAtivos(tipo, encontrados.map(r => ({ dados: r.cached.data, fetchedAt: r.cached.fetchedAt })))
+        });
+    }
+    return codigo;
+}
+
+async function comandoComparar(tickers, opcoes, stdout, stderr) {
+    const tipo = opcoes.tipo || 'acao';
+    const { resultados, falhasLayout, codigo } = await coletarVarios(tipo, tickers, opcoes, stderr);
+    const comparacao = montarComparacao(tipo, resultados);
+    if (comparacao.tickers.length > 0 || opcoes.json) {
+        const tabela = tabelaDeComparacao(comparacao);
+        await escrever(opcoes, stdout, stderr, {
+            json: { ...comparacao, falhasLayout },
+            tabela,
+            documento: () => documentoDeTabela(`comparacao-${comparacao.tickers.join('-').toLowerCase()}`, `Comparação: ${comparacao.tickers.join(', ')}`, tabela)
+        });
+    }
+    return codigo;
+}
+
+async function comandoCarteira([acao, id], opcoes, stdout, stderr) {
+    if (acao === 'listar') {
+        const filtro = opcoes.email ? 'WHERE u.email = ?' : '';
+        const [rows] = await pool.execute(
+            `SELECT w.id, w.nome, u.email, COUNT(i.id) AS total_itens
+             FROM watchlists w JOIN users u ON u.id = w.user_id LEFT JOIN watchlist_items i ON i.watchlist_id = w.id
+             ${filtro} GROUP BY w.id ORDER BY u.email, w.id`,
+            opcoes.email ? [opcoes.email] : []
+        );
+        const listas = rows.map(r => ({ id: r.id, nome: r.nome, email: r.email, totalItens: Number(r.total_itens) }));
+        const tabela = { cabecalho: ['ID', 'Nome', 'Usuário', 'Itens'], linhas: listas.map(l => [l.id, l.nome, l.email, l.totalItens]) };
+        await escrever(opcoes, stdout, stderr, { json: listas, tabela, documento: () => documentoDeTabela('carteiras', 'Carteiras', tabela) });
+        return SAIDA.OK;
+    }
+
+    const [rows] = await pool.execute('SELECT id, nome, user_id FROM watchlists WHERE id = ?', [id]);
+    if (rows.length === 0) {
+        stderr.write(`⚠️ Carteira ${id} não encontrada.\n`);
+        return SAIDA.NAO_ENCONTRADO;
+    }
+    const carteira = await montarPosicoes(rows[0], rows[0].user_id);
+    await escrever(opcoes, stdout, stderr, { json: carteira, tabela: tabelaDeCarteira(carteira), documento: () => documentoDeCarteira(carteira) });
+    return carteira.posicoes.some(p => !p.dados) ? SAIDA.NAO_ENCONTRADO : SAIDA.OK;
+}
+
+async function comandoBanco([acao], opcoes, stdout, stderr) {
+    if (acao === 'migrar' || acao === 'semear') {
+        const aplicadas = await aplicarMigracoes({ log: (m) => stderr.write(`${m}\n`) });
+        stderr.write(aplicadas.length > 0 ? `✅ ${aplicadas.length} migração(ões) aplicada(s).\n` : '✅ Schema já estava em dia.\n');
+    }
+    if (acao === 'semear') {
+        const { criado, email, senha } = await semearDesenvolvimento();
+        stderr.write(criado ? `🌱 Usuário de demonstração criado: ${email} / ${senha}\n` : `🌱 Usuário ${email} já existia; nada foi alterado.\n`);
+        return SAIDA.OK;
+    }
+
+    const status = await statusMigracoes();
+    const tabela = {
+        cabecalho: ['Versão', 'Migração', 'Situação'],
+        linhas: [
+            ...status.pendentes.map(m => [m.versao, m.nome, 'pendente']),
+            ...status.desconhecidas.map(v => [v, '?', 'aplicada por código mais novo'])
+        ]
+    };
+    if (opcoes.json) stdout.write(JSON.stringify(status, null, 2) + '\n');
+    else {
+        stdout.write(`Schema na versão ${status.versaoAtual} de ${status.versaoEsperada}.\n`);
+        if (tabela.linhas.length > 0) stdout.write(formatarTabela(tabela) + '\n');
+    }
+    return acao === 'status' && status.pendentes.length > 0 ? SAIDA.ERRO : SAIDA.OK;
+}
+
+// Executa o CLI e devolve o código de saída. Sem --verbose só avisos e erros da coleta aparecem (no stderr),
+// para que stdout tenha apenas o resultado (dá para redirecionar o --json/--csv direto para arquivo).
+export async function executarCli(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    const { error, comando, args, opcoes } = parseArgumentos(argv);
+    if (error) {
+        stderr.write(`${error}\n\n${AJUDA}\n`);
+        return SAIDA.USO;
+    }
+    if (comando === 'ajuda') {
+        stdout.write(`${AJUDA}\n`);
+        return SAIDA.OK;
+    }
+
+    // Os logs da coleta vão em texto para a saída de erro; sem --verbose, só avisos e erros
+    const formatoOriginal = definirFormatoLog(process.env.LOG_FORMATO || 'texto');
+    const saidaOriginal = definirSaidaLog((nivel, linha) => {
+        if (opcoes.verbose || nivel === 'warn' || nivel === 'error') stderr.write(`${linha}\n`);
+    });
+    try {
+        if (comando === 'banco') return await comandoBanco(args, opcoes, stdout, stderr);
+        if (comando === 'carteira') return await comandoCarteira(args, opcoes, stdout, stderr);
+        if (comando === 'comparar') return await comandoComparar(args, opcoes, stdout, stderr);
+        return await comandoAtivos(comando, args, opcoes, stdout, stderr);
+    } catch (e) {
+        stderr.write(`❌ Erro: ${descreverErroDeBanco(e)}\n`);
+        return SAIDA.ERRO;
+    } finally {
+        definirSaidaLog(saidaOriginal);
+        definirFormatoLog(formatoOriginal);
+        await closeBrowser();
+        if (USAM_BANCO.includes(comando)) await pool.end();
+    }
+}
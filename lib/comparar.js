@@ -0,0 +1,123 @@
+import { buscarAtivo } from './ativos.js';
+import { criarFila } from './fila.js';
+import { strToNumber } from './indicadores.js';
+import { log } from './log.js';
+import { comValoresNumericos } from './i18n.js';
+
+// --- COMPARAÇÃO DE VÁRIOS ATIVOS ---
+export const MAX_TICKERS_COMPARACAO = 10;
+
+// Todas as comparações (e exportações) dividem a mesma fila para não abrir dezenas de abas no navegador
+const filaComparacao = criarFila(Number(process.env.COMPARAR_CONCORRENCIA) || 2);
+
+// melhor: 'maior' | 'menor' | null (linha apenas informativa, sem destaque)
+export const LINHAS_COMPARACAO = {
+    acao: [
+        { key: 'cotacao', label: 'Cotação Atual', melhor: null },
+        { key: 'pl', label: 'P/L', melhor: 'menor', somentePositivo: true },
+        { key: 'pvp', label: 'P/VP', melhor: 'menor', somentePositivo: true },
+        { key: 'dy', label: 'DY (12M)', melhor: 'maior' },
+        { key: 'dy5Anos', label: 'DY Médio (5 Anos)', melhor: 'maior' },
+        { key: 'payout', label: 'Payout', melhor: null },
+        { key: 'roe', label: 'ROE', melhor: 'maior' },
+        { key: 'roic', label: 'ROIC', melhor: 'maior' },
+        { key: 'roa', label: 'ROA', melhor: 'maior' },
+        { key: 'margemBruta', label: 'Margem Bruta', melhor: 'maior' },
+        { key: 'margemEbitda', label: 'Margem EBITDA', melhor: 'maior' },
+        { key: 'margemLiquida', label: 'Margem Líquida', melhor: 'maior' },
+        { key: 'dividaLiquidaPatrimonio', label: 'Dív. Líq./Patrimônio', melhor: 'menor' },
+        { key: 'dividaLiquidaEbitda', label: 'Dív. Líq./EBITDA', melhor: 'menor' },
+        { key: 'liquidezCorrente', label: 'Liquidez Corrente', melhor: 'maior' },
+        { key: 'cagrLucros', label: 'CAGR Lucros 5A', melhor: 'maior' },
+        { key: 'lpa', label: 'LPA', melhor: null },
+        { key: 'vpa', label: 'VPA', melhor: null },
+        { key: 'giroAtivos', label: 'Giro Ativos', melhor: 'maior' },
+        { key: 'precoTeto', label: 'Preço Teto (Bazin)', melhor: null },
+        { key: 'valorJusto', label: 'Valor Justo (Graham)', melhor: null },
+        { key: 'valorRevisado', label: 'Valor Justo (Graham Rev.)', melhor: null }
+    ],
+    fii: [
+        { key: 'cotacao', label: 'Cotação', melhor: null },
+        { key: 'pvp', label: 'P/VP', melhor: 'menor', somentePositivo: true },
+        { key: 'dy', label: 'DY (12 Meses)', melhor: 'maior' },
+        { key: 'y1m', label: 'Yield 1 Mês', melhor: 'maior' },
+        { key: 'ultimoRendimento', label: 'Último Rendimento', melhor: null },
+        { key: 'liquidezDiaria', label: 'Liquidez Diária', melhor: null },
+        { key: 'vacancia', label: 'Vacância', melhor: 'menor' },
+        { key: 'taxaAdm', label: 'Taxa de Adm.', melhor: 'menor' },
+        { key: 'numCotistas', label: 'Nº de Cotistas', melhor: null },
+        { key: 'ebn', label: 'Cotas p/ R$1/mês (EBN)', melhor: null },
+        { key: 'vn', label: 'Valor p/ R$1/mês (VN)', melhor: 'menor' },
+        { key: 'dy12m', label: 'DY 12M (distribuições)', melhor: 'maior' },
+        { key: 'volatilidadeRendimentos', label: 'Volatilidade dos Rendimentos', melhor: 'menor' },
+        { key: 'vnMedio', label: 'Número Mágico (média 12M)', melhor: 'menor' },
+        { key: 'notaQualidade', label: 'Nota de Qualidade', melhor: 'maior' },
+        { key: 'segmento', label: 'Segmento', melhor: null },
+        { key: 'tipoGestao', label: 'Tipo de Gestão', melhor: null }
+    ]
+};
+
+// Normaliza "ITUB4, bbdc4 BBAS3" ou ['ITUB4', 'BBDC4'] em lista sem repetição
+export function parseTickers(entrada) {
+    const lista = Array.isArray(entrada) ? entrada : String(entrada || '').split(/[\s,;]+/);
+    return [...new Set(lista.map(t => String(t).trim().toUpperCase()).filter(Boolean))];
+}
+
+// Descobre o ticker com melhor e pior valor da linha (só quando há pelo menos 2 números)
+function destacarExtremos(linha, valores) {
+    if (!linha.melhor) return { melhor: null, pior: null };
+    const numeros = Object.entries(valores)
+        .map(([ticker, v]) => [ticker, strToNumber(v.value)])
+        .filter(([, n]) => n !== null && (!linha.somentePositivo || n > 0));
+    if (numeros.length < 2) return { melhor: null, pior: null };
+
+    numeros.sort((a, b) => linha.melhor === 'maior' ? b[1] - a[1] : a[1] - b[1]);
+    const [melhor, pior] = [numeros[0], numeros[numeros.length - 1]];
+    if (melhor[1] === pior[1]) return { melhor: null, pior: null };
+    return { melhor: melhor[0], pior: pior[0] };
+}
+
+// Busca vários ativos pela fila compartilhada: [{ ticker, cached }] na ordem pedida (cached null = não encontrado ou erro)
+export async function buscarVarios(tipo, tickers, { signal = null, modo } = {}) {
+    const erros = [];
+    const resultados = await Promise.all(tickers.map(ticker =>
+        filaComparacao(() => buscarAtivo(tipo, ticker, { signal, modo }), { signal })
+            .then(cached => ({ ticker, cached }))
+            .catch(e => {
+                log.error('Erro ao buscar ativo', { tipo, ticker, erro: e.message });
+                erros.push(e);
+                return { ticker, cached: null };
+            })
+    ));
+    if (signal?.aborted) throw signal.reason;
+    // Nenhum veio porque as fontes estão em pausa: é indisponibilidade, não "nenhum encontrado"
+    if (erros.length === tickers.length && erros.length > 0 && erros.every(e => e.code === 'PROVIDERS_EM_PAUSA')) throw erros[0];
+    return resultados;
+}
+
+export async function compararAtivos(tipo, tickers, opcoes = {}) {
+    return montarComparacao(tipo, await buscarVarios(tipo, tickers, opcoes));
+}
+
+// resultados: [{ ticker, cached: { data, fetchedAt } | null }] na ordem pedida
+export function montarComparacao(tipo, resultados) {
+    const encontrados = resultados.filter(r => r.cached);
+    const naoEncontrados = resultados.filter(r => !r.cached).map(r => r.ticker);
+
+    const linhas = LINHAS_COMPARACAO[tipo].map(linha => {
+        const valores = {};
+        for (const { ticker, cached } of encontrados) {
+            valores[ticker] = cached.data[linha.key] || { value: '-', class: 'neutral' };
+        }
+        return { key: linha.key, label: linha.label, valores: comValoresNumericos(valores), ...destacarExtremos(linha, valores) };
+    });
+
+    return {
+        tipo,
+        tickers: encontrados.map(r => r.ticker),
+        naoEncontrados,
+        fetchedAt: Object.fromEntries(encontrados.map(r => [r.ticker, r.cached.fetchedAt])),
+        grahamWarnings: Object.fromEntries(encontrados.filter(r => r.cached.data.grahamWarning).map(r => [r.ticker, r.cached.data.grahamWarning])),
+        linhas
+    };
+}
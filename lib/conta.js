@@ -0,0 +1,284 @@
+import crypto from 'crypto';
+import express from 'express';
+import bcrypt from 'bcrypt';
+import { pool } from './db.js';
+import { requireAuth, hashToken, revokeUserSessions } from './auth.js';
+import { enviarEmail, emailConfigurado } from './mailer.js';
+import { log } from './log.js';
+import { texto } from './i18n.js';
+
+// --- CONTA DO USUÁRIO (verificação de e-mail, senha, troca de e-mail e exclusão) ---
+// Os links enviados por e-mail levam um token de uso único, guardado só como hash em account_tokens.
+export const contaRouter = express.Router();
+
+// Validade de cada tipo de token, em horas
+const VALIDADE_HORAS = {
+    verificacao: 48,
+    redefinicao: 1,
+    troca_email: 24
+};
+
+// Tabelas com dados do usuário apagadas junto com a conta (itens de carteira e disparos de alerta caem por FK)
+const TABELAS_DO_USUARIO = ['watchlists', 'transactions', 'alerts', 'notifications', 'classification_profiles', 'valuation_params', 'lesson_progress', 'account_tokens', 'sessions'];
+
+const MENSAGEM_GENERICA = texto('MSG_INSTRUCOES_ENVIADAS');
+
+// --- VALIDAÇÃO ---
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Retorna { error } ou { email } normalizado (sem espaços e em minúsculas)
+export function validarEmail(entrada) {
+    if (!entrada || typeof entrada !== 'string') return { error: texto('EMAIL_OBRIGATORIO') };
+    const email = entrada.trim().toLowerCase();
+    if (email.length > 254 || !EMAIL_REGEX.test(email)) return { error: texto('EMAIL_INVALIDO') };
+    return { email };
+}
+
+// Política de senha: 8 a 72 caracteres (limite do bcrypt), com letra e número, diferente do e-mail
+export function validarSenha(senha, email = '') {
+    if (!senha || typeof senha !== 'string') return texto('SENHA_OBRIGATORIA');
+    if (senha.length < 8) return texto('SENHA_CURTA');
+    if (Buffer.byteLength(senha, 'utf8') > 72) return texto('SENHA_LONGA');
+    if (!/[a-zA-Z]/.test(senha) || !/\d/.test(senha)) return texto('SENHA_FRACA');
+    if (email && senha.toLowerCase() === email.toLowerCase()) return texto('SENHA_IGUAL_EMAIL');
+    return null;
+}
+
+// Sem EXIGIR_EMAIL_VERIFICADO, só exige a verificação quando há como enviar o e-mail
+export function verificacaoObrigatoria() {
+    if (process.env.EXIGIR_EMAIL_VERIFICADO) return process.env.EXIGIR_EMAIL_VERIFICADO === 'true';
+    return emailConfigurado();
+}
+
+// --- TOKENS DE USO ÚNICO ---
+// Emitir um token novo invalida os anteriores do mesmo tipo ainda não usados
+async function emitirToken(userId, tipo, novoEmail = null) {
+    await pool.execute('UPDATE account_tokens SET used_at = NOW() WHERE user_id = ? AND tipo = ? AND used_at IS NULL', [userId, tipo]);
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.execute(
+        'INSERT INTO account_tokens (user_id, tipo, token_hash, novo_email, expires_at) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))',
+        [userId, tipo, hashToken(token), novoEmail, VALIDADE_HORAS[tipo]]
+    );
+    return token;
+}
+
+// Token válido (não usado e dentro do prazo) de um dos tipos pedidos, ou null
+async function buscarToken(token, tipos) {
+    if (!token || typeof token !== 'string') return null;
+    const [rows] = await pool.execute(
+        'SELECT * FROM account_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+        [hashToken(token)]
+    );
+    return rows.length > 0 && tipos.includes(rows[0].tipo) ? rows[0] : null;
+}
+
+// Marca como usado; false se outra requisição usou o mesmo token antes
+async function consumirToken(registro) {
+    const [result] = await pool.execute('UPDATE account_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [registro.id]);
+    return result.affectedRows === 1;
+}
+
+// --- E-MAILS ---
+export function linkApp(caminho) {
+    const base = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+    return `${base}/${caminho}`;
+}
+
+export function mensagemConta(tipo, token) {
+    const horas = VALIDADE_HORAS[tipo];
+    const validade = `O link vale por ${horas} ${horas === 1 ? 'hora' : 'horas'} e só pode ser usado uma vez.`;
+    if (tipo === 'redefinicao') {
+        const link = linkApp(`login.html?redefinir=${token}`);
+        return {
+            assunto: 'Redefinição de senha - Invista+',
+            texto: `Recebemos um pedido para redefinir a sua senha. Para escolher uma senha nova, acesse:\n${link}\n\n${validade} Se não foi você, ignore este e-mail.`
+        };
+    }
+    const link = linkApp(`login.html?verificar=${token}`);
+    if (tipo === 'troca_email') {
+        return {
+            assunto: 'Confirme o seu novo e-mail - Invista+',
+            texto: `Para usar este endereço na sua conta do Invista+, acesse:\n${link}\n\n${validade}`
+        };
+    }
+    return {
+        assunto: 'Confirme o seu e-mail - Invista+',
+        texto: `Bem-vindo ao Invista+! Para confirmar o seu e-mail, acesse:\n${link}\n\n${validade}`
+    };
+}
+
+async function enviarToken(para, userId, tipo, novoEmail = null) {
+    const token = await emitirToken(userId, tipo, novoEmail);
+    const { assunto, texto } = mensagemConta(tipo, token);
+    await enviarEmail({ para, assunto, texto });
+}
+
+// Chamado pelo /register. Falha no envio não desfaz o cadastro (dá para pedir o reenvio).
+export async function enviarVerificacao(user) {
+    if (!emailConfigurado()) return false;
+    try {
+        await enviarToken(user.email, user.id, 'verificacao');
+        return true;
+    } catch (e) {
+        log.error('Erro ao enviar e-mail de verificação', { userId: user.id, erro: e.message });
+        return false;
+    }
+}
+
+async function buscarUsuario(campo, valor) {
+    const [rows] = await pool.execute(`SELECT id, email, password_hash, email_verificado_em FROM users WHERE ${campo} = ?`, [valor]);
+    return rows[0] || null;
+}
+
+// --- ROTAS PÚBLICAS (links dos e-mails) ---
+contaRouter.post('/verificar-email', async (req, res) => {
+    try {
+        const registro = await buscarToken(req.body.token, ['verificacao', 'troca_email']);
+        if (!registro) return res.status(400).json({ error: texto('LINK_INVALIDO') });
+
+        if (registro.tipo === 'troca_email') {
+            if (await buscarUsuario('email', registro.novo_email)) return res.status(409).json({ error: texto('EMAIL_EM_USO') });
+            if (!(await consumirToken(registro))) return res.status(400).json({ error: texto('LINK_INVALIDO') });
+            await pool.execute('UPDATE users SET email = ?, email_verificado_em = NOW() WHERE id = ?', [registro.novo_email, registro.user_id]);
+            // O e-mail vai dentro do access token: todos entram de novo
+            await revokeUserSessions(registro.user_id);
+            return res.json({ message: texto('MSG_EMAIL_ALTERADO') });
+        }
+
+        if (!(await consumirToken(registro))) return res.status(400).json({ error: texto('LINK_INVALIDO') });
+        await pool.execute('UPDATE users SET email_verificado_em = COALESCE(email_verificado_em, NOW()) WHERE id = ?', [registro.user_id]);
+        res.json({ message: texto('MSG_EMAIL_CONFIRMADO') });
+    } catch (error) {
+        log.error('Erro ao verificar e-mail', { erro: error });
+        res.status(500).json({ error: texto('ERRO_INTERNO') });
+    }
+});
+
+// As duas rotas abaixo respondem igual exista ou não a conta, para não revelar quem está cadastrado
+contaRouter.post('/reenviar-verificacao', async (req, res) => {
+    const { error, email } = validarEmail(req.body.email);
+    if (error) return res.status(400).json({ error });
+    try {
+        const user = await buscarUsuario('email', email);
+        if (user && !user.email_verificado_em) await enviarToken(user.email, user.id, 'verificacao');
+        res.json({ message: MENSAGEM_GENERICA });
+    } catch (error) {
+        log.error('Erro ao reenviar verificação', { erro: error });
+        res.status(500).json({ error: texto('ERRO_ENVIO_EMAIL') });
+    }
+});
+
+contaRouter.post('/esqueci-senha', async (req, res) => {
+    const { error, email } = validarEmail(req.body.email);
+    if (error) return res.status(400).json({ error });
+    try {
+        const user = await buscarUsuario('email', email);
+        if (user) await enviarToken(user.email, user.id, 'redefinicao');
+        res.json({ message: MENSAGEM_GENERICA });
+    } catch (error) {
+        log.error('Erro ao pedir redefinição de senha', { erro: error });
+        res.status(500).json({ error: texto('ERRO_ENVIO_EMAIL') });
+    }
+});
+
+contaRouter.post('/redefinir-senha', async (req, res) => {
+    try {
+        const registro = await buscarToken(req.body.token, ['redefinicao']);
+        if (!registro) return res.status(400).json({ error: texto('LINK_INVALIDO') });
+        const user = await buscarUsuario('id', registro.user_id);
+        if (!user) return res.status(400).json({ error: texto('LINK_INVALIDO') });
+
+        // Valida antes de consumir: senha fraca não queima o link
+        const erroSenha = validarSenha(req.body.senha, user.email);
+        if (erroSenha) return res.status(400).json({ error: erroSenha });
+        if (!(await consumirToken(registro))) return res.status(400).json({ error: texto('LINK_INVALIDO') });
+
+        const hash = await bcrypt.hash(req.body.senha, 10);
+        // Quem recebeu o link provou que lê o e-mail: conta também fica verificada
+        await pool.execute('UPDATE users SET password_hash = ?, email_verificado_em = COALESCE(email_verificado_em, NOW()) WHERE id = ?', [hash, user.id]);
+        await revokeUserSessions(user.id);
+        res.json({ message: texto('MSG_SENHA_REDEFINIDA') });
+    } catch (error) {
+        log.error('Erro ao redefinir senha', { erro: error });
+        res.status(500).json({ error: texto('ERRO_INTERNO') });
+    }
+});
+
+// --- ROTAS DO USUÁRIO LOGADO ---
+async function conferirSenha(req, res, senha) {
+    const user = await buscarUsuario('id', req.user.id);
+    if (!user) {
+        res.status(404).json({ error: texto('CONTA_NAO_ENCONTRADA') });
+        return null;
+    }
+    if (!senha || typeof senha !== 'string' || !(await bcrypt.compare(senha, user.password_hash))) {
+        res.status(401).json({ error: texto('SENHA_ATUAL_INCORRETA') });
+        return null;
+    }
+    return user;
+}
+
+contaRouter.get('/', requireAuth, async (req, res) => {
+    try {
+        const user = await buscarUsuario('id', req.user.id);
+        if (!user) return res.status(404).json({ error: texto('CONTA_NAO_ENCONTRADA') });
+        res.json({ id: user.id, email: user.email, emailVerificado: Boolean(user.email_verificado_em) });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+contaRouter.put('/senha', requireAuth, async (req, res) => {
+    const { senhaAtual, novaSenha } = req.body;
+    try {
+        const user = await conferirSenha(req, res, senhaAtual);
+        if (!user) return;
+        const erroSenha = validarSenha(novaSenha, user.email);
+        if (erroSenha) return res.status(400).json({ error: erroSenha });
+
+        await pool.execute('UPDATE users SET password_hash = ? WHERE id = ?', [await bcrypt.hash(novaSenha, 10), user.id]);
+        // Derruba as outras sessões (outro navegador com a senha antiga), mantendo esta
+        await revokeUserSessions(user.id, req.sessionId);
+        res.json({ message: texto('MSG_SENHA_ALTERADA') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+contaRouter.put('/email', requireAuth, async (req, res) => {
+    const { error, email } = validarEmail(req.body.novoEmail);
+    if (error) return res.status(400).json({ error });
+    if (!emailConfigurado()) return res.status(503).json({ error: texto('EMAIL_NAO_CONFIGURADO') });
+    try {
+        const user = await conferirSenha(req, res, req.body.senha);
+        if (!user) return;
+        if (email === user.email) return res.status(400).json({ error: texto('EMAIL_JA_E_SEU') });
+        if (await buscarUsuario('email', email)) return res.status(409).json({ error: texto('EMAIL_EM_USO') });
+
+        // A troca só vale depois de confirmada pelo link enviado ao endereço novo
+        await enviarToken(email, user.id, 'troca_email', email);
+        res.status(202).json({ message: texto('MSG_LINK_CONFIRMACAO_ENVIADO', { email }) });
+    } catch (error) {
+        log.error('Erro ao trocar e-mail', { erro: error });
+        res.status(500).json({ error: texto('ERRO_INTERNO') });
+    }
+});
+
+contaRouter.delete('/', requireAuth, async (req, res) => {
+    let conexao;
+    try {
+        const user = await conferirSenha(req, res, req.body.senha);
+        if (!user) return;
+
+        conexao = await pool.getConnection();
+        await conexao.beginTransaction();
+        for (const tabela of TABELAS_DO_USUARIO) {
+            await conexao.execute(`DELETE FROM ${tabela} WHERE user_id = ?`, [user.id]);
+        }
+        await conexao.execute('DELETE FROM users WHERE id = ?', [user.id]);
+        await conexao.commit();
+        res.json({ message: texto('MSG_CONTA_EXCLUIDA') });
+    } catch (error) {
+        if (conexao) await conexao.rollback().catch(() => {});
+        log.error('Erro ao excluir conta', { erro: error });
+        res.status(500).json({ error: texto('ERRO_EXCLUIR_CONTA') });
+    } finally {
+        if (conexao) conexao.release();
+    }
+});
@@ -0,0 +1,27 @@
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+
+dotenv.config({ quiet: true }); // sem aviso no stdout (o CLI escreve JSON/CSV nele)
+
+// --- CONFIGURAÇÃO DO BANCO DE DADOS ---
+export const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || 'admin',
+    database: process.env.DB_NAME || 'investidor_app',
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// Usado nas migrações para acrescentar colunas em tabelas que já existem (MySQL não tem ADD COLUMN IF NOT EXISTS)
+export async function colunaExiste(tabela, coluna, db = pool) {
+    const [rows] = await db.execute(
+        'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [tabela, coluna]
+    );
+    return rows.length > 0;
+}
@@ -0,0 +1,189 @@
+import express from 'express';
+import { readFileSync } from 'node:fs';
+import { pool } from './db.js';
+import { requireAuth } from './auth.js';
+import { REGRAS_PADRAO, descreverRegra } from './classificacao.js';
+import { log } from './log.js';
+import { texto } from './i18n.js';
+
+// --- GLOSSÁRIO, LIÇÕES E QUIZZES ---
+// glossario.json explica cada chave que /buscar e /buscar-fii devolvem (fórmula e o porquê das faixas).
+// As faixas em si não ficam escritas lá: saem de regras-classificacao.json, então acompanham o motor.
+// licoes.json agrupa termos do glossário em lições com quiz; o resultado de cada usuário fica em lesson_progress.
+export const NOTA_APROVACAO = 70;
+
+const lerJson = (arquivo) => JSON.parse(readFileSync(new URL(arquivo, import.meta.url), 'utf-8'));
+const TERMOS = lerJson('./glossario.json');
+export const LICOES = lerJson('./licoes.json');
+
+const normalizar = (s) => String(s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+const temChave = (objeto, chave) => Object.prototype.hasOwnProperty.call(objeto || {}, chave);
+
+// Faixas padrão de um indicador: a regra geral e as exceções por setor/segmento. null = nunca é classificado;
+// geral null = só é classificado nas exceções.
+export function faixasDoIndicador(tipo, chave) {
+    const base = REGRAS_PADRAO[tipo];
+    const excecoes = [];
+    for (const [escopo, mapa] of [['setor', base.setores], ['segmento', base.segmentos]]) {
+        for (const [nome, conjunto] of Object.entries(mapa || {})) {
+            if (temChave(conjunto.indicadores, chave)) excecoes.push({ escopo, nome, descricao: descreverRegra(conjunto.indicadores[chave]) });
+        }
+    }
+    if (!temChave(base.indicadores, chave) && excecoes.length === 0) return null;
+    const geral = temChave(base.indicadores, chave) && base.indicadores[chave] ? descreverRegra(base.indicadores[chave]) : null;
+    return { geral, excecoes };
+}
+
+// Cards que mostram o resultado de um modelo (precoTeto = Bazin...) reaproveitam o texto dele com outro nome
+function montarTermo(tipo, chave) {
+    const { mesmoQue = null, ...proprio } = TERMOS[tipo][chave];
+    const texto = mesmoQue ? { ...TERMOS[tipo][mesmoQue], ...proprio } : proprio;
+    return {
+        chave,
+        tipo,
+        nome: texto.nome,
+        categoria: texto.categoria,
+        definicao: texto.definicao,
+        formula: texto.formula ?? null,
+        porque: texto.porque ?? null,
+        mesmoQue,
+        faixas: faixasDoIndicador(tipo, chave),
+        licoes: LICOES.filter(l => l.tipo === tipo && l.termos.includes(chave)).map(l => l.id)
+    };
+}
+
+export const GLOSSARIO = Object.entries(TERMOS).flatMap(([tipo, termos]) => Object.keys(termos).map(chave => montarTermo(tipo, chave)));
+
+export function buscarNoGlossario(termos, { q, tipo } = {}) {
+    const busca = normalizar(q);
+    return termos.filter(t => (!tipo || t.tipo === tipo)
+        && (!busca || [t.chave, t.nome, t.definicao, t.formula].some(campo => normalizar(campo).includes(busca))));
+}
+
+// Título e resumo contam primeiro; depois o texto das seções e o nome dos termos da lição
+export function buscarLicoes(licoes, q) {
+    const busca = normalizar(q);
+    if (!busca) return licoes;
+    const relevancia = (licao) => {
+        if ([licao.titulo, licao.resumo].some(campo => normalizar(campo).includes(busca))) return 0;
+        const nomes = GLOSSARIO.filter(t => t.tipo === licao.tipo && licao.termos.includes(t.chave)).map(t => t.nome);
+        const textos = [...licao.secoes.flatMap(s => [s.titulo, s.texto]), ...licao.termos, ...nomes];
+        return textos.some(campo => normalizar(campo).includes(busca)) ? 1 : null;
+    };
+    return licoes
+        .map((licao, ordem) => ({ licao, ordem, r: relevancia(licao) }))
+        .filter(({ r }) => r !== null)
+        .sort((a, b) => a.r - b.r || a.ordem - b.ordem)
+        .map(({ licao }) => licao);
+}
+
+// Corrige as respostas (índice da opção escolhida em cada pergunta). Retorna { error } ou { value }.
+export function corrigirQuiz(licao, respostas) {
+    const total = licao.quiz.length;
+    if (!Array.isArray(respostas) || respostas.length !== total) {
+        return { error: texto('QUIZ_RESPOSTAS_INCOMPLETAS', { total }) };
+    }
+    if (respostas.some((r, i) => !Number.isInteger(r) || r < 0 || r >= licao.quiz[i].opcoes.length)) {
+        return { error: texto('QUIZ_RESPOSTA_INVALIDA') };
+    }
+    const correcao = licao.quiz.map((pergunta, i) => ({
+        resposta: respostas[i],
+        correta: pergunta.correta,
+        acertou: respostas[i] === pergunta.correta,
+        explicacao: pergunta.explicacao
+    }));
+    const acertos = correcao.filter(c => c.acertou).length;
+    const nota = Math.round(acertos / total * 100);
+    return { value: { acertos, total, nota, aprovado: nota >= NOTA_APROVACAO, correcao } };
+}
+
+const resumoDaLicao = (licao) => ({
+    id: licao.id,
+    tipo: licao.tipo,
+    titulo: licao.titulo,
+    resumo: licao.resumo,
+    termos: licao.termos,
+    perguntas: licao.quiz.length
+});
+
+// O gabarito só aparece na correção
+const licaoSemGabarito = (licao) => ({
+    ...resumoDaLicao(licao),
+    secoes: licao.secoes,
+    quiz: licao.quiz.map(({ pergunta, opcoes }) => ({ pergunta, opcoes })),
+    glossario: GLOSSARIO.filter(t => t.tipo === licao.tipo && licao.termos.includes(t.chave))
+});
+
+const toProgressoResponse = (row) => ({
+    licaoId: row.licao_id,
+    tentativas: row.tentativas,
+    ultimoAcertos: row.ultimo_acertos,
+    melhorAcertos: row.melhor_acertos,
+    total: row.total,
+    concluida: row.concluida_em !== null,
+    concluidaEm: row.concluida_em,
+    atualizadoEm: row.updated_at
+});
+
+export const educacaoRouter = express.Router();
+
+// GET /educacao/glossario?q=margem&tipo=acao
+educacaoRouter.get('/glossario', (req, res) => {
+    const { tipo } = req.query;
+    if (tipo && !TERMOS[tipo]) return res.status(400).json({ error: texto('TIPO_INVALIDO', { opcoes: Object.keys(TERMOS) }) });
+    res.json(buscarNoGlossario(GLOSSARIO, { q: req.query.q, tipo }));
+});
+
+// Mesma chave em ação e FII (pvp, dy...) devolve as duas versões
+educacaoRouter.get('/glossario/:chave', (req, res) => {
+    const termos = GLOSSARIO.filter(t => t.chave === req.params.chave);
+    if (termos.length === 0) return res.status(404).json({ error: texto('TERMO_NAO_ENCONTRADO') });
+    res.json(termos);
+});
+
+educacaoRouter.get('/licoes', (req, res) => {
+    res.json(buscarLicoes(LICOES, req.query.q).map(resumoDaLicao));
+});
+
+educacaoRouter.get('/licoes/:id', (req, res) => {
+    const licao = LICOES.find(l => l.id === req.params.id);
+    if (!licao) return res.status(404).json({ error: texto('LICAO_NAO_ENCONTRADA') });
+    res.json(licaoSemGabarito(licao));
+});
+
+// Corrige o quiz e guarda tentativas, último e melhor resultado; a lição fica concluída na primeira aprovação
+educacaoRouter.post('/licoes/:id/respostas', requireAuth, async (req, res) => {
+    const licao = LICOES.find(l => l.id === req.params.id);
+    if (!licao) return res.status(404).json({ error: texto('LICAO_NAO_ENCONTRADA') });
+    const { error, value: resultado } = corrigirQuiz(licao, req.body.respostas);
+    if (error) return res.status(400).json({ error, campo: 'respostas' });
+    try {
+        await pool.execute(`
+            INSERT INTO lesson_progress (user_id, licao_id, tentativas, ultimo_acertos, melhor_acertos, total, concluida_em)
+            VALUES (?, ?, 1, ?, ?, ?, IF(?, NOW(), NULL))
+            ON DUPLICATE KEY UPDATE
+                tentativas = tentativas + 1,
+                ultimo_acertos = VALUES(ultimo_acertos),
+                melhor_acertos = GREATEST(melhor_acertos, VALUES(melhor_acertos)),
+                total = VALUES(total),
+                concluida_em = COALESCE(concluida_em, VALUES(concluida_em))
+        `, [req.user.id, licao.id, resultado.acertos, resultado.acertos, resultado.total, resultado.aprovado]);
+        const [rows] = await pool.execute('SELECT * FROM lesson_progress WHERE user_id = ? AND licao_id = ?', [req.user.id, licao.id]);
+        res.json({ ...resultado, progresso: toProgressoResponse(rows[0]) });
+    } catch (error) {
+        log.error('Erro ao salvar progresso da lição', { licao: licao.id, erro: error });
+        res.status(500).json({ error: texto('ERRO_INTERNO') });
+    }
+});
+
+// Lições que saíram de licoes.json não contam mais no total
+educacaoRouter.get('/progresso', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute('SELECT * FROM lesson_progress WHERE user_id = ? ORDER BY updated_at DESC', [req.user.id]);
+        const licoes = rows.map(toProgressoResponse).filter(p => LICOES.some(l => l.id === p.licaoId));
+        res.json({ licoes, concluidas: licoes.filter(p => p.concluida).length, total: LICOES.length });
+    } catch (error) {
+        log.error('Erro ao carregar progresso das lições', { erro: error });
+        res.status(500).json({ error: texto('ERRO_INTERNO') });
+    }
+});
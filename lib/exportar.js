@@ -0,0 +1,357 @@
+import zlib from 'node:zlib';
+import { comPagina } from './browser.js';
+import { texto, textoEm } from './i18n.js';
+
+// --- EXPORTAÇÃO (CSV, XLSX E PDF) ---
+// Tudo sai de um "documento": { nome, titulo, tabela: { cabecalho, linhas }, html }.
+// A tabela vira CSV e planilha; o html (relatório com as seções da página) vira PDF no Chrome do pool.
+export const FORMATOS_EXPORTACAO = ['csv', 'xlsx', 'pdf'];
+export const MAX_TICKERS_EXPORTACAO = 20;
+
+const TIPOS_CONTEUDO = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf'
+};
+
+export function validarFormato(formato) {
+    if (!FORMATOS_EXPORTACAO.includes(formato)) return texto('FORMATO_INVALIDO', { opcoes: FORMATOS_EXPORTACAO });
+    return null;
+}
+
+// Mesmas seções (e rótulos) dos cards de index.html e fii.html
+export const SECOES_RELATORIO = {
+    acao: [
+        { titulo: 'Múltiplos de Preço & Valor de Mercado', campos: [['cotacao', 'Cotação Atual'], ['pl', 'P/L'], ['pvp', 'P/VP']] },
+        { titulo: 'Dividendos & Proventos', campos: [['dy', 'DY (12M)'], ['dy5Anos', 'DY Médio (5 Anos)'], ['payout', 'Payout']] },
+        { titulo: 'Indicadores de Rentabilidade', campos: [['roe', 'ROE'], ['roic', 'ROIC'], ['roa', 'ROA'], ['margemBruta', 'Margem Bruta'], ['margemEbitda', 'Margem EBITDA'], ['margemLiquida', 'Margem Líquida']] },
+        { titulo: 'Indicadores de Endividamento & Liquidez', campos: [['dividaLiquidaPatrimonio', 'Dív. Líq./Patrimônio'], ['dividaLiquidaEbitda', 'Dív. Líq./EBITDA'], ['liquidezCorrente', 'Liquidez Corrente']] },
+        { titulo: 'Outros Indicadores', campos: [['lpa', 'LPA (Lucro por Ação)'], ['vpa', 'VPA (Valor Patr. Ação)'], ['cagrLucros', 'CAGR Lucros 5A'], ['giroAtivos', 'Giro Ativos'], ['setor', 'Setor'], ['segmento', 'Segmento']] },
+        { titulo: 'Humor da Corretora (XP)', campos: [['xpiRecomendacao', 'Recomendação (XP)'], ['xpiPrecoAlvo', 'Preço Alvo (XP)'], ['xpiPotencial', 'Potencial (XP)'], ['xpiRisco', 'Risco (XP)']] },
+        { titulo: 'Valuation', campos: [['precoTeto', 'Preço Teto (Bazin - 12M)'], ['bazin5Y', 'Preço Teto (Bazin - 5Y)'], ['valorJusto', 'Valor Justo (Graham)'], ['valorRevisado', 'Valor Justo (Graham Rev.)']] }
+    ],
+    fii: [
+        { titulo: 'Múltiplos de Preço & Mercado', campos: [['cotacao', 'Cotação'], ['pvp', 'P/VP'], ['dy', 'DY (12 Meses)'], ['liquidezDiaria', 'Liquidez Diária']] },
+        { titulo: 'Proventos & Cálculos', campos: [['ultimoRendimento', 'Último Rendimento'], ['y1m', 'Yield 1 Mês'], ['ebn', 'Cotas p/ R$1/mês (EBN)'], ['vn', 'Valor p/ R$1/mês (VN)']] },
+        { titulo: 'Distribuições (12 Meses)', campos: [['dy12m', 'DY 12M (distribuições)'], ['mediaRendimento12m', 'Média Mensal'], ['volatilidadeRendimentos', 'Volatilidade'], ['tendenciaRendimentos', 'Tendência'], ['ebnMedio', 'EBN pela Média'], ['vnMedio', 'Número Mágico (média)']] },
+        { titulo: 'Qualidade', campos: [['notaQualidade', 'Nota de Qualidade (0 a 10)']] },
+        { titulo: 'Patrimônio & Cotistas', campos: [['valorPatrimonial', 'Valor Patrimonial'], ['vpa', 'VPA (Valor Patr. Cota)'], ['vacancia', 'Vacância'], ['numCotistas', 'Nº de Cotistas'], ['cotasEmitidas', 'Cotas Emitidas']] },
+        { titulo: 'Informações do Fundo', campos: [['segmento', 'Segmento'], ['tipoFundo', 'Tipo de Fundo'], ['tipoGestao', 'Tipo de Gestão'], ['taxaAdm', 'Taxa de Adm.']] }
+    ]
+};
+
+const valorDe = (celula) => celula?.value ?? '-';
+
+const formatarData = (data) => data
+    ? new Date(data).toLocaleString('pt-BR', { timeZone: process.env.TZ_RELATORIO || 'America/Sao_Paulo' })
+    : '-';
+
+// --- CSV ---
+const celulaCsv = (valor) => {
+    const texto = String(valor ?? '');
+    return /[",;\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+export function formatarCsv({ cabecalho, linhas }) {
+    return [cabecalho, ...linhas].map(l => l.map(celulaCsv).join(',')).join('\n');
+}
+
+// --- XLSX ---
+// Planilha mínima (uma aba, strings inline) montada à mão: um .xlsx é um zip de XMLs.
+const escaparXml = (texto) => String(texto)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const colunaXlsx = (indice) => {
+    let nome = '';
+    for (let n = indice + 1; n > 0; n = Math.floor((n - 1) / 26)) nome = String.fromCharCode(65 + (n - 1) % 26) + nome;
+    return nome;
+};
+
+// Estilos de styles.xml: 0 padrão, 1 cabeçalho em negrito, 2 número "#,##0.00", 3 percentual "0.00%"
+// Valores como "R$ 38,50", "4,12" e "12,30%" viram número para dar para somar e ordenar na planilha.
+export function celulaXlsx(valor) {
+    if (typeof valor === 'number' && Number.isFinite(valor)) return { numero: valor, estilo: 0 };
+    const texto = String(valor ?? '').trim();
+    const m = /^(R\$\s*)?(-?\d{1,3}(?:\.\d{3})*(?:,\d+)?|-?\d+(?:,\d+)?)(%)?$/.exec(texto);
+    if (!m) return { texto, estilo: 0 };
+    const numero = Number(m[2].replace(/\./g, '').replace(',', '.'));
+    return m[3] ? { numero: Number((numero / 100).toFixed(10)), estilo: 3 } : { numero, estilo: 2 };
+}
+
+function xmlDaAba({ cabecalho, linhas }) {
+    const linhaXml = (valores, indiceLinha, cabecalhoEmNegrito) => {
+        const celulas = valores.map((valor, i) => {
+            const ref = `${colunaXlsx(i)}${indiceLinha + 1}`;
+            const celula = cabecalhoEmNegrito ? { texto: String(valor ?? ''), estilo: 1 } : celulaXlsx(valor);
+            if (celula.numero !== undefined) return `<c r="${ref}" s="${celula.estilo}"><v>${celula.numero}</v></c>`;
+            if (!celula.texto) return '';
+            return `<c r="${ref}" t="inlineStr" s="${celula.estilo}"><is><t xml:space="preserve">${escaparXml(celula.texto)}</t></is></c>`;
+        }).join('');
+        return `<row r="${indiceLinha + 1}">${celulas}</row>`;
+    };
+    const larguras = cabecalho.map((c, i) => Math.min(60, Math.max(10, ...[c, ...linhas.map(l => l[i])].map(v => String(v ?? '').length + 2))));
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<cols>${larguras.map((l, i) => `<col min="${i + 1}" max="${i + 1}" width="${l}" customWidth="1"/>`).join('')}</cols>`
+        + `<sheetData>${[linhaXml(cabecalho, 0, true), ...linhas.map((l, i) => linhaXml(l, i + 1, false))].join('')}</sheetData>`
+        + '</worksheet>';
+}
+
+const ESTILOS_XLSX = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<numFmts count="1"><numFmt numFmtId="164" formatCode="#,##0.00"/></numFmts>'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="4">'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '</cellXfs></styleSheet>';
+
+// Nome de aba: até 31 caracteres e sem []:*?/\
+const nomeDaAba = (nome) => (String(nome || 'Dados').replace(/[[\]:*?/\\]/g, ' ').trim() || 'Dados').slice(0, 31);
+
+export function gerarXlsx(tabela, nomeAba) {
+    const arquivos = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            + '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${escaparXml(nomeDaAba(nomeAba))}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            + '</Relationships>',
+        'xl/styles.xml': ESTILOS_XLSX,
+        'xl/worksheets/sheet1.xml': xmlDaAba(tabela)
+    };
+    return zipar(arquivos);
+}
+
+// CRC-32 do zip (polinômio 0xEDB88320) com tabela própria: zlib.crc32 só existe a partir do Node 20.15
+const TABELA_CRC = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+export function crc32(dados) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of dados) crc = TABELA_CRC[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Zip com deflate (formato PKZIP básico, sem zip64), suficiente para os arquivos pequenos da planilha
+function zipar(arquivos) {
+    const locais = [];
+    const central = [];
+    let deslocamento = 0;
+    for (const [nome, conteudo] of Object.entries(arquivos)) {
+        const nomeBuf = Buffer.from(nome, 'utf8');
+        const dados = Buffer.from(conteudo, 'utf8');
+        const comprimido = zlib.deflateRawSync(dados);
+        const crc = crc32(dados);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);          // versão necessária
+        local.writeUInt16LE(0x0800, 6);      // nomes em UTF-8
+        local.writeUInt16LE(8, 8);           // deflate
+        local.writeUInt32LE(0x00210000, 10); // data/hora fixas (01/01/1980): o conteúdo não depende do relógio
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(comprimido.length, 18);
+        local.writeUInt32LE(dados.length, 22);
+        local.writeUInt16LE(nomeBuf.length, 26);
+        locais.push(local, nomeBuf, comprimido);
+
+        const entrada = Buffer.alloc(46);
+        entrada.writeUInt32LE(0x02014b50, 0);
+        entrada.writeUInt16LE(20, 4);
+        entrada.writeUInt16LE(20, 6);
+        entrada.writeUInt16LE(0x0800, 8);
+        entrada.writeUInt16LE(8, 10);
+        entrada.writeUInt32LE(0x00210000, 12);
+        entrada.writeUInt32LE(crc, 16);
+        entrada.writeUInt32LE(comprimido.length, 20);
+        entrada.writeUInt32LE(dados.length, 24);
+        entrada.writeUInt16LE(nomeBuf.length, 28);
+        entrada.writeUInt32LE(deslocamento, 42);
+        central.push(entrada, nomeBuf);
+
+        deslocamento += local.length + nomeBuf.length + comprimido.length;
+    }
+    const tamanhoCentral = central.reduce((acc, b) => acc + b.length, 0);
+    const fim = Buffer.alloc(22);
+    fim.writeUInt32LE(0x06054b50, 0);
+    fim.writeUInt16LE(Object.keys(arquivos).length, 8);
+    fim.writeUInt16LE(Object.keys(arquivos).length, 10);
+    fim.writeUInt32LE(tamanhoCentral, 12);
+    fim.writeUInt32LE(deslocamento, 16);
+    return Buffer.concat([...locais, ...central, fim]);
+}
+
+// --- PDF ---
+const escaparHtml = (texto) => String(texto ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const CORES_CLASSE = { good: '#1e7e34', bad: '#c82333', neutral: '#333' };
+
+const ESTILO_RELATORIO = `
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 11px; color: #333; margin: 0; }
+    h1 { color: #0052cc; font-size: 20px; margin: 0 0 4px; }
+    h2 { color: #0052cc; font-size: 16px; border-bottom: 2px solid #0052cc; padding-bottom: 4px; margin: 24px 0 4px; }
+    h3 { font-size: 12px; margin: 14px 0 6px; }
+    .ativo { page-break-inside: auto; }
+    .ativo + .ativo { page-break-before: always; }
+    .meta { color: #666; font-size: 10px; margin: 0 0 4px; }
+    .aviso { background: #fff3cd; border: 1px solid #ffe08a; padding: 6px 8px; margin: 8px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #e5e5e5; vertical-align: top; }
+    th { background: #f4f6fa; }
+    .good { color: ${CORES_CLASSE.good}; font-weight: bold; }
+    .bad { color: ${CORES_CLASSE.bad}; font-weight: bold; }
+`;
+
+function paginaHtml(titulo, corpo, geradoEm) {
+    return `<!DOCTYPE html><html lang="pt-BR"><head><meta charset="UTF-8"><title>${escaparHtml(titulo)}</title><style>${ESTILO_RELATORIO}</style></head>`
+        + `<body><h1>${escaparHtml(titulo)}</h1><p class="meta">Gerado em ${escaparHtml(formatarData(geradoEm))} · Invista+ · Não é recomendação de investimento.</p>${corpo}</body></html>`;
+}
+
+const celulaHtml = (celula) => `<td class="${escaparHtml(celula?.class || 'neutral')}">${escaparHtml(valorDe(celula))}</td>`;
+
+function valuationHtml(valuation) {
+    if (!valuation) return '';
+    const entradas = (e) => Object.entries(e || {})
+        .filter(([, v]) => v !== null && v !== undefined)
+        .map(([k, v]) => `${k}: ${String(v).replace('.', ',')}`).join(' · ');
+    const linhas = Object.values(valuation.modelos).map(m => `<tr><th>${escaparHtml(m.nome)}</th>${celulaHtml(m.valor)}${celulaHtml(m.margemSeguranca)}`
+        + `<td>${escaparHtml(textoEm(m.motivo) || entradas(m.entradas))}</td></tr>`).join('');
+    const p = valuation.premissas;
+    return `<h3>Modelos de Valuation</h3>
+        <table><thead><tr><th>Modelo</th><th>Valor Justo</th><th>Margem de Segurança</th><th>Entradas</th></tr></thead><tbody>${linhas}</tbody></table>
+        <p class="meta">Premissas: DY exigido ${p.rendimentoExigido}% · Selic ${p.selic}% · desconto ${p.taxaDesconto}% · crescimento máx. ${p.crescimentoMaximo}% · perpetuidade ${p.crescimentoPerpetuo}%</p>`;
+}
+
+function ativoHtml(tipo, { dados, fetchedAt }) {
+    const secoes = SECOES_RELATORIO[tipo].map(secao => {
+        const linhas = secao.campos.map(([key, label]) => `<tr><th style="width: 45%">${escaparHtml(label)}</th>${celulaHtml(dados[key])}</tr>`).join('');
+        return `<h3>${escaparHtml(secao.titulo)}</h3><table><tbody>${linhas}</tbody></table>`;
+    }).join('');
+    return `<div class="ativo">
+        <h2>${escaparHtml(dados.ticker)}</h2>
+        <p class="meta">Dados de ${escaparHtml(formatarData(fetchedAt))}</p>
+        ${dados.grahamWarning ? `<div class="aviso">⚠️ ${escaparHtml(textoEm(dados.grahamWarning))}</div>` : ''}
+        ${secoes}
+        ${valuationHtml(dados.valuation)}
+    </div>`;
+}
+
+function tabelaHtml({ cabecalho, linhas }) {
+    return `<table><thead><tr>${cabecalho.map(c => `<th>${escaparHtml(c)}</th>`).join('')}</tr></thead>`
+        + `<tbody>${linhas.map(l => `<tr>${l.map(v => `<td>${escaparHtml(v)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+export async function gerarPdf(html, { signal } = {}) {
+    return comPagina(async (page) => {
+        await page.setContent(html, { waitUntil: 'load' });
+        const pdf = await page.pdf({ format: 'A4', printBackground: true, margin: { top: '15mm', bottom: '15mm', left: '12mm', right: '12mm' } });
+        return Buffer.from(pdf);
+    }, { signal });
+}
+
+// --- DOCUMENTOS ---
+// ativos: [{ dados, fetchedAt }] com o payload de /buscar ou /buscar-fii já personalizado
+export function documentoDeAtivos(tipo, ativos, geradoEm = new Date()) {
+    const tickers = ativos.map(a => a.dados.ticker);
+    const linha = (secao, label, valores) => [secao, label, ...valores];
+
+    const linhas = SECOES_RELATORIO[tipo].flatMap(secao =>
+        secao.campos.map(([key, label]) => linha(secao.titulo, label, ativos.map(a => valorDe(a.dados[key])))));
+
+    // Todos os modelos de valuation com a margem de segurança (só ações têm)
+    const modelos = ativos.find(a => a.dados.valuation)?.dados.valuation.modelos || {};
+    for (const [chave, modelo] of Object.entries(modelos)) {
+        linhas.push(linha('Modelos de Valuation', modelo.nome, ativos.map(a => valorDe(a.dados.valuation?.modelos[chave]?.valor))));
+        linhas.push(linha('Modelos de Valuation', `${modelo.nome} - Margem de Segurança`, ativos.map(a => valorDe(a.dados.valuation?.modelos[chave]?.margemSeguranca))));
+    }
+    if (ativos.some(a => a.dados.grahamWarning)) {
+        linhas.push(linha('Avisos', 'Graham', ativos.map(a => textoEm(a.dados.grahamWarning) || '')));
+    }
+    linhas.push(linha('Avisos', 'Dados de', ativos.map(a => formatarData(a.fetchedAt))));
+
+    const titulo = `Relatório de ${tipo === 'fii' ? 'FIIs' : 'Ações'}: ${tickers.join(', ')}`;
+    return {
+        nome: `${tipo}-${tickers.join('-').toLowerCase()}`,
+        titulo,
+        tabela: { cabecalho: ['Seção', 'Indicador', ...tickers], linhas },
+        html: paginaHtml(titulo, ativos.map(a => ativoHtml(tipo, a)).join(''), geradoEm)
+    };
+}
+
+// carteira: resultado de montarPosicoes (lib/watchlists.js)
+export function tabelaDeCarteira(carteira) {
+    const { totais } = carteira;
+    return {
+        cabecalho: ['Ticker', 'Tipo', 'Quantidade', 'Preço Médio', 'Cotação', 'Custo', 'Valor Atual', 'Resultado', 'Resultado %', 'Upside Valor Justo', 'Upside Preço Teto'],
+        linhas: [
+            ...carteira.posicoes.map(p => [
+                p.ticker,
+                p.tipo,
+                p.quantidade,
+                p.precoMedio.toFixed(2).replace('.', ','),
+                valorDe(p.dados?.cotacao),
+                valorDe(p.posicao.custo),
+                valorDe(p.posicao.valorAtual),
+                valorDe(p.posicao.resultado),
+                valorDe(p.posicao.resultadoPercent),
+                valorDe(p.posicao.upsideValorJusto),
+                valorDe(p.posicao.upsidePrecoTeto)
+            ]),
+            ['Total', '', '', '', '', valorDe(totais.custo), valorDe(totais.valorAtual), valorDe(totais.resultado), valorDe(totais.resultadoPercent), '', '']
+        ]
+    };
+}
+
+// Documento genérico a partir de uma tabela (listas, comparações)
+export function documentoDeTabela(nome, titulo, tabela, geradoEm = new Date(), rodape = '') {
+    return { nome, titulo, tabela, html: paginaHtml(titulo, tabelaHtml(tabela) + rodape, geradoEm) };
+}
+
+export function documentoDeCarteira(carteira, geradoEm = new Date()) {
+    const atualizacoes = carteira.posicoes.filter(p => p.fetchedAt)
+        .map(p => `${escaparHtml(p.ticker)} ${escaparHtml(formatarData(p.fetchedAt))}`).join(' · ');
+    return documentoDeTabela(`carteira-${carteira.id}`, `Carteira: ${carteira.nome}`, tabelaDeCarteira(carteira), geradoEm,
+        atualizacoes ? `<p class="meta">Dados de: ${atualizacoes}</p>` : '');
+}
+
+// Gera o arquivo no formato pedido: { conteudo, tipoConteudo, nomeArquivo }
+export async function gerarExportacao(formato, documento, { signal } = {}) {
+    let conteudo;
+    if (formato === 'csv') conteudo = '\uFEFF' + formatarCsv(documento.tabela) + '\n'; // BOM: Excel abre acentos certo
+    else if (formato === 'xlsx') conteudo = gerarXlsx(documento.tabela, documento.titulo);
+    else conteudo = await gerarPdf(documento.html, { signal });
+    return { conteudo, tipoConteudo: TIPOS_CONTEUDO[formato], nomeArquivo: `${documento.nome}.${formato}` };
+}
+
+export async function enviarExportacao(res, formato, documento, opcoes) {
+    const { conteudo, tipoConteudo, nomeArquivo } = await gerarExportacao(formato, documento, opcoes);
+    res.setHeader('Content-Type', tipoConteudo);
+    res.setHeader('Content-Disposition', `attachment; filename="${nomeArquivo}"`);
+    res.send(conteudo);
+}
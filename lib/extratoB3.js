@@ -0,0 +1,111 @@
+import { validarTicker } from './validacao.js';
+import { texto } from './i18n.js';
+
+// --- IMPORTAÇÃO DO EXTRATO DE NEGOCIAÇÃO DA B3 ---
+// Área do Investidor da B3 > Extratos > Negociação, exportado (ou salvo do Excel) como CSV.
+// Colunas usadas: Data do Negócio, Tipo de Movimentação, Mercado, Instituição, Código de Negociação,
+// Quantidade e Preço. Aceita ";" ou "," como separador e números no formato brasileiro ("R$ 1.234,56").
+// O extrato não traz taxas nem o tipo do ativo (ação ou FII): quem importa decide (ver lib/lancamentos.js).
+export const MAX_LINHAS_EXTRATO = 5000;
+
+const COLUNAS = {
+    data: 'data do negocio',
+    movimentacao: 'tipo de movimentacao',
+    mercado: 'mercado',
+    instituicao: 'instituicao',
+    codigo: 'codigo de negociacao',
+    quantidade: 'quantidade',
+    preco: 'preco'
+};
+const OBRIGATORIAS = ['data', 'movimentacao', 'codigo', 'quantidade', 'preco'];
+
+// Só o mercado à vista (lote padrão e fracionário); opções, termo e futuro ficam de fora
+const MERCADO_A_VISTA = /vista|fracion/;
+
+const semAcento = (s) => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// Uma linha de CSV com campos entre aspas ("a;b" e aspas dobradas "")
+function dividirLinha(linha, separador) {
+    const campos = [];
+    let atual = '';
+    let aspas = false;
+    for (let i = 0; i < linha.length; i++) {
+        const c = linha[i];
+        if (aspas) {
+            if (c === '"' && linha[i + 1] === '"') { atual += '"'; i++; }
+            else if (c === '"') aspas = false;
+            else atual += c;
+        } else if (c === '"') aspas = true;
+        else if (c === separador) { campos.push(atual); atual = ''; }
+        else atual += c;
+    }
+    campos.push(atual);
+    return campos.map(c => c.trim());
+}
+
+// "R$ 1.234,56" -> 1234.56 | "30.5" -> 30.5 | "1.000" (quantidade) -> 1000
+export function numeroDoExtrato(texto) {
+    const limpo = String(texto ?? '').replace(/R\$/i, '').replace(/\s/g, '');
+    if (!limpo || limpo === '-') return null;
+    let normalizado = limpo;
+    if (limpo.includes(',')) normalizado = limpo.replace(/\./g, '').replace(',', '.');
+    else if (/^\d{1,3}(\.\d{3})+$/.test(limpo)) normalizado = limpo.replace(/\./g, '');
+    const numero = Number(normalizado);
+    return Number.isFinite(numero) ? numero : null;
+}
+
+// "05/03/2024" ou "2024-03-05" -> "2024-03-05"
+function dataDoExtrato(texto) {
+    let m = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(texto);
+    if (m) return `${m[3]}-${m[2]}-${m[1]}`;
+    m = /^(\d{4})-(\d{2})-(\d{2})/.exec(texto);
+    return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+// Retorna { error } (arquivo inválido) ou { operacoes: [{ linha, data, operacao, ticker, quantidade, preco, instituicao }],
+// erros: [{ linha, error }], ignoradas: [{ linha, motivo }] }. linha = número da linha no arquivo (1 = cabeçalho).
+export function lerExtratoB3(conteudo) {
+    if (typeof conteudo !== 'string' || !conteudo.trim()) return { error: texto('ARQUIVO_VAZIO') };
+    const linhas = conteudo.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const cabecalho = linhas[0];
+    const separador = (cabecalho.match(/;/g) || []).length >= (cabecalho.match(/,/g) || []).length ? ';' : ',';
+    const nomes = dividirLinha(cabecalho, separador).map(semAcento);
+
+    const indice = {};
+    for (const [campo, nome] of Object.entries(COLUNAS)) indice[campo] = nomes.indexOf(nome);
+    const faltando = OBRIGATORIAS.filter(c => indice[c] === -1);
+    if (faltando.length > 0) {
+        return { error: texto('EXTRATO_SEM_COLUNAS', { colunas: faltando.map(c => COLUNAS[c]) }) };
+    }
+    if (linhas.length - 1 > MAX_LINHAS_EXTRATO) return { error: texto('EXTRATO_LINHAS_MAXIMO', { max: MAX_LINHAS_EXTRATO }) };
+
+    const operacoes = [];
+    const erros = [];
+    const ignoradas = [];
+    linhas.slice(1).forEach((bruta, i) => {
+        const linha = i + 2;
+        if (!bruta.trim()) return;
+        const campos = dividirLinha(bruta, separador);
+        const valor = (campo) => indice[campo] === -1 ? '' : (campos[indice[campo]] ?? '');
+
+        const mercado = semAcento(valor('mercado'));
+        if (mercado && !MERCADO_A_VISTA.test(mercado)) return ignoradas.push({ linha, motivo: texto('EXTRATO_MERCADO_IGNORADO', { valor: valor('mercado') }) });
+
+        const movimentacao = semAcento(valor('movimentacao'));
+        const operacao = movimentacao.startsWith('compra') ? 'compra' : movimentacao.startsWith('venda') ? 'venda' : null;
+        if (!operacao) return ignoradas.push({ linha, motivo: texto('EXTRATO_MOVIMENTACAO_IGNORADA', { valor: valor('movimentacao') }) });
+
+        const data = dataDoExtrato(valor('data'));
+        if (!data) return erros.push({ linha, error: texto('EXTRATO_DATA_INVALIDA', { valor: valor('data') }) });
+        // PETR4F (fracionário) é o mesmo ativo que PETR4
+        const { error, ticker } = validarTicker(valor('codigo').replace(/F$/i, ''));
+        if (error) return erros.push({ linha, error });
+        const quantidade = numeroDoExtrato(valor('quantidade'));
+        const preco = numeroDoExtrato(valor('preco'));
+        if (!(quantidade > 0)) return erros.push({ linha, error: texto('EXTRATO_QUANTIDADE_INVALIDA', { valor: valor('quantidade') }) });
+        if (!(preco > 0)) return erros.push({ linha, error: texto('EXTRATO_PRECO_INVALIDO', { valor: valor('preco') }) });
+
+        operacoes.push({ linha, data, operacao, ticker, quantidade, preco, instituicao: valor('instituicao').slice(0, 100) || null });
+    });
+    return { operacoes, erros, ignoradas };
+}
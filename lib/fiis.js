@@ -0,0 +1,70 @@
+import { coletarDados } from './providers/index.js';
+import { strToNumber, formatBRL, formatPercent } from './indicadores.js';
+import { analisarRendimentos, notaQualidade } from './analiseFii.js';
+import { classificar } from './classificacao.js';
+import { normalizarProventos } from './analiseProventos.js';
+
+// --- ANÁLISE COMPLETA DO FII ---
+// Monta o payload de /buscar-fii. Retorna null quando a cotação não é encontrada.
+export async function analisarFii(ticker, { signal, modo } = {}) {
+    const { dados: rawData, fontes, completude, providers } = await coletarDados('fii', ticker, { signal, modo });
+
+    if (!rawData.cotacao || rawData.cotacao === '-') return null;
+
+    const cotacaoNum = strToNumber(rawData.cotacao);
+    const ultimoRendimentoNum = strToNumber(rawData.ultimoRendimento);
+    let ebn = '-';
+    let vn = '-';
+    if (cotacaoNum !== null && ultimoRendimentoNum !== null && cotacaoNum > 0 && ultimoRendimentoNum > 0) {
+        const ebnNum = Math.ceil(cotacaoNum / ultimoRendimentoNum);
+        ebn = String(ebnNum);
+        const vnNum = ebnNum * cotacaoNum;
+        vn = `R$ ${vnNum.toFixed(2).replace('.', ',')}`;
+    }
+    
+    // Distribuições dos últimos 12 meses (DY, volatilidade, tendência e número mágico pela média)
+    const rendimentos = analisarRendimentos(rawData.rendimentos, cotacaoNum);
+    const celula = (num, formatar) => ({ value: num === null || num === undefined ? '-' : formatar(num), class: 'neutral' });
+    const qualidade = notaQualidade({
+        vacancia: { value: rawData.vacancia },
+        liquidezDiaria: { value: rawData.liquidezDiaria },
+        taxaAdm: { value: rawData.taxaAdm }
+    });
+
+    // P/VP, vacância, DY 12M, nota de qualidade etc. são classificados pelo motor de regras (lib/classificacao.js)
+    return classificar('fii', {
+        ticker: ticker.toUpperCase(),
+        cotacao: { value: rawData.cotacao || '-', class: 'neutral' }, 
+        pvp: { value: rawData.pvp || '-', class: 'neutral' },
+        dy: { value: rawData.dy || '-', class: 'neutral' }, 
+        liquidezDiaria: { value: rawData.liquidezDiaria || '-', class: 'neutral' },
+        // valorMercado REMOVIDO
+        ultimoRendimento: { value: rawData.ultimoRendimento || '-', class: 'neutral' },
+        y1m: { value: rawData.y1m || '-', class: 'neutral' }, 
+        ebn: { value: String(ebn), class: 'neutral' },
+        vn: { value: String(vn), class: 'neutral' },
+        valorPatrimonial: { value: rawData.valorPatrimonial || '-', class: 'neutral' },
+        vpa: { value: rawData.vpa || '-', class: 'neutral' },
+        vacancia: { value: rawData.vacancia || '-', class: 'neutral' },
+        numCotistas: { value: rawData.numCotistas || '-', class: 'neutral' },
+        cotasEmitidas: { value: rawData.cotasEmitidas || '-', class: 'neutral' },
+        segmento: { value: rawData.segmento || '-', class: 'neutral' },
+        tipoFundo: { value: rawData.tipoFundo || '-', class: 'neutral' },
+        tipoGestao: { value: rawData.tipoGestao || '-', class: 'neutral' },
+        taxaAdm: { value: rawData.taxaAdm || '-', class: 'neutral' },
+        dy12m: celula(rendimentos?.dy12m, formatPercent),
+        mediaRendimento12m: celula(rendimentos?.mediaMensal, formatBRL),
+        volatilidadeRendimentos: celula(rendimentos?.volatilidade, formatPercent),
+        tendenciaRendimentos: celula(rendimentos?.tendencia?.variacao, formatPercent),
+        ebnMedio: celula(rendimentos?.ebnMedio, String),
+        vnMedio: celula(rendimentos?.vnMedio, formatBRL),
+        notaQualidade: celula(qualidade.nota, (n) => n.toFixed(1).replace('.', ',')),
+        rendimentos,
+        // Mesma lista em formato comum com as ações, para a projeção de renda e o calendário
+        proventos: normalizarProventos(rawData.rendimentos),
+        qualidade,
+        fontes,
+        completude,
+        providers
+    });
+}
@@ -0,0 +1,53 @@
+// --- FILA COM CONCORRÊNCIA LIMITADA ---
+// Executa no máximo `concorrencia` tarefas ao mesmo tempo; o resto espera na ordem de chegada.
+// Com { signal }, quem ainda está esperando sai da fila quando o sinal é abortado (prazo ou cliente
+// que desconectou) e a promise rejeita com signal.reason. Tarefas já iniciadas não são interrompidas aqui.
+export function criarFila(concorrencia) {
+    let ativos = 0;
+    const espera = [];
+
+    const proximo = () => {
+        if (ativos >= concorrencia || espera.length === 0) return;
+        const { tarefa, resolve, reject, liberar } = espera.shift();
+        liberar();
+        ativos++;
+        Promise.resolve()
+            .then(tarefa)
+            .then(resolve, reject)
+            .finally(() => {
+                ativos--;
+                proximo();
+            });
+    };
+
+    const executar = (tarefa, { signal = null } = {}) => new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+
+        const item = { tarefa, resolve, reject, liberar: () => {} };
+        if (signal) {
+            const aoAbortar = () => {
+                const i = espera.indexOf(item);
+                if (i !== -1) espera.splice(i, 1);
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', aoAbortar, { once: true });
+            item.liberar = () => signal.removeEventListener('abort', aoAbortar);
+        }
+        espera.push(item);
+        proximo();
+    });
+    executar.stats = () => ({ ativos, aguardando: espera.length, concorrencia });
+    return executar;
+}
+
+// Espera a promise, mas desiste (rejeitando com signal.reason) se o sinal for abortado antes.
+// A promise original continua rodando; quem a iniciou é que decide se ela deve ser interrompida.
+export function aguardarOuCancelar(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+        const aoAbortar = () => reject(signal.reason);
+        signal.addEventListener('abort', aoAbortar, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', aoAbortar));
+    });
+}
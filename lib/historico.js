@@ -0,0 +1,95 @@
+import { pool } from './db.js';
+import { aoColetar, buscarAtivo, TIPOS_ATIVO } from './ativos.js';
+import { strToNumber } from './indicadores.js';
+import { log } from './log.js';
+
+// --- HISTÓRICO DE INDICADORES ---
+// Um snapshot por ativo por dia: scrapings no mesmo dia sobrescrevem o anterior.
+export const INDICADORES_HISTORICO = {
+    acao: ['cotacao', 'pl', 'pvp', 'dy', 'roe', 'roic', 'margemLiquida', 'dividaLiquidaEbitda', 'valorJusto', 'valorRevisado', 'precoTeto'],
+    fii: ['cotacao', 'pvp', 'dy', 'y1m', 'ultimoRendimento', 'vacancia', 'vpa', 'dy12m', 'notaQualidade']
+};
+
+export async function salvarSnapshot(tipo, dados) {
+    await pool.execute(
+        `INSERT INTO indicator_snapshots (tipo, ticker, snapshot_date, payload) VALUES (?, ?, CURDATE(), ?)
+         ON DUPLICATE KEY UPDATE payload = VALUES(payload)`,
+        [tipo, dados.ticker.toUpperCase(), JSON.stringify(dados)]
+    );
+}
+
+// Todo scraping bem-sucedido vira snapshot do dia
+aoColetar(salvarSnapshot);
+
+// Descobre o tipo pelo snapshot mais recente quando a rota não informa
+async function detectarTipo(ticker) {
+    const [rows] = await pool.execute(
+        'SELECT tipo FROM indicator_snapshots WHERE ticker = ? ORDER BY snapshot_date DESC LIMIT 1',
+        [ticker]
+    );
+    return rows[0]?.tipo || null;
+}
+
+// Retorna { ticker, tipo, inicio, fim, series: { indicador: [{ data, valor }] } } ou null sem histórico
+export async function buscarSeries(ticker, { tipo = null, dias = 365, indicadores = null } = {}) {
+    ticker = ticker.toUpperCase();
+    tipo = tipo || await detectarTipo(ticker);
+    if (!tipo) return null;
+
+    const [rows] = await pool.execute(
+        `SELECT DATE_FORMAT(snapshot_date, '%Y-%m-%d') AS data, payload FROM indicator_snapshots
+         WHERE tipo = ? AND ticker = ? AND snapshot_date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+         ORDER BY snapshot_date`,
+        [tipo, ticker, dias]
+    );
+    if (rows.length === 0) return null;
+
+    const chaves = (indicadores || INDICADORES_HISTORICO[tipo]).filter(k => INDICADORES_HISTORICO[tipo].includes(k));
+    const series = Object.fromEntries(chaves.map(k => [k, []]));
+    for (const row of rows) {
+        const payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+        for (const k of chaves) {
+            const valor = strToNumber(payload[k]?.value);
+            if (valor !== null) series[k].push({ data: row.data, valor });
+        }
+    }
+
+    return {
+        ticker,
+        tipo,
+        inicio: rows[0].data,
+        fim: rows[rows.length - 1].data,
+        series
+    };
+}
+
+// "PETR4,VALE3,fii:HGLG11" -> [{ tipo: 'acao', ticker: 'PETR4' }, ...]. Sem prefixo é ação.
+function tickersConfigurados() {
+    return (process.env.HISTORICO_TICKERS || '')
+        .split(',').map(s => s.trim()).filter(Boolean)
+        .map(item => {
+            const [prefixo, ticker] = item.includes(':') ? item.split(':') : ['acao', item];
+            return { tipo: prefixo.toLowerCase(), ticker: ticker.toUpperCase() };
+        })
+        .filter(a => TIPOS_ATIVO.includes(a.tipo));
+}
+
+// Tarefa diária: força um scraping novo de cada ativo configurado (e dos que estão em carteiras)
+export async function atualizarHistorico() {
+    const ativos = tickersConfigurados();
+    if (process.env.HISTORICO_INCLUIR_CARTEIRAS !== 'false') {
+        const [rows] = await pool.execute('SELECT DISTINCT tipo, ticker FROM watchlist_items');
+        ativos.push(...rows);
+    }
+
+    const unicos = [...new Map(ativos.map(a => [`${a.tipo}:${a.ticker}`, a])).values()];
+    log.info('Atualizando histórico', { ativos: unicos.length });
+    for (const { tipo, ticker } of unicos) {
+        try {
+            const resultado = await buscarAtivo(tipo, ticker, { forcar: true });
+            if (!resultado) log.warn('Ativo não encontrado na atualização do histórico', { tipo, ticker });
+        } catch (e) {
+            log.error('Erro ao atualizar histórico', { tipo, ticker, erro: e.message });
+        }
+    }
+}
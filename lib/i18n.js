@@ -0,0 +1,137 @@
+import { readFileSync } from 'node:fs';
+import { numeroComEscala } from './analiseFii.js';
+
+// --- IDIOMAS DA API ---
+// As rotas não escrevem texto: devolvem texto(codigo, params) com os valores crus (números, listas, códigos)
+// e o middleware monta a frase de mensagens.json no idioma do Accept-Language. Em `error` o corpo ganha
+// também `codigo` e `params`, que é o que o cliente deve comparar.
+export const IDIOMAS = ['pt-BR', 'en', 'es'];
+export const IDIOMA_PADRAO = 'pt-BR';
+
+const MENSAGENS = JSON.parse(readFileSync(new URL('./mensagens.json', import.meta.url), 'utf-8'));
+
+// Mensagem ainda sem idioma. É um objeto comum para sobreviver ao cache em JSON.
+export function texto(codigo, params = {}) {
+    return { codigo, params };
+}
+
+export function ehTexto(valor) {
+    return valor !== null && typeof valor === 'object' && !Array.isArray(valor)
+        && Object.keys(valor).length === 2 && typeof valor.codigo === 'string' && Object.hasOwn(MENSAGENS, valor.codigo)
+        && valor.params !== null && typeof valor.params === 'object';
+}
+
+// "{tipos:ou}" -> ['string', 'array'] vira "string ou array" / "string or array". Lista sem formato: separada por vírgula.
+const FORMATOS = {
+    ou: (valor, idioma) => new Intl.ListFormat(idioma, { type: 'disjunction' }).format([].concat(valor).map(String)),
+    aspas: (valor) => [].concat(valor).map(v => `"${v}"`).join(', '),
+    duracao: (segundos, idioma) => segundos < 60
+        ? new Intl.NumberFormat(idioma, { style: 'unit', unit: 'second', unitDisplay: 'long' }).format(segundos)
+        : new Intl.NumberFormat(idioma, { style: 'unit', unit: 'minute', unitDisplay: 'long' }).format(Math.ceil(segundos / 60)),
+    classe: (classe, idioma) => mensagem(`CLASSE_${String(classe).toUpperCase()}`, idioma) ?? String(classe),
+    numero: (numero, idioma) => new Intl.NumberFormat(idioma, { maximumFractionDigits: 8 }).format(numero),
+    // 'AAAA-MM-DD' -> 06/03/2024, 3/6/2024, 6/3/2024
+    data: (iso, idioma) => new Intl.DateTimeFormat(idioma, { timeZone: 'UTC' }).format(new Date(`${iso}T00:00:00Z`)),
+    // [['>', 0], ['<', 10]] -> "> 0 e < 10" / "> 0 and < 10"
+    condicoes: (condicoes, idioma) => new Intl.ListFormat(idioma, { type: 'conjunction' })
+        .format(condicoes.map(([op, valor]) => `${op} ${FORMATOS.numero(valor, idioma)}`))
+};
+export const FORMATOS_DE_PARAMETRO = Object.keys(FORMATOS);
+
+function preencher(modelo, params, idioma) {
+    return modelo.replace(/\{(\w+)(?::(\w+))?\}/g, (marca, nome, formato) => {
+        const valor = params[nome];
+        if (valor === undefined || valor === null) return marca;
+        // Parâmetro que também é texto(...) (ex.: a descrição da regra dentro da explicação) sai no mesmo idioma
+        if (ehTexto(valor)) return mensagem(valor.codigo, idioma, valor.params);
+        if (formato) return FORMATOS[formato](valor, idioma);
+        return Array.isArray(valor) ? valor.join(', ') : String(valor);
+    });
+}
+
+// Texto do código no idioma pedido (cai no português se faltar a tradução)
+export function mensagem(codigo, idioma = IDIOMA_PADRAO, params = {}) {
+    if (!Object.hasOwn(MENSAGENS, codigo)) return null;
+    const textos = MENSAGENS[codigo];
+    return preencher(textos[idioma] ?? textos[IDIOMA_PADRAO], params, idioma);
+}
+
+// Para quem escreve fora de res.json (CLI, exportações): monta o texto e deixa string como está
+export function textoEm(valor, idioma = IDIOMA_PADRAO) {
+    return ehTexto(valor) ? mensagem(valor.codigo, idioma, valor.params) : valor;
+}
+
+// "en-US,en;q=0.9,pt;q=0.8" -> 'en'. Casa pela língua base (pt-PT vira pt-BR, es-AR vira es).
+export function idiomaDe(acceptLanguage) {
+    const pedidos = String(acceptLanguage || '')
+        .split(',')
+        .map((parte, ordem) => {
+            const [tag, ...opcoes] = parte.trim().split(';');
+            const q = opcoes.map(o => /^\s*q=([\d.]+)\s*$/.exec(o)).find(Boolean);
+            return { tag: tag.trim().toLowerCase(), q: q ? Number(q[1]) : 1, ordem };
+        })
+        .filter(p => p.tag && p.q > 0)
+        .sort((a, b) => b.q - a.q || a.ordem - b.ordem);
+    for (const { tag } of pedidos) {
+        const idioma = IDIOMAS.find(i => i.toLowerCase() === tag) || IDIOMAS.find(i => i.split('-')[0].toLowerCase() === tag.split('-')[0]);
+        if (idioma) return idioma;
+    }
+    return IDIOMA_PADRAO;
+}
+
+// Troca toda mensagem do corpo pelo texto no idioma. Só `error` ganha `codigo` e `params` ao lado.
+// Cópia só do que muda: objetos do cache de buscas são devolvidos por referência e não podem ser alterados.
+export function localizarResposta(corpo, idioma = IDIOMA_PADRAO) {
+    if (Array.isArray(corpo)) {
+        const itens = corpo.map(item => localizarResposta(item, idioma));
+        return itens.some((item, i) => item !== corpo[i]) ? itens : corpo;
+    }
+    if (!corpo || typeof corpo !== 'object' || corpo.constructor !== Object) return corpo;
+    if (ehTexto(corpo)) return textoEm(corpo, idioma);
+
+    let copia = null;
+    const alterar = (chave, valor) => {
+        copia ??= { ...corpo };
+        copia[chave] = valor;
+    };
+    for (const [chave, valor] of Object.entries(corpo)) {
+        if (ehTexto(valor)) {
+            alterar(chave, textoEm(valor, idioma));
+            if (chave === 'error' && corpo.codigo === undefined) alterar('codigo', valor.codigo);
+            if (chave === 'error' && corpo.params === undefined) alterar('params', valor.params);
+        } else if (valor && typeof valor === 'object') {
+            const localizado = localizarResposta(valor, idioma);
+            if (localizado !== valor) alterar(chave, localizado);
+        }
+    }
+    return copia ?? corpo;
+}
+
+// Montado antes do express.json: os erros de corpo (JSON inválido, grande demais) também saem traduzidos
+export function middlewareIdioma(req, res, next) {
+    req.idioma = idiomaDe(req.get('Accept-Language'));
+    res.setHeader('Content-Language', req.idioma);
+    res.vary('Accept-Language');
+    const json = res.json.bind(res);
+    res.json = (corpo) => json(localizarResposta(corpo, req.idioma));
+    next();
+}
+
+// --- VALORES NUMÉRICOS ---
+// Os cards trazem o valor já formatado em pt-BR ("R$ 7,85 M", "12,3%"). `raw` leva o número por trás dele
+// para o cliente formatar no idioma escolhido; texto que não é número ("Tijolo", "-") fica com raw null.
+const PARECE_NUMERO = /^[-+]?(R\$\s?)?[\d.,]+\s?%?(\s*[a-zA-ZõÕ]+\.?)?$/;
+
+export function valorNumerico(formatado) {
+    if (typeof formatado !== 'string' || !PARECE_NUMERO.test(formatado.trim()) || !/\d/.test(formatado)) return null;
+    return numeroComEscala(formatado.trim());
+}
+
+export function comValoresNumericos(dados) {
+    const resultado = {};
+    for (const [chave, celula] of Object.entries(dados)) {
+        const ehCelula = celula && typeof celula === 'object' && !Array.isArray(celula) && 'value' in celula && 'class' in celula;
+        resultado[chave] = ehCelula && !('raw' in celula) ? { ...celula, raw: valorNumerico(celula.value) } : celula;
+    }
+    return resultado;
+}
@@ -0,0 +1,34 @@
+// --- HELPER FUNCTIONS ---
+export function strToNumber(str) {
+    if (!str || typeof str !== 'string') return null;
+    const cleaned = str.replace(/R\$\s?/, '').replace(/\./g, '').replace(',', '.').replace('%', '').trim();
+    return isNaN(parseFloat(cleaned)) ? null : parseFloat(cleaned);
+}
+
+export const formatBRL = (num) => `R$ ${num.toFixed(2).replace('.', ',')}`;
+export const formatPercent = (num) => `${num.toFixed(2).replace('.', ',')}%`;
+
+export function createResponse(val, type='neutral') {
+    return { value: val || '-', class: type };
+}
+
+// Operadores aceitos nas regras de classificação e nos alertas
+export const OPERADORES_NUMERICOS = ['<', '<=', '>', '>='];
+
+export function compararNumeros(a, operador, b) {
+    switch (operador) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        default: return false;
+    }
+}
+
+export const getRecClass = (rec) => {
+    if (!rec) return 'neutral';
+    const lowerRec = rec.toLowerCase();
+    if (lowerRec === 'compra') return 'good';
+    if (lowerRec === 'venda') return 'bad';
+    return 'neutral';
+};
@@ -0,0 +1,313 @@
+import express from 'express';
+import crypto from 'node:crypto';
+import { pool } from './db.js';
+import { requireAuth } from './auth.js';
+import { TIPOS_ATIVO } from './ativos.js';
+import { buscarVarios } from './comparar.js';
+import { carregarPreferencias, personalizar } from './preferencias.js';
+import { calcularPosicao, totaisDasPosicoes } from './watchlists.js';
+import { validarTicker } from './validacao.js';
+import { OPERACOES, TIPOS_PROVENTO_RECEBIDO, apurarLancamentos, relatorioAnual } from './analiseLancamentos.js';
+import { lerExtratoB3 } from './extratoB3.js';
+import { log } from './log.js';
+import { texto } from './i18n.js';
+
+// --- LANÇAMENTOS DA CARTEIRA (compras, vendas, eventos e proventos recebidos) ---
+// O livro de lançamentos é a fonte da posição real do usuário: preço médio, resultado das vendas e
+// imposto saem dele (lib/analiseLancamentos.js). As cotações vêm da mesma coleta de /buscar e /buscar-fii.
+export const lancamentosRouter = express.Router();
+lancamentosRouter.use(requireAuth);
+
+const COLUNAS = 'id, tipo, ticker, operacao, DATE_FORMAT(data, \'%Y-%m-%d\') AS data, quantidade, preco, taxas, fator, valor, provento_tipo, instituicao, observacao, origem';
+
+const numeroOuNull = (v) => v === null || v === undefined ? null : Number(v);
+
+const toLancamentoResponse = (row) => ({
+    id: row.id,
+    tipo: row.tipo,
+    ticker: row.ticker,
+    operacao: row.operacao,
+    data: row.data,
+    quantidade: numeroOuNull(row.quantidade),
+    preco: numeroOuNull(row.preco),
+    taxas: Number(row.taxas),
+    fator: numeroOuNull(row.fator),
+    valor: numeroOuNull(row.valor),
+    proventoTipo: row.provento_tipo,
+    instituicao: row.instituicao,
+    observacao: row.observacao,
+    origem: row.origem
+});
+
+export async function carregarLancamentos(userId) {
+    const [rows] = await pool.execute(`SELECT ${COLUNAS} FROM transactions WHERE user_id = ? ORDER BY data, id`, [userId]);
+    return rows.map(toLancamentoResponse);
+}
+
+// --- VALIDAÇÃO ---
+const hojeIso = () => new Date().toISOString().slice(0, 10);
+
+// "AAAA-MM-DD" ou "DD/MM/AAAA" -> "AAAA-MM-DD" (ou null se não for uma data de verdade)
+function lerDataLancamento(entrada) {
+    if (typeof entrada !== 'string') return null;
+    const br = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(entrada.trim());
+    const iso = br ? `${br[3]}-${br[2]}-${br[1]}` : entrada.trim().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) return null;
+    const data = new Date(`${iso}T12:00:00Z`);
+    return !Number.isNaN(data.getTime()) && data.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+function numeroPositivo(valor, campo, { zeroPermitido = false } = {}) {
+    const num = Number(valor);
+    if (valor === undefined || valor === null || valor === '' || !Number.isFinite(num) || num < 0 || (!zeroPermitido && num === 0)) {
+        return { error: texto('CAMPO_INVALIDO', { campo }) };
+    }
+    return { num };
+}
+
+// Valida e normaliza um lançamento. Retorna { error, campo } ou { lancamento }.
+// Campos usados por operação: compra/venda (quantidade, preco, taxas), bonificacao (quantidade e preco = custo
+// atribuído por ação), desdobramento/grupamento (fator: 2 = cada ação vira 2 / cada 2 viram 1), provento (valor, proventoTipo).
+export function parseLancamento(body) {
+    const { error: erroTicker, ticker: codigo } = validarTicker(body.ticker);
+    if (erroTicker) return { error: erroTicker, campo: 'ticker' };
+    // PETR4F (fracionário) é o mesmo ativo que PETR4
+    const ticker = codigo.replace(/F$/, '');
+    if (!TIPOS_ATIVO.includes(body.tipo)) return { error: texto('TIPO_INVALIDO', { opcoes: TIPOS_ATIVO }), campo: 'tipo' };
+    if (!OPERACOES.includes(body.operacao)) return { error: texto('OPERACAO_INVALIDA', { opcoes: OPERACOES }), campo: 'operacao' };
+    const data = lerDataLancamento(body.data);
+    if (!data) return { error: texto('DATA_INVALIDA'), campo: 'data' };
+    if (data > hojeIso()) return { error: texto('DATA_NO_FUTURO'), campo: 'data' };
+    if (body.observacao !== undefined && body.observacao !== null && (typeof body.observacao !== 'string' || body.observacao.length > 255)) {
+        return { error: texto('OBSERVACAO_LONGA'), campo: 'observacao' };
+    }
+
+    const lancamento = {
+        tipo: body.tipo, ticker, operacao: body.operacao, data,
+        quantidade: null, preco: null, taxas: 0, fator: null, valor: null, proventoTipo: null,
+        observacao: body.observacao?.trim() || null
+    };
+    const campos = {
+        compra: [['quantidade'], ['preco'], ['taxas', { opcional: true, zeroPermitido: true }]],
+        venda: [['quantidade'], ['preco'], ['taxas', { opcional: true, zeroPermitido: true }]],
+        bonificacao: [['quantidade'], ['preco', { opcional: true, zeroPermitido: true }]],
+        desdobramento: [['fator']],
+        grupamento: [['fator']],
+        provento: [['valor']]
+    }[body.operacao];
+    for (const [campo, { opcional = false, zeroPermitido = false } = {}] of campos) {
+        if (opcional && (body[campo] === undefined || body[campo] === null || body[campo] === '')) continue;
+        const { error, num } = numeroPositivo(body[campo], campo, { zeroPermitido });
+        if (error) return { error, campo };
+        lancamento[campo] = num;
+    }
+    if (lancamento.fator === 1) return { error: texto('FATOR_IGUAL_A_UM'), campo: 'fator' };
+    if (body.operacao === 'provento') {
+        const proventoTipo = body.proventoTipo || (body.tipo === 'fii' ? 'rendimento' : 'dividendo');
+        if (!TIPOS_PROVENTO_RECEBIDO.includes(proventoTipo)) return { error: texto('TIPO_PROVENTO_INVALIDO', { opcoes: TIPOS_PROVENTO_RECEBIDO }), campo: 'proventoTipo' };
+        lancamento.proventoTipo = proventoTipo;
+    }
+    return { lancamento };
+}
+
+const valoresDoLancamento = (l) => [l.tipo, l.ticker, l.operacao, l.data, l.quantidade, l.preco, l.taxas, l.fator, l.valor, l.proventoTipo, l.observacao];
+
+// --- CRUD ---
+// ?ticker=PETR4 e ?ano=2024 filtram a lista (mais recente primeiro)
+lancamentosRouter.get('/', async (req, res) => {
+    try {
+        let lancamentos = await carregarLancamentos(req.user.id);
+        if (req.query.ticker) lancamentos = lancamentos.filter(l => l.ticker === String(req.query.ticker).toUpperCase());
+        if (req.query.ano) lancamentos = lancamentos.filter(l => l.data.startsWith(`${req.query.ano}-`));
+        res.json(lancamentos.reverse());
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+lancamentosRouter.post('/', async (req, res) => {
+    const { error, campo, lancamento } = parseLancamento(req.body);
+    if (error) return res.status(400).json({ error, campo });
+    try {
+        const [result] = await pool.execute(
+            `INSERT INTO transactions (user_id, tipo, ticker, operacao, data, quantidade, preco, taxas, fator, valor, provento_tipo, observacao)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, ...valoresDoLancamento(lancamento)]
+        );
+        res.status(201).json({ id: result.insertId, ...lancamento, origem: 'manual' });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+lancamentosRouter.put('/:id', async (req, res) => {
+    const { error, campo, lancamento } = parseLancamento(req.body);
+    if (error) return res.status(400).json({ error, campo });
+    try {
+        const [result] = await pool.execute(
+            `UPDATE transactions SET tipo = ?, ticker = ?, operacao = ?, data = ?, quantidade = ?, preco = ?, taxas = ?, fator = ?,
+             valor = ?, provento_tipo = ?, observacao = ? WHERE id = ? AND user_id = ?`,
+            [...valoresDoLancamento(lancamento), req.params.id, req.user.id]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ error: texto('LANCAMENTO_NAO_ENCONTRADO') });
+        res.json({ id: Number(req.params.id), ...lancamento });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+lancamentosRouter.delete('/:id', async (req, res) => {
+    try {
+        const [result] = await pool.execute('DELETE FROM transactions WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ error: texto('LANCAMENTO_NAO_ENCONTRADO') });
+        res.json({ message: texto('MSG_LANCAMENTO_REMOVIDO') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+// Corrige o tipo (ação ou FII) de todos os lançamentos de um ativo, ex: unit importada como FII
+lancamentosRouter.patch('/ativos/:ticker', async (req, res) => {
+    const { error, ticker } = validarTicker(req.params.ticker);
+    if (error) return res.status(400).json({ error, campo: 'ticker' });
+    if (!TIPOS_ATIVO.includes(req.body.tipo)) return res.status(400).json({ error: texto('TIPO_INVALIDO', { opcoes: TIPOS_ATIVO }), campo: 'tipo' });
+    try {
+        const [result] = await pool.execute('UPDATE transactions SET tipo = ? WHERE user_id = ? AND ticker = ?', [req.body.tipo, req.user.id, ticker]);
+        res.json({ ticker, tipo: req.body.tipo, atualizados: result.affectedRows });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+// --- IMPORTAÇÃO DO EXTRATO DA B3 ---
+// O extrato não diz se o ativo é ação ou FII. Vale, nesta ordem: lançamentos anteriores do usuário,
+// as carteiras dele, o cache de indicadores e, por último, o final do código (11 = FII). Os adivinhados pelo final voltam
+// em tiposAdivinhados para o usuário conferir (units como TAEE11 são ações).
+async function tiposDosTickers(userId, tickers) {
+    const tipos = new Map();
+    if (tickers.length === 0) return { tipos, adivinhados: [] };
+    const marcadores = tickers.map(() => '?').join(', ');
+    const [doUsuario] = await pool.execute(
+        `SELECT DISTINCT ticker, tipo FROM transactions WHERE user_id = ? AND ticker IN (${marcadores})`, [userId, ...tickers]
+    );
+    for (const r of doUsuario) tipos.set(r.ticker, r.tipo);
+    const [dasCarteiras] = await pool.execute(
+        `SELECT DISTINCT i.ticker, i.tipo FROM watchlist_items i JOIN watchlists w ON w.id = i.watchlist_id
+         WHERE w.user_id = ? AND i.ticker IN (${marcadores})`, [userId, ...tickers]
+    );
+    for (const r of dasCarteiras) if (!tipos.has(r.ticker)) tipos.set(r.ticker, r.tipo);
+    const [doCache] = await pool.execute(`SELECT ticker, tipo FROM indicator_cache WHERE ticker IN (${marcadores})`, tickers);
+    for (const r of doCache) if (!tipos.has(r.ticker)) tipos.set(r.ticker, r.tipo);
+
+    const adivinhados = [];
+    for (const ticker of tickers) {
+        if (tipos.has(ticker)) continue;
+        const tipo = ticker.endsWith('11') ? 'fii' : 'acao';
+        tipos.set(ticker, tipo);
+        if (tipo === 'fii') adivinhados.push({ ticker, tipo });
+    }
+    return { tipos, adivinhados };
+}
+
+// Mesma operação importada duas vezes (o mesmo extrato, ou extratos com períodos sobrepostos) não duplica:
+// o hash leva os dados da linha e quantas linhas idênticas vieram antes dela no arquivo
+function hashesDeImportacao(userId, operacoes) {
+    const vistas = new Map();
+    return operacoes.map(op => {
+        const base = [userId, op.data, op.operacao, op.ticker, op.quantidade, op.preco, op.instituicao || ''].join('|');
+        const ordem = (vistas.get(base) || 0) + 1;
+        vistas.set(base, ordem);
+        return crypto.createHash('sha256').update(`${base}|${ordem}`).digest('hex');
+    });
+}
+
+// Corpo: o CSV puro (Content-Type: text/csv, até 2 MB) ou { csv } em JSON (sujeito ao limite geral de 50 kB)
+lancamentosRouter.post('/importar', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+    const { error, operacoes, erros, ignoradas } = lerExtratoB3(csv);
+    if (error) return res.status(400).json({ error, campo: 'csv' });
+    if (operacoes.length === 0) return res.status(400).json({ error: texto('EXTRATO_SEM_NEGOCIOS'), campo: 'csv', erros, ignoradas });
+
+    let conexao;
+    try {
+        const { tipos, adivinhados } = await tiposDosTickers(req.user.id, [...new Set(operacoes.map(op => op.ticker))]);
+        const hashes = hashesDeImportacao(req.user.id, operacoes);
+        const linhas = operacoes.map((op, i) => [
+            req.user.id, tipos.get(op.ticker), op.ticker, op.operacao, op.data, op.quantidade, op.preco, 0, op.instituicao, 'b3', hashes[i]
+        ]);
+
+        conexao = await pool.getConnection();
+        await conexao.beginTransaction();
+        let importadas = 0;
+        for (let i = 0; i < linhas.length; i += 500) {
+            const [result] = await conexao.query(
+                `INSERT IGNORE INTO transactions (user_id, tipo, ticker, operacao, data, quantidade, preco, taxas, instituicao, origem, hash_importacao)
+                 VALUES ?`,
+                [linhas.slice(i, i + 500)]
+            );
+            importadas += result.affectedRows;
+        }
+        await conexao.commit();
+        res.status(201).json({
+            importadas,
+            duplicadas: operacoes.length - importadas,
+            erros,
+            ignoradas,
+            tiposAdivinhados: adivinhados
+        });
+    } catch (error) {
+        if (conexao) await conexao.rollback().catch(() => {});
+        log.error('Erro ao importar extrato', { erro: error });
+        res.status(500).json({ error: texto('ERRO_IMPORTAR_EXTRATO') });
+    } finally {
+        if (conexao) conexao.release();
+    }
+});
+
+// Antes do limite de buscas em /posicoes e /relatorio: cada ativo ainda em carteira conta como um ticker
+// pedido (ticker que nunca foi achado não fica no cache, então toda chamada voltaria a buscá-lo).
+export async function contarAtivosEmCarteira(req, res, next) {
+    try {
+        req.itensDaLista = apurarLancamentos(await carregarLancamentos(req.user.id)).posicoes.length;
+        next();
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+}
+
+// --- POSIÇÃO ATUAL COM COTAÇÕES ---
+// Quantidade e preço médio pelos lançamentos; cotação, valor atual, resultado e upside como nas carteiras
+export async function montarPosicoesReais(userId, { signal = null } = {}) {
+    const { posicoes, avisos } = apurarLancamentos(await carregarLancamentos(userId));
+    const preferencias = await carregarPreferencias(userId);
+    const resultado = [];
+    for (const tipo of TIPOS_ATIVO) {
+        const doTipo = posicoes.filter(p => p.tipo === tipo);
+        if (doTipo.length === 0) continue;
+        const encontrados = await buscarVarios(tipo, doTipo.map(p => p.ticker), { signal });
+        for (const p of doTipo) {
+            const cached = encontrados.find(r => r.ticker === p.ticker)?.cached || null;
+            const dados = cached ? personalizar(tipo, cached.data, preferencias) : null;
+            resultado.push({
+                ...p,
+                dados,
+                fetchedAt: cached ? cached.fetchedAt : null,
+                posicao: calcularPosicao(p, dados)
+            });
+        }
+    }
+    resultado.sort((a, b) => a.ticker.localeCompare(b.ticker));
+    return { posicoes: resultado, totais: totaisDasPosicoes(resultado), avisos };
+}
+
+lancamentosRouter.get('/posicoes', async (req, res) => {
+    try {
+        res.json(await montarPosicoesReais(req.user.id, { signal: req.signal }));
+    } catch (error) {
+        if (req.signal.aborted) return;
+        log.error('Erro ao montar posições dos lançamentos', { erro: error });
+        res.status(500).json({ error: texto('ERRO_MONTAR_AS_POSICOES') });
+    }
+});
+
+// --- RELATÓRIO DE IMPOSTO DO ANO ---
+// ?ano=2024 (padrão: ano corrente). Apura desde o primeiro lançamento para levar prejuízos anteriores.
+lancamentosRouter.get('/relatorio', async (req, res) => {
+    const anoAtual = new Date().getFullYear();
+    const ano = req.query.ano === undefined ? anoAtual : Number(req.query.ano);
+    if (!Number.isInteger(ano) || ano < 2000 || ano > anoAtual) return res.status(400).json({ error: texto('ANO_FORA_DA_FAIXA', { ano: anoAtual }), campo: 'ano' });
+    try {
+        res.json(relatorioAnual(await carregarLancamentos(req.user.id), ano));
+    } catch (error) {
+        log.error('Erro ao gerar relatório de imposto', { erro: error });
+        res.status(500).json({ error: texto('ERRO_GERAR_RELATORIO') });
+    }
+});
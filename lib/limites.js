@@ -0,0 +1,87 @@
+import { log } from './log.js';
+import { texto } from './i18n.js';
+
+// --- LIMITE DE REQUISIÇÕES E BLOQUEIO DE LOGIN ---
+// Contadores em memória (um processo só, como a fila do navegador). Reiniciar o servidor zera tudo.
+
+// Janela fixa por chave: no máximo `max` unidades a cada `janelaMs`
+export function criarLimitador({ max, janelaMs, agora = Date.now }) {
+    const janelas = new Map();
+
+    const limparExpiradas = (t) => {
+        for (const [chave, j] of janelas) if (t - j.inicio >= janelaMs) janelas.delete(chave);
+    };
+
+    // Retorna { permitido, restante, retryAfterSeg }
+    const consumir = (chave, custo = 1) => {
+        const t = agora();
+        if (janelas.size > 10000) limparExpiradas(t);
+        let janela = janelas.get(chave);
+        if (!janela || t - janela.inicio >= janelaMs) {
+            janela = { inicio: t, usados: 0 };
+            janelas.set(chave, janela);
+        }
+        const retryAfterSeg = Math.ceil((janela.inicio + janelaMs - t) / 1000);
+        if (janela.usados + custo > max) return { permitido: false, restante: max - janela.usados, retryAfterSeg };
+        janela.usados += custo;
+        return { permitido: true, restante: max - janela.usados, retryAfterSeg };
+    };
+    return { consumir, max };
+}
+
+// Middleware com limite por usuário logado (req.user) ou, sem login, por IP.
+// custo(req) permite cobrar mais de quem pede vários tickers de uma vez.
+export function limitar({ nome, max, janelaSeg = 60, porUsuario = true, custo = () => 1 }) {
+    const limitador = criarLimitador({ max, janelaMs: janelaSeg * 1000 });
+    return (req, res, next) => {
+        const chave = porUsuario && req.user ? `u:${req.user.id}` : `ip:${req.ip}`;
+        const resultado = limitador.consumir(chave, Math.min(custo(req), max));
+        res.setHeader('RateLimit-Limit', max);
+        res.setHeader('RateLimit-Remaining', Math.max(resultado.restante, 0));
+        if (resultado.permitido) return next();
+
+        log.warn('Limite de requisições atingido', { limite: nome, chave });
+        res.setHeader('Retry-After', resultado.retryAfterSeg);
+        res.status(429).json({
+            error: texto('LIMITE_EXCEDIDO', { segundos: resultado.retryAfterSeg }),
+            codigo: 'LIMITE_EXCEDIDO',
+            retryAfterSeg: resultado.retryAfterSeg
+        });
+    };
+}
+
+// --- BLOQUEIO PROGRESSIVO ---
+// Depois de `tentativasLivres` falhas seguidas a chave fica bloqueada por baseSeg, e cada falha
+// seguinte dobra o tempo (até maxSeg). Um acerto zera o histórico; falhas antigas expiram em esqueceSeg.
+export function criarBloqueio({ tentativasLivres = 5, baseSeg = 60, maxSeg = 3600, esqueceSeg = 86400, agora = Date.now }) {
+    const registros = new Map();
+
+    const registro = (chave) => {
+        const r = registros.get(chave);
+        if (r && agora() - r.ultimaFalha > esqueceSeg * 1000) {
+            registros.delete(chave);
+            return null;
+        }
+        return r || null;
+    };
+
+    // Segundos restantes de bloqueio (0 = liberado)
+    const bloqueadoPor = (chave) => {
+        const r = registro(chave);
+        return r ? Math.max(0, Math.ceil((r.bloqueadoAte - agora()) / 1000)) : 0;
+    };
+
+    const registrarFalha = (chave) => {
+        const r = registro(chave) || { falhas: 0, bloqueadoAte: 0 };
+        r.falhas++;
+        r.ultimaFalha = agora();
+        const excedentes = r.falhas - tentativasLivres;
+        if (excedentes >= 0) r.bloqueadoAte = r.ultimaFalha + Math.min(baseSeg * 2 ** excedentes, maxSeg) * 1000;
+        registros.set(chave, r);
+        return bloqueadoPor(chave);
+    };
+
+    const registrarSucesso = (chave) => registros.delete(chave);
+
+    return { bloqueadoPor, registrarFalha, registrarSucesso };
+}
@@ -0,0 +1,84 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+// --- LOGS ESTRUTURADOS ---
+// Uma linha JSON por evento: { ts, nivel, msg, requestId, ...campos }. O requestId vem do contexto da
+// requisição (AsyncLocalStorage), então providers, cache e navegador não precisam recebê-lo por parâmetro.
+// LOG_NIVEL: debug | info | warn | error (padrão info). LOG_FORMATO=texto para ler no terminal (padrão da CLI).
+const NIVEIS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contexto = new AsyncLocalStorage();
+let formato = process.env.LOG_FORMATO === 'texto' ? 'texto' : 'json';
+let saida = (nivel, linha) => (NIVEIS[nivel] >= NIVEIS.warn ? process.stderr : process.stdout).write(`${linha}\n`);
+
+// Devolve o formato anterior
+export function definirFormatoLog(novo) {
+    const anterior = formato;
+    formato = novo === 'texto' ? 'texto' : 'json';
+    return anterior;
+}
+
+// Troca o destino das linhas (testes); devolve a função anterior
+export function definirSaidaLog(fn) {
+    const anterior = saida;
+    saida = fn;
+    return anterior;
+}
+
+// Executa fn com os campos (requestId, userId...) anexados a todo log feito dentro dela
+export function comContextoDeLog(campos, fn) {
+    return contexto.run({ ...contexto.getStore(), ...campos }, fn);
+}
+
+export function contextoDeLog() {
+    return contexto.getStore() || {};
+}
+
+// Error vira { erro, codigo } (e stack nos logs de erro); o resto passa como está
+function serializar(campos, nivel) {
+    const resultado = {};
+    for (const [chave, valor] of Object.entries(campos)) {
+        if (valor instanceof Error) {
+            resultado[chave] = valor.message;
+            if (valor.code) resultado.codigo = valor.code;
+            if (nivel === 'error' && valor.stack) resultado.stack = valor.stack;
+        } else if (valor !== undefined) {
+            resultado[chave] = valor;
+        }
+    }
+    return resultado;
+}
+
+function escrever(nivel, msg, campos = {}) {
+    const minimo = NIVEIS[process.env.LOG_NIVEL] || NIVEIS.info;
+    if (NIVEIS[nivel] < minimo) return;
+    const registro = { ts: new Date().toISOString(), nivel, msg, ...contextoDeLog(), ...serializar(campos, nivel) };
+    if (formato === 'texto') {
+        const { ts, nivel: n, msg: m, stack, ...resto } = registro;
+        const extras = Object.entries(resto).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`).join(' ');
+        saida(nivel, `[${n}] ${m}${extras ? ` ${extras}` : ''}${stack ? `\n${stack}` : ''}`);
+        return;
+    }
+    let linha;
+    try {
+        linha = JSON.stringify(registro);
+    } catch (e) {
+        linha = JSON.stringify({ ts: registro.ts, nivel, msg, erroDeLog: e.message });
+    }
+    saida(nivel, linha);
+}
+
+export const log = {
+    debug: (msg, campos) => escrever('debug', msg, campos),
+    info: (msg, campos) => escrever('info', msg, campos),
+    warn: (msg, campos) => escrever('warn', msg, campos),
+    error: (msg, campos) => escrever('error', msg, campos)
+};
+
+// --- ID DA REQUISIÇÃO ---
+// Aproveita o X-Request-Id de um proxy (se tiver formato seguro) ou gera um novo
+const ID_ACEITO = /^[\w.-]{8,64}$/;
+
+export function idDaRequisicao(cabecalho) {
+    return typeof cabecalho === 'string' && ID_ACEITO.test(cabecalho) ? cabecalho : randomUUID();
+}
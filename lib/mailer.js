@@ -0,0 +1,52 @@
+import nodemailer from 'nodemailer';
+import { log } from './log.js';
+
+// --- ENVIO DE E-MAIL ---
+// Configurado por SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS/SMTP_FROM.
+// Para testar localmente aponte para um servidor SMTP de mentira (ex: MailHog em localhost:1025)
+// ou use MAILER=console, que só imprime as mensagens (e os links) no log do servidor.
+let transporter = null;
+let transportePlugado = null;
+
+// Qualquer objeto com sendMail(mensagem) no formato do nodemailer (ex: dublê nos testes). null volta ao padrão.
+export function definirTransporte(transporte) {
+    transportePlugado = transporte;
+}
+
+const transporteConsole = {
+    async sendMail({ to, subject, text }) {
+        log.info('E-mail não enviado (sem SMTP configurado)', { para: to, assunto: subject, texto: text });
+        return { messageId: 'console' };
+    }
+};
+
+export function emailConfigurado() {
+    return Boolean(transportePlugado || process.env.SMTP_HOST || process.env.MAILER === 'console');
+}
+
+function getTransporter() {
+    if (transportePlugado) return transportePlugado;
+    if (process.env.MAILER === 'console') return transporteConsole;
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+            // Servidores locais de teste normalmente não têm TLS
+            ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true'
+        });
+    }
+    return transporter;
+}
+
+export async function enviarEmail({ para, assunto, texto, html }) {
+    if (!emailConfigurado()) throw new Error('E-mail não configurado (defina SMTP_HOST ou MAILER=console).');
+    return getTransporter().sendMail({
+        from: process.env.SMTP_FROM || 'Invista+ <nao-responda@invistamais.local>',
+        to: para,
+        subject: assunto,
+        text: texto,
+        html
+    });
+}
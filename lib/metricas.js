@@ -0,0 +1,97 @@
+// --- MÉTRICAS NO FORMATO DO PROMETHEUS ---
+// Registro em memória (um processo só, como os limites e a fila do navegador) exposto em GET /metrics.
+// Contadores e histogramas são alimentados pelo código; "coletas" são lidas na hora da raspagem
+// (ex: contadores do pool do navegador, que já existem em lib/browser.js).
+const metricas = new Map();   // nome -> { tipo, ajuda, series: Map(chaveRotulos -> valor), buckets? }
+const coletas = [];
+
+// Segundos: de uma coleta via HTTP (~0,3s) até o prazo do navegador (90s)
+export const BUCKETS_DURACAO = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 90];
+
+const escapar = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function chaveDe(rotulos) {
+    return Object.keys(rotulos).sort().map(k => `${k}="${escapar(rotulos[k])}"`).join(',');
+}
+
+function registrar(nome, tipo, ajuda, extra = {}) {
+    const existente = metricas.get(nome);
+    if (existente) {
+        if (existente.tipo !== tipo) throw new Error(`Métrica ${nome} já registrada como ${existente.tipo}.`);
+        return existente;
+    }
+    const metrica = { tipo, ajuda, series: new Map(), ...extra };
+    metricas.set(nome, metrica);
+    return metrica;
+}
+
+export function contador(nome, ajuda) {
+    const metrica = registrar(nome, 'counter', ajuda);
+    return {
+        inc(rotulos = {}, valor = 1) {
+            const chave = chaveDe(rotulos);
+            metrica.series.set(chave, (metrica.series.get(chave) || 0) + valor);
+        }
+    };
+}
+
+export function histograma(nome, ajuda, buckets = BUCKETS_DURACAO) {
+    const metrica = registrar(nome, 'histogram', ajuda, { buckets: [...buckets].sort((a, b) => a - b) });
+    return {
+        observar(rotulos, valor) {
+            const chave = chaveDe(rotulos);
+            let serie = metrica.series.get(chave);
+            if (!serie) {
+                serie = { contagens: metrica.buckets.map(() => 0), soma: 0, total: 0 };
+                metrica.series.set(chave, serie);
+            }
+            metrica.buckets.forEach((limite, i) => { if (valor <= limite) serie.contagens[i]++; });
+            serie.soma += valor;
+            serie.total++;
+        }
+    };
+}
+
+// fn() -> [{ nome, tipo: 'gauge' | 'counter', ajuda, valor, rotulos? }], chamada a cada raspagem
+export function registrarColeta(fn) {
+    coletas.push(fn);
+}
+
+const numero = (v) => Number.isFinite(v) ? String(v) : v > 0 ? '+Inf' : v < 0 ? '-Inf' : 'NaN';
+const comRotulos = (nome, chave) => chave ? `${nome}{${chave}}` : nome;
+
+// Texto no formato de exposição 0.0.4 do Prometheus
+export function renderizarMetricas() {
+    const linhas = [];
+    for (const [nome, m] of metricas) {
+        linhas.push(`# HELP ${nome} ${m.ajuda}`, `# TYPE ${nome} ${m.tipo}`);
+        for (const [chave, valor] of m.series) {
+            if (m.tipo !== 'histogram') {
+                linhas.push(`${comRotulos(nome, chave)} ${numero(valor)}`);
+                continue;
+            }
+            const prefixo = chave ? `${chave},` : '';
+            m.buckets.forEach((limite, i) => linhas.push(`${nome}_bucket{${prefixo}le="${limite}"} ${valor.contagens[i]}`));
+            linhas.push(`${nome}_bucket{${prefixo}le="+Inf"} ${valor.total}`);
+            linhas.push(`${comRotulos(`${nome}_sum`, chave)} ${numero(valor.soma)}`);
+            linhas.push(`${comRotulos(`${nome}_count`, chave)} ${valor.total}`);
+        }
+    }
+
+    const vistos = new Set();
+    for (const fn of coletas) {
+        for (const { nome, tipo = 'gauge', ajuda, valor, rotulos = {} } of fn()) {
+            if (!vistos.has(nome)) {
+                linhas.push(`# HELP ${nome} ${ajuda}`, `# TYPE ${nome} ${tipo}`);
+                vistos.add(nome);
+            }
+            linhas.push(`${comRotulos(nome, chaveDe(rotulos))} ${numero(Number(valor))}`);
+        }
+    }
+    return `${linhas.join('\n')}\n`;
+}
+
+// Zera os valores (testes); os registros continuam valendo
+export function zerarMetricas() {
+    for (const m of metricas.values()) m.series.clear();
+}
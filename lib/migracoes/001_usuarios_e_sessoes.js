@@ -0,0 +1,23 @@
+// Tabela users como existia antes das migrações (o servidor só a consultava) e sessões de login
+export const descricao = 'Usuários e sessões';
+
+export async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            email VARCHAR(255) NOT NULL UNIQUE,
+            password_hash VARCHAR(255) NOT NULL
+        )
+    `);
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_sessions_user (user_id)
+        )
+    `);
+}
@@ -0,0 +1,24 @@
+export const descricao = 'Cache de indicadores e snapshots diários';
+
+export async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS indicator_cache (
+            tipo VARCHAR(10) NOT NULL,
+            ticker VARCHAR(12) NOT NULL,
+            payload JSON NOT NULL,
+            fetched_at DATETIME(3) NOT NULL,
+            PRIMARY KEY (tipo, ticker)
+        )
+    `);
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS indicator_snapshots (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            tipo VARCHAR(10) NOT NULL,
+            ticker VARCHAR(12) NOT NULL,
+            snapshot_date DATE NOT NULL,
+            payload JSON NOT NULL,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_snapshot_dia (tipo, ticker, snapshot_date)
+        )
+    `);
+}
@@ -0,0 +1,25 @@
+export const descricao = 'Carteiras e itens';
+
+export async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS watchlists (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            nome VARCHAR(100) NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_watchlists_user (user_id)
+        )
+    `);
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS watchlist_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            watchlist_id INT NOT NULL,
+            tipo VARCHAR(10) NOT NULL,
+            ticker VARCHAR(12) NOT NULL,
+            quantidade DECIMAL(18, 4) NOT NULL DEFAULT 0,
+            preco_medio DECIMAL(18, 4) NOT NULL DEFAULT 0,
+            UNIQUE KEY uq_watchlist_ticker (watchlist_id, ticker),
+            FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE CASCADE
+        )
+    `);
+}
@@ -0,0 +1,49 @@
+export const descricao = 'Notificações, alertas e disparos';
+
+export async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS notifications (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            alert_id INT NULL,
+            titulo VARCHAR(200) NOT NULL,
+            mensagem TEXT NOT NULL,
+            lida TINYINT(1) NOT NULL DEFAULT 0,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_notifications_user (user_id, lida)
+        )
+    `);
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS alerts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            tipo VARCHAR(10) NOT NULL,
+            ticker VARCHAR(12) NOT NULL,
+            indicador VARCHAR(40) NOT NULL,
+            operador VARCHAR(20) NOT NULL,
+            alvo_tipo VARCHAR(10) NOT NULL,
+            alvo VARCHAR(40) NOT NULL,
+            canais JSON NOT NULL,
+            webhook_url VARCHAR(500) NULL,
+            ativo TINYINT(1) NOT NULL DEFAULT 1,
+            ultimo_estado TINYINT(1) NULL,
+            ultima_avaliacao DATETIME NULL,
+            ultimo_disparo DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_alerts_user (user_id),
+            INDEX idx_alerts_ativo (ativo, tipo, ticker)
+        )
+    `);
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS alert_triggers (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            alert_id INT NOT NULL,
+            valor_observado VARCHAR(100) NULL,
+            mensagem TEXT NOT NULL,
+            entregas JSON NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_triggers_alert (alert_id),
+            FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE
+        )
+    `);
+}
@@ -0,0 +1,23 @@
+export const descricao = 'Perfis de classificação e premissas de valuation';
+
+export async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS classification_profiles (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            nome VARCHAR(100) NOT NULL,
+            regras JSON NOT NULL,
+            ativo TINYINT(1) NOT NULL DEFAULT 0,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_profiles_user (user_id, ativo)
+        )
+    `);
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS valuation_params (
+            user_id INT PRIMARY KEY,
+            premissas JSON NOT NULL,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+}
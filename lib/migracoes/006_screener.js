@@ -0,0 +1,20 @@
+// Colunas fixas (as de CAMPOS_SCREENER hoje): campo novo no screener entra numa migração nova
+export const descricao = 'Base do screener de ações';
+
+const NUMERICAS = [
+    'cotacao', 'pl', 'pvp', 'dy', 'dy_5_anos', 'payout', 'roe', 'roic', 'roa', 'margem_liquida', 'margem_ebitda',
+    'divida_liquida_ebitda', 'divida_liquida_patrimonio', 'liquidez_corrente', 'cagr_lucros', 'lpa', 'vpa', 'earnings_yield'
+];
+
+export async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS screener_acoes (
+            ticker VARCHAR(12) PRIMARY KEY,
+            setor VARCHAR(100) NULL,
+            segmento VARCHAR(100) NULL,
+            ${NUMERICAS.map(c => `${c} DOUBLE NULL`).join(',\n            ')},
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_screener_setor (setor)
+        )
+    `);
+}
@@ -0,0 +1,24 @@
+import { colunaExiste } from '../db.js';
+
+export const descricao = 'Verificação de e-mail e tokens de conta';
+
+export async function up(db) {
+    if (!(await colunaExiste('users', 'email_verificado_em', db))) {
+        await db.execute('ALTER TABLE users ADD COLUMN email_verificado_em DATETIME NULL');
+        // Contas criadas antes da verificação continuam entrando normalmente
+        await db.execute('UPDATE users SET email_verificado_em = NOW()');
+    }
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS account_tokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            tipo VARCHAR(20) NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            novo_email VARCHAR(255) NULL,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_account_tokens_user (user_id, tipo)
+        )
+    `);
+}
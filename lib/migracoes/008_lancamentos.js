@@ -0,0 +1,27 @@
+export const descricao = 'Lançamentos da carteira (compras, vendas, eventos e proventos recebidos)';
+
+export async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS transactions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            tipo VARCHAR(10) NOT NULL,
+            ticker VARCHAR(12) NOT NULL,
+            operacao VARCHAR(15) NOT NULL,
+            data DATE NOT NULL,
+            quantidade DECIMAL(18, 6) NULL,
+            preco DECIMAL(18, 6) NULL,
+            taxas DECIMAL(18, 2) NOT NULL DEFAULT 0,
+            fator DECIMAL(18, 8) NULL,
+            valor DECIMAL(18, 2) NULL,
+            provento_tipo VARCHAR(12) NULL,
+            instituicao VARCHAR(100) NULL,
+            observacao VARCHAR(255) NULL,
+            origem VARCHAR(10) NOT NULL DEFAULT 'manual',
+            hash_importacao CHAR(64) NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_transactions_user (user_id, data),
+            UNIQUE KEY uq_transactions_importacao (user_id, hash_importacao)
+        )
+    `);
+}
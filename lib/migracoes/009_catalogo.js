@@ -0,0 +1,19 @@
+export const descricao = 'Catálogo de tickers aprendido nas coletas (tipo detectado de cada ativo)';
+
+export async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS ticker_catalog (
+            ticker VARCHAR(12) PRIMARY KEY,
+            nome VARCHAR(120) NULL,
+            tipo VARCHAR(10) NOT NULL,
+            classe VARCHAR(10) NOT NULL,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+    // Ativos já coletados antes do catálogo entram com o tipo que tinham no cache (final 11 como ação = unit)
+    await db.execute(`
+        INSERT IGNORE INTO ticker_catalog (ticker, tipo, classe)
+        SELECT ticker, tipo, CASE WHEN tipo = 'fii' THEN 'fii' WHEN ticker LIKE '%11' THEN 'unit' ELSE 'acao' END
+        FROM indicator_cache
+    `);
+}
@@ -0,0 +1,17 @@
+export const descricao = 'Progresso do usuário nas lições e quizzes da seção educativa';
+
+export async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS lesson_progress (
+            user_id INT NOT NULL,
+            licao_id VARCHAR(50) NOT NULL,
+            tentativas INT NOT NULL DEFAULT 0,
+            ultimo_acertos INT NOT NULL,
+            melhor_acertos INT NOT NULL,
+            total INT NOT NULL,
+            concluida_em DATETIME NULL,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, licao_id)
+        )
+    `);
+}
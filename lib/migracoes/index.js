@@ -0,0 +1,118 @@
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { pool } from '../db.js';
+
+// --- MIGRAÇÕES DO BANCO ---
+// Cada arquivo NNN_nome.js desta pasta exporta `descricao` e `up(db)`, e roda uma única vez, em ordem.
+// As versões aplicadas ficam em schema_migrations. MySQL não desfaz DDL em transação, então cada
+// migração deve poder rodar de novo sem erro (CREATE ... IF NOT EXISTS, colunaExiste antes de ALTER).
+// Migração já publicada não se edita: mudança de schema entra num arquivo novo.
+const PASTA = path.dirname(fileURLToPath(import.meta.url));
+const ARQUIVO_MIGRACAO = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+// Impede dois processos (servidor e "npm run migrate") de migrar ao mesmo tempo
+const NOME_TRAVA = 'invista_migracoes';
+
+// [{ versao, nome, arquivo }] em ordem de versão
+export async function listarMigracoes(pasta = PASTA) {
+    const arquivos = await readdir(pasta);
+    const migracoes = arquivos
+        .map(arquivo => arquivo.match(ARQUIVO_MIGRACAO))
+        .filter(Boolean)
+        .map(([arquivo, versao, nome]) => ({ versao: Number(versao), nome, arquivo: path.join(pasta, arquivo) }))
+        .sort((a, b) => a.versao - b.versao);
+    const repetida = migracoes.find((m, i) => i > 0 && m.versao === migracoes[i - 1].versao);
+    if (repetida) throw new Error(`Duas migrações com a versão ${repetida.versao}.`);
+    return migracoes;
+}
+
+async function criarTabelaControle(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            versao INT PRIMARY KEY,
+            nome VARCHAR(100) NOT NULL,
+            aplicada_em DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+// Banco que nunca foi migrado ainda não tem a tabela de controle: nenhuma versão aplicada
+async function versoesAplicadas(db) {
+    try {
+        const [rows] = await db.execute('SELECT versao FROM schema_migrations ORDER BY versao');
+        return rows.map(r => Number(r.versao));
+    } catch (e) {
+        if (e.code === 'ER_NO_SUCH_TABLE') return [];
+        throw e;
+    }
+}
+
+// { versaoAtual, versaoEsperada, pendentes: [{ versao, nome }], desconhecidas: [versao] }
+// desconhecidas = aplicadas por um código mais novo que este (deploy revertido, por exemplo)
+export async function statusMigracoes({ db = pool, pasta = PASTA } = {}) {
+    const migracoes = await listarMigracoes(pasta);
+    const aplicadas = await versoesAplicadas(db);
+    const conhecidas = new Set(migracoes.map(m => m.versao));
+    return {
+        versaoAtual: aplicadas.length > 0 ? Math.max(...aplicadas) : 0,
+        versaoEsperada: migracoes.length > 0 ? migracoes.at(-1).versao : 0,
+        pendentes: migracoes.filter(m => !aplicadas.includes(m.versao)).map(({ versao, nome }) => ({ versao, nome })),
+        desconhecidas: aplicadas.filter(v => !conhecidas.has(v))
+    };
+}
+
+// Aplica as pendentes em ordem e devolve as que rodaram. Para na primeira que falhar.
+export async function aplicarMigracoes({ db = null, pasta = PASTA, log = console.log } = {}) {
+    const conexao = db || await pool.getConnection();
+    try {
+        const [[{ trava }]] = await conexao.query('SELECT GET_LOCK(?, 60) AS trava', [NOME_TRAVA]);
+        if (trava !== 1) throw new Error('Outra migração está em andamento (trava não liberada em 60s).');
+        try {
+            await criarTabelaControle(conexao);
+            const aplicadas = await versoesAplicadas(conexao);
+            const pendentes = (await listarMigracoes(pasta)).filter(m => !aplicadas.includes(m.versao));
+            for (const migracao of pendentes) {
+                const modulo = await import(pathToFileURL(migracao.arquivo).href);
+                log(`🗄️ Migração ${migracao.versao} (${modulo.descricao || migracao.nome})...`);
+                try {
+                    await modulo.up(conexao);
+                } catch (e) {
+                    throw new Error(`Migração ${migracao.versao}_${migracao.nome} falhou: ${e.message}`);
+                }
+                await conexao.execute('INSERT INTO schema_migrations (versao, nome) VALUES (?, ?)', [migracao.versao, migracao.nome]);
+            }
+            return pendentes;
+        } finally {
+            await conexao.query('SELECT RELEASE_LOCK(?)', [NOME_TRAVA]);
+        }
+    } finally {
+        if (!db) conexao.release();
+    }
+}
+
+// Mensagem pronta para o log quando o banco está atrás do código, ou null se está em dia
+export async function verificarSchema(opcoes = {}) {
+    const status = await statusMigracoes(opcoes);
+    if (status.pendentes.length === 0) return null;
+    const lista = status.pendentes.map(m => `${m.versao}_${m.nome}`).join(', ');
+    return `Schema do banco desatualizado: versão ${status.versaoAtual}, o código espera a ${status.versaoEsperada} `
+        + `(pendentes: ${lista}). Rode "npm run migrate" ou reinicie sem MIGRAR_AO_INICIAR=false.`;
+}
+
+// Traduz os erros de conexão mais comuns de uma instalação nova em algo acionável
+export function descreverErroDeBanco(err) {
+    const banco = process.env.DB_NAME || 'investidor_app';
+    switch (err.code) {
+        case 'ER_BAD_DB_ERROR':
+            return `O banco "${banco}" não existe. Crie com: CREATE DATABASE ${banco} CHARACTER SET utf8mb4; e rode "npm run migrate".`;
+        case 'ER_NO_SUCH_TABLE':
+            return `${err.message}. O schema não foi criado: rode "npm run migrate".`;
+        case 'ER_ACCESS_DENIED_ERROR':
+            return `Acesso negado ao MySQL: confira DB_USER e DB_PASSWORD. (${err.message})`;
+        case 'ECONNREFUSED':
+            return `MySQL não está respondendo em ${process.env.DB_HOST || 'localhost'}: confira se o serviço está no ar e o DB_HOST. (${err.message})`;
+        default:
+            return err.message;
+    }
+}
@@ -0,0 +1,49 @@
+import bcrypt from 'bcrypt';
+import { pool } from '../db.js';
+
+// --- DADOS DE DESENVOLVIMENTO ---
+// Usuário de demonstração com carteira, alerta e notificação, para subir o app local já com algo na tela.
+// Só roda com o schema em dia e nunca com NODE_ENV=production. Se o usuário já existe, não faz nada.
+export const USUARIO_DEMO = { email: 'demo@invista.local', senha: 'invista123' };
+
+const CARTEIRA_DEMO = {
+    nome: 'Dividendos (demo)',
+    itens: [
+        { tipo: 'acao', ticker: 'TAEE11', quantidade: 100, precoMedio: 33.5 },
+        { tipo: 'acao', ticker: 'BBAS3', quantidade: 200, precoMedio: 24.8 },
+        { tipo: 'acao', ticker: 'ITSA4', quantidade: 300, precoMedio: 9.4 },
+        { tipo: 'fii', ticker: 'HGLG11', quantidade: 10, precoMedio: 158 },
+        { tipo: 'fii', ticker: 'XPML11', quantidade: 15, precoMedio: 105 }
+    ]
+};
+
+// Retorna { criado, email, senha } (criado false quando o usuário demo já existia)
+export async function semearDesenvolvimento(db = pool) {
+    if (process.env.NODE_ENV === 'production') throw new Error('Seed de desenvolvimento não roda com NODE_ENV=production.');
+
+    const [existentes] = await db.execute('SELECT id FROM users WHERE email = ?', [USUARIO_DEMO.email]);
+    if (existentes.length > 0) return { criado: false, ...USUARIO_DEMO };
+
+    const hash = await bcrypt.hash(USUARIO_DEMO.senha, 10);
+    const [usuario] = await db.execute('INSERT INTO users (email, password_hash, email_verificado_em) VALUES (?, ?, NOW())', [USUARIO_DEMO.email, hash]);
+    const userId = usuario.insertId;
+
+    const [carteira] = await db.execute('INSERT INTO watchlists (user_id, nome) VALUES (?, ?)', [userId, CARTEIRA_DEMO.nome]);
+    for (const item of CARTEIRA_DEMO.itens) {
+        await db.execute(
+            'INSERT INTO watchlist_items (watchlist_id, tipo, ticker, quantidade, preco_medio) VALUES (?, ?, ?, ?, ?)',
+            [carteira.insertId, item.tipo, item.ticker, item.quantidade, item.precoMedio]
+        );
+    }
+
+    await db.execute(
+        `INSERT INTO alerts (user_id, tipo, ticker, indicador, operador, alvo_tipo, alvo, canais, webhook_url, ativo)
+         VALUES (?, 'acao', 'TAEE11', 'cotacao', '<', 'indicador', 'precoTeto', ?, NULL, 1)`,
+        [userId, JSON.stringify(['app'])]
+    );
+    await db.execute(
+        'INSERT INTO notifications (user_id, alert_id, titulo, mensagem) VALUES (?, NULL, ?, ?)',
+        [userId, 'Bem-vindo ao Invista+', 'Esta conta de demonstração já tem uma carteira e um alerta de TAEE11 abaixo do preço teto.']
+    );
+    return { criado: true, ...USUARIO_DEMO };
+}
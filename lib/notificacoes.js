@@ -0,0 +1,114 @@
+import express from 'express';
+import { pool } from './db.js';
+import { requireAuth } from './auth.js';
+import { enviarEmail } from './mailer.js';
+import { log } from './log.js';
+import { texto } from './i18n.js';
+
+// --- NOTIFICAÇÕES E CANAIS DE ENTREGA ---
+export const notificacoesRouter = express.Router();
+notificacoesRouter.use(requireAuth);
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Cada canal recebe { usuario, alerta, titulo, mensagem, dados } e lança erro se a entrega falhar.
+// "app" grava no feed do usuário; os demais são externos.
+const CANAIS = {
+    app: async ({ usuario, alerta, titulo, mensagem }) => {
+        await pool.execute(
+            'INSERT INTO notifications (user_id, alert_id, titulo, mensagem) VALUES (?, ?, ?, ?)',
+            [usuario.id, alerta?.id ?? null, titulo, mensagem]
+        );
+    },
+    email: async ({ usuario, titulo, mensagem }) => {
+        await enviarEmail({ para: usuario.email, assunto: titulo, texto: mensagem });
+    },
+    webhook: async ({ alerta, titulo, mensagem, dados }) => {
+        if (!alerta?.webhookUrl) throw new Error('Alerta sem webhook configurado.');
+        const resposta = await fetch(alerta.webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ titulo, mensagem, alerta, dados }),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!resposta.ok) throw new Error(`Webhook respondeu ${resposta.status}`);
+    }
+};
+
+export function canaisDisponiveis() {
+    return Object.keys(CANAIS);
+}
+
+// Permite plugar novos canais (ou trocar os existentes por dublês em testes)
+export function registrarCanal(nome, enviar) {
+    CANAIS[nome] = enviar;
+}
+
+// Só aceita http(s) para não virar porta de entrada para outros protocolos
+export function webhookValido(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Entrega em todos os canais pedidos. Falha de um canal não impede os outros.
+// Retorna { canal: 'ok' | 'erro: ...' } para guardar no histórico do disparo.
+export async function notificar(canais, contexto) {
+    const entregas = {};
+    for (const canal of canais) {
+        if (!CANAIS[canal]) {
+            entregas[canal] = 'erro: canal desconhecido';
+            continue;
+        }
+        try {
+            await CANAIS[canal](contexto);
+            entregas[canal] = 'ok';
+        } catch (e) {
+            log.error('Falha ao notificar', { canal, erro: e.message });
+            entregas[canal] = `erro: ${e.message}`;
+        }
+    }
+    return entregas;
+}
+
+const toNotificacaoResponse = (row) => ({
+    id: row.id,
+    alertaId: row.alert_id,
+    titulo: row.titulo,
+    mensagem: row.mensagem,
+    lida: Boolean(row.lida),
+    criadaEm: row.created_at
+});
+
+// --- FEED DO USUÁRIO ---
+notificacoesRouter.get('/', async (req, res) => {
+    const apenasNaoLidas = req.query.naoLidas === 'true';
+    // Vai direto no LIMIT: sempre um inteiro entre 1 e 200
+    const limite = Math.min(Math.max(Math.round(Number(req.query.limite)) || 50, 1), 200);
+    try {
+        const [rows] = await pool.execute(
+            `SELECT * FROM notifications WHERE user_id = ? ${apenasNaoLidas ? 'AND lida = 0' : ''}
+             ORDER BY created_at DESC, id DESC LIMIT ${limite}`,
+            [req.user.id]
+        );
+        const [[{ total }]] = await pool.execute('SELECT COUNT(*) AS total FROM notifications WHERE user_id = ? AND lida = 0', [req.user.id]);
+        res.json({ naoLidas: Number(total), notificacoes: rows.map(toNotificacaoResponse) });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+notificacoesRouter.post('/lidas', async (req, res) => {
+    try {
+        await pool.execute('UPDATE notifications SET lida = 1 WHERE user_id = ? AND lida = 0', [req.user.id]);
+        res.json({ message: texto('MSG_NOTIFICACOES_LIDAS') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+notificacoesRouter.post('/:id/lida', async (req, res) => {
+    try {
+        const [result] = await pool.execute('UPDATE notifications SET lida = 1 WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ error: texto('NOTIFICACAO_NAO_ENCONTRADA') });
+        res.json({ message: texto('MSG_NOTIFICACAO_LIDA') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
@@ -0,0 +1,108 @@
+import express from 'express';
+import { pool } from './db.js';
+import { requireAuth } from './auth.js';
+import { REGRAS_PADRAO, INDICADORES_CLASSIFICAVEIS, validarRegras } from './classificacao.js';
+import { validarCorpo } from './validacao.js';
+import { texto } from './i18n.js';
+
+// --- PERFIS PESSOAIS DE CLASSIFICAÇÃO ---
+// Cada usuário pode ter vários perfis (ex: "Dividendos", "Crescimento"), com no máximo um ativo.
+// Sem perfil ativo valem só as regras padrão.
+export const perfisRouter = express.Router();
+perfisRouter.use(requireAuth);
+
+const toPerfilResponse = (row) => ({
+    id: row.id,
+    nome: row.nome,
+    regras: typeof row.regras === 'string' ? JSON.parse(row.regras) : row.regras,
+    ativo: Boolean(row.ativo),
+    criadoEm: row.created_at,
+    atualizadoEm: row.updated_at
+});
+
+// Perfil ativo do usuário ou null (usado pelas rotas que devolvem indicadores)
+export async function perfilAtivo(userId) {
+    const [rows] = await pool.execute('SELECT * FROM classification_profiles WHERE user_id = ? AND ativo = 1 LIMIT 1', [userId]);
+    return rows[0] ? toPerfilResponse(rows[0]) : null;
+}
+
+async function findOwnedProfile(userId, id) {
+    const [rows] = await pool.execute('SELECT * FROM classification_profiles WHERE id = ? AND user_id = ?', [id, userId]);
+    return rows[0] ? toPerfilResponse(rows[0]) : null;
+}
+
+async function ativarPerfil(userId, id) {
+    await pool.execute('UPDATE classification_profiles SET ativo = (id = ?) WHERE user_id = ?', [id, userId]);
+}
+
+// Regras padrão e indicadores aceitos: servem de modelo para montar um perfil
+perfisRouter.get('/padrao', (req, res) => {
+    res.json({ regras: REGRAS_PADRAO, indicadores: INDICADORES_CLASSIFICAVEIS });
+});
+
+perfisRouter.get('/', async (req, res) => {
+    try {
+        const [rows] = await pool.execute('SELECT * FROM classification_profiles WHERE user_id = ? ORDER BY created_at', [req.user.id]);
+        res.json(rows.map(toPerfilResponse));
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+const SCHEMA_PERFIL = { nome: { tipo: 'string', obrigatorio: true, max: 100 }, regras: { tipo: 'object', obrigatorio: true }, ativo: { tipo: 'boolean' } };
+const SCHEMA_ALTERACAO = { nome: { tipo: 'string', max: 100 }, regras: { tipo: 'object' } };
+
+perfisRouter.post('/', validarCorpo(SCHEMA_PERFIL), async (req, res) => {
+    const nome = req.body.nome.trim();
+    if (!nome) return res.status(400).json({ error: texto('NOME_PERFIL_OBRIGATORIO') });
+    const erro = validarRegras(req.body.regras);
+    if (erro) return res.status(400).json({ error: erro });
+    try {
+        const [result] = await pool.execute(
+            'INSERT INTO classification_profiles (user_id, nome, regras) VALUES (?, ?, ?)',
+            [req.user.id, nome, JSON.stringify(req.body.regras)]
+        );
+        if (req.body.ativo) await ativarPerfil(req.user.id, result.insertId);
+        res.status(201).json(await findOwnedProfile(req.user.id, result.insertId));
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+perfisRouter.put('/:id', validarCorpo(SCHEMA_ALTERACAO), async (req, res) => {
+    const nome = typeof req.body.nome === 'string' ? req.body.nome.trim() : undefined;
+    if (nome === '') return res.status(400).json({ error: texto('NOME_PERFIL_OBRIGATORIO') });
+    if (req.body.regras !== undefined) {
+        const erro = validarRegras(req.body.regras);
+        if (erro) return res.status(400).json({ error: erro });
+    }
+    try {
+        const perfil = await findOwnedProfile(req.user.id, req.params.id);
+        if (!perfil) return res.status(404).json({ error: texto('PERFIL_NAO_ENCONTRADO') });
+        await pool.execute(
+            'UPDATE classification_profiles SET nome = ?, regras = ? WHERE id = ?',
+            [nome ?? perfil.nome, JSON.stringify(req.body.regras ?? perfil.regras), perfil.id]
+        );
+        res.json(await findOwnedProfile(req.user.id, perfil.id));
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+perfisRouter.delete('/:id', async (req, res) => {
+    try {
+        const [result] = await pool.execute('DELETE FROM classification_profiles WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ error: texto('PERFIL_NAO_ENCONTRADO') });
+        res.json({ message: texto('MSG_PERFIL_REMOVIDO') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+perfisRouter.post('/:id/ativar', async (req, res) => {
+    try {
+        if (!(await findOwnedProfile(req.user.id, req.params.id))) return res.status(404).json({ error: texto('PERFIL_NAO_ENCONTRADO') });
+        await ativarPerfil(req.user.id, req.params.id);
+        res.json({ message: texto('MSG_PERFIL_ATIVADO') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+// Volta para as regras padrão
+perfisRouter.post('/desativar', async (req, res) => {
+    try {
+        await pool.execute('UPDATE classification_profiles SET ativo = 0 WHERE user_id = ?', [req.user.id]);
+        res.json({ message: texto('MSG_REGRAS_PADRAO') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
@@ -0,0 +1,60 @@
+import express from 'express';
+import { pool } from './db.js';
+import { requireAuth } from './auth.js';
+import { classificar } from './classificacao.js';
+import { perfilAtivo } from './perfis.js';
+import { aplicarValuation, validarPremissas, resolverPremissas, PREMISSAS_PADRAO } from './valuation.js';
+import { comValoresNumericos, texto } from './i18n.js';
+
+// --- PREFERÊNCIAS DO USUÁRIO APLICADAS AOS RESULTADOS ---
+// O payload do cache é o mesmo para todos; aqui ele ganha o perfil de classificação e as
+// premissas de valuation de quem está pedindo (e as premissas enviadas na própria requisição).
+export const preferenciasRouter = express.Router();
+preferenciasRouter.use(requireAuth);
+
+export async function premissasDoUsuario(userId) {
+    const [rows] = await pool.execute('SELECT premissas FROM valuation_params WHERE user_id = ?', [userId]);
+    if (!rows[0]) return {};
+    return typeof rows[0].premissas === 'string' ? JSON.parse(rows[0].premissas) : rows[0].premissas;
+}
+
+export async function carregarPreferencias(userId) {
+    const [perfil, premissas] = await Promise.all([perfilAtivo(userId), premissasDoUsuario(userId)]);
+    return { perfil, premissas };
+}
+
+// premissasRequisicao já validadas (validarPremissas) e com prioridade sobre as do usuário.
+// Cada card sai com `raw` (o número por trás do texto) para o front formatar no idioma escolhido.
+export function personalizar(tipo, dados, { perfil, premissas }, premissasRequisicao = {}) {
+    const classificado = comValoresNumericos(classificar(tipo, dados, perfil));
+    return tipo === 'acao' ? aplicarValuation(classificado, premissas, premissasRequisicao) : classificado;
+}
+
+// --- PREMISSAS DE VALUATION DO USUÁRIO ---
+preferenciasRouter.get('/valuation', async (req, res) => {
+    try {
+        const premissas = await premissasDoUsuario(req.user.id);
+        res.json({ padrao: PREMISSAS_PADRAO, usuario: premissas, efetivas: resolverPremissas(premissas) });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+// Substitui as premissas salvas; as que ficarem de fora voltam ao padrão
+preferenciasRouter.put('/valuation', async (req, res) => {
+    try {
+        const { error, premissas } = validarPremissas(req.body);
+        if (error) return res.status(400).json({ error });
+        await pool.execute(
+            `INSERT INTO valuation_params (user_id, premissas) VALUES (?, ?)
+             ON DUPLICATE KEY UPDATE premissas = VALUES(premissas)`,
+            [req.user.id, JSON.stringify(premissas)]
+        );
+        res.json({ padrao: PREMISSAS_PADRAO, usuario: premissas, efetivas: resolverPremissas(premissas) });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+preferenciasRouter.delete('/valuation', async (req, res) => {
+    try {
+        await pool.execute('DELETE FROM valuation_params WHERE user_id = ?', [req.user.id]);
+        res.json({ message: texto('MSG_PREMISSAS_PADRAO') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
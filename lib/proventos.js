@@ -0,0 +1,72 @@
+import express from 'express';
+import { requireAuth } from './auth.js';
+import { TIPOS_ATIVO, erroDeBusca } from './ativos.js';
+import { buscarVarios } from './comparar.js';
+import { strToNumber } from './indicadores.js';
+import { projetarRenda, calendarioProventos } from './analiseProventos.js';
+import { validarTicker } from './validacao.js';
+import { log } from './log.js';
+import { texto } from './i18n.js';
+
+// --- PROJEÇÃO DE PROVENTOS DE UMA CARTEIRA ---
+export const proventosRouter = express.Router();
+proventosRouter.use(requireAuth);
+
+export const MAX_POSICOES_PROJECAO = 30;
+
+// --- POSIÇÕES -> PROJEÇÃO ---
+// posicoes: [{ ticker, tipo, quantidade }]. Busca os ativos (cache ou scraping, pela fila compartilhada)
+// e devolve { projecao, calendario, semDados } (semDados = não encontrado ou sem histórico de proventos).
+export async function montarProjecao(posicoes, { signal = null, hoje = new Date() } = {}) {
+    const ativos = [];
+    const semDados = [];
+    for (const tipo of TIPOS_ATIVO) {
+        const doTipo = posicoes.filter(p => p.tipo === tipo);
+        if (doTipo.length === 0) continue;
+        const resultados = await buscarVarios(tipo, [...new Set(doTipo.map(p => p.ticker))], { signal });
+        for (const posicao of doTipo) {
+            const dados = resultados.find(r => r.ticker === posicao.ticker)?.cached?.data;
+            if (!dados?.proventos?.length) {
+                semDados.push(posicao.ticker);
+                continue;
+            }
+            ativos.push({ ...posicao, cotacao: strToNumber(dados.cotacao?.value), proventos: dados.proventos });
+        }
+    }
+    return { projecao: projetarRenda(ativos, hoje), calendario: calendarioProventos(ativos, hoje), semDados };
+}
+
+// Valida e normaliza { posicoes }. Retorna { error } ou { posicoes }.
+export function parsePosicoes(body) {
+    const lista = body.posicoes;
+    if (!Array.isArray(lista) || lista.length === 0) return { error: texto('POSICOES_OBRIGATORIAS') };
+    if (lista.length > MAX_POSICOES_PROJECAO) return { error: texto('POSICOES_MAXIMO', { max: MAX_POSICOES_PROJECAO }) };
+    const posicoes = [];
+    for (const p of lista) {
+        if (!p || typeof p !== 'object') return { error: texto('POSICAO_INVALIDA') };
+        const { error, ticker } = validarTicker(p.ticker);
+        if (error) return { error };
+        const tipo = p.tipo || 'acao';
+        if (!TIPOS_ATIVO.includes(tipo)) return { error: texto('TIPO_INVALIDO', { opcoes: TIPOS_ATIVO }) };
+        const quantidade = Number(p.quantidade);
+        if (!Number.isFinite(quantidade) || quantidade <= 0) return { error: texto('QUANTIDADE_INVALIDA_PARA', { ticker }) };
+        // O mesmo ativo em duas linhas vira uma posição só
+        const existente = posicoes.find(x => x.ticker === ticker && x.tipo === tipo);
+        if (existente) existente.quantidade += quantidade;
+        else posicoes.push({ ticker, tipo, quantidade });
+    }
+    return { posicoes };
+}
+
+// Projeção para posições avulsas (sem carteira salva). A de uma carteira fica em GET /watchlists/:id/proventos.
+proventosRouter.post('/', async (req, res) => {
+    const { error, posicoes } = parsePosicoes(req.body);
+    if (error) return res.status(400).json({ error, campo: 'posicoes' });
+    try {
+        res.json(await montarProjecao(posicoes, { signal: req.signal }));
+    } catch (error) {
+        if (erroDeBusca(req, res, error)) return;
+        log.error('Erro ao projetar proventos', { erro: error });
+        res.status(500).json({ error: texto('ERRO_PROJETAR_PROVENTOS') });
+    }
+});
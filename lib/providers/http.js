@@ -0,0 +1,42 @@
+import { parseHTML } from 'linkedom';
+
+// --- COLETA LEVE VIA HTTP (sem Chrome) ---
+// Baixa o HTML com fetch e roda o mesmo extrator do provider num DOM montado no servidor (linkedom).
+// Serve para páginas que já vêm com os dados no HTML; as que dependem de JavaScript ficam com o navegador.
+const PRAZO_HTTP_MS = Number(process.env.SCRAPER_HTTP_PRAZO_MS) || 20000;
+
+const CABECALHOS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml',
+    'Accept-Language': 'pt-BR,pt;q=0.9'
+};
+
+// Executa o extrator como o page.evaluate faria: o código da função roda com `document` apontando para o DOM
+export function extrairDeHtml(html, extrator) {
+    const { document } = parseHTML(html);
+    return new Function('document', `return (${extrator.toString()})();`)(document);
+}
+
+export async function baixarHtml(url, { signal = null, prazoMs = PRAZO_HTTP_MS } = {}) {
+    const prazo = AbortSignal.timeout(prazoMs);
+    try {
+        const response = await fetch(url, {
+            headers: CABECALHOS,
+            redirect: 'follow',
+            signal: signal ? AbortSignal.any([signal, prazo]) : prazo
+        });
+        return { status: response.status, html: response.ok ? await response.text() : null };
+    } catch (e) {
+        if (signal?.aborted) throw signal.reason;
+        if (prazo.aborted) throw new Error(`Prazo de ${Math.round(prazoMs / 1000)}s esgotado na requisição HTTP.`);
+        throw e;
+    }
+}
+
+// { encontrada, dados }: encontrada = false quando a página não existe (404), como o navegador trataria
+export async function fetchHttp(provider, ticker, { signal } = {}) {
+    const { status, html } = await baixarHtml(provider.url(ticker), { signal });
+    if (status === 404) return { encontrada: false, dados: {} };
+    if (!html) throw new Error(`HTTP ${status} em ${provider.url(ticker)}`);
+    return { encontrada: true, dados: extrairDeHtml(html, provider.extrator) };
+}
@@ -0,0 +1,241 @@
+import { investidor10Acoes, investidor10Fiis } from './investidor10.js';
+import { xpiAcoes } from './xpi.js';
+import { fetchHttp } from './http.js';
+import { log } from '../log.js';
+import { contador, histograma } from '../metricas.js';
+import { texto } from '../i18n.js';
+
+// --- REGISTRO DE PROVIDERS DE DADOS ---
+// Cada provider declara { id, nome, tipo, url, extrator, campos, seletores, fetch(ticker, { signal }) }.
+// O fetch pede uma aba ao pool (comPagina em lib/browser.js), que cuida de limite, prazo e limpeza.
+// A ordem da lista é a prioridade: para cada campo vale o primeiro provider que trouxe valor.
+// Provider com `http: false` nunca usa a coleta leve via HTTP (página que só monta os dados com JavaScript).
+const DESATIVADOS = new Set((process.env.PROVIDERS_DESATIVADOS || '').split(',').map(s => s.trim()).filter(Boolean));
+
+export const PROVIDERS = {
+    acao: [investidor10Acoes, xpiAcoes],
+    fii: [investidor10Fiis]
+};
+
+// Depois de N falhas seguidas o provider fica "em pausa" por um tempo para não atrasar as buscas
+const FALHAS_PARA_PAUSAR = 3;
+const PAUSA_MS = 5 * 60 * 1000;
+
+// --- MODO DE COLETA ---
+// navegador: só Puppeteer | http: só HTML via fetch (sem Chrome) | auto: HTTP primeiro e navegador se falhar
+export const MODOS_COLETA = ['auto', 'http', 'navegador'];
+export const MODO_PADRAO = MODOS_COLETA.includes(process.env.SCRAPER_MODO) ? process.env.SCRAPER_MODO : 'auto';
+
+// Modo vindo da requisição (opcional). Retorna a mensagem de erro ou null.
+export function validarModo(modo) {
+    if (modo === undefined || MODOS_COLETA.includes(modo)) return null;
+    return texto('MODO_COLETA_INVALIDO', { opcoes: MODOS_COLETA });
+}
+
+const saude = new Map(); // `${tipo}:${id}` -> estado de saúde
+
+function getSaude(provider) {
+    const key = `${provider.tipo}:${provider.id}`;
+    if (!saude.has(key)) {
+        saude.set(key, { sucessos: 0, falhas: 0, falhasSeguidas: 0, ultimoSucesso: null, ultimaFalha: null, ultimoErro: null, latenciaMs: null, viaHttp: 0, viaNavegador: 0, fallbacks: 0 });
+    }
+    return saude.get(key);
+}
+
+function statusDe(provider) {
+    if (DESATIVADOS.has(provider.id)) return 'desativado';
+    const s = getSaude(provider);
+    if (s.falhasSeguidas >= FALHAS_PARA_PAUSAR && Date.now() - s.ultimaFalha < PAUSA_MS) return 'em_pausa';
+    return s.falhasSeguidas > 0 ? 'instavel' : 'ok';
+}
+
+// Segundos até o provider sair da pausa (arredondado para cima)
+function segundosDePausa(provider) {
+    return Math.max(1, Math.ceil((getSaude(provider).ultimaFalha + PAUSA_MS - Date.now()) / 1000));
+}
+
+const temValor = (v) => v !== null && v !== undefined && v !== '' && v !== '-';
+// Para completude e taxa de campos vazios, lista vazia (ex: sem proventos na página) também conta como vazio
+const preenchido = (v) => temValor(v) && !(Array.isArray(v) && v.length === 0);
+
+// --- MÉTRICAS DE COLETA (GET /metrics) ---
+// Taxa de campos vazios de um provider = campos_vazios_total / campos_total (por campo)
+const metricaDuracao = histograma('invista_coleta_duracao_segundos', 'Duração da coleta por provider (resultado: ok, erro, cancelado).');
+const metricaColetas = contador('invista_coleta_total', 'Coletas por provider e resultado (ok, erro, cancelado, em_pausa).');
+const metricaModos = contador('invista_coleta_modo_total', 'Coletas bem-sucedidas por modo (http ou navegador).');
+const metricaFallbacks = contador('invista_coleta_fallbacks_total', 'Coletas em que o HTTP falhou e o navegador foi usado.');
+const metricaCampos = contador('invista_coleta_campos_total', 'Campos esperados em coletas bem-sucedidas, por provider.');
+const metricaCamposVazios = contador('invista_coleta_campos_vazios_total', 'Campos que vieram vazios em coletas bem-sucedidas, por provider.');
+const metricaCompletude = histograma('invista_coleta_completude', 'Fração dos campos esperados preenchida em cada coleta (0 a 1).', [0.25, 0.5, 0.75, 0.9, 0.99, 1]);
+
+// Busca os campos do provider no modo pedido. Retorna { dados, modo } com o modo que de fato foi usado.
+async function buscarNoProvider(provider, ticker, { signal, modo }) {
+    const s = getSaude(provider);
+    const viaNavegador = async () => {
+        const dados = await provider.fetch(ticker, { signal });
+        s.viaNavegador++;
+        return { dados, modo: 'navegador' };
+    };
+    if (modo === 'navegador' || provider.http === false) return viaNavegador();
+
+    let motivo;
+    try {
+        const { encontrada, dados } = await fetchHttp(provider, ticker, { signal });
+        // Página inexistente é resposta válida; página sem nenhum campo provavelmente depende de JavaScript
+        if (modo === 'http' || !encontrada || provider.campos.some(c => temValor(dados[c]))) {
+            s.viaHttp++;
+            return { dados, modo: 'http' };
+        }
+        motivo = 'nenhum campo no HTML';
+    } catch (e) {
+        if (modo === 'http' || signal?.aborted) throw e;
+        motivo = e.message;
+    }
+    s.fallbacks++;
+    metricaFallbacks.inc({ tipo: provider.tipo, provider: provider.id });
+    log.info('Coleta via HTTP falhou; usando o navegador', { provider: provider.id, ticker, motivo });
+    return viaNavegador();
+}
+
+// Conta a coleta, a duração e, se deu certo, quais campos vieram vazios
+function medirColeta(provider, resultado, inicio, modo = null, dados = null) {
+    const rotulos = { tipo: provider.tipo, provider: provider.id };
+    metricaColetas.inc({ ...rotulos, resultado });
+    if (inicio !== null) metricaDuracao.observar({ ...rotulos, resultado }, (Date.now() - inicio) / 1000);
+    if (!dados) return;
+    metricaModos.inc({ ...rotulos, modo });
+    for (const campo of provider.campos) {
+        metricaCampos.inc({ ...rotulos, campo });
+        if (!preenchido(dados[campo])) metricaCamposVazios.inc({ ...rotulos, campo });
+    }
+}
+
+async function chamarProvider(provider, ticker, opcoes) {
+    const status = statusDe(provider);
+    if (status === 'desativado') return { status };
+    if (status === 'em_pausa') {
+        medirColeta(provider, status, null);
+        return { status };
+    }
+
+    const s = getSaude(provider);
+    const inicio = Date.now();
+    try {
+        const { dados, modo } = await buscarNoProvider(provider, ticker, opcoes);
+        s.sucessos++;
+        s.falhasSeguidas = 0;
+        s.ultimoSucesso = Date.now();
+        s.latenciaMs = Date.now() - inicio;
+        medirColeta(provider, 'ok', inicio, modo, dados || {});
+        return { status: 'ok', modo, dados: dados || {} };
+    } catch (e) {
+        // Cliente desistiu da busca: não é falha do provider
+        if (e.code === 'CANCELADO') {
+            medirColeta(provider, 'cancelado', inicio);
+            return { status: 'cancelado', erro: e.message };
+        }
+        medirColeta(provider, 'erro', inicio);
+        log.error('Erro no provider', { provider: provider.id, ticker, erro: e.message, codigo: e.code, duracaoMs: Date.now() - inicio });
+        s.falhas++;
+        s.falhasSeguidas++;
+        s.ultimaFalha = Date.now();
+        s.ultimoErro = e.message;
+        return { status: 'erro', erro: e.message, causa: e };
+    }
+}
+
+// Consulta todos os providers do tipo em paralelo e junta os campos seguindo a prioridade.
+// Busca cancelada, sem nenhum provider dentro do prazo, com todos falhando ou com todos em pausa vira erro
+// (e não "ativo não encontrado"). Em pausa: code PROVIDERS_EM_PAUSA e retryAfterSeg até o primeiro voltar.
+export async function coletarDados(tipo, ticker, { signal = null, modo = MODO_PADRAO } = {}) {
+    const providers = PROVIDERS[tipo];
+    const resultados = await Promise.all(providers.map(p => chamarProvider(p, ticker, { signal, modo })));
+
+    if (signal?.aborted) throw signal.reason;
+    if (!resultados.some(r => r.status === 'ok')) {
+        const prazo = resultados.find(r => r.causa?.code === 'PRAZO_ESGOTADO');
+        if (prazo) throw prazo.causa;
+        const falhas = resultados.filter(r => r.status === 'erro');
+        if (falhas.length > 0) {
+            const erro = new Error(`Nenhum provider respondeu para ${ticker}: ${falhas.map(r => r.erro).join('; ')}`);
+            erro.code = 'COLETA_FALHOU';
+            throw erro;
+        }
+        const pausados = providers.filter((p, i) => resultados[i].status === 'em_pausa');
+        if (pausados.length > 0) {
+            const erro = new Error(`Todos os providers de ${tipo} estão em pausa após falhas seguidas`);
+            erro.code = 'PROVIDERS_EM_PAUSA';
+            erro.retryAfterSeg = Math.min(...pausados.map(segundosDePausa));
+            throw erro;
+        }
+    }
+
+    const dados = {};
+    const fontes = {};
+    providers.forEach((provider, i) => {
+        if (resultados[i].status !== 'ok') return;
+        for (const campo of provider.campos) {
+            const valor = resultados[i].dados[campo];
+            if (!temValor(dados[campo]) && temValor(valor)) {
+                dados[campo] = valor;
+                fontes[campo] = provider.id;
+            }
+        }
+    });
+
+    const completude = calcularCompletude(tipo, dados);
+    metricaCompletude.observar({ tipo }, completude.score / 100);
+    if (completude.score < 50) log.warn('Coleta incompleta', { tipo, ticker, completude: completude.score, faltando: completude.faltando });
+
+    return {
+        dados,
+        fontes,
+        completude,
+        providers: providers.map((p, i) => ({
+            id: p.id,
+            status: resultados[i].status,
+            ...(resultados[i].modo ? { modo: resultados[i].modo } : {}),
+            ...(resultados[i].erro ? { erro: resultados[i].erro } : {})
+        }))
+    };
+}
+
+// --- COMPLETUDE DA COLETA ---
+// Esperados = campos de todos os providers do tipo que não foram desativados por configuração.
+// Provider em pausa ou com erro derruba a nota: os campos dele faltam na resposta.
+// Retorna { score (0-100), preenchidos, esperados, faltando: [campo] }
+export function calcularCompletude(tipo, dados) {
+    const esperados = [...new Set(PROVIDERS[tipo].filter(p => !DESATIVADOS.has(p.id)).flatMap(p => p.campos))];
+    const faltando = esperados.filter(campo => !preenchido(dados[campo]));
+    const preenchidos = esperados.length - faltando.length;
+    return {
+        score: esperados.length > 0 ? Math.round(preenchidos / esperados.length * 100) : 100,
+        preenchidos,
+        esperados: esperados.length,
+        faltando
+    };
+}
+
+// Estado de todos os providers para a rota /providers
+export function providersStatus() {
+    return Object.values(PROVIDERS).flat().map(provider => {
+        const s = getSaude(provider);
+        return {
+            id: provider.id,
+            nome: provider.nome,
+            tipo: provider.tipo,
+            campos: provider.campos,
+            status: statusDe(provider),
+            sucessos: s.sucessos,
+            falhas: s.falhas,
+            falhasSeguidas: s.falhasSeguidas,
+            latenciaMs: s.latenciaMs,
+            viaHttp: s.viaHttp,
+            viaNavegador: s.viaNavegador,
+            fallbacks: s.fallbacks,
+            ultimoSucesso: s.ultimoSucesso ? new Date(s.ultimoSucesso).toISOString() : null,
+            ultimaFalha: s.ultimaFalha ? new Date(s.ultimaFalha).toISOString() : null,
+            ultimoErro: s.ultimoErro
+        };
+    });
+}
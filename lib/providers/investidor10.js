@@ -0,0 +1,181 @@
+import { comPagina } from '../browser.js';
+import { log } from '../log.js';
+
+// --- PROVIDER INVESTIDOR10 ---
+// As funções extrair* rodam dentro da página (page.evaluate), por isso não podem usar nada de fora delas.
+
+export function extrairAcao() {
+    const getTextFromTickerCard = (cardClass) => document.querySelector(`#cards-ticker ._card.${cardClass} ._card-body span`)?.innerText.trim() || null;
+    
+    const findCellText = (label) => {
+        const normalizedLabel = label.toLowerCase().trim();
+        let spans = Array.from(document.querySelectorAll('#table-indicators .cell span:first-child'));
+        let found = spans.find(s => (s.innerText || '').trim().toLowerCase() === normalizedLabel);
+        if (found) return found?.closest('.cell')?.querySelector('.value span')?.innerText.trim() || null;
+        
+        spans = Array.from(document.querySelectorAll('.cell span:first-child'));
+        found = spans.find(s => (s.innerText || '').trim().toLowerCase() === normalizedLabel);
+        if (found) return found?.closest('.cell')?.querySelector('.value span, .value')?.innerText.trim() || null;
+        
+        return null;
+    };
+
+    const findLinkedCellText = (label) => {
+        const spans = Array.from(document.querySelectorAll('.cell a[href*="/setores/"] span.title'));
+        const found = spans.find(s => (s.innerText || '').trim().toLowerCase() === label.toLowerCase());
+        return found?.closest('a')?.querySelector('.value')?.innerText.trim() || null;
+    };
+
+    const findDyMedio5Anos = () => {
+        const h3s = Array.from(document.querySelectorAll('.dy-history h3.box-span'));
+        const found = h3s.find(h => (h.innerText || '').includes('DY médio em 5 anos'));
+        return found?.querySelector('span')?.innerText.trim() || null;
+    };
+
+    // Dividendos e JCP (mais recente primeiro): Tipo | Data com | Pagamento | Valor. Anunciado sem data de pagamento vem "-".
+    const findProventos = () => {
+        const linhas = Array.from(document.querySelectorAll('#table-dividends-history tbody tr'));
+        if (linhas.length === 0) return null;
+        return linhas.map(tr => {
+            const cols = Array.from(tr.querySelectorAll('td')).map(td => (td.innerText || '').trim());
+            return { tipo: cols[0] || null, dataCom: cols[1] || null, pagamento: cols[2] || null, valor: cols[3] || null };
+        }).filter(r => r.valor);
+    };
+
+    return {
+        cotacao: getTextFromTickerCard('cotacao'),
+        pvp: findCellText('p/vp'),
+        pl: findCellText('p/l'),
+        dy: getTextFromTickerCard('dy'),
+        vpa: findCellText('vpa'),
+        lpa: findCellText('lpa'),
+        roe: findCellText('roe'),
+        margemLiquida: findCellText('margem líquida'),
+        // dividaLiquidaEbit REMOVIDO
+        cagrLucros: findCellText('cagr lucros 5 anos'),
+        setor: findLinkedCellText('setor'),
+        segmento: findLinkedCellText('segmento'),
+        dy5Anos: findDyMedio5Anos(),
+        // evEbitda REMOVIDO
+        // pEbitda REMOVIDO
+        // pAtivo REMOVIDO
+        margemBruta: findCellText('margem bruta'),
+        // margemEbit REMOVIDO
+        margemEbitda: findCellText('margem ebitda'),
+        roic: findCellText('roic'),
+        dividaLiquidaEbitda: findCellText('dívida líquida / ebitda'),
+        dividaLiquidaPatrimonio: findCellText('dívida líquida / patrimônio'),
+        liquidezCorrente: findCellText('liquidez corrente'),
+        payout: findCellText('payout'),
+        giroAtivos: findCellText('giro ativos'),
+        roa: findCellText('roa'),
+        proventos: findProventos()
+    };
+}
+
+export function extrairFii() {
+    const getTextFromTickerCard = (cardClass) => document.querySelector(`#cards-ticker ._card.${cardClass} ._card-body span`)?.innerText.trim() || null;
+    const findTextByLabel = (label) => {
+        const normalizedLabel = label.toLowerCase().trim();
+        let allSpans = Array.from(document.querySelectorAll('.desc .name'));
+        let foundSpan = allSpans.find(s => (s.innerText || '').trim().toLowerCase() === normalizedLabel);
+        if (foundSpan) return foundSpan.closest('.desc')?.querySelector('.value span')?.innerText.trim() || null;
+        allSpans = Array.from(document.querySelectorAll('.content--info--item--title'));
+        foundSpan = allSpans.find(s => (s.innerText || '').trim().toLowerCase() === normalizedLabel);
+        if (foundSpan) return foundSpan.closest('.content--info--item')?.querySelector('.content--info--item--value')?.innerText.trim() || null;
+        allSpans = Array.from(document.querySelectorAll('.cell span:first-child'));
+        foundSpan = allSpans.find(s => (s.innerText || '').trim().toLowerCase() === normalizedLabel);
+        if (foundSpan) return foundSpan.closest('.cell')?.querySelector('.value span, .value')?.innerText.trim() || null;
+        return null;
+    };
+    // Tabela de distribuições (mais recente primeiro): Tipo | Data com | Pagamento | Valor
+    const findRendimentos = () => {
+        const linhas = Array.from(document.querySelectorAll('#table-dividends-history tbody tr'));
+        if (linhas.length === 0) return null;
+        return linhas.map(tr => {
+            const cols = Array.from(tr.querySelectorAll('td')).map(td => (td.innerText || '').trim());
+            return { tipo: cols[0] || null, dataCom: cols[1] || null, pagamento: cols[2] || null, valor: cols[3] || null };
+        }).filter(r => r.valor);
+    };
+    return {
+        cotacao: getTextFromTickerCard('cotacao'), 
+        pvp: getTextFromTickerCard('vp'), 
+        dy: getTextFromTickerCard('dy'),
+        liquidezDiaria: getTextFromTickerCard('val'),
+        ultimoRendimento: findTextByLabel('último rendimento'), 
+        y1m: findTextByLabel('yield 1 mês'),
+        valorPatrimonial: findTextByLabel('valor patrimonial'),
+        vpa: findTextByLabel('val. patrimonial p/ cota'),
+        vacancia: findTextByLabel('vacância'),
+        numCotistas: findTextByLabel('numero de cotistas'),
+        cotasEmitidas: findTextByLabel('cotas emitidas'),
+        segmento: findTextByLabel('segmento'),
+        tipoFundo: findTextByLabel('tipo de fundo'),
+        tipoGestao: findTextByLabel('tipo de gestão'),
+        taxaAdm: findTextByLabel('taxa de administração'),
+        rendimentos: findRendimentos(),
+        // valorMercado REMOVIDO
+    };
+}
+
+export const investidor10Acoes = {
+    id: 'investidor10',
+    nome: 'Investidor10',
+    tipo: 'acao',
+    url: (ticker) => `https://investidor10.com.br/acoes/${ticker.toLowerCase()}/`,
+    extrator: extrairAcao,
+    campos: [
+        'cotacao', 'pvp', 'pl', 'dy', 'vpa', 'lpa', 'roe', 'margemLiquida', 'cagrLucros', 'setor', 'segmento',
+        'dy5Anos', 'margemBruta', 'margemEbitda', 'roic', 'dividaLiquidaEbitda', 'dividaLiquidaPatrimonio',
+        'liquidezCorrente', 'payout', 'giroAtivos', 'roa', 'proventos'
+    ],
+    // Seletores usados por extrairAcao e os campos que dependem de cada um (relatório de drift)
+    seletores: [
+        { seletor: '#cards-ticker ._card ._card-body span', campos: ['cotacao', 'dy'] },
+        { seletor: '#table-indicators .cell span:first-child', campos: ['pvp', 'pl', 'vpa', 'lpa', 'roe', 'margemLiquida', 'cagrLucros', 'margemBruta', 'margemEbitda', 'roic', 'dividaLiquidaEbitda', 'dividaLiquidaPatrimonio', 'liquidezCorrente', 'payout', 'giroAtivos', 'roa'] },
+        { seletor: '.cell a[href*="/setores/"] span.title', campos: ['setor', 'segmento'] },
+        { seletor: '.dy-history h3.box-span', campos: ['dy5Anos'] },
+        { seletor: '#table-dividends-history tbody tr', campos: ['proventos'] }
+    ],
+    fetch(ticker, { signal } = {}) {
+        return comPagina(async (page) => {
+            log.info('Abrindo página no navegador', { provider: 'investidor10', ticker });
+            await page.goto(investidor10Acoes.url(ticker), { waitUntil: 'domcontentloaded', timeout: 60000 });
+            
+            await Promise.all([
+                 page.waitForSelector('#cards-ticker', { timeout: 30000 }).catch(() => {}),
+                 page.waitForSelector('#table-indicators', { timeout: 30000 }).catch(() => {})
+            ]);
+            await page.waitForSelector('#table-dividends-history tbody tr', { timeout: 5000 }).catch(() => {});
+
+            return await page.evaluate(extrairAcao);
+        }, { signal });
+    }
+};
+
+export const investidor10Fiis = {
+    id: 'investidor10',
+    nome: 'Investidor10',
+    tipo: 'fii',
+    url: (ticker) => `https://investidor10.com.br/fiis/${ticker.toLowerCase()}/`,
+    extrator: extrairFii,
+    campos: [
+        'cotacao', 'pvp', 'dy', 'liquidezDiaria', 'ultimoRendimento', 'y1m', 'valorPatrimonial', 'vpa', 'vacancia',
+        'numCotistas', 'cotasEmitidas', 'segmento', 'tipoFundo', 'tipoGestao', 'taxaAdm', 'rendimentos'
+    ],
+    seletores: [
+        { seletor: '#cards-ticker ._card ._card-body span', campos: ['cotacao', 'pvp', 'dy', 'liquidezDiaria'] },
+        { seletor: '.content--info--item--title', campos: ['ultimoRendimento', 'y1m'] },
+        { seletor: '.desc .name', campos: ['valorPatrimonial', 'vpa', 'vacancia', 'numCotistas', 'cotasEmitidas', 'segmento', 'tipoFundo', 'tipoGestao', 'taxaAdm'] },
+        { seletor: '#table-dividends-history tbody tr', campos: ['rendimentos'] }
+    ],
+    fetch(ticker, { signal } = {}) {
+        return comPagina(async (page) => {
+            await page.goto(investidor10Fiis.url(ticker), { waitUntil: 'domcontentloaded', timeout: 45000 });
+            try { await page.waitForSelector('#cards-ticker', { timeout: 20000 }); } catch (e) {}
+            try { await page.waitForSelector('#table-dividends-history tbody tr', { timeout: 5000 }); } catch (e) {}
+
+            return await page.evaluate(extrairFii);
+        }, { signal });
+    }
+};
@@ -0,0 +1,54 @@
+import { comPagina } from '../browser.js';
+
+// --- PROVIDER XP INVESTIMENTOS (research público) ---
+// A página de análise da XP mostra recomendação, preço-alvo, potencial e risco de cada ação coberta.
+
+export function extrairXpi() {
+    const normalize = (txt) => (txt || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+    // Procura um elemento "folha" com o rótulo e devolve o texto do próximo irmão (ou do pai, sem o rótulo)
+    const findByLabel = (labels) => {
+        const wanted = labels.map(normalize);
+        const leaves = Array.from(document.querySelectorAll('body *')).filter(el => el.children.length === 0);
+        for (const el of leaves) {
+            const text = normalize(el.innerText);
+            if (!wanted.includes(text)) continue;
+            const sibling = el.nextElementSibling || el.parentElement?.nextElementSibling;
+            const value = sibling?.innerText?.trim();
+            if (value) return value;
+            const parentText = el.parentElement?.innerText?.trim() || '';
+            const rest = parentText.slice(el.innerText.length).trim();
+            if (rest) return rest;
+        }
+        return null;
+    };
+
+    return {
+        cotacao: findByLabel(['preço atual', 'cotação', 'cotação atual']),
+        xpiRecomendacao: findByLabel(['recomendação']),
+        xpiPrecoAlvo: findByLabel(['preço-alvo', 'preço alvo', 'preço-alvo (r$)']),
+        xpiPotencial: findByLabel(['potencial', 'upside', 'potencial de valorização']),
+        xpiRisco: findByLabel(['risco', 'nível de risco'])
+    };
+}
+
+export const xpiAcoes = {
+    id: 'xpi',
+    nome: 'XP Investimentos',
+    tipo: 'acao',
+    url: (ticker) => `https://conteudos.xpi.com.br/acoes/${ticker.toLowerCase()}/`,
+    extrator: extrairXpi,
+    campos: ['cotacao', 'xpiRecomendacao', 'xpiPrecoAlvo', 'xpiPotencial', 'xpiRisco'],
+    // A XP não tem classes estáveis: o extrator procura pelos rótulos em qualquer elemento de texto
+    seletores: [
+        { seletor: 'body *', campos: ['cotacao', 'xpiRecomendacao', 'xpiPrecoAlvo', 'xpiPotencial', 'xpiRisco'] }
+    ],
+    fetch(ticker, { signal } = {}) {
+        return comPagina(async (page) => {
+            const response = await page.goto(xpiAcoes.url(ticker), { waitUntil: 'domcontentloaded', timeout: 30000 });
+            // Ação sem cobertura da XP: não é erro do provider, só não há dados
+            if (response && response.status() === 404) return {};
+            return await page.evaluate(extrairXpi);
+        }, { signal });
+    }
+};
@@ -0,0 +1,245 @@
+import express from 'express';
+import { pool } from './db.js';
+import { requireAuth } from './auth.js';
+import { aoColetar, buscarAtivo } from './ativos.js';
+import { strToNumber } from './indicadores.js';
+import { log } from './log.js';
+import { texto } from './i18n.js';
+
+// --- SCREENER DE AÇÕES ---
+// Todo scraping de ação alimenta a tabela screener_acoes (um registro por ticker, só números).
+// A tarefa diária percorre o universo configurado para manter a base completa e atualizada.
+export const screenerRouter = express.Router();
+screenerRouter.use(requireAuth);
+
+// campo do payload -> coluna. texto = filtro só por igualdade. Coluna nova precisa de migração em lib/migracoes.
+export const CAMPOS_SCREENER = {
+    ticker: { coluna: 'ticker', texto: true, label: 'Ticker' },
+    setor: { coluna: 'setor', texto: true, label: 'Setor' },
+    segmento: { coluna: 'segmento', texto: true, label: 'Segmento' },
+    cotacao: { coluna: 'cotacao', label: 'Cotação' },
+    pl: { coluna: 'pl', label: 'P/L' },
+    pvp: { coluna: 'pvp', label: 'P/VP' },
+    dy: { coluna: 'dy', label: 'DY (%)' },
+    dy5Anos: { coluna: 'dy_5_anos', label: 'DY Médio 5A (%)' },
+    payout: { coluna: 'payout', label: 'Payout (%)' },
+    roe: { coluna: 'roe', label: 'ROE (%)' },
+    roic: { coluna: 'roic', label: 'ROIC (%)' },
+    roa: { coluna: 'roa', label: 'ROA (%)' },
+    margemLiquida: { coluna: 'margem_liquida', label: 'Margem Líquida (%)' },
+    margemEbitda: { coluna: 'margem_ebitda', label: 'Margem EBITDA (%)' },
+    dividaLiquidaEbitda: { coluna: 'divida_liquida_ebitda', label: 'Dív. Líq./EBITDA' },
+    dividaLiquidaPatrimonio: { coluna: 'divida_liquida_patrimonio', label: 'Dív. Líq./Patrimônio' },
+    liquidezCorrente: { coluna: 'liquidez_corrente', label: 'Liquidez Corrente' },
+    cagrLucros: { coluna: 'cagr_lucros', label: 'CAGR Lucros 5A (%)' },
+    lpa: { coluna: 'lpa', label: 'LPA' },
+    vpa: { coluna: 'vpa', label: 'VPA' },
+    // Calculado: lucro por ação / cotação (inverso do P/L), aproximação do EBIT/EV da Magic Formula
+    earningsYield: { coluna: 'earnings_yield', label: 'Earnings Yield (%)', calculado: true }
+};
+
+const NUMERICOS = Object.keys(CAMPOS_SCREENER).filter(c => !CAMPOS_SCREENER[c].texto);
+const OPERADORES_FILTRO = ['<=', '>=', '!=', '<', '>', '='];
+
+// --- RANKINGS ---
+// Soma das posições em cada critério (menor soma = melhor). Ativos sem algum critério ficam de fora.
+export const RANKINGS = {
+    magicFormula: {
+        nome: 'Magic Formula (Greenblatt)',
+        descricao: 'Soma das posições por ROIC e por earnings yield. Exclui o setor financeiro e quem tem lucro negativo.',
+        criterios: [{ campo: 'roic', ordem: 'desc' }, { campo: 'earningsYield', ordem: 'desc' }],
+        excluirSetores: ['Financeiro e Outros'],
+        exigirPositivos: ['earningsYield', 'roic']
+    },
+    dividendos: {
+        nome: 'Dividendos com qualidade',
+        descricao: 'Soma das posições por DY, ROE e menor Dív. Líq./EBITDA.',
+        criterios: [{ campo: 'dy', ordem: 'desc' }, { campo: 'roe', ordem: 'desc' }, { campo: 'dividaLiquidaEbitda', ordem: 'asc' }],
+        excluirSetores: [],
+        exigirPositivos: ['dy']
+    }
+};
+
+// Universo padrão: ações líquidas da B3. SCREENER_UNIVERSO="PETR4,VALE3,..." substitui a lista.
+const UNIVERSO_PADRAO = [
+    'PETR4', 'VALE3', 'ITUB4', 'BBDC4', 'BBAS3', 'ABEV3', 'WEGE3', 'B3SA3', 'ITSA4', 'BBSE3',
+    'SANB11', 'BPAC11', 'ELET3', 'EGIE3', 'TAEE11', 'CMIG4', 'CPLE6', 'SBSP3', 'CSMG3', 'SAPR11',
+    'VIVT3', 'TIMS3', 'RADL3', 'RENT3', 'LREN3', 'MGLU3', 'SUZB3', 'KLBN11', 'GGBR4', 'CSNA3',
+    'USIM5', 'GOAU4', 'PRIO3', 'RECV3', 'UGPA3', 'VBBR3', 'CSAN3', 'JBSS3', 'BRFS3', 'MRFG3',
+    'SLCE3', 'SMTO3', 'EMBR3', 'TOTS3', 'FLRY3', 'HYPE3', 'CYRE3', 'DIRR3', 'MULT3', 'ALOS3',
+    'GRND3', 'LEVE3', 'POMO4', 'TUPY3', 'CMIN3', 'UNIP6', 'ODPV3', 'PSSA3', 'CXSE3', 'ABCB4'
+];
+
+export function universoScreener() {
+    const lista = (process.env.SCREENER_UNIVERSO || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    return lista.length ? [...new Set(lista)] : UNIVERSO_PADRAO;
+}
+
+// Payload de /buscar -> linha do screener (números crus; '-' vira null)
+export function linhaDoPayload(dados) {
+    const valorDe = (cell) => (cell?.value && cell.value !== '-' ? cell.value : null);
+    const linha = { ticker: dados.ticker.toUpperCase(), setor: valorDe(dados.setor), segmento: valorDe(dados.segmento) };
+    for (const campo of NUMERICOS) {
+        if (!CAMPOS_SCREENER[campo].calculado) linha[campo] = strToNumber(dados[campo]?.value);
+    }
+    linha.earningsYield = linha.lpa !== null && linha.cotacao > 0 ? Number((linha.lpa / linha.cotacao * 100).toFixed(4)) : null;
+    return linha;
+}
+
+export async function salvarNoScreener(tipo, dados) {
+    if (tipo !== 'acao') return;
+    const linha = linhaDoPayload(dados);
+    const campos = Object.keys(CAMPOS_SCREENER);
+    const colunas = campos.map(c => CAMPOS_SCREENER[c].coluna);
+    await pool.execute(
+        `INSERT INTO screener_acoes (${colunas.join(', ')}) VALUES (${colunas.map(() => '?').join(', ')})
+         ON DUPLICATE KEY UPDATE ${colunas.filter(c => c !== 'ticker').map(c => `${c} = VALUES(${c})`).join(', ')}, updated_at = CURRENT_TIMESTAMP`,
+        campos.map(c => linha[c] ?? null)
+    );
+}
+
+aoColetar(salvarNoScreener);
+
+// Tarefa diária: scraping novo de cada ação do universo (o ouvinte acima grava no screener)
+export async function atualizarScreener() {
+    const universo = universoScreener();
+    log.info('Atualizando screener', { acoes: universo.length });
+    let encontrados = 0;
+    for (const ticker of universo) {
+        try {
+            if (await buscarAtivo('acao', ticker, { forcar: true })) encontrados++;
+            else log.warn('Ação não encontrada na atualização do screener', { ticker });
+        } catch (e) {
+            log.error('Erro ao atualizar ação no screener', { ticker, erro: e.message });
+        }
+    }
+    log.info('Screener atualizado', { encontrados, acoes: universo.length });
+}
+
+// --- FILTROS, ORDENAÇÃO E PAGINAÇÃO ---
+// "pl>0; pl<15; dy>=6; setor=Bancos" -> [{ campo, op, valor }]. Retorna { error } ou { filtros }.
+export function parseFiltros(expressao) {
+    const filtros = [];
+    const partes = String(expressao || '').split(';').map(s => s.trim()).filter(Boolean);
+    for (const parte of partes) {
+        const m = /^([a-zA-Z0-9]+)\s*(<=|>=|!=|<|>|=)\s*(.+)$/.exec(parte);
+        if (!m) return { error: texto('FILTRO_INVALIDO', { filtro: parte, opcoes: OPERADORES_FILTRO }) };
+        const [, campo, op, bruto] = m;
+        if (!Object.hasOwn(CAMPOS_SCREENER, campo)) return { error: texto('FILTRO_CAMPO_DESCONHECIDO', { campo }) };
+        if (CAMPOS_SCREENER[campo].texto) {
+            if (op !== '=' && op !== '!=') return { error: texto('FILTRO_SO_IGUALDADE', { campo }) };
+            filtros.push({ campo, op, valor: bruto.trim() });
+            continue;
+        }
+        const valor = Number(bruto.trim().replace(',', '.'));
+        if (!Number.isFinite(valor)) return { error: texto('FILTRO_VALOR_INVALIDO', { filtro: parte }) };
+        filtros.push({ campo, op, valor });
+    }
+    return { filtros };
+}
+
+// "dy:desc" ou "-dy" -> { campo, ordem }. 'ranking' ordena pela posição no ranking escolhido.
+export function parseOrdenacao(entrada) {
+    if (!entrada) return { ordenacao: null };
+    const pedido = String(entrada).trim();
+    const [campo, ordem] = pedido.startsWith('-') ? [pedido.slice(1), 'desc'] : pedido.split(':');
+    if (campo !== 'ranking' && !Object.hasOwn(CAMPOS_SCREENER, campo)) return { error: texto('ORDENACAO_CAMPO_DESCONHECIDO', { campo }) };
+    if (ordem && !['asc', 'desc'].includes(ordem)) return { error: texto('ORDEM_INVALIDA') };
+    return { ordenacao: { campo, ordem: ordem || 'asc' } };
+}
+
+// Monta a posição de cada linha no ranking (não altera as linhas recebidas)
+export function aplicarRanking(linhas, nome) {
+    const def = RANKINGS[nome];
+    const excluidos = new Set(def.excluirSetores.map(s => s.toLowerCase()));
+    const elegiveis = linhas.filter(l =>
+        !excluidos.has((l.setor || '').toLowerCase())
+        && def.criterios.every(c => l[c.campo] !== null && l[c.campo] !== undefined)
+        && def.exigirPositivos.every(c => l[c] > 0)
+    );
+
+    const pontos = new Map(elegiveis.map(l => [l.ticker, 0]));
+    for (const { campo, ordem } of def.criterios) {
+        const ordenadas = [...elegiveis].sort((a, b) => ordem === 'desc' ? b[campo] - a[campo] : a[campo] - b[campo]);
+        ordenadas.forEach((l, i) => pontos.set(l.ticker, pontos.get(l.ticker) + i + 1));
+    }
+
+    return elegiveis
+        .map(l => ({ ...l, ranking: { pontos: pontos.get(l.ticker) } }))
+        .sort((a, b) => a.ranking.pontos - b.ranking.pontos || a.ticker.localeCompare(b.ticker))
+        .map((l, i) => ({ ...l, ranking: { ...l.ranking, posicao: i + 1 } }));
+}
+
+// Valores nulos sempre vão para o fim, qualquer que seja a ordem
+export function ordenarLinhas(linhas, { campo, ordem }) {
+    const valor = (l) => (campo === 'ranking' ? l.ranking?.posicao : l[campo]);
+    const sinal = ordem === 'desc' ? -1 : 1;
+    return [...linhas].sort((a, b) => {
+        const va = valor(a);
+        const vb = valor(b);
+        if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : 1;
+        if (vb === null || vb === undefined) return -1;
+        return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * sinal;
+    });
+}
+
+function linhaDoBanco(row) {
+    const linha = { atualizadoEm: row.updated_at };
+    for (const [campo, { coluna }] of Object.entries(CAMPOS_SCREENER)) linha[campo] = row[coluna];
+    return linha;
+}
+
+export async function consultarScreener({ filtros = [], ordenacao = null, ranking = null, pagina = 1, porPagina = 20 }) {
+    const where = filtros.map(f => `${CAMPOS_SCREENER[f.campo].coluna} ${f.op === '!=' ? '<>' : f.op} ?`);
+    const [rows] = await pool.execute(
+        `SELECT * FROM screener_acoes${where.length ? ` WHERE ${where.join(' AND ')}` : ''}`,
+        filtros.map(f => f.valor)
+    );
+
+    let linhas = rows.map(linhaDoBanco);
+    if (ranking) linhas = aplicarRanking(linhas, ranking);
+    linhas = ordenarLinhas(linhas, ordenacao || (ranking ? { campo: 'ranking', ordem: 'asc' } : { campo: 'ticker', ordem: 'asc' }));
+
+    const total = linhas.length;
+    const inicio = (pagina - 1) * porPagina;
+    return {
+        total,
+        pagina,
+        porPagina,
+        paginas: Math.max(1, Math.ceil(total / porPagina)),
+        ranking: ranking ? { id: ranking, nome: RANKINGS[ranking].nome, descricao: RANKINGS[ranking].descricao } : null,
+        resultados: linhas.slice(inicio, inicio + porPagina)
+    };
+}
+
+// --- ROTAS ---
+// GET /screener?filtros=pl>0;roe>15&ranking=magicFormula&ordenar=dy:desc&pagina=1&porPagina=20
+screenerRouter.get('/', async (req, res) => {
+    const { error: erroFiltros, filtros } = parseFiltros(req.query.filtros);
+    if (erroFiltros) return res.status(400).json({ error: erroFiltros });
+    const { error: erroOrdem, ordenacao } = parseOrdenacao(req.query.ordenar);
+    if (erroOrdem) return res.status(400).json({ error: erroOrdem });
+    const ranking = req.query.ranking || null;
+    if (ranking && (typeof ranking !== 'string' || !Object.hasOwn(RANKINGS, ranking))) return res.status(400).json({ error: texto('RANKING_INVALIDO', { opcoes: Object.keys(RANKINGS) }) });
+    if (ordenacao?.campo === 'ranking' && !ranking) return res.status(400).json({ error: texto('RANKING_OBRIGATORIO') });
+
+    const pagina = Math.max(1, Math.floor(Number(req.query.pagina)) || 1);
+    const porPagina = Math.min(100, Math.max(1, Math.floor(Number(req.query.porPagina)) || 20));
+
+    try {
+        res.json(await consultarScreener({ filtros, ordenacao, ranking, pagina, porPagina }));
+    } catch (error) {
+        log.error('Erro no screener', { erro: error });
+        res.status(500).json({ error: texto('ERRO_SCREENER') });
+    }
+});
+
+// Campos, operadores e rankings disponíveis (para montar a página)
+screenerRouter.get('/campos', (req, res) => {
+    res.json({
+        campos: Object.entries(CAMPOS_SCREENER).map(([id, c]) => ({ id, label: c.label, tipo: c.texto ? 'texto' : 'numero' })),
+        operadores: OPERADORES_FILTRO,
+        rankings: Object.entries(RANKINGS).map(([id, r]) => ({ id, nome: r.nome, descricao: r.descricao })),
+        universo: universoScreener().length
+    });
+});
@@ -0,0 +1,72 @@
+import { texto } from './i18n.js';
+
+// --- VALIDAÇÃO DE ENTRADA ---
+// Tickers no formato da B3 e corpo das requisições. Erros de validação sempre saem como
+// 400 { error, campo }, para o front saber qual campo destacar.
+
+// Código da B3: 4 caracteres (o primeiro é letra; ex: B3SA3) + número do papel
+// (3 ON, 4 PN, 5-8 PNA-PND, 11 units/FIIs/ETFs, 31-39 BDRs), com F opcional do fracionário
+export const TICKER_B3 = /^[A-Z][A-Z0-9]{3}(?:[3-8]|1[01]|3[1-59])F?$/;
+
+export function tickerValido(ticker) {
+    return typeof ticker === 'string' && TICKER_B3.test(ticker);
+}
+
+// Retorna { error } ou { ticker } normalizado (sem espaços e em maiúsculas)
+export function validarTicker(entrada) {
+    if (!entrada || typeof entrada !== 'string' || !entrada.trim()) return { error: texto('TICKER_VAZIO') };
+    const ticker = entrada.trim().toUpperCase();
+    if (!tickerValido(ticker)) return { error: texto('TICKER_INVALIDO', { ticker: ticker.slice(0, 12) }) };
+    return { ticker };
+}
+
+// Lista já normalizada por parseTickers: mensagem de erro do primeiro inválido, ou null
+export function validarTickers(tickers) {
+    const invalido = tickers.find(t => !tickerValido(t));
+    return invalido ? validarTicker(invalido).error : null;
+}
+
+// --- SCHEMA DO CORPO ---
+// schema: { campo: { tipo: 'string' | 'number' | 'boolean' | 'array' | 'object' | ['string', 'array'], obrigatorio, max } }
+// max limita o tamanho de strings e arrays. Campos fora do schema são ignorados pelas rotas.
+const TIPOS = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    boolean: v => typeof v === 'boolean',
+    array: v => Array.isArray(v),
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v)
+};
+
+// Retorna { error, campo } ou null
+export function validarSchema(corpo, schema) {
+    if (!TIPOS.object(corpo)) return { error: texto('CORPO_NAO_OBJETO'), campo: null };
+    for (const [campo, regra] of Object.entries(schema)) {
+        const valor = corpo[campo];
+        if (valor === undefined || valor === null || valor === '') {
+            if (regra.obrigatorio) return { error: texto('CAMPO_OBRIGATORIO', { campo }), campo };
+            continue;
+        }
+        const tipos = [].concat(regra.tipo);
+        if (!tipos.some(t => TIPOS[t](valor))) return { error: texto('CAMPO_TIPO_INVALIDO', { campo, tipos }), campo };
+        if (regra.max && (typeof valor === 'string' || Array.isArray(valor)) && valor.length > regra.max) {
+            return { error: texto('CAMPO_GRANDE_DEMAIS', { campo, max: regra.max }), campo };
+        }
+    }
+    return null;
+}
+
+// Middleware: responde 400 { error, campo } antes de chegar na rota
+export function validarCorpo(schema) {
+    return (req, res, next) => {
+        const erro = validarSchema(req.body, schema);
+        if (erro) return res.status(400).json(erro);
+        next();
+    };
+}
+
+// Último middleware do app: JSON malformado e corpo grande demais também respondem em JSON
+export function tratarErroDeCorpo(err, req, res, next) {
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: texto('JSON_INVALIDO'), campo: null });
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: texto('CORPO_GRANDE_DEMAIS'), campo: null });
+    next(err);
+}
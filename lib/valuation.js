@@ -0,0 +1,191 @@
+import { strToNumber, formatBRL, formatPercent } from './indicadores.js';
+import { texto } from './i18n.js';
+
+// --- MODELOS DE VALUATION ---
+// Todos partem do payload de /buscar (cotação, LPA, VPA, DY, CAGR...), então dá para recalcular com
+// outras premissas sem fazer um novo scraping. Taxas e crescimentos em % ao ano.
+const numeroEnv = (nome, padrao) => {
+    const valor = Number(process.env[nome]);
+    return process.env[nome] !== undefined && Number.isFinite(valor) ? valor : padrao;
+};
+
+export const PREMISSAS_PADRAO = {
+    selic: numeroEnv('VALUATION_SELIC', 10.5),
+    premioRisco: numeroEnv('VALUATION_PREMIO_RISCO', 5),
+    taxaDesconto: null,            // null = selic + premioRisco
+    rendimentoExigido: numeroEnv('VALUATION_RENDIMENTO_EXIGIDO', 6), // DY mínimo do Bazin
+    crescimentoPadrao: 5,          // quando o CAGR de lucros não existe ou é negativo
+    crescimentoMaximo: numeroEnv('VALUATION_CRESCIMENTO_MAXIMO', 15),
+    crescimentoPerpetuo: 3,        // perpetuidade do DCF e teto de crescimento dos dividendos no Gordon
+    anosProjecao: 5,               // anos de crescimento explícito no DCF
+    rendimentoTitulos: 5.5         // "Y" da fórmula revisada de Graham
+};
+
+// [mínimo, máximo] aceitos para cada premissa
+const LIMITES = {
+    selic: [0, 100],
+    premioRisco: [0, 50],
+    taxaDesconto: [0.1, 100],
+    rendimentoExigido: [0.1, 50],
+    crescimentoPadrao: [-50, 100],
+    crescimentoMaximo: [0, 100],
+    crescimentoPerpetuo: [-10, 20],
+    anosProjecao: [1, 30],
+    rendimentoTitulos: [0.1, 50]
+};
+
+// Valida premissas vindas do usuário. Retorna { error } ou { premissas } só com as chaves informadas.
+export function validarPremissas(entrada) {
+    if (entrada === undefined || entrada === null) return { premissas: {} };
+    if (typeof entrada !== 'object' || Array.isArray(entrada)) return { error: texto('PREMISSAS_NAO_OBJETO') };
+    const premissas = {};
+    for (const [chave, valor] of Object.entries(entrada)) {
+        if (!Object.hasOwn(LIMITES, chave)) return { error: texto('PREMISSA_DESCONHECIDA', { chave }) };
+        if (valor === null || valor === '') {
+            if (chave !== 'taxaDesconto') return { error: texto('PREMISSA_VAZIA', { chave }) };
+            premissas[chave] = null;
+            continue;
+        }
+        const num = Number(valor);
+        const [min, max] = LIMITES[chave];
+        if (!Number.isFinite(num) || num < min || num > max) return { error: texto('PREMISSA_FORA_DA_FAIXA', { chave, min, max }) };
+        premissas[chave] = chave === 'anosProjecao' ? Math.round(num) : num;
+    }
+    return { premissas };
+}
+
+// Junta as camadas (padrão < usuário < requisição) e resolve a taxa de desconto efetiva
+export function resolverPremissas(...camadas) {
+    const premissas = Object.assign({}, PREMISSAS_PADRAO, ...camadas.filter(Boolean));
+    if (premissas.taxaDesconto === null || premissas.taxaDesconto === undefined) {
+        premissas.taxaDesconto = Number((premissas.selic + premissas.premioRisco).toFixed(4));
+    }
+    return premissas;
+}
+
+const VAZIO = { value: '-', class: 'neutral', raw: null };
+
+// Monta o resultado de um modelo com a margem de segurança em relação à cotação
+function resultadoModelo(nome, valor, cotacao, entradas, motivo = texto('MODELO_DADOS_INSUFICIENTES')) {
+    if (valor === null || !Number.isFinite(valor) || valor <= 0 || !cotacao) {
+        return { nome, valor: VAZIO, margemSeguranca: VAZIO, entradas, motivo };
+    }
+    const margem = (valor - cotacao) / valor * 100;
+    const classe = cotacao < valor ? 'good' : 'bad';
+    return {
+        nome,
+        valor: { value: formatBRL(valor), class: classe, raw: Number(valor.toFixed(2)) },
+        margemSeguranca: { value: formatPercent(margem), class: classe, raw: Number(margem.toFixed(2)) },
+        entradas
+    };
+}
+
+const positivo = (n) => n !== null && n > 0;
+
+// Crescimento usado nos modelos: CAGR de lucros (ou o padrão) limitado ao teto
+function crescimentoUsado(cagrLucros, p) {
+    const base = positivo(cagrLucros) ? cagrLucros : p.crescimentoPadrao;
+    return Math.min(base, p.crescimentoMaximo);
+}
+
+function graham({ cotacao, lpa, vpa }) {
+    const valor = positivo(lpa) && positivo(vpa) ? Math.sqrt(22.5 * lpa * vpa) : null;
+    return resultadoModelo('Graham', valor, cotacao, { lpa, vpa, fator: 22.5 }, texto('MODELO_PRECISA_LPA_VPA'));
+}
+
+function grahamRevisado({ cotacao, lpa, cagrLucros }, p) {
+    const g = crescimentoUsado(cagrLucros, p);
+    const valor = positivo(lpa) ? (lpa * (8.5 + 2 * g) * 4.4) / p.rendimentoTitulos : null;
+    return resultadoModelo('Graham Revisado', valor, cotacao,
+        { lpa, crescimento: g, cagrLucros, rendimentoTitulos: p.rendimentoTitulos }, texto('MODELO_PRECISA_LPA'));
+}
+
+function bazin(nome, { cotacao }, dy, p) {
+    const dividendos = positivo(cotacao) && positivo(dy) ? cotacao * dy / 100 : null;
+    const valor = dividendos !== null ? dividendos / (p.rendimentoExigido / 100) : null;
+    return resultadoModelo(nome, valor, cotacao,
+        { dividendosPorAcao: dividendos !== null ? Number(dividendos.toFixed(4)) : null, dy, rendimentoExigido: p.rendimentoExigido },
+        texto('MODELO_PRECISA_DY'));
+}
+
+// Gordon: dividendo do próximo ano / (taxa de desconto - crescimento dos dividendos)
+function gordon({ cotacao, dy, cagrLucros }, p) {
+    const g = Math.min(crescimentoUsado(cagrLucros, p), p.crescimentoPerpetuo);
+    const k = p.taxaDesconto;
+    const entradas = { dy, crescimento: g, taxaDesconto: k };
+    if (k <= g) return resultadoModelo('Gordon', null, cotacao, entradas, texto('MODELO_DESCONTO_MENOR_CRESCIMENTO'));
+    const d0 = positivo(cotacao) && positivo(dy) ? cotacao * dy / 100 : null;
+    const d1 = d0 !== null ? d0 * (1 + g / 100) : null;
+    entradas.proximoDividendo = d1 !== null ? Number(d1.toFixed(4)) : null;
+    return resultadoModelo('Gordon', d1 !== null ? d1 / ((k - g) / 100) : null, cotacao, entradas, texto('MODELO_PRECISA_DY'));
+}
+
+// Fluxo de caixa descontado usando o lucro por ação como proxy do fluxo livre
+function dcf({ cotacao, lpa, cagrLucros }, p) {
+    const g = crescimentoUsado(cagrLucros, p) / 100;
+    const gp = p.crescimentoPerpetuo / 100;
+    const k = p.taxaDesconto / 100;
+    const entradas = {
+        lpa,
+        crescimento: Number((g * 100).toFixed(4)),
+        taxaDesconto: p.taxaDesconto,
+        crescimentoPerpetuo: p.crescimentoPerpetuo,
+        anosProjecao: p.anosProjecao
+    };
+    if (!positivo(lpa)) return resultadoModelo('Fluxo de Caixa Descontado', null, cotacao, entradas, texto('MODELO_PRECISA_LPA'));
+    if (k <= gp) return resultadoModelo('Fluxo de Caixa Descontado', null, cotacao, entradas, texto('MODELO_DESCONTO_MENOR_PERPETUIDADE'));
+
+    let lucro = lpa;
+    let valorPresente = 0;
+    for (let ano = 1; ano <= p.anosProjecao; ano++) {
+        lucro *= 1 + g;
+        valorPresente += lucro / Math.pow(1 + k, ano);
+    }
+    const valorTerminal = (lucro * (1 + gp) / (k - gp)) / Math.pow(1 + k, p.anosProjecao);
+    entradas.valorTerminal = Number(valorTerminal.toFixed(2));
+    return resultadoModelo('Fluxo de Caixa Descontado', valorPresente + valorTerminal, cotacao, entradas);
+}
+
+// Peter Lynch: P/L justo = crescimento + DY (PEG ajustado igual a 1)
+function lynch({ cotacao, lpa, pl, dy, cagrLucros }, p) {
+    const g = crescimentoUsado(cagrLucros, p);
+    const dyUsado = dy ?? 0;
+    const entradas = { lpa, crescimento: g, dy: dyUsado, peg: positivo(pl) && g > 0 ? Number((pl / g).toFixed(2)) : null };
+    const valor = positivo(lpa) && g + dyUsado > 0 ? lpa * (g + dyUsado) : null;
+    return resultadoModelo('Peter Lynch (PEG)', valor, cotacao, entradas, texto('MODELO_PRECISA_LPA'));
+}
+
+export function calcularValuation(dados, premissas = PREMISSAS_PADRAO) {
+    const n = (key) => strToNumber(dados[key]?.value);
+    const base = { cotacao: n('cotacao'), lpa: n('lpa'), vpa: n('vpa'), pl: n('pl'), dy: n('dy'), dy5Anos: n('dy5Anos'), cagrLucros: n('cagrLucros') };
+
+    const modelos = {
+        graham: graham(base),
+        grahamRevisado: grahamRevisado(base, premissas),
+        bazin: bazin('Bazin (DY 12M)', base, base.dy, premissas),
+        bazin5Anos: bazin('Bazin (DY médio 5 anos)', base, base.dy5Anos, premissas),
+        gordon: gordon(base, premissas),
+        dcf: dcf(base, premissas),
+        lynch: lynch(base, premissas)
+    };
+    if (dados.grahamWarning) {
+        modelos.graham.aviso = dados.grahamWarning;
+        modelos.grahamRevisado.aviso = dados.grahamWarning;
+    }
+    return { premissas, modelos };
+}
+
+// Recalcula os modelos e os campos de valuation que as páginas já usam (precoTeto, valorJusto...).
+// Não altera o objeto recebido (ele pode estar no cache).
+export function aplicarValuation(dados, ...camadasPremissas) {
+    const valuation = calcularValuation(dados, resolverPremissas(...camadasPremissas));
+    const { bazin: b, bazin5Anos, graham: g, grahamRevisado: gr } = valuation.modelos;
+    return {
+        ...dados,
+        precoTeto: { ...b.valor },
+        bazin5Y: { ...bazin5Anos.valor },
+        valorJusto: { ...g.valor },
+        valorRevisado: { ...gr.valor },
+        valuation
+    };
+}
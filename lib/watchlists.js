@@ -0,0 +1,295 @@
+import express from 'express';
+import { pool } from './db.js';
+import { requireAuth } from './auth.js';
+import { buscarAtivo, erroDeBusca, TIPOS_ATIVO } from './ativos.js';
+import { strToNumber, formatBRL, formatPercent } from './indicadores.js';
+import { carregarPreferencias, personalizar } from './preferencias.js';
+import { validarFormato, documentoDeCarteira, enviarExportacao } from './exportar.js';
+import { validarTicker, validarCorpo } from './validacao.js';
+import { montarProjecao } from './proventos.js';
+import { log } from './log.js';
+import { texto } from './i18n.js';
+
+// --- CARTEIRAS / WATCHLISTS DO USUÁRIO ---
+export const watchlistRouter = express.Router();
+watchlistRouter.use(requireAuth);
+
+// Confere se a lista existe e pertence ao usuário logado
+async function findOwnedList(userId, listId) {
+    const [rows] = await pool.execute('SELECT id, nome, created_at FROM watchlists WHERE id = ? AND user_id = ?', [listId, userId]);
+    return rows[0] || null;
+}
+
+// Antes do limite de buscas nas rotas que buscam a lista inteira: cada item conta como um ticker pedido.
+// Lista alheia ou inexistente conta 0 (a rota responde 404 depois).
+export async function contarItensDaLista(req, res, next) {
+    try {
+        const [rows] = await pool.execute(
+            `SELECT COUNT(i.id) AS total FROM watchlists w LEFT JOIN watchlist_items i ON i.watchlist_id = w.id
+             WHERE w.id = ? AND w.user_id = ?`,
+            [req.params.id, req.user.id]
+        );
+        req.itensDaLista = Number(rows[0]?.total) || 0;
+        next();
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+}
+
+// Valida e normaliza os campos de um item. Retorna { error } ou { item }.
+function parseItem(body, partial = false) {
+    const item = {};
+    if (!partial || body.ticker !== undefined) {
+        const { error, ticker } = validarTicker(body.ticker);
+        if (error) return { error };
+        item.ticker = ticker;
+    }
+    if (!partial || body.tipo !== undefined) {
+        if (!TIPOS_ATIVO.includes(body.tipo)) return { error: texto('TIPO_INVALIDO', { opcoes: TIPOS_ATIVO }) };
+        item.tipo = body.tipo;
+    }
+    for (const [campo, coluna] of [['quantidade', 'quantidade'], ['precoMedio', 'preco_medio']]) {
+        if (body[campo] === undefined) {
+            if (!partial) item[coluna] = 0;
+            continue;
+        }
+        const num = Number(body[campo]);
+        if (!Number.isFinite(num) || num < 0) return { error: texto('CAMPO_INVALIDO', { campo }) };
+        item[coluna] = num;
+    }
+    return { item };
+}
+
+const toItemResponse = (row) => ({
+    id: row.id,
+    tipo: row.tipo,
+    ticker: row.ticker,
+    quantidade: Number(row.quantidade),
+    precoMedio: Number(row.preco_medio)
+});
+
+// Upside do preço atual até o valuation: positivo = espaço para subir
+function upsideResponse(cotacao, valuationStr) {
+    const valuation = strToNumber(valuationStr);
+    if (!cotacao || valuation === null || valuation <= 0) return { value: '-', class: 'neutral' };
+    const upside = (valuation / cotacao - 1) * 100;
+    return { value: formatPercent(upside), class: upside > 0 ? 'good' : 'bad' };
+}
+
+// Junta o item da carteira com os indicadores e calcula os números da posição
+export function calcularPosicao(item, dados) {
+    const cotacao = dados ? strToNumber(dados.cotacao?.value) : null;
+    const custo = item.quantidade * item.precoMedio;
+    const posicao = {
+        custo: { value: formatBRL(custo), class: 'neutral', raw: custo },
+        valorAtual: { value: '-', class: 'neutral', raw: null },
+        resultado: { value: '-', class: 'neutral', raw: null },
+        resultadoPercent: { value: '-', class: 'neutral' },
+        upsideValorJusto: upsideResponse(cotacao, dados?.valorJusto?.value),
+        upsidePrecoTeto: upsideResponse(cotacao, dados?.precoTeto?.value)
+    };
+
+    if (cotacao !== null) {
+        const valorAtual = item.quantidade * cotacao;
+        const resultado = valorAtual - custo;
+        const resultClass = resultado > 0 ? 'good' : (resultado < 0 ? 'bad' : 'neutral');
+        posicao.valorAtual = { value: formatBRL(valorAtual), class: 'neutral', raw: valorAtual };
+        posicao.resultado = { value: formatBRL(resultado), class: resultClass, raw: resultado };
+        if (custo > 0) posicao.resultadoPercent = { value: formatPercent((resultado / custo) * 100), class: resultClass };
+    }
+    return posicao;
+}
+
+// --- CRUD DAS LISTAS ---
+watchlistRouter.get('/', async (req, res) => {
+    try {
+        const [rows] = await pool.execute(
+            `SELECT w.id, w.nome, w.created_at, COUNT(i.id) AS total_itens
+             FROM watchlists w LEFT JOIN watchlist_items i ON i.watchlist_id = w.id
+             WHERE w.user_id = ? GROUP BY w.id ORDER BY w.created_at`,
+            [req.user.id]
+        );
+        res.json(rows.map(r => ({ id: r.id, nome: r.nome, criadaEm: r.created_at, totalItens: Number(r.total_itens) })));
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+const SCHEMA_LISTA = { nome: { tipo: 'string', obrigatorio: true, max: 100 } };
+
+watchlistRouter.post('/', validarCorpo(SCHEMA_LISTA), async (req, res) => {
+    const nome = req.body.nome.trim();
+    if (!nome) return res.status(400).json({ error: texto('NOME_LISTA_OBRIGATORIO') });
+    try {
+        const [result] = await pool.execute('INSERT INTO watchlists (user_id, nome) VALUES (?, ?)', [req.user.id, nome]);
+        res.status(201).json({ id: result.insertId, nome });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+watchlistRouter.put('/:id', validarCorpo(SCHEMA_LISTA), async (req, res) => {
+    const nome = req.body.nome.trim();
+    if (!nome) return res.status(400).json({ error: texto('NOME_LISTA_OBRIGATORIO') });
+    try {
+        if (!(await findOwnedList(req.user.id, req.params.id))) return res.status(404).json({ error: texto('LISTA_NAO_ENCONTRADA') });
+        await pool.execute('UPDATE watchlists SET nome = ? WHERE id = ?', [nome, req.params.id]);
+        res.json({ id: Number(req.params.id), nome });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+watchlistRouter.delete('/:id', async (req, res) => {
+    try {
+        if (!(await findOwnedList(req.user.id, req.params.id))) return res.status(404).json({ error: texto('LISTA_NAO_ENCONTRADA') });
+        await pool.execute('DELETE FROM watchlists WHERE id = ?', [req.params.id]);
+        res.json({ message: texto('MSG_LISTA_REMOVIDA') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+// --- ITENS DA LISTA ---
+// quantidade e precoMedio também aceitam texto numérico; parseItem confere os valores
+const SCHEMA_ITEM = {
+    ticker: { tipo: 'string', obrigatorio: true, max: 20 },
+    tipo: { tipo: 'string', obrigatorio: true, max: 10 },
+    quantidade: { tipo: ['number', 'string'], max: 30 },
+    precoMedio: { tipo: ['number', 'string'], max: 30 }
+};
+const SCHEMA_ALTERACAO_ITEM = Object.fromEntries(Object.entries(SCHEMA_ITEM).map(([campo, regra]) => [campo, { ...regra, obrigatorio: false }]));
+
+watchlistRouter.get('/:id/itens', async (req, res) => {
+    try {
+        const lista = await findOwnedList(req.user.id, req.params.id);
+        if (!lista) return res.status(404).json({ error: texto('LISTA_NAO_ENCONTRADA') });
+        const [rows] = await pool.execute('SELECT * FROM watchlist_items WHERE watchlist_id = ? ORDER BY ticker', [lista.id]);
+        res.json({ id: lista.id, nome: lista.nome, itens: rows.map(toItemResponse) });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+watchlistRouter.post('/:id/itens', validarCorpo(SCHEMA_ITEM), async (req, res) => {
+    const { error, item } = parseItem(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+        const lista = await findOwnedList(req.user.id, req.params.id);
+        if (!lista) return res.status(404).json({ error: texto('LISTA_NAO_ENCONTRADA') });
+        const [result] = await pool.execute(
+            'INSERT INTO watchlist_items (watchlist_id, tipo, ticker, quantidade, preco_medio) VALUES (?, ?, ?, ?, ?)',
+            [lista.id, item.tipo, item.ticker, item.quantidade, item.preco_medio]
+        );
+        res.status(201).json(toItemResponse({ id: result.insertId, ...item }));
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: texto('ATIVO_JA_NA_LISTA') });
+        res.status(500).json({ error: texto('ERRO_INTERNO') });
+    }
+});
+
+watchlistRouter.put('/:id/itens/:itemId', validarCorpo(SCHEMA_ALTERACAO_ITEM), async (req, res) => {
+    const { error, item } = parseItem(req.body, true);
+    if (error) return res.status(400).json({ error });
+    const campos = Object.keys(item);
+    if (campos.length === 0) return res.status(400).json({ error: texto('NADA_PARA_ATUALIZAR') });
+    try {
+        const lista = await findOwnedList(req.user.id, req.params.id);
+        if (!lista) return res.status(404).json({ error: texto('LISTA_NAO_ENCONTRADA') });
+        const [result] = await pool.execute(
+            `UPDATE watchlist_items SET ${campos.map(c => `${c} = ?`).join(', ')} WHERE id = ? AND watchlist_id = ?`,
+            [...campos.map(c => item[c]), req.params.itemId, lista.id]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ error: texto('ITEM_NAO_ENCONTRADO') });
+        const [rows] = await pool.execute('SELECT * FROM watchlist_items WHERE id = ?', [req.params.itemId]);
+        res.json(toItemResponse(rows[0]));
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: texto('ATIVO_JA_NA_LISTA') });
+        res.status(500).json({ error: texto('ERRO_INTERNO') });
+    }
+});
+
+watchlistRouter.delete('/:id/itens/:itemId', async (req, res) => {
+    try {
+        const lista = await findOwnedList(req.user.id, req.params.id);
+        if (!lista) return res.status(404).json({ error: texto('LISTA_NAO_ENCONTRADA') });
+        const [result] = await pool.execute('DELETE FROM watchlist_items WHERE id = ? AND watchlist_id = ?', [req.params.itemId, lista.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ error: texto('ITEM_NAO_ENCONTRADO') });
+        res.json({ message: texto('MSG_ITEM_REMOVIDO') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
+
+// --- POSIÇÕES ENRIQUECIDAS COM OS INDICADORES ---
+// Usado pela rota e pela exportação no CLI. lista = { id, nome }; as preferências são as do dono da lista.
+export async function montarPosicoes(lista, userId) {
+    const [rows] = await pool.execute('SELECT * FROM watchlist_items WHERE watchlist_id = ? ORDER BY ticker', [lista.id]);
+    const preferencias = await carregarPreferencias(userId);
+
+    // Um ativo por vez para não abrir dezenas de abas no navegador
+    const posicoes = [];
+    for (const row of rows) {
+        const item = toItemResponse(row);
+        let cached = null;
+        try {
+            cached = await buscarAtivo(item.tipo, item.ticker);
+        } catch (e) {
+            log.error('Erro ao buscar ativo da carteira', { ticker: item.ticker, erro: e.message });
+        }
+        // O upside parte do precoTeto e do valorJusto das premissas do usuário, os mesmos que a linha mostra
+        const dados = cached ? personalizar(item.tipo, cached.data, preferencias) : null;
+        posicoes.push({
+            ...item,
+            dados,
+            fetchedAt: cached ? cached.fetchedAt : null,
+            stale: cached ? cached.stale : false,
+            posicao: calcularPosicao(item, dados)
+        });
+    }
+
+    return { id: lista.id, nome: lista.nome, posicoes, totais: totaisDasPosicoes(posicoes) };
+}
+
+// Custo, valor atual e resultado somados (ativo sem cotação entra pelo custo)
+export function totaisDasPosicoes(posicoes) {
+    const custoTotal = posicoes.reduce((acc, p) => acc + p.posicao.custo.raw, 0);
+    const valorTotal = posicoes.reduce((acc, p) => acc + (p.posicao.valorAtual.raw ?? p.posicao.custo.raw), 0);
+    const resultado = valorTotal - custoTotal;
+    const resultClass = resultado > 0 ? 'good' : (resultado < 0 ? 'bad' : 'neutral');
+    return {
+        custo: { value: formatBRL(custoTotal), class: 'neutral' },
+        valorAtual: { value: formatBRL(valorTotal), class: 'neutral' },
+        resultado: { value: formatBRL(resultado), class: resultClass },
+        resultadoPercent: custoTotal > 0
+            ? { value: formatPercent((resultado / custoTotal) * 100), class: resultClass }
+            : { value: '-', class: 'neutral' }
+    };
+}
+
+watchlistRouter.get('/:id/posicoes', async (req, res) => {
+    try {
+        const lista = await findOwnedList(req.user.id, req.params.id);
+        if (!lista) return res.status(404).json({ error: texto('LISTA_NAO_ENCONTRADA') });
+        res.json(await montarPosicoes(lista, req.user.id));
+    } catch (error) {
+        log.error('Erro ao montar posições', { erro: error });
+        res.status(500).json({ error: texto('ERRO_MONTAR_POSICOES') });
+    }
+});
+
+// Projeção de renda dos próximos 12 meses e calendário de proventos (itens sem quantidade ficam de fora)
+watchlistRouter.get('/:id/proventos', async (req, res) => {
+    try {
+        const lista = await findOwnedList(req.user.id, req.params.id);
+        if (!lista) return res.status(404).json({ error: texto('LISTA_NAO_ENCONTRADA') });
+        const [rows] = await pool.execute('SELECT * FROM watchlist_items WHERE watchlist_id = ? AND quantidade > 0 ORDER BY ticker', [lista.id]);
+        const posicoes = rows.map(toItemResponse).map(({ ticker, tipo, quantidade }) => ({ ticker, tipo, quantidade }));
+        res.json({ id: lista.id, nome: lista.nome, ...(await montarProjecao(posicoes, { signal: req.signal })) });
+    } catch (error) {
+        if (erroDeBusca(req, res, error)) return;
+        log.error('Erro ao projetar proventos', { erro: error });
+        res.status(500).json({ error: texto('ERRO_PROJETAR_PROVENTOS') });
+    }
+});
+
+// CSV, XLSX ou PDF com as mesmas posições (?formato=csv|xlsx|pdf, padrão pdf)
+watchlistRouter.get('/:id/exportar', async (req, res) => {
+    const formato = req.query.formato || 'pdf';
+    const erroFormato = validarFormato(formato);
+    if (erroFormato) return res.status(400).json({ error: erroFormato });
+    try {
+        const lista = await findOwnedList(req.user.id, req.params.id);
+        if (!lista) return res.status(404).json({ error: texto('LISTA_NAO_ENCONTRADA') });
+        await enviarExportacao(res, formato, documentoDeCarteira(await montarPosicoes(lista, req.user.id)));
+    } catch (error) {
+        log.error('Erro ao exportar carteira', { erro: error });
+        res.status(500).json({ error: texto('ERRO_EXPORTAR_CARTEIRA') });
+    }
+});
@@ -0,0 +1,82 @@
+// --- SESSÃO DO USUÁRIO (compartilhado entre as páginas) ---
+
+function salvarSessao(dados) {
+    localStorage.setItem('user_token', dados.accessToken);
+    localStorage.setItem('refresh_token', dados.refreshToken);
+    if (dados.user) localStorage.setItem('user_email', dados.user.email);
+}
+
+function limparSessao() {
+    localStorage.removeItem('user_token');
+    localStorage.removeItem('refresh_token');
+    localStorage.removeItem('user_email');
+}
+
+function irParaLogin() {
+    limparSessao();
+    window.location.href = '/login.html';
+}
+
+// Troca o refresh token por um novo par. Retorna false se a sessão acabou.
+async function renovarSessao() {
+    const refreshToken = localStorage.getItem('refresh_token');
+    if (!refreshToken) return false;
+    try {
+        const res = await fetch('/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+        if (!res.ok) return false;
+        salvarSessao(await res.json());
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// fetch com o token no cabeçalho; tenta renovar uma vez se receber 401
+async function apiFetch(url, options = {}) {
+    const comToken = () => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': `Bearer ${localStorage.getItem('user_token')}` }
+    });
+
+    let resposta = await comToken();
+    if (resposta.status === 401) {
+        if (!(await renovarSessao())) {
+            irParaLogin();
+            return resposta;
+        }
+        resposta = await comToken();
+    }
+    return resposta;
+}
+
+// Valida o token no servidor antes de liberar a página
+async function protegerPagina() {
+    if (!localStorage.getItem('user_token')) return irParaLogin();
+    const res = await apiFetch('/me');
+    if (!res.ok) return irParaLogin();
+    const { user } = await res.json();
+    localStorage.setItem('user_email', user.email);
+    const display = document.getElementById('user-display');
+    if (display) {
+        // O e-mail leva para a página da conta (senha, e-mail e exclusão)
+        const link = document.createElement('a');
+        link.href = '/login.html?conta=1';
+        link.textContent = user.email;
+        display.replaceChildren(link);
+    }
+}
+
+// Função de Logout
+async function sair() {
+    try {
+        await fetch('/logout', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${localStorage.getItem('user_token')}` }
+        });
+    } catch (e) {}
+    irParaLogin();
+}
@@ -0,0 +1,260 @@
+// --- FUNÇÕES COMPARTILHADAS ENTRE AS PÁGINAS DE RESULTADO ---
+
+// Mostra quando os dados foram coletados e avisa se vieram do cache expirado
+function formatarAtualizacao(dados) {
+    if (!dados || !dados.fetchedAt) return '';
+    const data = new Date(dados.fetchedAt).toLocaleString('pt-BR');
+    if (dados.stale) {
+        return `<p class="data-timestamp stale">Dados de ${data} (atualizando em segundo plano)</p>`;
+    }
+    return `<p class="data-timestamp">Dados de ${data}</p>`;
+}
+
+// Lista de onde vieram os dados, quais providers falharam nesta busca e quanto dos campos veio preenchido
+function formatarFontes(dados) {
+    if (!dados || !dados.providers) return '';
+    const nomes = { ok: 'ok', erro: 'falhou', em_pausa: 'em pausa', desativado: 'desativado' };
+    const itens = dados.providers.map(p => `${p.id} (${nomes[p.status] || p.status})`).join(', ');
+    const falhou = dados.providers.some(p => p.status !== 'ok');
+    const completude = dados.completude
+        ? ` · <span title="Faltando: ${dados.completude.faltando.join(', ') || 'nada'}">${dados.completude.score}% dos dados preenchidos</span>`
+        : '';
+    const incompleto = dados.completude && dados.completude.score < 75;
+    return `<p class="data-timestamp${falhou || incompleto ? ' stale' : ''}">Fontes: ${itens}${completude}</p>`;
+}
+
+// Qual conjunto de regras classificou os indicadores (perfil do usuário, setor e segmento)
+function formatarClassificacao(dados) {
+    if (!dados || !dados.classificacao) return '';
+    const { perfil, setor, segmento } = dados.classificacao;
+    const onde = [setor, segmento].filter(Boolean).join(' / ');
+    const regras = perfil ? `perfil "${perfil.nome}"` : 'regras padrão';
+    return `<p class="data-timestamp">Classificação: ${regras}${onde ? ` para ${onde}` : ''} (<a href="classificacao.html">editar</a>)</p>`;
+}
+
+// Atributo title com a regra que gerou o good/bad do card (aparece ao passar o mouse)
+function tituloRegra(data) {
+    if (!data || !data.regra) return '';
+    return ` title="${data.regra.descricao.replace(/"/g, '&quot;')}"`;
+}
+
+// --- GRÁFICO DE HISTÓRICO (usa Chart.js) ---
+const ROTULOS_HISTORICO = {
+    cotacao: 'Cotação', pl: 'P/L', pvp: 'P/VP', dy: 'DY (%)', roe: 'ROE (%)', roic: 'ROIC (%)',
+    margemLiquida: 'Margem Líquida (%)', dividaLiquidaEbitda: 'Dív. Líq./EBITDA', valorJusto: 'Valor Justo (Graham)',
+    valorRevisado: 'Graham Rev.', precoTeto: 'Preço Teto (Bazin)', y1m: 'Yield 1 Mês (%)',
+    ultimoRendimento: 'Último Rendimento', vacancia: 'Vacância (%)', vpa: 'VPA', dy12m: 'DY 12M distribuições (%)',
+    notaQualidade: 'Nota de Qualidade'
+};
+
+let historicoChart = null;
+
+function historicoHtml() {
+    return `
+        <h3>Histórico</h3>
+        <div class="search-box">
+            <select id="historico-indicador"></select>
+        </div>
+        <div id="historico-aviso"></div>
+        <div class="chart-wrapper" style="position: relative; height:300px; width:100%; margin-bottom: 30px;">
+            <canvas id="historicoChart"></canvas>
+        </div>`;
+}
+
+// Busca as séries do ticker e desenha o indicador escolhido no <select>
+async function carregarHistorico(ticker, tipo) {
+    const aviso = document.getElementById('historico-aviso');
+    const select = document.getElementById('historico-indicador');
+    if (!aviso || !select) return;
+
+    const res = await apiFetch(`/historico/${ticker}?tipo=${tipo}`);
+    if (!res.ok) {
+        aviso.innerHTML = `<p class="data-timestamp">Ainda não há histórico salvo para ${ticker}.</p>`;
+        select.style.display = 'none';
+        return;
+    }
+    const historico = await res.json();
+    const chaves = Object.keys(historico.series).filter(k => historico.series[k].length > 0);
+    select.innerHTML = chaves.map(k => `<option value="${k}">${ROTULOS_HISTORICO[k] || k}</option>`).join('');
+
+    const desenhar = () => {
+        const serie = historico.series[select.value] || [];
+        if (historicoChart) historicoChart.destroy();
+        historicoChart = new Chart(document.getElementById('historicoChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: serie.map(p => new Date(`${p.data}T12:00:00`).toLocaleDateString('pt-BR')),
+                datasets: [{
+                    label: ROTULOS_HISTORICO[select.value] || select.value,
+                    data: serie.map(p => p.valor),
+                    borderColor: '#2563eb',
+                    backgroundColor: 'rgba(37, 99, 235, 0.1)',
+                    fill: true,
+                    tension: 0.2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false } }
+            }
+        });
+        aviso.innerHTML = serie.length < 2
+            ? `<p class="data-timestamp">Poucos pontos salvos ainda (${serie.length}). O histórico cresce a cada dia.</p>`
+            : '';
+    };
+
+    select.onchange = desenhar;
+    desenhar();
+}
+
+// --- PROVENTOS ---
+const NOMES_PROVENTO = { dividendo: 'Dividendo', jcp: 'JCP', rendimento: 'Rendimento', amortizacao: 'Amortização', outro: 'Outro' };
+
+const dataBR = (iso) => iso ? new Date(`${iso}T12:00:00`).toLocaleDateString('pt-BR') : 'A definir';
+const reais = (n) => `R$ ${formatarNumero(n, 2)}`;
+
+// Tabela com os últimos proventos do ativo (payload.proventos, mais recente primeiro)
+function proventosHtml(proventos, limite = 12) {
+    if (!proventos || proventos.length === 0) return '';
+    const linhas = proventos.slice(0, limite).map(p => `
+        <tr>
+            <td>${NOMES_PROVENTO[p.tipo] || p.descricao}</td>
+            <td>${dataBR(p.dataCom)}</td>
+            <td>${dataBR(p.pagamento)}</td>
+            <td>R$ ${p.valor.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 8 })}</td>
+        </tr>`).join('');
+    return `
+        <h3>Proventos</h3>
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead><tr><th>Tipo</th><th>Data Com</th><th>Pagamento</th><th>Valor por ação</th></tr></thead>
+                <tbody>${linhas}</tbody>
+            </table>
+        </div>
+        <p class="data-timestamp">JCP tem 15% de IR na fonte. Veja a renda projetada da sua carteira em <a href="proventos.html">Proventos</a>.</p>`;
+}
+
+// --- EXPORTAÇÃO (CSV, XLSX e PDF gerados no servidor) ---
+// Baixa o arquivo devolvido pela API usando o nome enviado em Content-Disposition
+async function baixarArquivo(url, opcoes = {}) {
+    const res = await apiFetch(url, opcoes);
+    if (!res.ok) {
+        const erro = await res.json().catch(() => ({}));
+        return alert(erro.error || 'Erro ao exportar.');
+    }
+    const nome = (/filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '') || [])[1] || 'relatorio';
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = nome;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+// Exporta um ou mais ativos; nas ações vão junto as premissas de valuation digitadas na página
+function exportarAtivos(tipo, tickers, formato) {
+    const valuation = tipo === 'acao' && typeof lerPremissas === 'function' ? lerPremissas() : undefined;
+    return baixarArquivo('/exportar', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tipo, tickers, formato, valuation })
+    });
+}
+
+function botoesExportacao(tipo, tickers) {
+    const lista = tickers.join(',');
+    return `<div class="export-bar">Exportar:
+        <button onclick="exportarAtivos('${tipo}', '${lista}', 'csv')">CSV</button>
+        <button onclick="exportarAtivos('${tipo}', '${lista}', 'xlsx')">Planilha</button>
+        <button onclick="exportarAtivos('${tipo}', '${lista}', 'pdf')">PDF</button>
+    </div>`;
+}
+
+// --- BUSCA UNIFICADA E AUTOCOMPLETE ---
+const PAGINA_DO_TIPO = { acao: 'index.html', fii: 'fii.html' };
+const NOMES_CLASSE_ATIVO = { acao: 'Ação', unit: 'Unit', fii: 'FII', etf: 'ETF', bdr: 'BDR' };
+
+// Sugestões do catálogo (ticker e nome da empresa ou do fundo) num <datalist> enquanto o usuário digita
+function ligarAutocomplete(input) {
+    const lista = document.createElement('datalist');
+    lista.id = `${input.id}-sugestoes`;
+    input.after(lista);
+    input.setAttribute('list', lista.id);
+    input.setAttribute('autocomplete', 'off');
+
+    let espera = null;
+    input.addEventListener('input', () => {
+        clearTimeout(espera);
+        const termo = input.value.trim();
+        if (termo.length < 2) return;
+        espera = setTimeout(async () => {
+            const res = await fetch(`/catalogo?q=${encodeURIComponent(termo)}&limite=8`);
+            if (!res.ok) return;
+            lista.innerHTML = (await res.json())
+                .map(a => `<option value="${a.ticker}">${a.nome ? `${a.nome} · ` : ''}${NOMES_CLASSE_ATIVO[a.classe]}</option>`)
+                .join('');
+        }, 200);
+    });
+}
+
+// Texto que não é um código da B3 ("petrobras") vira o primeiro ticker do catálogo que bate com ele
+async function resolverTicker(texto) {
+    const termo = texto.trim();
+    if (!termo || /^[A-Za-z][A-Za-z0-9]{3}\d{1,2}F?$/.test(termo)) return termo.toUpperCase();
+    const res = await fetch(`/catalogo?q=${encodeURIComponent(termo)}&limite=1`);
+    const [primeiro] = res.ok ? await res.json() : [];
+    return primeiro ? primeiro.ticker : termo.toUpperCase();
+}
+
+// Ativo de outro tipo (ex: HGLG11 buscado na página de ações) abre na página certa, já pesquisado
+function irParaPaginaDoTipo(dados, tipoDaPagina) {
+    if (!dados.ativo || dados.ativo.tipo === tipoDaPagina) return false;
+    window.location.href = `${PAGINA_DO_TIPO[dados.ativo.tipo]}?ticker=${encodeURIComponent(dados.ticker)}`;
+    return true;
+}
+
+// "PETR4 · Petrobras PN" no título do resultado quando o catálogo conhece o nome
+function nomeDoAtivo(dados) {
+    return dados.ativo && dados.ativo.nome ? ` <small>${dados.ativo.nome}</small>` : '';
+}
+
+// ?ticker=HGLG11 na URL preenche a busca e já pesquisa
+function buscarTickerDaUrl(buscar) {
+    const ticker = new URLSearchParams(window.location.search).get('ticker');
+    if (!ticker) return;
+    document.getElementById('ticker').value = ticker;
+    buscar();
+}
+
+// --- GLOSSÁRIO (dica "?" em cada card de resultado) ---
+const glossarios = {};
+
+// Um pedido por tipo e página; se falhar, os cards só aparecem sem a dica
+function carregarGlossario(tipo) {
+    if (!glossarios[tipo]) {
+        glossarios[tipo] = fetch(`/educacao/glossario?tipo=${tipo}`)
+            .then(res => res.ok ? res.json() : [])
+            .then(termos => Object.fromEntries(termos.map(t => [t.chave, t])))
+            .catch(() => ({}));
+    }
+    return glossarios[tipo];
+}
+
+const escaparHtml = (texto) => String(texto)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// A chave do indicador sai do próprio payload: o card recebe dados.pl, então basta achar quem é dados.pl
+function dicaDoGlossario(glossario, dados, data) {
+    const chave = data && Object.keys(dados).find(k => dados[k] === data);
+    const termo = chave && glossario[chave];
+    if (!termo) return '';
+    const linhas = [`<strong>${escaparHtml(termo.nome)}</strong>`, escaparHtml(termo.definicao)];
+    if (termo.formula) linhas.push(`<em>${escaparHtml(termo.formula)}</em>`);
+    if (termo.faixas && termo.faixas.geral) linhas.push(`Padrão: ${escaparHtml(termo.faixas.geral)}`);
+    return `
+        <a class="glossario-icon" href="secaoEducativa.html?tipo=${termo.tipo}&termo=${chave}" target="_blank" aria-label="O que é ${escaparHtml(termo.nome)}?">?
+            <span class="tooltip">${linhas.join('<br>')}<br><u>Clique para saber mais</u></span>
+        </a>`;
+}
@@ -0,0 +1,323 @@
+// --- IDIOMA DA INTERFACE (compartilhado entre as páginas; carregado antes de auth.js) ---
+// As páginas são escritas em português. Textos cujo conteúdo inteiro está no dicionário (rótulos, títulos,
+// botões, placeholders) são trocados ao carregar e sempre que o conteúdo muda; textos montados com
+// variáveis passam por t(). As mensagens da API já chegam no idioma pedido pelo Accept-Language.
+const IDIOMAS_INTERFACE = { 'pt-BR': 'Português', en: 'English', es: 'Español' };
+const LOCALE_NUMEROS = { 'pt-BR': 'pt-BR', en: 'en-US', es: 'es-ES' };
+
+function idiomaAtual() {
+    const salvo = localStorage.getItem('idioma');
+    if (IDIOMAS_INTERFACE[salvo]) return salvo;
+    const base = (navigator.language || '').split('-')[0];
+    return Object.keys(IDIOMAS_INTERFACE).find(i => i.split('-')[0] === base) || 'pt-BR';
+}
+
+const TRADUCOES = {
+    en: {
+        // Navegação e cabeçalho
+        'Ações': 'Stocks', 'FIIs': 'REITs (FIIs)', 'Comparar': 'Compare', 'Screener': 'Screener', 'Carteiras': 'Portfolios',
+        'Lançamentos': 'Transactions', 'Proventos': 'Payouts', 'Alertas': 'Alerts', 'Aprenda': 'Learn',
+        'Sair': 'Sign out', 'Logado como:': 'Signed in as:', 'Idioma': 'Language',
+        'Análise de Ações': 'Stock Analysis', 'Análise de FIIs': 'REIT (FII) Analysis', 'Comparar Ativos': 'Compare Assets',
+        'Screener de Ações': 'Stock Screener', 'Minhas Carteiras': 'My Portfolios', 'Lançamentos e IR': 'Transactions and Tax',
+        'Meus Alertas': 'My Alerts', 'Regras de Classificação': 'Classification Rules', 'Seção Educativa': 'Learning Center',
+        'Seção Educativa - Análise de Ativos': 'Learning Center - Asset Analysis', 'Minha Conta': 'My Account',
+
+        // Busca e resultado
+        'Buscar': 'Search', 'Resultados para': 'Results for', 'Recalcular': 'Recalculate', 'Exportar': 'Export',
+        'Premissas de valuation': 'Valuation assumptions', 'Salvar como minhas premissas': 'Save as my assumptions',
+        'Voltar ao padrão': 'Reset to default', 'Por favor, digite um ticker válido.': 'Please enter a valid ticker.',
+        'Por favor, digite ao menos dois tickers.': 'Please enter at least two tickers.',
+        'Ticker ou nome (ex: PETR4, Petrobras)': 'Ticker or name (e.g. PETR4, Petrobras)',
+        'Ticker ou nome (ex: HGLG11, Kinea)': 'Ticker or name (e.g. HGLG11, Kinea)',
+        'Tickers separados por vírgula (ex: ITUB4, BBDC4, BBAS3)': 'Comma-separated tickers (e.g. ITUB4, BBDC4, BBAS3)',
+        'Ticker (ex: PETR4)': 'Ticker (e.g. PETR4)', 'Ticker (ex: TAEE11)': 'Ticker (e.g. TAEE11)',
+
+        // Seções e cards de ações
+        'Múltiplos de Preço & Valor de Mercado': 'Price Multiples & Market Value', 'Dividendos & Proventos': 'Dividends & Payouts',
+        'Indicadores de Rentabilidade': 'Profitability Indicators', 'Indicadores de Endividamento & Liquidez': 'Debt & Liquidity Indicators',
+        'Outros Indicadores': 'Other Indicators', 'Valuation (Fórmulas Calculadas)': 'Valuation (Calculated Formulas)',
+        'Humor da Corretora (XP)': 'Broker Sentiment (XP)', 'Humor da Corretora (BTG)': 'Broker Sentiment (BTG)',
+        'Cotação Atual': 'Current Price', 'Cotação': 'Price', 'DY (12M)': 'DY (12M)', 'DY Médio (5 Anos)': 'Average DY (5 Years)',
+        'Payout': 'Payout', 'Margem Bruta': 'Gross Margin', 'Margem EBITDA': 'EBITDA Margin', 'Margem Líquida': 'Net Margin',
+        'Dív. Líq./Patrimônio': 'Net Debt/Equity', 'Dív. Líq./EBITDA': 'Net Debt/EBITDA', 'Liquidez Corrente': 'Current Ratio',
+        'LPA (Lucro por Ação)': 'EPS (Earnings per Share)', 'VPA (Valor Patr. Ação)': 'BVPS (Book Value per Share)',
+        'CAGR Lucros 5A': 'Earnings CAGR 5Y', 'Giro Ativos': 'Asset Turnover',
+        'Recomendação (XP)': 'Recommendation (XP)', 'Preço Alvo (XP)': 'Target Price (XP)', 'Potencial (XP)': 'Upside (XP)', 'Risco (XP)': 'Risk (XP)',
+        'Recomendação (BTG)': 'Recommendation (BTG)', 'Preço Alvo (BTG)': 'Target Price (BTG)', 'Potencial (BTG)': 'Upside (BTG)',
+        'Preço Teto (Bazin {r}% - 12M)': 'Ceiling Price (Bazin {r}% - 12M)', 'Preço Teto (Bazin {r}% - 5Y)': 'Ceiling Price (Bazin {r}% - 5Y)',
+        'Valor Justo (Graham)': 'Fair Value (Graham)', 'Valor Justo (Graham Rev.)': 'Fair Value (Revised Graham)',
+        'Modelo': 'Model', 'Valor Justo': 'Fair Value', 'Margem de Segurança': 'Margin of Safety', 'Entradas': 'Inputs',
+        'Graham Revisado': 'Revised Graham', 'Bazin (DY médio 5 anos)': 'Bazin (5-year average DY)',
+        'Fluxo de Caixa Descontado': 'Discounted Cash Flow', 'Planilha': 'Spreadsheet',
+
+        // FIIs
+        'Múltiplos de Preço & Mercado': 'Price Multiples & Market', 'Proventos & Cálculos': 'Payouts & Calculations',
+        'Patrimônio & Cotistas': 'Equity & Shareholders', 'Informações do Fundo': 'Fund Information', 'Qualidade': 'Quality',
+        'DY (12 Meses)': 'DY (12 Months)', 'DY 12M (distribuições)': 'DY 12M (distributions)', 'Último Rendimento': 'Last Distribution',
+        'Yield 1 Mês': '1-Month Yield', 'Média Mensal': 'Monthly Average', 'Liquidez Diária': 'Daily Liquidity',
+        'Valor Patrimonial': 'Book Value', 'VPA (Valor Patr. Cota)': 'BVPS (Book Value per Unit)', 'Cotas Emitidas': 'Units Issued',
+        'Nº de Cotistas': 'Number of Shareholders', 'Segmento': 'Segment', 'Tipo de Fundo': 'Fund Type', 'Tipo de Gestão': 'Management Type',
+        'Taxa de Adm.': 'Management Fee', 'Vacância': 'Vacancy', 'Cotas p/ R$1/mês (EBN)': 'Units for R$1/month (EBN)',
+        'Valor p/ R$1/mês (VN)': 'Amount for R$1/month (VN)', 'EBN pela Média': 'EBN by Average', 'Número Mágico (média)': 'Magic Number (average)',
+        'Nota de Qualidade (0 a 10)': 'Quality Score (0 to 10)', 'Volatilidade': 'Volatility', 'Critério': 'Criterion', 'Nota': 'Score', 'Peso': 'Weight',
+        'Histórico de distribuições indisponível para este fundo.': 'Distribution history unavailable for this fund.',
+
+        // Carteiras, lançamentos e proventos
+        'Criar lista': 'Create list', 'Renomear': 'Rename', 'Excluir': 'Delete', 'Adicionar': 'Add', 'Adicionar ativo': 'Add asset',
+        'Remover': 'Remove', 'Ativo': 'Asset', 'Ação': 'Stock', 'FII': 'REIT (FII)', 'Tipo': 'Type', 'Quantidade': 'Quantity', 'Qtd.': 'Qty.',
+        'Preço Médio': 'Average Price', 'Custo Total': 'Total Cost', 'Valor Atual': 'Current Value', 'Resultado': 'Result',
+        'Resultado (%)': 'Result (%)', 'Participação': 'Allocation', 'Posições': 'Positions', 'Posição atual': 'Current position',
+        'Nenhuma lista criada': 'No lists created', 'Nenhuma carteira criada': 'No portfolios created',
+        'Esta lista ainda não tem ativos.': 'This list has no assets yet.', 'Nenhuma posição.': 'No positions.',
+        'Nenhuma posição em aberto.': 'No open positions.', 'Atualizando cotações...': 'Updating prices...',
+        'Atualizando cotações da carteira...': 'Updating portfolio prices...', 'Carteira': 'Portfolio',
+        'Nome da nova lista (ex: Dividendos)': 'New list name (e.g. Dividends)',
+        'Preço médio (R$)': 'Average price (R$)', 'Preço (R$)': 'Price (R$)', 'Taxas (R$)': 'Fees (R$)', 'Valor recebido (R$)': 'Amount received (R$)',
+        'Novo lançamento': 'New transaction', 'Compra': 'Buy', 'Venda': 'Sell', 'Desdobramento': 'Split', 'Grupamento': 'Reverse split',
+        'Bonificação': 'Bonus shares', 'Provento recebido': 'Payout received', 'Data': 'Date', 'Operação': 'Operation', 'Origem': 'Source',
+        'Nenhum lançamento ainda.': 'No transactions yet.', 'Importar': 'Import', 'Importar extrato da B3': 'Import B3 statement',
+        'Importando...': 'Importing...', 'Imposto de renda': 'Income tax', 'Mês': 'Month', 'Mês a mês': 'Month by month',
+        'Ganhos isentos (ações)': 'Tax-exempt gains (stocks)', 'IRRF abatido': 'Withholding tax deducted', 'Custo de aquisição': 'Acquisition cost',
+        'Fator (ex: 2 = 1 para 2)': 'Factor (e.g. 2 = 1 for 2)', 'Projetar': 'Project', 'Renda em 12 meses': 'Income over 12 months',
+        'Renda 12M': 'Income 12M', 'Média mensal': 'Monthly average', 'Próximos 90 dias': 'Next 90 days', 'Por ativo': 'By asset',
+        'Buscando os proventos da carteira...': 'Fetching portfolio payouts...', 'Dividendo': 'Dividend', 'Rendimento': 'Distribution',
+        'JCP (tributação exclusiva)': 'Interest on equity (final taxation)', 'Já anunciado': 'Already announced', 'Anunciado': 'Announced',
+        'Estimado': 'Estimated', 'anunciado': 'announced', 'estimado': 'estimated', 'Yield projetado': 'Projected yield',
+        'Anunciados sem data de pagamento': 'Announced without payment date', 'Dividendos + rendimentos': 'Dividends + distributions',
+        'Nenhuma data com ou pagamento anunciado.': 'No record date or payment announced.', 'Total': 'Total', 'Valor': 'Value',
+
+        // Comparação, screener e alertas
+        'Indicador': 'Indicator', 'Filtrar': 'Filter', 'Crescente': 'Ascending', 'Decrescente': 'Descending', 'Anterior': 'Previous',
+        'Próxima': 'Next', 'Sem ranking': 'No ranking', 'Posição no ranking': 'Ranking position',
+        'Nenhuma ação atende aos filtros.': 'No stock matches the filters.',
+        'Filtros separados por ; (ex: pl>0; pl<15; roe>=15; setor=Bancos)': 'Filters separated by ; (e.g. pl>0; pl<15; roe>=15; setor=Bancos)',
+        'Novo alerta': 'New alert', 'Criar alerta': 'Create alert', 'Alertas cadastrados': 'Saved alerts', 'Condição': 'Condition',
+        'Canais': 'Channels', 'No app': 'In app', 'E-mail': 'E-mail', 'Webhook': 'Webhook', 'Testar': 'Test', 'Estado': 'Status',
+        'Último disparo': 'Last triggered', 'Valor fixo': 'Fixed value', 'Outro indicador': 'Another indicator',
+        'menor que': 'less than', 'menor ou igual a': 'less than or equal to', 'maior que': 'greater than', 'maior ou igual a': 'greater than or equal to',
+        'deixar a classe': 'leave the class', 'virar a classe': 'become the class', 'Valor (ex: 0,95)': 'Value (e.g. 0.95)',
+        'Nenhum alerta cadastrado.': 'No alerts saved.', 'Notificações': 'Notifications', 'Marcar todas como lidas': 'Mark all as read',
+        'Nenhuma notificação por enquanto.': 'No notifications yet.', 'Erro ao carregar os alertas.': 'Error loading the alerts.',
+        'Erro ao carregar as notificações.': 'Error loading the notifications.',
+
+        // Regras de classificação
+        'Meus perfis': 'My profiles', 'Criar novo': 'Create new', 'Editar perfil': 'Edit profile', 'Usar este perfil': 'Use this profile',
+        'Usar regras padrão': 'Use default rules', 'Regras padrão': 'Default rules', 'Salvar alterações': 'Save changes',
+        'Nome do perfil (ex: Dividendos)': 'Profile name (e.g. Dividends)', 'Bom se': 'Good if', 'Ruim se': 'Bad if', 'Onde': 'Where',
+        'Sem classificação: aparece sempre em cinza.': 'No classification: always shown in grey.', 'sem classificação': 'not classified', 'ver perfis': 'see profiles',
+
+        // Conta e login
+        'Entrar': 'Sign in', 'Entre': 'Sign in', 'Senha': 'Password', 'Cadastrar': 'Sign up', 'Criar Conta': 'Create Account',
+        'Criar agora': 'Create now', 'Não tem conta?': "Don't have an account?", 'Já tem conta?': 'Already have an account?',
+        'Fazer Login': 'Sign in', 'Bem-vindo': 'Welcome', 'Entre para analisar seus ativos': 'Sign in to analyze your assets',
+        'Comece a investir melhor hoje': 'Start investing better today', 'Esqueci minha senha': 'I forgot my password',
+        'Esqueci a Senha': 'Forgot Password', 'Enviar link': 'Send link', 'Lembrou?': 'Remembered it?', 'Voltar ao login': 'Back to sign in',
+        'Enviaremos um link para criar uma senha nova': "We'll send you a link to create a new password",
+        'Escolha a nova senha da sua conta': 'Choose the new password for your account', 'Nova Senha': 'New Password', 'Nova senha': 'New password',
+        'Salvar senha': 'Save password', 'Senha atual': 'Current password', 'Alterar senha': 'Change password', 'Alterar e-mail': 'Change e-mail',
+        'Novo e-mail': 'New e-mail', 'Enviar confirmação': 'Send confirmation', 'Excluir conta': 'Delete account',
+        'Excluir minha conta': 'Delete my account', 'Voltar ao app': 'Back to the app', 'Reenviar': 'Resend',
+        'Não recebeu o e-mail de confirmação?': "Didn't get the confirmation e-mail?",
+        'Mínimo de 8 caracteres, com letras e números.': 'At least 8 characters, with letters and numbers.',
+
+        // Aprenda
+        'Lições': 'Lessons', 'Quiz': 'Quiz', 'Corrigir': 'Check', 'Termos desta lição': 'Terms in this lesson',
+        'Glossário dos Indicadores': 'Indicator Glossary', 'Ver o glossário completo': 'See the full glossary',
+        'Nenhum termo encontrado.': 'No term found.', 'Nenhuma lição encontrada.': 'No lesson found.',
+        'Responda todas as perguntas.': 'Answer all the questions.', 'Fórmula:': 'Formula:', 'Por quê:': 'Why:',
+        'Buscar lição (ex: dividendos, vacância, Graham)': 'Search lessons (e.g. dividends, vacancy, Graham)',
+        'Buscar termo (ex: P/VP, margem, número mágico)': 'Search terms (e.g. P/B, margin, magic number)',
+        'Ações e FIIs': 'Stocks and REITs (FIIs)', 'Atenção:': 'Warning:'
+    },
+    es: {
+        'Ações': 'Acciones', 'FIIs': 'FIIs', 'Comparar': 'Comparar', 'Screener': 'Screener', 'Carteiras': 'Carteras',
+        'Lançamentos': 'Movimientos', 'Proventos': 'Dividendos', 'Alertas': 'Alertas', 'Aprenda': 'Aprende',
+        'Sair': 'Salir', 'Logado como:': 'Sesión iniciada como:', 'Idioma': 'Idioma',
+        'Análise de Ações': 'Análisis de Acciones', 'Análise de FIIs': 'Análisis de FIIs', 'Comparar Ativos': 'Comparar Activos',
+        'Screener de Ações': 'Screener de Acciones', 'Minhas Carteiras': 'Mis Carteras', 'Lançamentos e IR': 'Movimientos e Impuestos',
+        'Meus Alertas': 'Mis Alertas', 'Regras de Classificação': 'Reglas de Clasificación', 'Seção Educativa': 'Sección Educativa',
+        'Seção Educativa - Análise de Ativos': 'Sección Educativa - Análisis de Activos', 'Minha Conta': 'Mi Cuenta',
+
+        'Buscar': 'Buscar', 'Resultados para': 'Resultados para', 'Recalcular': 'Recalcular', 'Exportar': 'Exportar',
+        'Premissas de valuation': 'Supuestos de valoración', 'Salvar como minhas premissas': 'Guardar como mis supuestos',
+        'Voltar ao padrão': 'Volver a los predeterminados', 'Por favor, digite um ticker válido.': 'Por favor, escribe un ticker válido.',
+        'Por favor, digite ao menos dois tickers.': 'Por favor, escribe al menos dos tickers.',
+        'Ticker ou nome (ex: PETR4, Petrobras)': 'Ticker o nombre (ej.: PETR4, Petrobras)',
+        'Ticker ou nome (ex: HGLG11, Kinea)': 'Ticker o nombre (ej.: HGLG11, Kinea)',
+        'Tickers separados por vírgula (ex: ITUB4, BBDC4, BBAS3)': 'Tickers separados por coma (ej.: ITUB4, BBDC4, BBAS3)',
+        'Ticker (ex: PETR4)': 'Ticker (ej.: PETR4)', 'Ticker (ex: TAEE11)': 'Ticker (ej.: TAEE11)',
+
+        'Múltiplos de Preço & Valor de Mercado': 'Múltiplos de Precio y Valor de Mercado', 'Dividendos & Proventos': 'Dividendos y Repartos',
+        'Indicadores de Rentabilidade': 'Indicadores de Rentabilidad', 'Indicadores de Endividamento & Liquidez': 'Indicadores de Endeudamiento y Liquidez',
+        'Outros Indicadores': 'Otros Indicadores', 'Valuation (Fórmulas Calculadas)': 'Valoración (Fórmulas Calculadas)',
+        'Humor da Corretora (XP)': 'Opinión del Bróker (XP)', 'Humor da Corretora (BTG)': 'Opinión del Bróker (BTG)',
+        'Cotação Atual': 'Cotización Actual', 'Cotação': 'Cotización', 'DY (12M)': 'DY (12M)', 'DY Médio (5 Anos)': 'DY Medio (5 Años)',
+        'Payout': 'Payout', 'Margem Bruta': 'Margen Bruto', 'Margem EBITDA': 'Margen EBITDA', 'Margem Líquida': 'Margen Neto',
+        'Dív. Líq./Patrimônio': 'Deuda Neta/Patrimonio', 'Dív. Líq./EBITDA': 'Deuda Neta/EBITDA', 'Liquidez Corrente': 'Liquidez Corriente',
+        'LPA (Lucro por Ação)': 'BPA (Beneficio por Acción)', 'VPA (Valor Patr. Ação)': 'VLA (Valor en Libros por Acción)',
+        'CAGR Lucros 5A': 'CAGR Beneficios 5A', 'Giro Ativos': 'Rotación de Activos',
+        'Recomendação (XP)': 'Recomendación (XP)', 'Preço Alvo (XP)': 'Precio Objetivo (XP)', 'Potencial (XP)': 'Potencial (XP)', 'Risco (XP)': 'Riesgo (XP)',
+        'Recomendação (BTG)': 'Recomendación (BTG)', 'Preço Alvo (BTG)': 'Precio Objetivo (BTG)', 'Potencial (BTG)': 'Potencial (BTG)',
+        'Preço Teto (Bazin {r}% - 12M)': 'Precio Techo (Bazin {r}% - 12M)', 'Preço Teto (Bazin {r}% - 5Y)': 'Precio Techo (Bazin {r}% - 5A)',
+        'Valor Justo (Graham)': 'Valor Justo (Graham)', 'Valor Justo (Graham Rev.)': 'Valor Justo (Graham Rev.)',
+        'Modelo': 'Modelo', 'Valor Justo': 'Valor Justo', 'Margem de Segurança': 'Margen de Seguridad', 'Entradas': 'Entradas',
+        'Graham Revisado': 'Graham Revisado', 'Bazin (DY médio 5 anos)': 'Bazin (DY medio 5 años)',
+        'Fluxo de Caixa Descontado': 'Flujo de Caja Descontado', 'Planilha': 'Hoja de cálculo',
+
+        'Múltiplos de Preço & Mercado': 'Múltiplos de Precio y Mercado', 'Proventos & Cálculos': 'Repartos y Cálculos',
+        'Patrimônio & Cotistas': 'Patrimonio y Cuotistas', 'Informações do Fundo': 'Información del Fondo', 'Qualidade': 'Calidad',
+        'DY (12 Meses)': 'DY (12 Meses)', 'DY 12M (distribuições)': 'DY 12M (distribuciones)', 'Último Rendimento': 'Último Reparto',
+        'Yield 1 Mês': 'Yield 1 Mes', 'Média Mensal': 'Media Mensual', 'Liquidez Diária': 'Liquidez Diaria',
+        'Valor Patrimonial': 'Valor Patrimonial', 'VPA (Valor Patr. Cota)': 'VLC (Valor en Libros por Cuota)', 'Cotas Emitidas': 'Cuotas Emitidas',
+        'Nº de Cotistas': 'Nº de Cuotistas', 'Segmento': 'Segmento', 'Tipo de Fundo': 'Tipo de Fondo', 'Tipo de Gestão': 'Tipo de Gestión',
+        'Taxa de Adm.': 'Comisión de Adm.', 'Vacância': 'Vacancia', 'Cotas p/ R$1/mês (EBN)': 'Cuotas p/ R$1/mes (EBN)',
+        'Valor p/ R$1/mês (VN)': 'Valor p/ R$1/mes (VN)', 'EBN pela Média': 'EBN por la Media', 'Número Mágico (média)': 'Número Mágico (media)',
+        'Nota de Qualidade (0 a 10)': 'Nota de Calidad (0 a 10)', 'Volatilidade': 'Volatilidad', 'Critério': 'Criterio', 'Nota': 'Nota', 'Peso': 'Peso',
+        'Histórico de distribuições indisponível para este fundo.': 'Historial de distribuciones no disponible para este fondo.',
+
+        'Criar lista': 'Crear lista', 'Renomear': 'Renombrar', 'Excluir': 'Eliminar', 'Adicionar': 'Añadir', 'Adicionar ativo': 'Añadir activo',
+        'Remover': 'Quitar', 'Ativo': 'Activo', 'Ação': 'Acción', 'FII': 'FII', 'Tipo': 'Tipo', 'Quantidade': 'Cantidad', 'Qtd.': 'Cant.',
+        'Preço Médio': 'Precio Medio', 'Custo Total': 'Costo Total', 'Valor Atual': 'Valor Actual', 'Resultado': 'Resultado',
+        'Resultado (%)': 'Resultado (%)', 'Participação': 'Participación', 'Posições': 'Posiciones', 'Posição atual': 'Posición actual',
+        'Nenhuma lista criada': 'Ninguna lista creada', 'Nenhuma carteira criada': 'Ninguna cartera creada',
+        'Esta lista ainda não tem ativos.': 'Esta lista todavía no tiene activos.', 'Nenhuma posição.': 'Ninguna posición.',
+        'Nenhuma posição em aberto.': 'Ninguna posición abierta.', 'Atualizando cotações...': 'Actualizando cotizaciones...',
+        'Atualizando cotações da carteira...': 'Actualizando cotizaciones de la cartera...', 'Carteira': 'Cartera',
+        'Nome da nova lista (ex: Dividendos)': 'Nombre de la nueva lista (ej.: Dividendos)',
+        'Preço médio (R$)': 'Precio medio (R$)', 'Preço (R$)': 'Precio (R$)', 'Taxas (R$)': 'Comisiones (R$)', 'Valor recebido (R$)': 'Valor recibido (R$)',
+        'Novo lançamento': 'Nuevo movimiento', 'Compra': 'Compra', 'Venda': 'Venta', 'Desdobramento': 'Desdoblamiento', 'Grupamento': 'Agrupamiento',
+        'Bonificação': 'Bonificación', 'Provento recebido': 'Dividendo recibido', 'Data': 'Fecha', 'Operação': 'Operación', 'Origem': 'Origen',
+        'Nenhum lançamento ainda.': 'Todavía no hay movimientos.', 'Importar': 'Importar', 'Importar extrato da B3': 'Importar extracto de B3',
+        'Importando...': 'Importando...', 'Imposto de renda': 'Impuesto sobre la renta', 'Mês': 'Mes', 'Mês a mês': 'Mes a mes',
+        'Ganhos isentos (ações)': 'Ganancias exentas (acciones)', 'IRRF abatido': 'Retención descontada', 'Custo de aquisição': 'Costo de adquisición',
+        'Fator (ex: 2 = 1 para 2)': 'Factor (ej.: 2 = 1 por 2)', 'Projetar': 'Proyectar', 'Renda em 12 meses': 'Renta en 12 meses',
+        'Renda 12M': 'Renta 12M', 'Média mensal': 'Media mensual', 'Próximos 90 dias': 'Próximos 90 días', 'Por ativo': 'Por activo',
+        'Buscando os proventos da carteira...': 'Buscando los dividendos de la cartera...', 'Dividendo': 'Dividendo', 'Rendimento': 'Reparto',
+        'JCP (tributação exclusiva)': 'JCP (tributación exclusiva)', 'Já anunciado': 'Ya anunciado', 'Anunciado': 'Anunciado',
+        'Estimado': 'Estimado', 'anunciado': 'anunciado', 'estimado': 'estimado', 'Yield projetado': 'Yield proyectado',
+        'Anunciados sem data de pagamento': 'Anunciados sin fecha de pago', 'Dividendos + rendimentos': 'Dividendos + repartos',
+        'Nenhuma data com ou pagamento anunciado.': 'Ninguna fecha de corte o pago anunciado.', 'Total': 'Total', 'Valor': 'Valor',
+
+        'Indicador': 'Indicador', 'Filtrar': 'Filtrar', 'Crescente': 'Ascendente', 'Decrescente': 'Descendente', 'Anterior': 'Anterior',
+        'Próxima': 'Siguiente', 'Sem ranking': 'Sin ranking', 'Posição no ranking': 'Posición en el ranking',
+        'Nenhuma ação atende aos filtros.': 'Ninguna acción cumple los filtros.',
+        'Filtros separados por ; (ex: pl>0; pl<15; roe>=15; setor=Bancos)': 'Filtros separados por ; (ej.: pl>0; pl<15; roe>=15; setor=Bancos)',
+        'Novo alerta': 'Nueva alerta', 'Criar alerta': 'Crear alerta', 'Alertas cadastrados': 'Alertas guardadas', 'Condição': 'Condición',
+        'Canais': 'Canales', 'No app': 'En la app', 'E-mail': 'Correo', 'Webhook': 'Webhook', 'Testar': 'Probar', 'Estado': 'Estado',
+        'Último disparo': 'Último disparo', 'Valor fixo': 'Valor fijo', 'Outro indicador': 'Otro indicador',
+        'menor que': 'menor que', 'menor ou igual a': 'menor o igual a', 'maior que': 'mayor que', 'maior ou igual a': 'mayor o igual a',
+        'deixar a classe': 'dejar la clase', 'virar a classe': 'pasar a la clase', 'Valor (ex: 0,95)': 'Valor (ej.: 0,95)',
+        'Nenhum alerta cadastrado.': 'Ninguna alerta guardada.', 'Notificações': 'Notificaciones', 'Marcar todas como lidas': 'Marcar todas como leídas',
+        'Nenhuma notificação por enquanto.': 'Ninguna notificación por ahora.', 'Erro ao carregar os alertas.': 'Error al cargar las alertas.',
+        'Erro ao carregar as notificações.': 'Error al cargar las notificaciones.',
+
+        'Meus perfis': 'Mis perfiles', 'Criar novo': 'Crear nuevo', 'Editar perfil': 'Editar perfil', 'Usar este perfil': 'Usar este perfil',
+        'Usar regras padrão': 'Usar reglas predeterminadas', 'Regras padrão': 'Reglas predeterminadas', 'Salvar alterações': 'Guardar cambios',
+        'Nome do perfil (ex: Dividendos)': 'Nombre del perfil (ej.: Dividendos)', 'Bom se': 'Bueno si', 'Ruim se': 'Malo si', 'Onde': 'Dónde',
+        'Sem classificação: aparece sempre em cinza.': 'Sin clasificación: aparece siempre en gris.', 'sem classificação': 'sin clasificación', 'ver perfis': 'ver perfiles',
+
+        'Entrar': 'Entrar', 'Entre': 'Entra', 'Senha': 'Contraseña', 'Cadastrar': 'Registrarse', 'Criar Conta': 'Crear Cuenta',
+        'Criar agora': 'Crear ahora', 'Não tem conta?': '¿No tienes cuenta?', 'Já tem conta?': '¿Ya tienes cuenta?',
+        'Fazer Login': 'Iniciar sesión', 'Bem-vindo': 'Bienvenido', 'Entre para analisar seus ativos': 'Entra para analizar tus activos',
+        'Comece a investir melhor hoje': 'Empieza a invertir mejor hoy', 'Esqueci minha senha': 'Olvidé mi contraseña',
+        'Esqueci a Senha': 'Olvidé la Contraseña', 'Enviar link': 'Enviar enlace', 'Lembrou?': '¿La recordaste?', 'Voltar ao login': 'Volver al inicio de sesión',
+        'Enviaremos um link para criar uma senha nova': 'Te enviaremos un enlace para crear una contraseña nueva',
+        'Escolha a nova senha da sua conta': 'Elige la nueva contraseña de tu cuenta', 'Nova Senha': 'Nueva Contraseña', 'Nova senha': 'Nueva contraseña',
+        'Salvar senha': 'Guardar contraseña', 'Senha atual': 'Contraseña actual', 'Alterar senha': 'Cambiar contraseña', 'Alterar e-mail': 'Cambiar correo',
+        'Novo e-mail': 'Nuevo correo', 'Enviar confirmação': 'Enviar confirmación', 'Excluir conta': 'Eliminar cuenta',
+        'Excluir minha conta': 'Eliminar mi cuenta', 'Voltar ao app': 'Volver a la app', 'Reenviar': 'Reenviar',
+        'Não recebeu o e-mail de confirmação?': '¿No recibiste el correo de confirmación?',
+        'Mínimo de 8 caracteres, com letras e números.': 'Mínimo de 8 caracteres, con letras y números.',
+
+        'Lições': 'Lecciones', 'Quiz': 'Quiz', 'Corrigir': 'Corregir', 'Termos desta lição': 'Términos de esta lección',
+        'Glossário dos Indicadores': 'Glosario de Indicadores', 'Ver o glossário completo': 'Ver el glosario completo',
+        'Nenhum termo encontrado.': 'Ningún término encontrado.', 'Nenhuma lição encontrada.': 'Ninguna lección encontrada.',
+        'Responda todas as perguntas.': 'Responde todas las preguntas.', 'Fórmula:': 'Fórmula:', 'Por quê:': 'Por qué:',
+        'Buscar lição (ex: dividendos, vacância, Graham)': 'Buscar lección (ej.: dividendos, vacancia, Graham)',
+        'Buscar termo (ex: P/VP, margem, número mágico)': 'Buscar término (ej.: P/VP, margen, número mágico)',
+        'Ações e FIIs': 'Acciones y FIIs', 'Atenção:': 'Atención:'
+    }
+};
+
+// t('Preço Teto (Bazin {r}% - 12M)', { r: 6 }): texto no idioma atual; sem tradução fica o português
+function t(texto, params = {}) {
+    const traduzido = TRADUCOES[idiomaAtual()]?.[texto] ?? texto;
+    return traduzido.replace(/\{(\w+)\}/g, (marca, nome) => params[nome] ?? marca);
+}
+
+// --- NÚMEROS E MOEDA ---
+const localeDosNumeros = () => LOCALE_NUMEROS[idiomaAtual()];
+
+// Número solto (quantidade, premissa em %...) com o separador decimal do idioma
+function formatarNumero(n, casas = null) {
+    const opcoes = casas === null ? { maximumFractionDigits: 6 } : { minimumFractionDigits: casas, maximumFractionDigits: casas };
+    return Number(n).toLocaleString(localeDosNumeros(), opcoes);
+}
+
+// Os cards trazem `value` formatado em pt-BR e `raw` com o número; nos outros idiomas o texto é refeito
+// pelo Intl mantendo o que ele era: moeda (R$), porcentagem, escala (M, Bilhões) e as casas decimais.
+function formatarCelula(data) {
+    const texto = (data && data.value !== undefined && data.value !== null) ? String(data.value) : '-';
+    const idioma = idiomaAtual();
+    if (idioma === 'pt-BR' || typeof data?.raw !== 'number') return texto;
+
+    const decimais = (texto.match(/,(\d+)/) || ['', ''])[1].length;
+    const opcoes = { minimumFractionDigits: decimais, maximumFractionDigits: decimais };
+    if (/\d\s*[a-zA-ZõÕ]+\.?$/.test(texto)) Object.assign(opcoes, { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 2 });
+    if (texto.includes('R$')) Object.assign(opcoes, { style: 'currency', currency: 'BRL', currencyDisplay: 'narrowSymbol' });
+    const numero = new Intl.NumberFormat(localeDosNumeros(), opcoes).format(data.raw);
+    return texto.includes('%') ? `${numero}%` : numero;
+}
+
+// --- TRADUÇÃO DA PÁGINA ---
+const ATRIBUTOS_TRADUZIVEIS = ['placeholder', 'title'];
+
+function traduzirNo(raiz) {
+    const dicionario = TRADUCOES[idiomaAtual()];
+    if (!dicionario) return;
+    if (raiz.nodeType === Node.TEXT_NODE) {
+        const chave = raiz.data.trim();
+        if (chave && dicionario[chave]) raiz.data = raiz.data.replace(chave, dicionario[chave]);
+        return;
+    }
+    if (raiz.nodeType !== Node.ELEMENT_NODE || ['SCRIPT', 'STYLE', 'TEXTAREA'].includes(raiz.tagName)) return;
+    for (const atributo of ATRIBUTOS_TRADUZIVEIS) {
+        const valor = raiz.getAttribute(atributo);
+        if (valor && dicionario[valor.trim()]) raiz.setAttribute(atributo, dicionario[valor.trim()]);
+    }
+    raiz.childNodes.forEach(traduzirNo);
+}
+
+function seletorDeIdioma() {
+    const seletor = document.createElement('select');
+    seletor.className = 'seletor-idioma';
+    seletor.setAttribute('aria-label', t('Idioma'));
+    for (const [codigo, nome] of Object.entries(IDIOMAS_INTERFACE)) seletor.add(new Option(nome, codigo, false, codigo === idiomaAtual()));
+    // Recarrega para a API responder (e os números saírem) no idioma novo
+    seletor.addEventListener('change', () => {
+        localStorage.setItem('idioma', seletor.value);
+        window.location.reload();
+    });
+    return seletor;
+}
+
+// Todas as chamadas à API (fetch direto ou apiFetch) levam o idioma no Accept-Language
+const fetchOriginal = window.fetch.bind(window);
+window.fetch = (url, options = {}) => fetchOriginal(url, {
+    ...options,
+    headers: { 'Accept-Language': idiomaAtual(), ...(options.headers || {}) }
+});
+
+document.documentElement.lang = idiomaAtual();
+document.addEventListener('DOMContentLoaded', () => {
+    document.title = t(document.title);
+    traduzirNo(document.body);
+    // Conteúdo montado depois (resultados, listas, mensagens) é traduzido assim que entra na página
+    new MutationObserver(mudancas => mudancas.forEach(m => m.addedNodes.forEach(traduzirNo)))
+        .observe(document.body, { childList: true, subtree: true });
+
+    const nav = document.querySelector('nav');
+    if (nav) nav.appendChild(seletorDeIdioma());
+    else document.body.appendChild(seletorDeIdioma()).classList.add('flutuante');
+});
@@ -1,466 +1,476 @@
 import express from 'express';
-import puppeteer from 'puppeteer';
 import cors from 'cors';
-import mysql from 'mysql2/promise';
 import bcrypt from 'bcrypt';
 import dotenv from 'dotenv';
+import { pool } from './lib/db.js';
+import { createSession, refreshSession, revokeSession, requireAuth } from './lib/auth.js';
+import { contaRouter, validarEmail, validarSenha, verificacaoObrigatoria, enviarVerificacao } from './lib/conta.js';
+import { closeBrowser, poolStats, erroCancelamento } from './lib/browser.js';
+import { buscarAtivo, erroDeBusca, TIPOS_ATIVO } from './lib/ativos.js';
+import { compararAtivos, buscarVarios, parseTickers, MAX_TICKERS_COMPARACAO } from './lib/comparar.js';
+import { validarFormato, documentoDeAtivos, enviarExportacao, MAX_TICKERS_EXPORTACAO } from './lib/exportar.js';
+import { watchlistRouter, contarItensDaLista } from './lib/watchlists.js';
+import { providersStatus, validarModo } from './lib/providers/index.js';
+import { buscarSeries, atualizarHistorico } from './lib/historico.js';
+import { notificacoesRouter } from './lib/notificacoes.js';
+import { alertasRouter, avaliarAlertas } from './lib/alertas.js';
+import { perfisRouter } from './lib/perfis.js';
+import { preferenciasRouter, carregarPreferencias, personalizar } from './lib/preferencias.js';
+import { validarPremissas } from './lib/valuation.js';
+import { screenerRouter, atualizarScreener } from './lib/screener.js';
+import { proventosRouter } from './lib/proventos.js';
+import { lancamentosRouter, contarAtivosEmCarteira } from './lib/lancamentos.js';
+import { catalogoRouter, buscarAtivoDetectado } from './lib/catalogo.js';
+import { educacaoRouter } from './lib/educacao.js';
+import { middlewareIdioma, texto } from './lib/i18n.js';
+import { agendarDiario, agendarIntervalo } from './lib/agendador.js';
+import { validarTicker, validarTickers, validarCorpo, tratarErroDeCorpo } from './lib/validacao.js';
+import { limitar, criarBloqueio } from './lib/limites.js';
+import { aplicarMigracoes, verificarSchema, statusMigracoes, descreverErroDeBanco } from './lib/migracoes/index.js';
+import { log, comContextoDeLog, idDaRequisicao } from './lib/log.js';
+import { contador, histograma, registrarColeta, renderizarMetricas } from './lib/metricas.js';
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-app.use(cors());
-app.use(express.json());
+// Atrás de proxy reverso (nginx, Heroku...) defina TRUST_PROXY (true, nº de proxies ou IPs) para req.ip ser o IP real do cliente
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
+// O front é servido por este mesmo servidor: sem CORS_ORIGINS nenhum outro site chama a API pelo navegador
+const origensPermitidas = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({
+    origin: origensPermitidas.length > 0 ? origensPermitidas : false,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'Accept-Language'],
+    exposedHeaders: ['Content-Disposition', 'X-Nao-Encontrados', 'Retry-After', 'X-Request-Id', 'Content-Language']
+}));
+// Erros com `codigo` estável e mensagens no idioma do Accept-Language (pt-BR, en, es); antes do
+// express.json para valer também nos erros de corpo
+app.use(middlewareIdioma);
+app.use(express.json({ limit: '50kb' }));
 app.use(express.static('public')); 
 
-// --- CONFIGURAÇÃO DO BANCO DE DADOS ---
-const pool = mysql.createPool({
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || 'admin',
-    database: process.env.DB_NAME || 'investidor_app',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0,
-    ssl: {
-        rejectUnauthorized: false
-    }
+// --- LOG E MÉTRICAS DE CADA REQUISIÇÃO ---
+// Cada requisição da API ganha um X-Request-Id (o do proxy, se vier um válido), devolvido no cabeçalho
+// e anexado a todo log feito enquanto ela roda, inclusive nos providers e no navegador.
+// Rota nas métricas é o padrão do Express (/watchlists/:id), nunca a URL: mantém poucas séries.
+const metricaRequisicoes = contador('invista_http_requisicoes_total', 'Requisições da API por método, rota e status.');
+const metricaDuracaoHttp = histograma('invista_http_duracao_segundos', 'Duração das requisições da API por método e rota.');
+const ROTAS_SILENCIOSAS = ['/metrics', '/health'];
+
+app.use((req, res, next) => {
+    const inicio = Date.now();
+    req.id = idDaRequisicao(req.get('X-Request-Id'));
+    res.setHeader('X-Request-Id', req.id);
+    res.on('close', () => {
+        const duracaoMs = Date.now() - inicio;
+        // 499: o cliente desconectou antes da resposta (convenção do nginx)
+        const status = res.writableFinished ? res.statusCode : 499;
+        const rota = req.route ? `${req.baseUrl}${req.route.path}` : (req.baseUrl || 'sem_rota');
+        metricaRequisicoes.inc({ metodo: req.method, rota, status });
+        metricaDuracaoHttp.observar({ metodo: req.method, rota }, duracaoMs / 1000);
+        const nivel = status >= 500 ? 'error' : ROTAS_SILENCIOSAS.includes(rota) ? 'debug' : 'info';
+        log[nivel]('Requisição', {
+            requestId: req.id,
+            metodo: req.method,
+            rota,
+            caminho: req.path,
+            status,
+            duracaoMs,
+            userId: req.user?.id,
+            ip: req.ip
+        });
+    });
+    comContextoDeLog({ requestId: req.id }, next);
+});
+
+registrarColeta(() => [
+    { nome: 'invista_processo_uptime_segundos', ajuda: 'Tempo desde o início do processo.', valor: Math.round(process.uptime()) },
+    { nome: 'invista_processo_memoria_bytes', ajuda: 'Memória residente do processo (RSS).', valor: process.memoryUsage().rss }
+]);
+
+// Sinal abortado quando o cliente desconecta antes da resposta: a busca sai da fila do navegador
+// e a aba que estiver aberta só para ela é fechada
+app.use((req, res, next) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort(erroCancelamento());
+    });
+    req.signal = controller.signal;
+    next();
 });
 
-// Testa conexão
+// --- LIMITES POR IP E POR USUÁRIO ---
+// Auth: por IP. Buscas (cada uma pode abrir uma aba do navegador): por IP antes do login
+// (barra quem martela com token inválido) e por usuário depois, cobrando 1 por ticker pedido.
+// Nas rotas que buscam uma carteira inteira o usuário paga 1 por item (contarItensDaLista) e nas
+// posições e relatório dos lançamentos, 1 por ativo em carteira (contarAtivosEmCarteira).
+// Carteiras, alertas e perfis têm ainda um teto geral por IP, LIMITE_API_MIN.
+const LIMITE_BUSCAS = Number(process.env.LIMITE_BUSCAS_MIN) || 30;
+const custoBusca = (req) => Math.max(req.itensDaLista ?? (Array.isArray(req.body.posicoes) ? req.body.posicoes.length : parseTickers(req.body.tickers ?? req.body.ticker).length), 1);
+const limiteAuth = limitar({ nome: 'auth', max: Number(process.env.LIMITE_AUTH_MIN) || 20, porUsuario: false });
+const limiteBuscaIp = limitar({ nome: 'buscas-ip', max: LIMITE_BUSCAS * 3, porUsuario: false, custo: custoBusca });
+const limiteBuscaUsuario = limitar({ nome: 'buscas', max: LIMITE_BUSCAS, custo: custoBusca });
+const limiteApi = limitar({ nome: 'api', max: Number(process.env.LIMITE_API_MIN) || 120, porUsuario: false });
+const protegerBusca = [limiteBuscaIp, requireAuth, limiteBuscaUsuario];
+const protegerBuscaDaLista = [limiteBuscaIp, requireAuth, contarItensDaLista, limiteBuscaUsuario];
+const protegerBuscaDaCarteira = [limiteBuscaIp, requireAuth, contarAtivosEmCarteira, limiteBuscaUsuario];
+
+// Login: bloqueio progressivo por e-mail (5 erros seguidos = 1 min, dobrando até 1h) e, mais tolerante, por IP
+const bloqueioPorEmail = criarBloqueio({ tentativasLivres: Number(process.env.LOGIN_TENTATIVAS) || 5 });
+const bloqueioPorIp = criarBloqueio({ tentativasLivres: (Number(process.env.LOGIN_TENTATIVAS) || 5) * 4 });
+
+const SCHEMA_CREDENCIAIS = {
+    email: { tipo: 'string', obrigatorio: true, max: 254 },
+    password: { tipo: 'string', obrigatorio: true, max: 200 }
+};
+
+// Testa conexão e aplica as migrações pendentes (com MIGRAR_AO_INICIAR=false só confere e avisa)
 pool.getConnection()
-    .then(connection => {
-        console.log('✅ Conectado ao MySQL com sucesso!');
+    .then(async connection => {
+        log.info('Conectado ao MySQL');
         connection.release();
+        if (process.env.MIGRAR_AO_INICIAR === 'false') {
+            const erroSchema = await verificarSchema();
+            if (erroSchema) log.error(erroSchema);
+            return;
+        }
+        const aplicadas = await aplicarMigracoes({ log: (msg) => log.info(msg) });
+        if (aplicadas.length > 0) log.info('Migrações aplicadas', { versoes: aplicadas.map(m => m.versao) });
     })
     .catch(err => {
-        console.error('❌ Erro ao conectar no MySQL:', err.message);
+        log.error('Erro ao preparar o banco', { erro: descreverErroDeBanco(err), codigo: err.code });
     });
 
 // --- ROTAS DE AUTH ---
-app.post('/register', async (req, res) => {
-    const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ error: 'Email/Senha obrigatórios.' });
+app.post('/register', limiteAuth, validarCorpo(SCHEMA_CREDENCIAIS), async (req, res) => {
+    const { error, email } = validarEmail(req.body.email);
+    if (error) return res.status(400).json({ error });
+    const erroSenha = validarSenha(req.body.password, email);
+    if (erroSenha) return res.status(400).json({ error: erroSenha });
     try {
         const [users] = await pool.execute('SELECT * FROM users WHERE email = ?', [email]);
-        if (users.length > 0) return res.status(409).json({ error: 'Usuário já existe.' });
-        const hash = await bcrypt.hash(password, 10);
-        await pool.execute('INSERT INTO users (email, password_hash) VALUES (?, ?)', [email, hash]);
-        res.status(201).json({ message: 'Conta criada!' });
-    } catch (error) { res.status(500).json({ error: 'Erro no servidor.' }); }
+        if (users.length > 0) return res.status(409).json({ error: texto('USUARIO_JA_EXISTE') });
+        const hash = await bcrypt.hash(req.body.password, 10);
+        // Sem verificação obrigatória a conta já nasce verificada
+        const [result] = await pool.execute(
+            'INSERT INTO users (email, password_hash, email_verificado_em) VALUES (?, ?, ?)',
+            [email, hash, verificacaoObrigatoria() ? null : new Date()]
+        );
+        const enviado = await enviarVerificacao({ id: result.insertId, email });
+        res.status(201).json({
+            message: texto(enviado ? 'MSG_CONTA_CRIADA_CONFIRME' : 'MSG_CONTA_CRIADA'),
+            verificacaoPendente: verificacaoObrigatoria()
+        });
+    } catch (error) {
+        log.error('Erro no cadastro', { erro: descreverErroDeBanco(error), codigo: error.code });
+        res.status(500).json({ error: texto('ERRO_INTERNO') });
+    }
 });
 
-app.post('/login', async (req, res) => {
-    const { email, password } = req.body;
+app.post('/login', limiteAuth, validarCorpo(SCHEMA_CREDENCIAIS), async (req, res) => {
+    const { password } = req.body;
+    const email = req.body.email.trim().toLowerCase();
+    const [chaveEmail, chaveIp] = [`email:${email}`, `ip:${req.ip}`];
+
+    // Bloqueado responde antes do bcrypt: martelar o login não custa CPU do servidor
+    const espera = Math.max(bloqueioPorEmail.bloqueadoPor(chaveEmail), bloqueioPorIp.bloqueadoPor(chaveIp));
+    if (espera > 0) {
+        res.setHeader('Retry-After', espera);
+        return res.status(429).json({ error: texto('LOGIN_BLOQUEADO', { espera }), codigo: 'LOGIN_BLOQUEADO', retryAfterSeg: espera });
+    }
+    const falhou = () => {
+        bloqueioPorEmail.registrarFalha(chaveEmail);
+        bloqueioPorIp.registrarFalha(chaveIp);
+        res.status(401).json({ error: texto('DADOS_INCORRETOS') });
+    };
+
     try {
         const [users] = await pool.execute('SELECT * FROM users WHERE email = ?', [email]);
-        if (users.length === 0) return res.status(401).json({ error: 'Dados incorretos.' });
+        if (users.length === 0) return falhou();
         const match = await bcrypt.compare(password, users[0].password_hash);
-        if (!match) return res.status(401).json({ error: 'Dados incorretos.' });
-        res.json({ message: 'Logado!', user: { id: users[0].id, email: users[0].email } });
-    } catch (error) { res.status(500).json({ error: 'Erro no servidor.' }); }
+        if (!match) return falhou();
+        bloqueioPorEmail.registrarSucesso(chaveEmail);
+        if (!users[0].email_verificado_em && verificacaoObrigatoria()) {
+            return res.status(403).json({ error: texto('EMAIL_NAO_VERIFICADO'), codigo: 'EMAIL_NAO_VERIFICADO' });
+        }
+        const user = { id: users[0].id, email: users[0].email };
+        const tokens = await createSession(user);
+        res.json({ message: texto('MSG_LOGADO'), user, ...tokens });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
 });
 
-// --- PUPPETEER INTELIGENTE ---
-let browser;
+app.post('/refresh', validarCorpo({ refreshToken: { tipo: 'string', obrigatorio: true, max: 200 } }), async (req, res) => {
+    const { refreshToken } = req.body;
+    try {
+        const tokens = await refreshSession(refreshToken);
+        if (!tokens) return res.status(401).json({ error: texto('SESSAO_INVALIDA') });
+        res.json(tokens);
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
 
-// Configurações Graham
-const GRAHAM_UNRELIABLE_SECTORS = new Set(['Tecnologia da Informação', 'Financeiro e Outros']);
-const GRAHAM_UNRELIABLE_SEGMENTS = new Set(['Software e Dados', 'Bancos']);
+app.post('/logout', requireAuth, async (req, res) => {
+    try {
+        await revokeSession(req.sessionId);
+        res.json({ message: texto('SESSAO_ENCERRADA') });
+    } catch (error) { res.status(500).json({ error: texto('ERRO_INTERNO') }); }
+});
 
-async function getBrowser() {
-    if (browser && !browser.isConnected()) {
-        try { await browser.close(); } catch(e) {}
-        browser = null;
-    }
+app.get('/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+});
 
-    if (!browser) {
-        const isRender = process.env.RENDER === 'true' || process.platform === 'linux';
-
-        const launchConfig = {
-            headless: "new",
-            defaultViewport: null,
-            args: []
-        };
-
-        if (isRender) {
-            console.log("🚀 Modo RENDER detectado: Aplicando otimizações de memória...");
-            launchConfig.args = [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process',
-                '--disable-gpu'
-            ];
-        } else {
-            console.log("💻 Modo LOCAL detectado.");
-        }
+// --- ROTA BUSCAR AÇÕES ---
+const SCHEMA_BUSCA = {
+    ticker: { tipo: 'string', obrigatorio: true, max: 20 },
+    valuation: { tipo: 'object' },
+    modo: { tipo: 'string', max: 20 }
+};
 
-        browser = await puppeteer.launch(launchConfig);
+app.post('/buscar', protegerBusca, validarCorpo(SCHEMA_BUSCA), async (req, res) => {
+    const { error: erroTicker, ticker } = validarTicker(req.body.ticker);
+    if (erroTicker) return res.status(400).json({ error: erroTicker, campo: 'ticker' });
+    // Modo de coleta opcional ({ modo: 'http' }); sem ele vale SCRAPER_MODO
+    const erroModo = validarModo(req.body.modo);
+    if (erroModo) return res.status(400).json({ error: erroModo });
+
+    log.info('Busca de ação', { ticker });
+
+    try {
+        // Premissas de valuation opcionais só para esta busca (ex: { rendimentoExigido: 8 })
+        const { error: erroPremissas, premissas } = validarPremissas(req.body.valuation);
+        if (erroPremissas) return res.status(400).json({ error: erroPremissas });
+        const cached = await buscarAtivo('acao', ticker, { signal: req.signal, modo: req.body.modo });
+        if (!cached) return res.status(404).json({ error: texto('ATIVO_NAO_ENCONTRADO_PAGINA') });
+        const dados = personalizar('acao', cached.data, await carregarPreferencias(req.user.id), premissas);
+        res.json({ ...dados, fetchedAt: cached.fetchedAt, stale: cached.stale });
+
+    } catch (error) {
+        if (erroDeBusca(req, res, error)) return;
+        log.error('Erro na busca de ação', { ticker, erro: error });
+        res.status(500).json({ error: texto('ERRO_PROCESSAR_DADOS') });
     }
-    return browser;
-}
-
-// --- HELPER FUNCTIONS ---
-function strToNumber(str) {
-    if (!str || typeof str !== 'string') return null;
-    const cleaned = str.replace(/R\$\s?/, '').replace(/\./g, '').replace(',', '.').replace('%', '').trim();
-    return isNaN(parseFloat(cleaned)) ? null : parseFloat(cleaned);
-}
-
-function createResponse(val, type='neutral') {
-    return { value: val || '-', class: type };
-}
-
-function classifyIndicator(indicator, valueStr) {
-    const value = strToNumber(valueStr);
-    if (value === null) return 'neutral';
-    switch (indicator) {
-        case 'pvp': return value < 1.0 ? 'good' : (value > 1.5 ? 'bad' : 'neutral');
-        case 'pl': return value > 0 && value < 10 ? 'good' : (value > 20 ? 'bad' : 'neutral');
-        case 'dy': return value >= 6 ? 'good' : (value < 4 ? 'bad' : 'neutral');
-        case 'roe': return value >= 15 ? 'good' : (value < 8 ? 'bad' : 'neutral');
-        case 'roic': return value >= 10 ? 'good' : (value < 5 ? 'bad' : 'neutral');
-        case 'margemLiquida': return value >= 15 ? 'good' : (value < 5 ? 'bad' : 'neutral');
-        case 'margemEbitda': return value >= 20 ? 'good' : (value < 10 ? 'bad' : 'neutral');
-        // Removidos lógica de Dívida Líquida/EBIT
-        case 'dividaLiquidaEbitda': return value <= 2.0 ? 'good' : (value > 4.0 ? 'bad' : 'neutral');
-        case 'liquidezCorrente': return value >= 1.5 ? 'good' : (value < 1.0 ? 'bad' : 'neutral');
-        case 'payout': return value >= 25 && value <= 75 ? 'good' : (value > 100 ? 'bad' : 'neutral');
-        case 'potencial': return value > 15 ? 'good' : (value < 0 ? 'bad' : 'neutral');
-        case 'risco': return value <= 25 ? 'good' : (value > 50 ? 'bad' : 'neutral');
-        case 'cagr': return value >= 10 ? 'good' : (value < 5 ? 'bad' : 'neutral');
-        default: return 'neutral';
+});
+
+// --- ROTA FIIs ---
+app.post('/buscar-fii', protegerBusca, validarCorpo(SCHEMA_BUSCA), async (req, res) => {
+    const { error: erroTicker, ticker } = validarTicker(req.body.ticker);
+    if (erroTicker) return res.status(400).json({ error: erroTicker, campo: 'ticker' });
+    const erroModo = validarModo(req.body.modo);
+    if (erroModo) return res.status(400).json({ error: erroModo });
+    try {
+        const cached = await buscarAtivo('fii', ticker, { signal: req.signal, modo: req.body.modo });
+        if (!cached) return res.status(404).json({ error: texto('DADOS_ESSENCIAIS_AUSENTES') });
+        const dados = personalizar('fii', cached.data, await carregarPreferencias(req.user.id));
+        res.json({ ...dados, fetchedAt: cached.fetchedAt, stale: cached.stale });
+    } catch (error) {
+        if (erroDeBusca(req, res, error)) return;
+        log.error('Erro na busca de FII', { ticker, erro: error });
+        res.status(500).json({ error: texto('ERRO_BUSCAR_FII') });
     }
-}
-
-function classifyValuation(cotacaoStr, valuation) {
-    const cotacao = strToNumber(cotacaoStr);
-    if (cotacao === null || valuation === null || valuation <= 0) return { value: '-', class: 'neutral' };
-    const valuationStr = `R$ ${valuation.toFixed(2).replace('.', ',')}`;
-    return { value: valuationStr, class: cotacao < valuation ? 'good' : 'bad' };
-}
-
-const getRecClass = (rec) => {
-    if (!rec) return 'neutral';
-    const lowerRec = rec.toLowerCase();
-    if (lowerRec === 'compra') return 'good';
-    if (lowerRec === 'venda') return 'bad';
-    return 'neutral';
-};
+});
+
+// --- BUSCA UNIFICADA (ação, unit ou FII sem precisar saber o tipo) ---
+// GET /ativo/HGLG11?modo=http&selic=11: premissas de valuation opcionais na query, como o corpo de /buscar.
+// O tipo vem do catálogo de tickers; fora dele, pelo final do código (11 testa FII e depois unit).
+app.get('/ativo/:ticker', protegerBusca, async (req, res) => {
+    const { error: erroTicker, ticker: codigo } = validarTicker(req.params.ticker);
+    if (erroTicker) return res.status(400).json({ error: erroTicker, campo: 'ticker' });
+    const ticker = codigo.replace(/F$/, '');
+    const { modo, ...valuation } = req.query;
+    const erroModo = validarModo(modo);
+    if (erroModo) return res.status(400).json({ error: erroModo });
 
-// --- SCRAPING COMPLETO (RESTAURADO) ---
-async function scrapeInvestidor10(browser, ticker) {
-    let page;
     try {
-        page = await browser.newPage();
-        
-        await page.setRequestInterception(true);
-        page.on('request', (req) => {
-            const type = req.resourceType();
-            if (['image', 'stylesheet', 'font', 'media'].includes(type)) {
-                req.abort();
-            } else {
-                req.continue();
-            }
-        });
+        const { error: erroPremissas, premissas } = validarPremissas(valuation);
+        if (erroPremissas) return res.status(400).json({ error: erroPremissas });
+        const encontrado = await buscarAtivoDetectado(ticker, { signal: req.signal, modo });
+        if (!encontrado) return res.status(404).json({ error: texto('ATIVO_NAO_ENCONTRADO', { ticker }) });
+        const { tipo, classe, nome, cached } = encontrado;
+        if (encontrado.semAnalise) {
+            return res.status(422).json({ error: texto('ATIVO_SEM_ANALISE', { ticker, classe }), ativo: { classe, nome } });
+        }
+        const dados = personalizar(tipo, cached.data, await carregarPreferencias(req.user.id), premissas);
+        res.json({ ...dados, ativo: { tipo, classe, nome }, fetchedAt: cached.fetchedAt, stale: cached.stale });
+    } catch (error) {
+        if (erroDeBusca(req, res, error)) return;
+        log.error('Erro na busca unificada', { ticker, erro: error });
+        res.status(500).json({ error: texto('ERRO_PROCESSAR_DADOS') });
+    }
+});
 
-        console.log(`🔍 Buscando ${ticker}...`);
-        await page.goto(`https://investidor10.com.br/acoes/${ticker.toLowerCase()}/`, { waitUntil: 'domcontentloaded', timeout: 60000 });
-        
-        await Promise.all([
-             page.waitForSelector('#cards-ticker', { timeout: 30000 }).catch(() => {}),
-             page.waitForSelector('#table-indicators', { timeout: 30000 }).catch(() => {})
-        ]);
-
-        const data = await page.evaluate(() => {
-            const getTextFromTickerCard = (cardClass) => document.querySelector(`#cards-ticker ._card.${cardClass} ._card-body span`)?.innerText.trim() || null;
-            
-            const findCellText = (label) => {
-                const normalizedLabel = label.toLowerCase().trim();
-                let spans = Array.from(document.querySelectorAll('#table-indicators .cell span:first-child'));
-                let found = spans.find(s => (s.innerText || '').trim().toLowerCase() === normalizedLabel);
-                if (found) return found?.closest('.cell')?.querySelector('.value span')?.innerText.trim() || null;
-                
-                spans = Array.from(document.querySelectorAll('.cell span:first-child'));
-                found = spans.find(s => (s.innerText || '').trim().toLowerCase() === normalizedLabel);
-                if (found) return found?.closest('.cell')?.querySelector('.value span, .value')?.innerText.trim() || null;
-                
-                return null;
-            };
-
-            const findLinkedCellText = (label) => {
-                const spans = Array.from(document.querySelectorAll('.cell a[href*="/setores/"] span.title'));
-                const found = spans.find(s => (s.innerText || '').trim().toLowerCase() === label.toLowerCase());
-                return found?.closest('a')?.querySelector('.value')?.innerText.trim() || null;
-            };
-
-            const findDyMedio5Anos = () => {
-                const h3s = Array.from(document.querySelectorAll('.dy-history h3.box-span'));
-                const found = h3s.find(h => (h.innerText || '').includes('DY médio em 5 anos'));
-                return found?.querySelector('span')?.innerText.trim() || null;
-            };
-
-            return {
-                cotacao: getTextFromTickerCard('cotacao'),
-                pvp: findCellText('p/vp'),
-                pl: findCellText('p/l'),
-                dy: getTextFromTickerCard('dy'),
-                vpa: findCellText('vpa'),
-                lpa: findCellText('lpa'),
-                roe: findCellText('roe'),
-                margemLiquida: findCellText('margem líquida'),
-                // dividaLiquidaEbit REMOVIDO
-                cagrLucros: findCellText('cagr lucros 5 anos'),
-                setor: findLinkedCellText('setor'),
-                segmento: findLinkedCellText('segmento'),
-                dy5Anos: findDyMedio5Anos(),
-                // evEbitda REMOVIDO
-                // pEbitda REMOVIDO
-                // pAtivo REMOVIDO
-                margemBruta: findCellText('margem bruta'),
-                // margemEbit REMOVIDO
-                margemEbitda: findCellText('margem ebitda'),
-                roic: findCellText('roic'),
-                dividaLiquidaEbitda: findCellText('dívida líquida / ebitda'),
-                dividaLiquidaPatrimonio: findCellText('dívida líquida / patrimônio'),
-                liquidezCorrente: findCellText('liquidez corrente'),
-                payout: findCellText('payout'),
-                giroAtivos: findCellText('giro ativos'),
-                roa: findCellText('roa')
-            };
-        });
-        return data;
-    } catch(e) {
-        console.error(`❌ Erro scraping ${ticker}:`, e.message);
-        return {};
-    } finally {
-        if (page) await page.close();
+// --- CATÁLOGO DE TICKERS (autocomplete das buscas) ---
+app.use('/catalogo', catalogoRouter);
+
+// --- SAÚDE DOS PROVIDERS DE DADOS ---
+app.get('/providers', (req, res) => {
+    res.json(providersStatus());
+});
+
+// --- SAÚDE DO SERVIDOR (pool do navegador, MySQL e providers) ---
+app.get('/health', async (req, res) => {
+    let mysql = 'ok';
+    let schema = null;
+    try {
+        await pool.query('SELECT 1');
+        const { versaoAtual, versaoEsperada, pendentes } = await statusMigracoes();
+        schema = { versao: versaoAtual, esperada: versaoEsperada, pendentes: pendentes.length };
+    } catch (e) {
+        mysql = `erro: ${descreverErroDeBanco(e)}`;
     }
-}
+    const providers = providersStatus();
+    res.json({
+        status: mysql === 'ok' && schema.pendentes === 0 ? 'ok' : 'degradado',
+        uptimeSeg: Math.round(process.uptime()),
+        memoriaMB: Math.round(process.memoryUsage().rss / 1024 / 1024),
+        mysql,
+        schema,
+        browser: poolStats(),
+        providers: Object.fromEntries(providers.map(p => [`${p.tipo}:${p.id}`, p.status]))
+    });
+});
 
-async function scrapeXpi(browser, ticker) { return {}; }
-async function scrapeBtgPactual(browser, ticker) { return {}; }
+// --- MÉTRICAS (formato do Prometheus) ---
+// Com METRICAS_TOKEN definido, exige Authorization: Bearer <token> (para não expor em produção)
+app.get('/metrics', (req, res) => {
+    const token = process.env.METRICAS_TOKEN;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) return res.status(401).json({ error: texto('TOKEN_METRICAS_INVALIDO') });
+    res.type('text/plain; version=0.0.4').send(renderizarMetricas());
+});
 
-// --- ROTA BUSCAR AÇÕES ---
-app.post('/buscar', async (req, res) => {
-    const { ticker } = req.body;
-    if (!ticker) return res.status(400).json({ error: 'Ticker vazio' });
+// --- ROTA COMPARAR ---
+const SCHEMA_VARIOS = {
+    tipo: { tipo: 'string', max: 10 },
+    tickers: { tipo: ['string', 'array'], obrigatorio: true, max: 500 },
+    formato: { tipo: 'string', max: 10 },
+    valuation: { tipo: 'object' },
+    modo: { tipo: 'string', max: 20 }
+};
+
+app.post('/comparar', protegerBusca, validarCorpo(SCHEMA_VARIOS), async (req, res) => {
+    const tipo = req.body.tipo || 'acao';
+    const tickers = parseTickers(req.body.tickers);
+    if (!TIPOS_ATIVO.includes(tipo)) return res.status(400).json({ error: texto('TIPO_INVALIDO', { opcoes: TIPOS_ATIVO }), campo: 'tipo' });
+    if (tickers.length < 2) return res.status(400).json({ error: texto('TICKERS_MINIMO_DOIS'), campo: 'tickers' });
+    if (tickers.length > MAX_TICKERS_COMPARACAO) return res.status(400).json({ error: texto('TICKERS_COMPARACAO_MAXIMO', { max: MAX_TICKERS_COMPARACAO }), campo: 'tickers' });
+    const erroTickers = validarTickers(tickers);
+    if (erroTickers) return res.status(400).json({ error: erroTickers, campo: 'tickers' });
+    const erroModo = validarModo(req.body.modo);
+    if (erroModo) return res.status(400).json({ error: erroModo });
 
-    console.log(`Recebida busca para: ${ticker}`);
+    log.info('Comparação de ativos', { tipo, tickers });
 
     try {
-        const browser = await getBrowser();
-        const results = await Promise.allSettled([
-            scrapeInvestidor10(browser, ticker)
-        ]);
-        
-        const i10Data = results[0].status === 'fulfilled' ? results[0].value : {};
-
-        if (!i10Data || !i10Data.cotacao || i10Data.cotacao === '-') {
-            console.log("Dados não encontrados ou incompletos.");
-            return res.status(404).json({ error: 'Ativo não encontrado ou erro ao ler página.' });
-        }
+        const comparacao = await compararAtivos(tipo, tickers, { signal: req.signal, modo: req.body.modo });
+        if (comparacao.tickers.length === 0) return res.status(404).json({ error: texto('NENHUM_ATIVO_ENCONTRADO') });
+        res.json(comparacao);
+    } catch (error) {
+        if (erroDeBusca(req, res, error)) return;
+        log.error('Erro ao comparar', { tipo, tickers, erro: error });
+        res.status(500).json({ error: texto('ERRO_COMPARAR') });
+    }
+});
 
-        const cotacaoNum = strToNumber(i10Data.cotacao);
-        const vpaNum = strToNumber(i10Data.vpa);
-        const lpaNum = strToNumber(i10Data.lpa);
-        const dyNum = strToNumber(i10Data.dy);
-        const dy5AnosNum = strToNumber(i10Data.dy5Anos);
-        const cagrLucrosNum = strToNumber(i10Data.cagrLucros);
-        const g = (cagrLucrosNum !== null && cagrLucrosNum > 0) ? cagrLucrosNum : 5.0;
-        
-        const valorJustoGraham = (vpaNum && lpaNum && lpaNum > 0 && vpaNum > 0) ? Math.sqrt(22.5 * lpaNum * vpaNum) : null;
-        const precoTetoBazin = (cotacaoNum && dyNum && dyNum > 0) ? (cotacaoNum * (dyNum / 100)) / 0.06 : null; 
-        const precoTetoBazin5Y = (cotacaoNum && dy5AnosNum && dy5AnosNum > 0) ? (cotacaoNum * (dy5AnosNum / 100)) / 0.06 : null;
-        
-        const valorRevisadoGraham = (lpaNum && lpaNum > 0) ? (lpaNum * (8.5 + 2 * g) * 4.4) / 5.5 : null;
-
-        const grahamWarning = (
-            (i10Data.setor && GRAHAM_UNRELIABLE_SECTORS.has(i10Data.setor)) ||
-            (i10Data.segmento && GRAHAM_UNRELIABLE_SEGMENTS.has(i10Data.segmento))
-        ) ? "Graham pode ser impreciso p/ setor" : null;
-
-        const createIndicatorResponse = (key, valueStr, classify = false) => {
-             const classificationClass = classify ? classifyIndicator(key, valueStr) : 'neutral';
-             return { value: valueStr || '-', class: classificationClass };
-        };
-
-        const responseData = {
-            ticker: ticker.toUpperCase(),
-            // Preço & Mercado
-            cotacao: createIndicatorResponse('cotacao', i10Data.cotacao),
-            pl: createIndicatorResponse('pl', i10Data.pl, true),
-            pvp: createIndicatorResponse('pvp', i10Data.pvp, true),
-            // pebitda REMOVIDO
-            // evebitda REMOVIDO
-            // pativo REMOVIDO
-            
-            // Proventos
-            dy: createIndicatorResponse('dy', i10Data.dy, true),
-            dy5Anos: createIndicatorResponse('dy5Anos', i10Data.dy5Anos, true),
-            payout: createIndicatorResponse('payout', i10Data.payout, true),
-
-            // Rentabilidade
-            roe: createIndicatorResponse('roe', i10Data.roe, true),
-            roic: createIndicatorResponse('roic', i10Data.roic, true),
-            roa: createIndicatorResponse('roa', i10Data.roa),
-            margemBruta: createIndicatorResponse('margemBruta', i10Data.margemBruta),
-            // margemEbit REMOVIDO
-            margemEbitda: createIndicatorResponse('margemEbitda', i10Data.margemEbitda, true),
-            margemLiquida: createIndicatorResponse('margemLiquida', i10Data.margemLiquida, true),
-
-            // Dívida e Liquidez
-            // dividaLiquidaEbit REMOVIDO
-            dividaLiquidaEbitda: createIndicatorResponse('dividaLiquidaEbitda', i10Data.dividaLiquidaEbitda, true),
-            dividaLiquidaPatrimonio: createIndicatorResponse('dividaLiquidaPatrimonio', i10Data.dividaLiquidaPatrimonio),
-            liquidezCorrente: createIndicatorResponse('liquidezCorrente', i10Data.liquidezCorrente, true),
-            
-            // Outros
-            cagrLucros: createIndicatorResponse('cagrLucros', i10Data.cagrLucros, true),
-            lpa: createIndicatorResponse('lpa', i10Data.lpa),
-            vpa: createIndicatorResponse('vpa', i10Data.vpa),
-            giroAtivos: createIndicatorResponse('giroAtivos', i10Data.giroAtivos),
-
-            // Valuation
-            precoTeto: classifyValuation(i10Data.cotacao, precoTetoBazin),
-            bazin5Y: classifyValuation(i10Data.cotacao, precoTetoBazin5Y),
-            valorJusto: classifyValuation(i10Data.cotacao, valorJustoGraham),
-            valorRevisado: classifyValuation(i10Data.cotacao, valorRevisadoGraham),
-            grahamWarning: grahamWarning,
-            
-            // Placeholders
-            xpiRecomendacao: { value: '-', class: 'neutral' },
-            xpiPrecoAlvo: { value: '-', class: 'neutral' },
-            xpiPotencial: { value: '-', class: 'neutral' },
-            xpiRisco: { value: '-', class: 'neutral' },
-            btgRecomendacao: { value: '-', class: 'neutral' },
-            btgPrecoAlvo: { value: '-', class: 'neutral' },
-            btgPotencial: { value: '-', class: 'neutral' }
-        };
-        res.json(responseData);
+// --- ROTA EXPORTAR (CSV, XLSX OU PDF DE UM OU MAIS ATIVOS) ---
+app.post('/exportar', protegerBusca, validarCorpo(SCHEMA_VARIOS), async (req, res) => {
+    const tipo = req.body.tipo || 'acao';
+    const formato = req.body.formato || 'pdf';
+    const tickers = parseTickers(req.body.tickers);
+    if (!TIPOS_ATIVO.includes(tipo)) return res.status(400).json({ error: texto('TIPO_INVALIDO', { opcoes: TIPOS_ATIVO }), campo: 'tipo' });
+    const erroFormato = validarFormato(formato);
+    if (erroFormato) return res.status(400).json({ error: erroFormato, campo: 'formato' });
+    if (tickers.length === 0) return res.status(400).json({ error: texto('TICKERS_MINIMO_UM'), campo: 'tickers' });
+    if (tickers.length > MAX_TICKERS_EXPORTACAO) return res.status(400).json({ error: texto('TICKERS_EXPORTACAO_MAXIMO', { max: MAX_TICKERS_EXPORTACAO }), campo: 'tickers' });
+    const erroTickers = validarTickers(tickers);
+    if (erroTickers) return res.status(400).json({ error: erroTickers, campo: 'tickers' });
+    const erroModo = validarModo(req.body.modo);
+    if (erroModo) return res.status(400).json({ error: erroModo });
 
+    try {
+        const { error: erroPremissas, premissas } = validarPremissas(req.body.valuation);
+        if (erroPremissas) return res.status(400).json({ error: erroPremissas });
+        const resultados = await buscarVarios(tipo, tickers, { signal: req.signal, modo: req.body.modo });
+        const encontrados = resultados.filter(r => r.cached);
+        if (encontrados.length === 0) return res.status(404).json({ error: texto('NENHUM_ATIVO_ENCONTRADO') });
+
+        const preferencias = await carregarPreferencias(req.user.id);
+        const ativos = encontrados.map(r => ({ dados: personalizar(tipo, r.cached.data, preferencias, premissas), fetchedAt: r.cached.fetchedAt }));
+        const naoEncontrados = resultados.filter(r => !r.cached).map(r => r.ticker);
+        if (naoEncontrados.length > 0) res.setHeader('X-Nao-Encontrados', naoEncontrados.join(','));
+        await enviarExportacao(res, formato, documentoDeAtivos(tipo, ativos), { signal: req.signal });
     } catch (error) {
-        console.error("ERRO FATAL NO SERVIDOR:", error);
-        res.status(500).json({ error: 'Erro interno ao processar dados.' });
+        if (erroDeBusca(req, res, error)) return;
+        log.error('Erro ao exportar', { tipo, tickers, formato, erro: error });
+        res.status(500).json({ error: texto('ERRO_EXPORTACAO') });
     }
 });
 
-// --- ROTA FIIs ---
-app.post('/buscar-fii', async (req, res) => {
-     const { ticker } = req.body;
-    if (!ticker) return res.status(400).json({ error: 'Ticker não informado' });
-    let page;
+// --- ROTA HISTÓRICO ---
+app.get('/historico/:ticker', requireAuth, async (req, res) => {
+    const { tipo, dias, indicadores } = req.query;
+    const { error: erroTicker, ticker } = validarTicker(req.params.ticker);
+    if (erroTicker) return res.status(400).json({ error: erroTicker, campo: 'ticker' });
+    if (tipo && !TIPOS_ATIVO.includes(tipo)) return res.status(400).json({ error: texto('TIPO_INVALIDO', { opcoes: TIPOS_ATIVO }) });
     try {
-        const browser = await getBrowser();
-        page = await browser.newPage();
-        
-        await page.setRequestInterception(true);
-        page.on('request', (req) => {
-            if (['image', 'stylesheet', 'font', 'media'].includes(req.resourceType())) {
-                req.abort();
-            } else {
-                req.continue();
-            }
+        const historico = await buscarSeries(ticker, {
+            tipo,
+            dias: Math.min(Number(dias) || 365, 3650),
+            indicadores: indicadores ? indicadores.split(',') : null
         });
+        if (!historico) return res.status(404).json({ error: texto('SEM_HISTORICO') });
+        res.json(historico);
+    } catch (error) {
+        log.error('Erro ao buscar histórico', { ticker, erro: error });
+        res.status(500).json({ error: texto('ERRO_BUSCAR_HISTORICO') });
+    }
+});
 
-        await page.goto(`https://investidor10.com.br/fiis/${ticker.toLowerCase()}/`, { waitUntil: 'domcontentloaded', timeout: 45000 });
-        try { await page.waitForSelector('#cards-ticker', { timeout: 20000 }); } catch (e) {}
-
-        const rawData = await page.evaluate(() => {
-            const getTextFromTickerCard = (cardClass) => document.querySelector(`#cards-ticker ._card.${cardClass} ._card-body span`)?.innerText.trim() || null;
-            const findTextByLabel = (label) => {
-                const normalizedLabel = label.toLowerCase().trim();
-                let allSpans = Array.from(document.querySelectorAll('.desc .name'));
-                let foundSpan = allSpans.find(s => (s.innerText || '').trim().toLowerCase() === normalizedLabel);
-                if (foundSpan) return foundSpan.closest('.desc')?.querySelector('.value span')?.innerText.trim() || null;
-                allSpans = Array.from(document.querySelectorAll('.content--info--item--title'));
-                foundSpan = allSpans.find(s => (s.innerText || '').trim().toLowerCase() === normalizedLabel);
-                if (foundSpan) return foundSpan.closest('.content--info--item')?.querySelector('.content--info--item--value')?.innerText.trim() || null;
-                allSpans = Array.from(document.querySelectorAll('.cell span:first-child'));
-                foundSpan = allSpans.find(s => (s.innerText || '').trim().toLowerCase() === normalizedLabel);
-                if (foundSpan) return foundSpan.closest('.cell')?.querySelector('.value span, .value')?.innerText.trim() || null;
-                return null;
-            };
-            return {
-                cotacao: getTextFromTickerCard('cotacao'), 
-                pvp: getTextFromTickerCard('vp'), 
-                dy: getTextFromTickerCard('dy'),
-                liquidezDiaria: getTextFromTickerCard('val'),
-                ultimoRendimento: findTextByLabel('último rendimento'), 
-                y1m: findTextByLabel('yield 1 mês'),
-                valorPatrimonial: findTextByLabel('valor patrimonial'),
-                vpa: findTextByLabel('val. patrimonial p/ cota'),
-                vacancia: findTextByLabel('vacância'),
-                numCotistas: findTextByLabel('numero de cotistas'),
-                cotasEmitidas: findTextByLabel('cotas emitidas'),
-                segmento: findTextByLabel('segmento'),
-                tipoFundo: findTextByLabel('tipo de fundo'),
-                tipoGestao: findTextByLabel('tipo de gestão'),
-                taxaAdm: findTextByLabel('taxa de administração'),
-                // valorMercado REMOVIDO
-            };
-        });
+// --- ROTAS DA CONTA (verificação, senha, e-mail e exclusão) ---
+app.use(['/conta/verificar-email', '/conta/reenviar-verificacao', '/conta/esqueci-senha', '/conta/redefinir-senha'], limiteAuth);
+app.use('/conta', contaRouter);
 
-        if (!rawData.cotacao || rawData.cotacao === '-') {
-            return res.status(404).json({ error: 'Dados essenciais (cotação) não encontrados.' });
-        }
+// --- ROTAS DE CARTEIRAS ---
+app.use(['/watchlists/:id/posicoes', '/watchlists/:id/proventos', '/watchlists/:id/exportar'], protegerBuscaDaLista);
+app.use('/watchlists', limiteApi, watchlistRouter);
 
-        const cotacaoNum = strToNumber(rawData.cotacao);
-        const ultimoRendimentoNum = strToNumber(rawData.ultimoRendimento);
-        let ebn = '-';
-        let vn = '-';
-        if (cotacaoNum !== null && ultimoRendimentoNum !== null && cotacaoNum > 0 && ultimoRendimentoNum > 0) {
-            const ebnNum = Math.ceil(cotacaoNum / ultimoRendimentoNum);
-            ebn = String(ebnNum);
-            const vnNum = ebnNum * cotacaoNum;
-            vn = `R$ ${vnNum.toFixed(2).replace('.', ',')}`;
-        }
-        
-        const pvpNum = strToNumber(rawData.pvp);
-        let pvpClass = 'neutral';
-        if (pvpNum !== null) {
-            if (pvpNum < 1) pvpClass = 'good';
-            if (pvpNum > 1.05) pvpClass = 'bad';
-        }
+// --- ROTAS DE ALERTAS E NOTIFICAÇÕES ---
+app.use('/alertas/:id/testar', protegerBusca);
+app.use('/alertas', limiteApi, alertasRouter);
+app.use('/notificacoes', notificacoesRouter);
 
-        res.json({
-            ticker: ticker.toUpperCase(),
-            cotacao: { value: rawData.cotacao || '-', class: 'neutral' }, 
-            pvp: { value: rawData.pvp || '-', class: pvpClass },
-            dy: { value: rawData.dy || '-', class: 'neutral' }, 
-            liquidezDiaria: { value: rawData.liquidezDiaria || '-', class: 'neutral' },
-            // valorMercado REMOVIDO
-            ultimoRendimento: { value: rawData.ultimoRendimento || '-', class: 'neutral' },
-            y1m: { value: rawData.y1m || '-', class: 'neutral' }, 
-            ebn: { value: String(ebn), class: 'neutral' },
-            vn: { value: String(vn), class: 'neutral' },
-            valorPatrimonial: { value: rawData.valorPatrimonial || '-', class: 'neutral' },
-            vpa: { value: rawData.vpa || '-', class: 'neutral' },
-            vacancia: { value: rawData.vacancia || '-', class: 'neutral' },
-            numCotistas: { value: rawData.numCotistas || '-', class: 'neutral' },
-            cotasEmitidas: { value: rawData.cotasEmitidas || '-', class: 'neutral' },
-            segmento: { value: rawData.segmento || '-', class: 'neutral' },
-            tipoFundo: { value: rawData.tipoFundo || '-', class: 'neutral' },
-            tipoGestao: { value: rawData.tipoGestao || '-', class: 'neutral' },
-            taxaAdm: { value: rawData.taxaAdm || '-', class: 'neutral' },
-        });
-    } catch (error) {
-        if (page && !page.isClosed()) try { await page.close(); } catch (e) {}
-        res.status(500).json({ error: 'Erro ao buscar dados de FII.' });
-    }
-});
+// --- PERFIS DE CLASSIFICAÇÃO E PREMISSAS DE VALUATION ---
+app.use('/perfis-classificacao', limiteApi, perfisRouter);
+app.use('/preferencias', preferenciasRouter);
+
+// --- SCREENER DE AÇÕES ---
+app.use('/screener', screenerRouter);
+
+// --- PROJEÇÃO DE PROVENTOS (posições avulsas; a de uma carteira é GET /watchlists/:id/proventos) ---
+app.use('/proventos', protegerBusca, proventosRouter);
+
+// --- LANÇAMENTOS, PREÇO MÉDIO E IMPOSTO DE RENDA ---
+app.use(['/lancamentos/posicoes', '/lancamentos/relatorio'], protegerBuscaDaCarteira);
+app.use('/lancamentos', lancamentosRouter);
+
+// --- GLOSSÁRIO, LIÇÕES E QUIZZES (progresso só com login) ---
+app.use('/educacao', educacaoRouter);
+
+app.use(tratarErroDeCorpo);
 
 process.on('SIGINT', async () => {
-    if (browser) await browser.close();
+    await closeBrowser();
     pool.end();
     process.exit(0);
 });
 
+// --- TAREFAS AGENDADAS ---
+agendarDiario('historico', Number(process.env.HISTORICO_HORA) || 19, atualizarHistorico);
+agendarDiario('screener', Number(process.env.SCREENER_HORA) || 20, atualizarScreener);
+agendarIntervalo('alertas', Number(process.env.ALERTAS_INTERVALO_MIN) || 30, avaliarAlertas);
+
 app.listen(port, () => {
-    console.log(`Servidor rodando em http://localhost:${port}`);
+    log.info(`Servidor rodando em http://localhost:${port}`, { porta: Number(port) });
 });
\ No newline at end of file
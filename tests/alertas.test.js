@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { parseRegra, avaliarRegra, deveDisparar, descreverRegra, alertasRouter } from '../lib/alertas.js';
+import { notificar, registrarCanal, notificacoesRouter } from '../lib/notificacoes.js';
+import { textoEm } from '../lib/i18n.js';
+import { subirRoteador } from './api.js';
+
+// Payloads no mesmo formato de /buscar e /buscar-fii
+const TAEE11 = {
+    ticker: 'TAEE11',
+    cotacao: { value: 'R$ 34,50', class: 'neutral' },
+    precoTeto: { value: 'R$ 38,20', class: 'good' },
+    dy: { value: '5,10%', class: 'neutral' },
+    pl: { value: '-', class: 'neutral' }
+};
+const HGLG11 = {
+    ticker: 'HGLG11',
+    cotacao: { value: 'R$ 155,00', class: 'neutral' },
+    pvp: { value: '0,92', class: 'good' }
+};
+
+const regra = (body) => {
+    const { error, regra } = parseRegra(body);
+    assert.equal(error, undefined);
+    return regra;
+};
+
+test('cotação abaixo do preço teto (indicador x indicador)', () => {
+    const r = regra({ ticker: 'taee11', indicador: 'cotacao', operador: '<', alvoTipo: 'indicador', alvo: 'precoTeto' });
+    assert.equal(r.ticker, 'TAEE11');
+    const resultado = avaliarRegra(r, TAEE11);
+    assert.equal(resultado.atendida, true);
+    assert.equal(resultado.valorObservado, 'R$ 34,50 (precoTeto: R$ 38,20)');
+});
+
+test('P/VP de FII abaixo de um valor fixo', () => {
+    const r = regra({ tipo: 'fii', ticker: 'HGLG11', indicador: 'pvp', operador: '<', alvo: '0.95' });
+    assert.equal(avaliarRegra(r, HGLG11).atendida, true);
+    assert.equal(avaliarRegra(r, { ...HGLG11, pvp: { value: '1,01', class: 'neutral' } }).atendida, false);
+});
+
+test('DY deixando a classe good', () => {
+    const r = regra({ ticker: 'TAEE11', indicador: 'dy', operador: 'classe_diferente', alvo: 'good' });
+    assert.equal(r.alvoTipo, 'classe');
+    assert.equal(avaliarRegra(r, TAEE11).atendida, true);
+    assert.equal(avaliarRegra(r, { ...TAEE11, dy: { value: '9,80%', class: 'good' } }).atendida, false);
+    assert.equal(textoEm(descreverRegra(r)), 'dy deixou de ser good');
+    assert.equal(textoEm(descreverRegra(r), 'en'), 'dy is no longer good');
+});
+
+test('indicador sem valor não conta como atendido nem como desfeito', () => {
+    const r = regra({ ticker: 'TAEE11', indicador: 'pl', operador: '<', alvo: 10 });
+    assert.deepEqual(avaliarRegra(r, TAEE11), { atendida: false, valorObservado: null, semDados: true });
+});
+
+test('regras inválidas são recusadas', () => {
+    assert.ok(parseRegra({ ticker: 'TAEE11', indicador: 'inexistente', operador: '<', alvo: 1 }).error);
+    assert.ok(parseRegra({ ticker: 'TAEE11', indicador: 'dy', operador: '==', alvo: 1 }).error);
+    assert.ok(parseRegra({ ticker: 'TAEE11', indicador: 'dy', operador: '<', alvo: 'abc' }).error);
+    assert.ok(parseRegra({ ticker: 'TAEE11', indicador: 'dy', operador: 'classe_igual', alvo: 'otimo' }).error);
+    assert.ok(parseRegra({ tipo: 'fii', ticker: 'HGLG11', indicador: 'roe', operador: '<', alvo: 1 }).error);
+    assert.ok(parseRegra({ ticker: 'TAEE11', indicador: 'dy', operador: '<', alvo: 1, canais: ['sms'] }).error);
+    assert.ok(parseRegra({ ticker: 'TAEE11', indicador: 'dy', operador: '<', alvo: 1, canais: ['webhook'], webhookUrl: 'file:///etc/passwd' }).error);
+});
+
+test('de-dup: só dispara na transição e fora do cooldown', () => {
+    const atendida = { atendida: true, semDados: false };
+    const agora = new Date('2025-06-10T12:00:00');
+    assert.equal(deveDisparar({ ultimoEstado: null, ultimoDisparo: null }, atendida, agora), true);
+    assert.equal(deveDisparar({ ultimoEstado: true, ultimoDisparo: null }, atendida, agora), false);
+    assert.equal(deveDisparar({ ultimoEstado: false, ultimoDisparo: new Date('2025-06-10T08:00:00') }, atendida, agora), false);
+    assert.equal(deveDisparar({ ultimoEstado: false, ultimoDisparo: new Date('2025-06-08T08:00:00') }, atendida, agora), true);
+    assert.equal(deveDisparar({ ultimoEstado: false, ultimoDisparo: null }, { atendida: false, semDados: false }, agora), false);
+});
+
+test('entrega por webhook para um servidor local e isola falhas de outros canais', async () => {
+    const recebidos = [];
+    const servidor = http.createServer((req, res) => {
+        let corpo = '';
+        req.on('data', (c) => corpo += c);
+        req.on('end', () => {
+            recebidos.push(JSON.parse(corpo));
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+
+    // Dublê do canal de e-mail: simula um SMTP fora do ar
+    registrarCanal('email', async () => { throw new Error('SMTP fora do ar'); });
+
+    try {
+        const alerta = { id: 1, ticker: 'TAEE11', webhookUrl: `http://127.0.0.1:${servidor.address().port}/hook` };
+        const entregas = await notificar(['email', 'webhook'], {
+            usuario: { id: 1, email: 'teste@exemplo.com' },
+            alerta,
+            titulo: 'Alerta TAEE11',
+            mensagem: 'cotacao < precoTeto',
+            dados: TAEE11
+        });
+        assert.equal(entregas.webhook, 'ok');
+        assert.equal(entregas.email, 'erro: SMTP fora do ar');
+        assert.equal(recebidos.length, 1);
+        assert.equal(recebidos[0].titulo, 'Alerta TAEE11');
+        assert.equal(recebidos[0].dados.ticker, 'TAEE11');
+    } finally {
+        servidor.close();
+    }
+});
+
+test('rotas de alerta recusam corpo com tipos errados antes de ir ao banco', async (t) => {
+    const consultas = [];
+    const api = await subirRoteador(t, '/alertas', alertasRouter, (sql) => { consultas.push(sql); });
+    try {
+        const ticker = await api.chamar('POST', '/', { ticker: 5, indicador: 'pl', operador: '<', alvo: 10 });
+        assert.deepEqual([ticker.status, ticker.corpo.campo], [400, 'ticker']);
+        const canais = await api.chamar('POST', '/', { ticker: 'PETR4', indicador: 'pl', operador: '<', alvo: 10, canais: 'email' });
+        assert.deepEqual([canais.status, canais.corpo.campo], [400, 'canais']);
+        assert.equal((await api.chamar('PUT', '/1', { webhookUrl: {} })).corpo.campo, 'webhookUrl');
+        assert.deepEqual(consultas, []);
+    } finally {
+        await api.fechar();
+    }
+});
+
+test('feed de notificações: limite fora do padrão vira um inteiro entre 1 e 200 no LIMIT', async (t) => {
+    const limites = [];
+    const api = await subirRoteador(t, '/notificacoes', notificacoesRouter, (sql) => {
+        if (sql.includes('COUNT(*)')) return [[{ total: 0 }]];
+        limites.push(/LIMIT (.+)$/.exec(sql)[1]);
+    });
+    try {
+        for (const limite of ['-1', '1.5', '0', 'abc', '999', '20']) {
+            assert.equal((await api.chamar('GET', `/?limite=${limite}`)).status, 200);
+        }
+        assert.deepEqual(limites, ['1', '2', '50', '50', '200', '20']);
+    } finally {
+        await api.fechar();
+    }
+});
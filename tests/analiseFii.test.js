@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analisarRendimentos, notaQualidade, numeroComEscala } from '../lib/analiseFii.js';
+import { lerEsperado } from './harness.js';
+import { classificar } from '../lib/classificacao.js';
+
+const HOJE = new Date('2024-10-10T12:00:00Z');
+const mensal = (valores, ultimoMes = 9, ano = 2024) => valores.map((valor, i) => {
+    const data = new Date(Date.UTC(ano, ultimoMes - 1 - (valores.length - 1 - i), 28));
+    const dd = String(data.getUTCDate()).padStart(2, '0');
+    const mm = String(data.getUTCMonth() + 1).padStart(2, '0');
+    return { tipo: 'Dividendos', dataCom: `${dd}/${mm}/${data.getUTCFullYear()}`, pagamento: null, valor: String(valor).replace('.', ',') };
+}).reverse();
+
+test('DY 12M, média e número mágico a partir das distribuições da fixture', async () => {
+    const { rendimentos } = await lerEsperado('investidor10-fii-hglg11.html');
+    const r = analisarRendimentos(rendimentos, 158.9, HOJE);
+
+    // Janela out/2023 a set/2024: 11 x 1,10 + 1,30 de dezembro; setembro/2023 fica de fora
+    assert.deepEqual(r.janela, { inicio: '2023-10', fim: '2024-09', meses: 12 });
+    assert.equal(r.soma12m, 13.4);
+    assert.equal(r.dy12m, Number((13.4 / 158.9 * 100).toFixed(2)));
+    assert.equal(r.mediaMensal, Number((13.4 / 12).toFixed(4)));
+    assert.equal(r.ebnMedio, Math.ceil(158.9 / (13.4 / 12)));
+    assert.equal(r.vnMedio, Number((r.ebnMedio * 158.9).toFixed(2)));
+    assert.equal(r.historico.length, 13);
+    assert.deepEqual(r.historico.at(-1), { mes: '2024-09', valor: 1.1 });
+    assert.ok(r.volatilidade > 0 && r.volatilidade < 10);
+});
+
+test('tendência compara a metade recente da janela com a anterior', () => {
+    const alta = analisarRendimentos(mensal([1, 1, 1, 1, 1, 1, 1.1, 1.1, 1.1, 1.1, 1.1, 1.1]), 100, HOJE);
+    assert.deepEqual(alta.tendencia, { variacao: 10, direcao: 'alta' });
+
+    const estavel = analisarRendimentos(mensal(Array(12).fill(0.8)), 100, HOJE);
+    assert.deepEqual(estavel.tendencia, { variacao: 0, direcao: 'estavel' });
+    assert.equal(estavel.volatilidade, 0);
+
+    const curta = analisarRendimentos(mensal([1, 1, 1]), 100, HOJE);
+    assert.equal(curta.tendencia, null);
+    assert.equal(curta.janela.meses, 3);
+});
+
+test('mês sem distribuição conta como zero e amortização não é renda', () => {
+    const lista = mensal([1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]).filter(r => !r.dataCom.includes('/06/2024'));
+    lista.push({ tipo: 'Amortização', dataCom: '15/08/2024', pagamento: null, valor: '5,00' });
+    const r = analisarRendimentos(lista, 100, HOJE);
+    assert.equal(r.soma12m, 11);
+    assert.equal(r.historico.find(m => m.mes === '2024-06').valor, 0);
+    assert.ok(r.volatilidade > 25);
+});
+
+test('fundo que parou de pagar tem DY 12M zerado', () => {
+    const r = analisarRendimentos(mensal([1, 1, 1], 3, 2023), 100, HOJE);
+    assert.equal(r.janela.fim, '2024-10');
+    assert.equal(r.dy12m, 0);
+    assert.equal(r.ebnMedio, null);
+    assert.equal(analisarRendimentos(null, 100, HOJE), null);
+});
+
+test('nota de qualidade pondera vacância, liquidez e taxa de administração', () => {
+    const cell = (value) => ({ value, class: 'neutral' });
+    const q = notaQualidade({ vacancia: cell('5,40%'), liquidezDiaria: cell('R$ 7,85 M'), taxaAdm: cell('0,60% a.a.') });
+    assert.equal(q.componentes.vacancia.nota, 7.3);
+    assert.equal(q.componentes.liquidezDiaria.nota, 10);
+    assert.equal(q.componentes.taxaAdm.nota, 9);
+    assert.equal(q.nota, Number((7.3 * 0.4 + 10 * 0.3 + 9 * 0.3).toFixed(1)));
+
+    // Sem vacância (fundo de papel): os outros critérios dividem o peso
+    const papel = notaQualidade({ vacancia: cell('-'), liquidezDiaria: cell('R$ 100 Mil'), taxaAdm: cell('1,50%') });
+    assert.equal(papel.componentes.vacancia.nota, null);
+    assert.equal(papel.nota, 0);
+    assert.equal(notaQualidade({}).nota, null);
+});
+
+test('valores com escala e classificação das novas métricas', () => {
+    assert.equal(numeroComEscala('R$ 7,85 M'), 7850000);
+    assert.equal(numeroComEscala('R$ 5,52 Bilhões'), 5520000000);
+    assert.equal(numeroComEscala('R$ 850,00 Mil'), 850000);
+    assert.equal(numeroComEscala('1.234'), 1234);
+
+    const cell = (value) => ({ value, class: 'neutral' });
+    const r = classificar('fii', { ticker: 'X11', dy12m: cell('9,10%'), volatilidadeRendimentos: cell('30,00%'), notaQualidade: cell('8,5') });
+    assert.equal(r.dy12m.class, 'good');
+    assert.equal(r.volatilidadeRendimentos.class, 'bad');
+    assert.equal(r.notaQualidade.class, 'good');
+});
@@ -0,0 +1,38 @@
+import express from 'express';
+import { pool } from '../lib/db.js';
+import { createSession } from '../lib/auth.js';
+import { tratarErroDeCorpo } from '../lib/validacao.js';
+import { middlewareIdioma } from '../lib/i18n.js';
+
+// --- ROTEADORES DA API SEM MYSQL ---
+// Sobe um app só com o roteador testado e troca pool.execute por `consultar(sql, params)`.
+// As mensagens saem em português, como numa chamada sem Accept-Language. Sessões são atendidas aqui
+// (requireAuth só confere se a do token existe); consulta sem resposta devolve [[]]. Retorna { chamar(metodo, caminho, corpo), fechar() }, com o token já no cabeçalho.
+export async function subirRoteador(t, caminho, router, consultar = () => null) {
+    t.mock.method(pool, 'execute', async (sql, params) => {
+        if (sql.includes('INSERT INTO sessions')) return [{ insertId: 1 }];
+        if (sql.includes('FROM sessions WHERE id')) return [[{ id: 1 }]];
+        return (await consultar(sql, params)) ?? [[]];
+    });
+    const { accessToken } = await createSession({ id: 1, email: 'teste@exemplo.com' });
+
+    const app = express();
+    app.use(middlewareIdioma);
+    app.use(express.json());
+    app.use(caminho, router);
+    app.use(tratarErroDeCorpo);
+    const servidor = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    const base = `http://127.0.0.1:${servidor.address().port}${caminho}`;
+
+    // Rota que derruba o handler nunca responde: o prazo transforma isso em falha do teste
+    async function chamar(metodo, rota, corpo) {
+        const res = await fetch(`${base}${rota}`, {
+            method: metodo,
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${accessToken}` },
+            body: corpo === undefined ? undefined : JSON.stringify(corpo),
+            signal: AbortSignal.timeout(5000)
+        });
+        return { status: res.status, headers: res.headers, corpo: await res.json().catch(() => null) };
+    }
+    return { chamar, fechar: () => new Promise(resolve => servidor.close(resolve)) };
+}
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../lib/db.js';
+import { refreshSession, hashToken } from '../lib/auth.js';
+import { definirSaidaLog } from '../lib/log.js';
+
+// Tabela sessions em memória no lugar do MySQL; cada consulta cede a vez, como uma ida ao banco
+function sessoesEmMemoria(sessoes) {
+    return async (sql, params) => {
+        await new Promise(resolve => setImmediate(resolve));
+        if (sql.includes('SELECT s.id')) {
+            return [sessoes.filter(s => s.hash === params[0] && !s.revogada).map(s => ({ id: s.id, user_id: 1, email: 'a@b.com' }))];
+        }
+        if (sql.includes('SET refresh_token_hash')) {
+            const [novoHash, , id, hashAtual] = params;
+            const alvo = sessoes.find(s => s.id === id && s.hash === hashAtual && !s.revogada);
+            if (alvo) alvo.hash = novoHash;
+            return [{ affectedRows: alvo ? 1 : 0 }];
+        }
+        if (sql.includes('SET revoked_at')) {
+            sessoes.filter(s => s.id === params[0]).forEach(s => { s.revogada = true; });
+            return [{ affectedRows: 1 }];
+        }
+        throw new Error(`SQL inesperado: ${sql}`);
+    };
+}
+
+test('refresh: dois usos simultâneos do mesmo token contam como reuso e revogam a sessão', async (t) => {
+    const sessoes = [{ id: 7, hash: hashToken('token-antigo'), revogada: false }];
+    t.mock.method(pool, 'execute', sessoesEmMemoria(sessoes));
+    const saidaAnterior = definirSaidaLog(() => {});
+    try {
+        const [a, b] = await Promise.all([refreshSession('token-antigo'), refreshSession('token-antigo')]);
+        assert.equal([a, b].filter(Boolean).length, 1);
+        assert.equal(sessoes[0].revogada, true);
+        // O par que chegou a sair também morre junto com a sessão
+        assert.equal(await refreshSession((a || b).refreshToken), null);
+    } finally {
+        definirSaidaLog(saidaAnterior);
+    }
+});
+
+test('refresh: rotação normal troca o token e o antigo deixa de valer', async (t) => {
+    const sessoes = [{ id: 3, hash: hashToken('primeiro'), revogada: false }];
+    t.mock.method(pool, 'execute', sessoesEmMemoria(sessoes));
+    const novo = await refreshSession('primeiro');
+    assert.ok(novo.accessToken && novo.refreshToken !== 'primeiro');
+    assert.equal(sessoes[0].hash, hashToken(novo.refreshToken));
+    assert.equal(await refreshSession('primeiro'), null);
+    assert.equal(sessoes[0].revogada, false);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CATALOGO_SEMENTE, classePeloCodigo, tiposParaTentar, filtrarCatalogo } from '../lib/catalogo.js';
+import { tickerValido } from '../lib/validacao.js';
+
+test('semente do catálogo: tickers válidos, sem repetição e com a classe que o código indica', () => {
+    const tickers = CATALOGO_SEMENTE.map(e => e.ticker);
+    assert.equal(new Set(tickers).size, tickers.length);
+    for (const e of CATALOGO_SEMENTE) {
+        assert.ok(tickerValido(e.ticker), e.ticker);
+        assert.ok(e.nome, e.ticker);
+        const pelaClasse = { acao: 'acao', unit: null, fii: null, etf: null, bdr: 'bdr' }[e.classe];
+        assert.equal(classePeloCodigo(e.ticker), pelaClasse, e.ticker);
+    }
+    assert.equal(CATALOGO_SEMENTE.find(e => e.ticker === 'TAEE11').tipo, 'acao');
+    assert.equal(CATALOGO_SEMENTE.find(e => e.ticker === 'HGLG11').tipo, 'fii');
+    assert.equal(CATALOGO_SEMENTE.find(e => e.ticker === 'BOVA11').tipo, null);
+});
+
+test('fora do catálogo, o final do código decide o que tentar', () => {
+    assert.deepEqual(tiposParaTentar('ABCD3'), ['acao']);
+    assert.deepEqual(tiposParaTentar('ABCD11'), ['fii', 'acao']);
+    assert.deepEqual(tiposParaTentar('ABCD11F'), ['fii', 'acao']);
+    assert.deepEqual(tiposParaTentar('ABCD34'), []);
+    assert.deepEqual(tiposParaTentar('TAEE11', { tipo: 'acao', classe: 'unit' }), ['acao']);
+    assert.deepEqual(tiposParaTentar('IVVB11', { tipo: null, classe: 'etf' }), []);
+});
+
+test('autocomplete: ticker exato, prefixo do ticker, palavra do nome e nome contendo, sem acento', () => {
+    const tickers = (termo, limite) => filtrarCatalogo(CATALOGO_SEMENTE, termo, limite).map(e => e.ticker);
+    assert.deepEqual(tickers('hglg11'), ['HGLG11']);
+    assert.deepEqual(tickers('PETR4'), ['PETR4']);
+    assert.deepEqual(tickers('PETR'), ['PETR3', 'PETR4', 'RECV3']); // RECV3 pelo nome (PetroReconcavo), depois dos tickers
+    assert.deepEqual(tickers('petro'), ['PETR3', 'PETR4', 'RECV3']);
+    assert.deepEqual(tickers('itau'), ['ITSA3', 'ITSA4', 'ITUB3', 'ITUB4']);
+    assert.deepEqual(tickers('kinea', 3), ['KNCR11', 'KNHY11', 'KNIP11']);
+    assert.deepEqual(tickers('sao martinho'), ['SMTO3']);
+    assert.deepEqual(tickers('  '), []);
+});
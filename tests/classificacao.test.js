@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classificar, validarRegras } from '../lib/classificacao.js';
+import { textoEm } from '../lib/i18n.js';
+
+const cell = (value) => ({ value, class: 'neutral' });
+
+const ACAO = {
+    ticker: 'TESTE3',
+    setor: cell('Bens Industriais'),
+    segmento: cell('Máquinas e Equipamentos'),
+    pl: cell('8,50'),
+    pvp: cell('1,80'),
+    roe: cell('12,00%'),
+    dividaLiquidaEbitda: cell('3,20'),
+    lpa: cell('2,10')
+};
+
+const BANCO = {
+    ...ACAO,
+    ticker: 'BANCO4',
+    setor: cell('Financeiro e Outros'),
+    segmento: cell('Bancos'),
+    pl: cell('9,00'),
+    pvp: cell('1,10')
+};
+
+test('regras padrão mantêm as faixas gerais', () => {
+    const r = classificar('acao', ACAO);
+    assert.equal(r.pl.class, 'good');
+    assert.equal(r.pvp.class, 'bad');
+    assert.equal(r.roe.class, 'neutral');
+    assert.equal(r.lpa.class, 'neutral');
+    assert.equal(r.pl.regra.origem, 'padrao');
+    assert.equal(r.pl.regra.escopo, 'geral');
+    assert.equal(textoEm(r.pl.regra.descricao), 'bom se > 0 e < 10; ruim se > 20 (padrão, regra geral)');
+    assert.equal(textoEm(r.pl.regra.descricao, 'en'), 'good if > 0 and < 10; bad if > 20 (default, general rule)');
+    assert.equal(r.grahamWarning, null);
+});
+
+test('segmento e setor sobrescrevem a regra geral', () => {
+    const r = classificar('acao', BANCO);
+    // P/L 9 é bom na regra geral, mas neutro para bancos (bom < 8)
+    assert.equal(r.pl.class, 'neutral');
+    assert.equal(r.pl.regra.escopo, 'segmento');
+    assert.equal(r.pl.regra.nome, 'Bancos');
+    assert.equal(r.pvp.class, 'good');
+    // Dívida/EBITDA não se aplica a bancos (regra null no setor)
+    assert.equal(r.dividaLiquidaEbitda.class, 'neutral');
+    assert.equal(textoEm(r.dividaLiquidaEbitda.regra.descricao), 'sem classificação (padrão, setor Financeiro e Outros)');
+    assert.equal(textoEm(r.dividaLiquidaEbitda.regra.descricao, 'es'), 'sin clasificación (predeterminada, sector Financeiro e Outros)');
+    assert.equal(textoEm(r.grahamWarning), 'Graham pode ser impreciso p/ setor');
+});
+
+test('nome de setor casa sem diferenciar acento e maiúsculas', () => {
+    const r = classificar('acao', { ...ACAO, setor: cell('utilidade publica'), dividaLiquidaEbitda: cell('2,80') });
+    assert.equal(r.dividaLiquidaEbitda.class, 'good');
+    assert.equal(r.dividaLiquidaEbitda.regra.nome, 'Utilidade Pública');
+});
+
+test('perfil pessoal vence as regras padrão e é citado na explicação', () => {
+    const perfil = {
+        id: 7,
+        nome: 'Conservador',
+        regras: {
+            acao: {
+                indicadores: { pvp: { good: [['<', 2]], bad: [['>', 3]] } },
+                segmentos: { Bancos: { indicadores: { pl: { good: [['<', 10]] } } } }
+            }
+        }
+    };
+    const r = classificar('acao', ACAO, perfil);
+    assert.equal(r.pvp.class, 'good');
+    assert.equal(r.pvp.regra.origem, 'perfil');
+    assert.equal(textoEm(r.pvp.regra.descricao), 'bom se < 2; ruim se > 3 (perfil "Conservador", regra geral)');
+    assert.deepEqual(r.classificacao.perfil, { id: 7, nome: 'Conservador' });
+
+    const banco = classificar('acao', BANCO, perfil);
+    assert.equal(banco.pl.class, 'good');
+    assert.equal(banco.pl.regra.origem, 'perfil');
+});
+
+test('FIIs usam as mesmas regras, com sobrescrita por segmento', () => {
+    const fii = { ticker: 'TESTE11', segmento: cell('Logística'), pvp: cell('0,99'), vacancia: cell('20,00%'), dy: cell('9,00%') };
+    const r = classificar('fii', fii);
+    assert.equal(r.pvp.class, 'good');
+    assert.equal(r.vacancia.class, 'bad');
+    assert.equal(r.dy.class, 'neutral');
+    assert.equal(r.grahamWarning, undefined);
+
+    const papel = classificar('fii', { ...fii, segmento: cell('Títulos e Val. Mob.') });
+    assert.equal(papel.pvp.class, 'neutral');
+});
+
+test('não altera o payload recebido (pode estar no cache)', () => {
+    const original = structuredClone(ACAO);
+    classificar('acao', ACAO, { id: 1, nome: 'X', regras: { acao: { indicadores: { pl: null } } } });
+    assert.deepEqual(ACAO, original);
+});
+
+test('validação de perfis', () => {
+    assert.equal(validarRegras({ acao: { indicadores: { pl: { good: [['<', 12]] }, roe: null } } }), null);
+    assert.equal(validarRegras({ fii: { segmentos: { Shoppings: { indicadores: { vacancia: { bad: [['>', 10]] } } } } } }), null);
+    assert.ok(validarRegras({ cripto: {} }));
+    assert.ok(validarRegras({ acao: { indicadores: { inventado: null } } }));
+    assert.ok(validarRegras({ acao: { indicadores: { pl: { otimo: [['<', 5]] } } } }));
+    assert.ok(validarRegras({ acao: { indicadores: { pl: { good: [['==', 5]] } } } }));
+    assert.ok(validarRegras({ acao: { indicadores: { pl: { good: [['<', '5']] } } } }));
+    assert.ok(validarRegras([]));
+    // Chaves herdadas de Object.prototype não contam como tipo ou classe
+    assert.ok(validarRegras({ constructor: { indicadores: { pl: null } } }));
+    assert.ok(validarRegras({ acao: { indicadores: { pl: { toString: [['<', 5]] } } } }));
+});
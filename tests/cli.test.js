@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { parseArgumentos, verificarLayout, formatarTabela, tabelaDeAtivos, tabelaDeComparacao, executarCli, SAIDA } from '../lib/cli.js';
+import { PROVIDERS } from '../lib/providers/index.js';
+import { formatarCsv } from '../lib/exportar.js';
+
+const cell = (value) => ({ value, class: 'neutral' });
+
+// Captura o que o CLI escreve em stdout/stderr
+const saida = () => {
+    const s = { texto: '' };
+    s.write = (t) => { s.texto += t; };
+    return s;
+};
+
+test('argumentos: comandos, aliases, vários tickers e opções', () => {
+    assert.deepEqual(parseArgumentos(['stock', 'petr4', 'vale3,itub4', '--csv']).args, ['PETR4', 'VALE3', 'ITUB4']);
+    assert.equal(parseArgumentos(['stock', 'petr4']).comando, 'acao');
+    assert.equal(parseArgumentos(['compare', 'hglg11', 'xpml11', '--tipo', 'fii']).opcoes.tipo, 'fii');
+    assert.deepEqual(parseArgumentos(['carteira', 'exportar', '7']).args, ['exportar', 7]);
+    assert.equal(parseArgumentos([]).comando, 'ajuda');
+    assert.equal(parseArgumentos(['acao', 'PETR4', '-h']).comando, 'ajuda');
+
+    assert.match(parseArgumentos(['vender', 'PETR4']).error, /Comando desconhecido/);
+    assert.match(parseArgumentos(['acao']).error, /pelo menos um ticker/);
+    assert.match(parseArgumentos(['comparar', 'PETR4']).error, /de 2 a/);
+    assert.match(parseArgumentos(['acao', 'PETR4', '--json', '--csv']).error, /apenas um formato/);
+    assert.ok(parseArgumentos(['acao', 'PETR4', '--modo', 'turbo']).error);
+    assert.ok(parseArgumentos(['acao', 'PETR4', '--inventada']).error);
+    assert.match(parseArgumentos(['carteira', 'exportar', 'abc']).error, /ID numérico/);
+    assert.match(parseArgumentos(['acao', 'PETR4', '../../admin']).error, /Ticker inválido/);
+    assert.deepEqual(parseArgumentos(['db', 'migrar']).args, ['migrar']);
+    assert.match(parseArgumentos(['banco', 'apagar']).error, /banco status/);
+});
+
+test('uso inválido sai com código 2 e ajuda com 0, sem abrir navegador', async () => {
+    const stdout = saida();
+    const stderr = saida();
+    assert.equal(await executarCli(['acao'], { stdout, stderr }), SAIDA.USO);
+    assert.match(stderr.texto, /Uso: npm run cli/);
+    assert.equal(stdout.texto, '');
+
+    assert.equal(await executarCli(['--help'], { stdout, stderr }), SAIDA.OK);
+    assert.match(stdout.texto, /carteira exportar/);
+});
+
+test('CLI sem JWT_SECRET não gera segredo nem avisa: só quem assina token precisa dele', async () => {
+    const cli = new URL('../cli.js', import.meta.url).pathname;
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [cli, '--help'], {
+        env: { ...process.env, JWT_SECRET: '' }, timeout: 30000
+    });
+    assert.match(stdout, /Uso: npm run cli/);
+    assert.doesNotMatch(stderr, /JWT_SECRET/);
+});
+
+test('falha de layout: provider com erro ou mais da metade dos campos vazios', () => {
+    const principal = PROVIDERS.acao[0];
+    const todos = Object.fromEntries(principal.campos.map(c => [c, principal.id]));
+    const ok = [{ id: principal.id, status: 'ok' }];
+
+    assert.equal(verificarLayout('acao', { fontes: todos, providers: ok }), null);
+
+    const poucos = Object.fromEntries(principal.campos.slice(0, 3).map(c => [c, principal.id]));
+    assert.match(verificarLayout('acao', { fontes: poucos, providers: ok }), /campos vazios/);
+
+    assert.match(verificarLayout('acao', { fontes: {}, providers: [{ id: principal.id, status: 'erro', erro: 'seletor sumiu' }] }), /seletor sumiu/);
+    assert.equal(verificarLayout('acao', { fontes: {}, providers: [{ id: principal.id, status: 'em_pausa' }] }), null);
+});
+
+test('tabela alinhada e CSV com aspas nos valores com vírgula', () => {
+    const ativos = [
+        { ticker: 'PETR4', cotacao: cell('R$ 38,50'), pl: cell('4,12') },
+        { ticker: 'VALE3', cotacao: cell('R$ 61,00') }
+    ];
+    const tabela = tabelaDeAtivos('acao', ativos);
+    assert.deepEqual(tabela.cabecalho, ['Indicador', 'PETR4', 'VALE3']);
+    assert.deepEqual(tabela.linhas[1], ['P/L', '4,12', '-']);
+
+    const texto = formatarTabela(tabela).split('\n');
+    assert.equal(texto[0], 'Indicador                  PETR4     VALE3');
+    assert.match(texto[1], /^-+ {2}-+ {2}-+$/);
+    assert.equal(texto[2], 'Cotação Atual              R$ 38,50  R$ 61,00');
+
+    const csv = formatarCsv({ cabecalho: ['a', 'b'], linhas: [['R$ 1,50', 'diz "oi"'], ['x', null]] });
+    assert.equal(csv, 'a,b\n"R$ 1,50","diz ""oi"""\nx,');
+});
+
+test('comparação ganha colunas de melhor e pior', () => {
+    const tabela = tabelaDeComparacao({
+        tickers: ['A3', 'B3'],
+        linhas: [{ label: 'ROE', valores: { A3: cell('10%'), B3: cell('20%') }, melhor: 'B3', pior: 'A3' }]
+    });
+    assert.deepEqual(tabela.cabecalho, ['Indicador', 'A3', 'B3', 'Melhor', 'Pior']);
+    assert.deepEqual(tabela.linhas[0], ['ROE', '10%', '20%', 'B3', 'A3']);
+});
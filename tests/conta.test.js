@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validarEmail, validarSenha, mensagemConta, linkApp, verificacaoObrigatoria } from '../lib/conta.js';
+import { definirTransporte, enviarEmail, emailConfigurado } from '../lib/mailer.js';
+import { textoEm } from '../lib/i18n.js';
+
+test('e-mail é normalizado e validado', () => {
+    assert.deepEqual(validarEmail('  Fulano@Exemplo.COM '), { email: 'fulano@exemplo.com' });
+    assert.match(textoEm(validarEmail('').error), /obrigatório/);
+    assert.match(textoEm(validarEmail('sem-arroba.com').error), /inválido/);
+    assert.match(textoEm(validarEmail('a@b').error), /inválido/);
+});
+
+test('política de senha: tamanho, letras e números, diferente do e-mail', () => {
+    assert.equal(validarSenha('invista2024', 'a@b.com'), null);
+    assert.match(textoEm(validarSenha('abc123')), /pelo menos 8/);
+    assert.match(textoEm(validarSenha('somenteletras')), /letras e números/);
+    assert.match(textoEm(validarSenha('12345678')), /letras e números/);
+    assert.match(textoEm(validarSenha('a1'.repeat(40))), /no máximo 72/);
+    assert.match(textoEm(validarSenha('Fulano1@x.com', 'fulano1@x.com')), /igual ao e-mail/);
+});
+
+test('links dos e-mails usam APP_URL e dizem a validade', () => {
+    process.env.APP_URL = 'https://invista.exemplo.com/';
+    assert.equal(linkApp('login.html'), 'https://invista.exemplo.com/login.html');
+
+    const reset = mensagemConta('redefinicao', 'abc');
+    assert.match(reset.assunto, /Redefinição de senha/);
+    assert.match(reset.texto, /https:\/\/invista\.exemplo\.com\/login\.html\?redefinir=abc/);
+    assert.match(reset.texto, /1 hora e só pode ser usado uma vez/);
+
+    assert.match(mensagemConta('verificacao', 'xyz').texto, /\?verificar=xyz[\s\S]*48 horas/);
+    assert.match(mensagemConta('troca_email', 'xyz').assunto, /novo e-mail/);
+    delete process.env.APP_URL;
+});
+
+test('transporte plugado recebe a mensagem e liga a verificação obrigatória', async () => {
+    const enviados = [];
+    definirTransporte({ async sendMail(msg) { enviados.push(msg); return { messageId: 'teste' }; } });
+    try {
+        assert.equal(emailConfigurado(), true);
+        assert.equal(verificacaoObrigatoria(), true);
+        process.env.EXIGIR_EMAIL_VERIFICADO = 'false';
+        assert.equal(verificacaoObrigatoria(), false);
+
+        const { assunto, texto } = mensagemConta('redefinicao', 'tok123');
+        await enviarEmail({ para: 'fulano@exemplo.com', assunto, texto });
+        assert.equal(enviados.length, 1);
+        assert.equal(enviados[0].to, 'fulano@exemplo.com');
+        assert.match(enviados[0].text, /redefinir=tok123/);
+    } finally {
+        definirTransporte(null);
+        delete process.env.EXIGIR_EMAIL_VERIFICADO;
+    }
+});
@@ -0,0 +1,58 @@
+import { launchBrowser, abrirFixture, relatorioDrift, formatarRelatorio } from './harness.js';
+import { PROVIDERS } from '../lib/providers/index.js';
+import { openLightPage } from '../lib/browser.js';
+
+// --- RELATÓRIO DE DRIFT DE LAYOUT ---
+// Uso:
+//   node tests/drift-report.js                          -> roda nas fixtures salvas (offline)
+//   node tests/drift-report.js --live acao:PETR4 fii:HGLG11  -> roda nas páginas reais
+const FIXTURES = {
+    'investidor10/acao': 'investidor10-acao-petr4.html',
+    'investidor10/fii': 'investidor10-fii-hglg11.html',
+    'xpi/acao': 'xpi-acao-petr4.html'
+};
+
+async function abrirPaginaReal(browser, provider, ticker) {
+    const page = await openLightPage(browser);
+    await page.goto(provider.url(ticker), { waitUntil: 'domcontentloaded', timeout: 60000 });
+    return page;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const live = args[0] === '--live';
+
+    // Offline: cada provider contra a sua fixture. Live: todos os providers do tipo contra a página real.
+    const execucoes = live
+        ? args.slice(1).flatMap(alvo => {
+            const [tipo, ticker] = alvo.split(':');
+            return (PROVIDERS[tipo] || []).map(provider => ({ provider, ticker: ticker.toUpperCase() }));
+        })
+        : Object.values(PROVIDERS).flat()
+            .filter(p => FIXTURES[`${p.id}/${p.tipo}`])
+            .map(provider => ({ provider, fixture: FIXTURES[`${provider.id}/${provider.tipo}`] }));
+
+    const browser = await launchBrowser();
+    let quebrados = 0;
+    try {
+        for (const { provider, ticker, fixture } of execucoes) {
+            const page = live ? await abrirPaginaReal(browser, provider, ticker) : await abrirFixture(browser, fixture);
+            try {
+                const resultado = await page.evaluate(provider.extrator);
+                const relatorio = await relatorioDrift(page, provider, resultado);
+                quebrados += relatorio.seletoresQuebrados.length;
+                console.log(`${ticker || fixture} ${formatarRelatorio(relatorio)}\n`);
+            } finally {
+                await page.close();
+            }
+        }
+    } finally {
+        await browser.close();
+    }
+    process.exit(quebrados > 0 ? 1 : 0);
+}
+
+main().catch(e => {
+    console.error('Erro ao gerar relatório de drift:', e.message);
+    process.exit(2);
+});
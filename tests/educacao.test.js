@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GLOSSARIO, LICOES, NOTA_APROVACAO, faixasDoIndicador, buscarNoGlossario, buscarLicoes, corrigirQuiz } from '../lib/educacao.js';
+import { REGRAS_PADRAO, INDICADORES_CLASSIFICAVEIS, descreverRegra } from '../lib/classificacao.js';
+import { calcularValuation } from '../lib/valuation.js';
+import { texto } from '../lib/i18n.js';
+
+// Chaves de indicador que o payload de /buscar e /buscar-fii monta (cada uma vira um card)
+function chavesDoPayload(arquivo) {
+    const fonte = readFileSync(new URL(`../lib/${arquivo}`, import.meta.url), 'utf-8');
+    return [...fonte.matchAll(/^\s+(\w+): (?:createIndicatorResponse\(|celula\(|\{ value)/gm)].map(m => m[1]);
+}
+
+const termo = (tipo, chave) => GLOSSARIO.find(t => t.tipo === tipo && t.chave === chave);
+
+test('glossário cobre cada indicador do payload, os classificáveis e os modelos de valuation', () => {
+    const modelos = Object.keys(calcularValuation({}).modelos);
+    const esperado = {
+        acao: [...chavesDoPayload('acoes.js'), ...INDICADORES_CLASSIFICAVEIS.acao, ...modelos],
+        fii: [...chavesDoPayload('fiis.js'), ...INDICADORES_CLASSIFICAVEIS.fii]
+    };
+    assert.ok(esperado.acao.includes('dividaLiquidaEbitda') && esperado.fii.includes('ebn'));
+    for (const [tipo, chaves] of Object.entries(esperado)) {
+        for (const chave of chaves) {
+            const t = termo(tipo, chave);
+            assert.ok(t, `${tipo}.${chave} sem verbete`);
+            assert.ok(t.nome && t.definicao && t.categoria, `${tipo}.${chave} incompleto`);
+        }
+    }
+    // Cards de valuation herdam o texto do modelo
+    assert.equal(termo('acao', 'valorJusto').formula, termo('acao', 'graham').formula);
+    assert.equal(termo('acao', 'precoTeto').mesmoQue, 'bazin');
+});
+
+test('faixas saem das regras de classificação, com as exceções por setor e segmento', () => {
+    assert.deepEqual(termo('acao', 'pvp').faixas.geral, descreverRegra(REGRAS_PADRAO.acao.indicadores.pvp));
+    assert.deepEqual(faixasDoIndicador('acao', 'roic'), {
+        geral: descreverRegra(REGRAS_PADRAO.acao.indicadores.roic),
+        excecoes: [{ escopo: 'setor', nome: 'Financeiro e Outros', descricao: texto('REGRA_SEM_CLASSIFICACAO') }]
+    });
+    // Vacância só tem faixa por segmento
+    const vacancia = faixasDoIndicador('fii', 'vacancia');
+    assert.equal(vacancia.geral, null);
+    assert.deepEqual(vacancia.excecoes.map(e => e.nome), ['Logística', 'Lajes Corporativas']);
+    assert.equal(faixasDoIndicador('acao', 'lpa'), null);
+    assert.equal(faixasDoIndicador('fii', 'ebn'), null);
+});
+
+test('lições: termos existem no glossário, quizzes com gabarito válido e busca', () => {
+    assert.equal(new Set(LICOES.map(l => l.id)).size, LICOES.length);
+    for (const licao of LICOES) {
+        for (const chave of licao.termos) assert.ok(termo(licao.tipo, chave), `${licao.id}: ${licao.tipo}.${chave}`);
+        assert.ok(licao.secoes.length > 0 && licao.quiz.length > 0, licao.id);
+        for (const q of licao.quiz) {
+            assert.ok(Number.isInteger(q.correta) && q.correta >= 0 && q.correta < q.opcoes.length, `${licao.id}: ${q.pergunta}`);
+            assert.ok(q.explicacao, `${licao.id}: ${q.pergunta}`);
+        }
+    }
+    assert.deepEqual(termo('fii', 'ebn').licoes, ['numero-magico']);
+
+    assert.deepEqual(buscarNoGlossario(GLOSSARIO, { q: 'numero magico', tipo: 'fii' }).map(t => t.chave), ['ebn', 'vn', 'ebnMedio', 'vnMedio']);
+    assert.deepEqual(buscarNoGlossario(GLOSSARIO, { q: 'ROIC' }).map(t => t.chave), ['roic']);
+    assert.equal(buscarLicoes(LICOES, '').length, LICOES.length);
+    // Resumo antes do texto das seções: vacância está no resumo da lição de FIIs e só no texto da de qualidade
+    assert.deepEqual(buscarLicoes(LICOES, 'vacancia').map(l => l.id), ['fiis', 'numero-magico']);
+    assert.deepEqual(buscarLicoes(LICOES, 'roic').map(l => l.id), ['rentabilidade']);
+});
+
+test('correção do quiz: nota, aprovação e respostas inválidas', () => {
+    const licao = LICOES.find(l => l.id === 'valuation');
+    const gabarito = licao.quiz.map(q => q.correta);
+
+    const tudoCerto = corrigirQuiz(licao, gabarito).value;
+    assert.equal(tudoCerto.acertos, licao.quiz.length);
+    assert.equal(tudoCerto.nota, 100);
+    assert.ok(tudoCerto.aprovado);
+
+    const umErro = gabarito.map((c, i) => i === 0 ? (c + 1) % licao.quiz[0].opcoes.length : c);
+    const { value } = corrigirQuiz(licao, umErro);
+    assert.equal(value.acertos, 2);
+    assert.equal(value.nota, 67);
+    assert.equal(value.aprovado, false); // 67% fica abaixo de NOTA_APROVACAO
+    assert.equal(value.correcao[0].acertou, false);
+    assert.equal(value.correcao[0].correta, gabarito[0]);
+
+    assert.ok(corrigirQuiz(licao, gabarito.slice(1)).error);
+    assert.ok(corrigirQuiz(licao, 'abc').error);
+    assert.ok(corrigirQuiz(licao, gabarito.map(() => 9)).error);
+    assert.ok(corrigirQuiz(licao, gabarito.map(() => 0.5)).error);
+});
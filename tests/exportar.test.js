@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { crc32, celulaXlsx, gerarXlsx, documentoDeAtivos, documentoDeCarteira, gerarExportacao, validarFormato } from '../lib/exportar.js';
+import { aplicarValuation } from '../lib/valuation.js';
+import { textoEm } from '../lib/i18n.js';
+
+const cell = (value, classe = 'neutral') => ({ value, class: classe });
+
+// Lê de volta os arquivos do zip gerado, conferindo o CRC de cada um
+function deszipar(buffer) {
+    const arquivos = {};
+    let pos = 0;
+    while (buffer.readUInt32LE(pos) === 0x04034b50) {
+        const crc = buffer.readUInt32LE(pos + 14);
+        const tamanho = buffer.readUInt32LE(pos + 18);
+        const tamanhoNome = buffer.readUInt16LE(pos + 26);
+        const nome = buffer.toString('utf8', pos + 30, pos + 30 + tamanhoNome);
+        const inicio = pos + 30 + tamanhoNome;
+        const dados = zlib.inflateRawSync(buffer.subarray(inicio, inicio + tamanho));
+        assert.equal(crc32(dados), crc, `CRC de ${nome}`);
+        arquivos[nome] = dados.toString('utf8');
+        pos = inicio + tamanho;
+    }
+    assert.equal(buffer.readUInt32LE(buffer.length - 22), 0x06054b50);
+    return arquivos;
+}
+
+test('CRC-32 do zip bate com os valores de referência', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+    assert.equal(crc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414FA339);
+});
+
+const petr4 = () => aplicarValuation({
+    ticker: 'PETR4',
+    cotacao: cell('R$ 38,50'), pl: cell('4,12', 'good'), pvp: cell('1,10'), dy: cell('12,30%', 'good'), dy5Anos: cell('10,00%'),
+    lpa: cell('9,35'), vpa: cell('35,20'), cagrLucros: cell('5,00%'), setor: cell('Petróleo, Gás e Biocombustíveis'),
+    grahamWarning: 'Graham não se aplica a <empresas> cíclicas'
+});
+
+test('valores brasileiros viram número na planilha', () => {
+    assert.deepEqual(celulaXlsx('R$ 1.234,56'), { numero: 1234.56, estilo: 2 });
+    assert.deepEqual(celulaXlsx('4,12'), { numero: 4.12, estilo: 2 });
+    assert.deepEqual(celulaXlsx('-12,30%'), { numero: -0.123, estilo: 3 });
+    assert.deepEqual(celulaXlsx(150), { numero: 150, estilo: 0 });
+    assert.deepEqual(celulaXlsx('R$ 7,85 M'), { texto: 'R$ 7,85 M', estilo: 0 });
+    assert.deepEqual(celulaXlsx('PETR4'), { texto: 'PETR4', estilo: 0 });
+    assert.deepEqual(celulaXlsx('-'), { texto: '-', estilo: 0 });
+});
+
+test('xlsx é um zip válido com a aba, cabeçalho em negrito e texto escapado', () => {
+    const arquivos = deszipar(gerarXlsx({ cabecalho: ['Indicador', 'PETR4'], linhas: [['P/L', '4,12'], ['Aviso', 'a < b & "c"']] }, 'Relatório: ações'));
+    assert.deepEqual(Object.keys(arquivos).sort(), [
+        '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+    ]);
+    assert.match(arquivos['xl/workbook.xml'], /<sheet name="Relatório  ações"/);
+    const aba = arquivos['xl/worksheets/sheet1.xml'];
+    assert.match(aba, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Indicador<\/t>/);
+    assert.match(aba, /<c r="B2" s="2"><v>4.12<\/v><\/c>/);
+    assert.match(aba, /a &lt; b &amp; &quot;c&quot;/);
+});
+
+test('documento de ações segue as seções da página e traz valuation, aviso e data', () => {
+    const fetchedAt = new Date('2024-10-10T15:30:00Z');
+    const doc = documentoDeAtivos('acao', [{ dados: petr4(), fetchedAt }], new Date('2024-10-10T16:00:00Z'));
+
+    assert.equal(doc.nome, 'acao-petr4');
+    assert.deepEqual(doc.tabela.cabecalho, ['Seção', 'Indicador', 'PETR4']);
+    assert.deepEqual(doc.tabela.linhas[0], ['Múltiplos de Preço & Valor de Mercado', 'Cotação Atual', 'R$ 38,50']);
+    const graham = doc.tabela.linhas.find(l => l[0] === 'Modelos de Valuation' && l[1] === 'Graham');
+    assert.equal(graham[2], `R$ ${Math.sqrt(22.5 * 9.35 * 35.2).toFixed(2).replace('.', ',')}`);
+    assert.deepEqual(doc.tabela.linhas.find(l => l[1] === 'Graham' && l[0] === 'Avisos'), ['Avisos', 'Graham', 'Graham não se aplica a <empresas> cíclicas']);
+    assert.deepEqual(doc.tabela.linhas.at(-1), ['Avisos', 'Dados de', '10/10/2024, 12:30:00']);
+
+    assert.match(doc.html, /<h3>Indicadores de Rentabilidade<\/h3>/);
+    assert.match(doc.html, /<td class="good">4,12<\/td>/);
+    assert.match(doc.html, /Modelos de Valuation/);
+    assert.match(doc.html, /Graham não se aplica a &lt;empresas&gt; cíclicas/);
+    assert.match(doc.html, /Dados de 10\/10\/2024, 12:30:00/);
+});
+
+test('carteira exporta posições com a linha de total; CSV sai com BOM', async () => {
+    const carteira = {
+        id: 3,
+        nome: 'Dividendos',
+        posicoes: [{
+            ticker: 'TAEE11', tipo: 'acao', quantidade: 100, precoMedio: 30, fetchedAt: null,
+            dados: { cotacao: cell('R$ 35,00') },
+            posicao: { custo: cell('R$ 3000,00'), valorAtual: cell('R$ 3500,00'), resultado: cell('R$ 500,00'), resultadoPercent: cell('16,67%'), upsideValorJusto: cell('-'), upsidePrecoTeto: cell('-') }
+        }],
+        totais: { custo: cell('R$ 3000,00'), valorAtual: cell('R$ 3500,00'), resultado: cell('R$ 500,00'), resultadoPercent: cell('16,67%') }
+    };
+    const doc = documentoDeCarteira(carteira);
+    assert.equal(doc.nome, 'carteira-3');
+    assert.deepEqual(doc.tabela.linhas[0].slice(0, 5), ['TAEE11', 'acao', 100, '30,00', 'R$ 35,00']);
+    assert.equal(doc.tabela.linhas[1][0], 'Total');
+
+    const { conteudo, tipoConteudo, nomeArquivo } = await gerarExportacao('csv', doc);
+    assert.equal(nomeArquivo, 'carteira-3.csv');
+    assert.match(tipoConteudo, /text\/csv/);
+    assert.ok(conteudo.startsWith('﻿Ticker,Tipo,Quantidade'));
+    assert.match(conteudo, /TAEE11,acao,100,"30,00","R\$ 35,00"/);
+
+    assert.equal(validarFormato('xlsx'), null);
+    assert.match(textoEm(validarFormato('docx')), /csv, xlsx, pdf/);
+});
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { launchBrowser, abrirFixture, lerFixture, lerEsperado, relatorioDrift, formatarRelatorio } from './harness.js';
+import { extrairDeHtml, fetchHttp } from '../lib/providers/http.js';
+import { investidor10Acoes, investidor10Fiis } from '../lib/providers/investidor10.js';
+import { xpiAcoes } from '../lib/providers/xpi.js';
+
+const CASOS = [
+    { fixture: 'investidor10-acao-petr4.html', provider: investidor10Acoes },
+    { fixture: 'investidor10-fii-hglg11.html', provider: investidor10Fiis },
+    { fixture: 'xpi-acao-petr4.html', provider: xpiAcoes }
+];
+
+let browser;
+let motivoSkip = null;
+
+before(async () => {
+    try {
+        browser = await launchBrowser();
+    } catch (e) {
+        motivoSkip = `Chrome indisponível (${e.message.split('\n')[0]})`;
+    }
+});
+
+after(async () => {
+    if (browser) await browser.close();
+});
+
+for (const { fixture, provider } of CASOS) {
+    test(`${provider.id}/${provider.tipo} extrai todos os campos de ${fixture}`, async (t) => {
+        if (!browser) return t.skip(motivoSkip);
+        const page = await abrirFixture(browser, fixture);
+        try {
+            const resultado = await page.evaluate(provider.extrator);
+            const esperado = await lerEsperado(fixture);
+            const drift = await relatorioDrift(page, provider, resultado);
+
+            assert.deepEqual(drift.seletoresQuebrados, [], formatarRelatorio(drift));
+            for (const campo of provider.campos) {
+                await t.test(campo, () => {
+                    assert.deepEqual(resultado[campo], esperado[campo], formatarRelatorio(drift));
+                });
+            }
+        } finally {
+            await page.close();
+        }
+    });
+}
+
+test('relatório de drift aponta o seletor que parou de casar', async (t) => {
+    if (!browser) return t.skip(motivoSkip);
+    const page = await abrirFixture(browser, 'investidor10-acao-petr4.html');
+    try {
+        // Simula o site trocando a estrutura do bloco de DY médio
+        await page.evaluate(() => document.querySelector('.dy-history').classList.replace('dy-history', 'dividend-history'));
+        const resultado = await page.evaluate(investidor10Acoes.extrator);
+        const drift = await relatorioDrift(page, investidor10Acoes, resultado);
+
+        assert.equal(resultado.dy5Anos, null);
+        assert.deepEqual(drift.seletoresQuebrados, ['.dy-history h3.box-span']);
+        assert.deepEqual(drift.camposNulos, ['dy5Anos']);
+    } finally {
+        await page.close();
+    }
+});
+
+// --- MODO HTTP (sem Chrome) ---
+// O mesmo extrator rodando no DOM do linkedom precisa dar exatamente o mesmo resultado do navegador
+for (const { fixture, provider } of CASOS) {
+    test(`modo HTTP: ${provider.id}/${provider.tipo} extrai os mesmos campos de ${fixture}`, async () => {
+        const resultado = extrairDeHtml(await lerFixture(fixture), provider.extrator);
+        const esperado = await lerEsperado(fixture);
+        for (const campo of provider.campos) {
+            assert.deepEqual(resultado[campo], esperado[campo], campo);
+        }
+    });
+}
+
+test('modo HTTP baixa a página e trata 404 como ativo inexistente', async () => {
+    const html = await lerFixture('investidor10-fii-hglg11.html');
+    const servidor = http.createServer((req, res) => {
+        if (req.url === '/fiis/hglg11/') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            return res.end(html);
+        }
+        res.writeHead(req.url === '/fiis/bloq11/' ? 403 : 404);
+        res.end();
+    });
+    await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${servidor.address().port}`;
+    const provider = { ...investidor10Fiis, url: (ticker) => `${base}/fiis/${ticker.toLowerCase()}/` };
+    try {
+        const { encontrada, dados } = await fetchHttp(provider, 'HGLG11');
+        assert.equal(encontrada, true);
+        assert.equal(dados.cotacao, (await lerEsperado('investidor10-fii-hglg11.html')).cotacao);
+
+        assert.deepEqual(await fetchHttp(provider, 'XXXX11'), { encontrada: false, dados: {} });
+        await assert.rejects(fetchHttp(provider, 'BLOQ11'), /HTTP 403/);
+    } finally {
+        servidor.close();
+    }
+});
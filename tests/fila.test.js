@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { criarFila, aguardarOuCancelar } from '../lib/fila.js';
+import { getCached } from '../lib/cache.js';
+import { erroCancelamento } from '../lib/browser.js';
+
+const adiado = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+};
+
+test('fila respeita a concorrência e a ordem de chegada', async () => {
+    const fila = criarFila(1);
+    const ordem = [];
+    const primeira = adiado();
+    const a = fila(async () => { ordem.push('a'); await primeira.promise; });
+    const b = fila(async () => { ordem.push('b'); });
+    assert.deepEqual(fila.stats(), { ativos: 1, aguardando: 1, concorrencia: 1 });
+    primeira.resolve();
+    await Promise.all([a, b]);
+    assert.deepEqual(ordem, ['a', 'b']);
+});
+
+test('quem desiste enquanto espera sai da fila sem executar', async () => {
+    const fila = criarFila(1);
+    const primeira = adiado();
+    const a = fila(() => primeira.promise);
+    const controller = new AbortController();
+    let executou = false;
+    const b = fila(() => { executou = true; }, { signal: controller.signal });
+
+    controller.abort(erroCancelamento());
+    await assert.rejects(b, { code: 'CANCELADO' });
+    assert.equal(fila.stats().aguardando, 0);
+
+    primeira.resolve();
+    await a;
+    assert.equal(executou, false);
+    await assert.rejects(fila(() => {}, { signal: controller.signal }), { code: 'CANCELADO' });
+});
+
+test('aguardarOuCancelar desiste da espera sem depender da promise', async () => {
+    const controller = new AbortController();
+    const nunca = new Promise(() => {});
+    const espera = aguardarOuCancelar(nunca, controller.signal);
+    controller.abort(erroCancelamento('fui embora'));
+    await assert.rejects(espera, { message: 'fui embora' });
+    assert.equal(await aguardarOuCancelar(Promise.resolve(7), null), 7);
+});
+
+test('scraping compartilhado só é cancelado quando todos os interessados desistem', async () => {
+    let sinalDoScraping;
+    const fetcher = (ticker, signal) => {
+        sinalDoScraping = signal;
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    };
+    const c1 = new AbortController();
+    const c2 = new AbortController();
+    const r1 = getCached('acao', 'CANC3', fetcher, { forcar: true, signal: c1.signal });
+    const r2 = getCached('acao', 'CANC3', fetcher, { forcar: true, signal: c2.signal });
+
+    c1.abort(erroCancelamento());
+    await assert.rejects(r1, { code: 'CANCELADO' });
+    assert.equal(sinalDoScraping.aborted, false);
+
+    c2.abort(erroCancelamento());
+    await assert.rejects(r2, { code: 'CANCELADO' });
+    assert.equal(sinalDoScraping.aborted, true);
+});
+
+test('scraping sem signal (jobs) não é cancelado por quem desistiu', async () => {
+    let sinalDoScraping;
+    const pronto = adiado();
+    const fetcher = (ticker, signal) => {
+        sinalDoScraping = signal;
+        return pronto.promise;
+    };
+    const controller = new AbortController();
+    const doCliente = getCached('fii', 'JOBS11', fetcher, { forcar: true, signal: controller.signal });
+    const doJob = getCached('fii', 'JOBS11', fetcher, { forcar: true });
+
+    controller.abort(erroCancelamento());
+    await assert.rejects(doCliente, { code: 'CANCELADO' });
+    assert.equal(sinalDoScraping.aborted, false);
+
+    pronto.resolve(null);
+    assert.equal(await doJob, null);
+});
+
+test('quem chega depois de um scraping cancelado começa outro em vez de herdar o cancelamento', async () => {
+    const sinais = [];
+    const segundo = adiado();
+    // O primeiro scraping ignora o abort por um tempo (a aba ainda está fechando)
+    const fetcher = (ticker, signal) => {
+        sinais.push(signal);
+        return sinais.length === 1 ? new Promise(() => {}) : segundo.promise;
+    };
+    const c1 = new AbortController();
+    const r1 = getCached('acao', 'VOLT3', fetcher, { forcar: true, signal: c1.signal });
+    c1.abort(erroCancelamento());
+    await assert.rejects(r1, { code: 'CANCELADO' });
+    assert.equal(sinais[0].aborted, true);
+
+    const r2 = getCached('acao', 'VOLT3', fetcher, { forcar: true, signal: new AbortController().signal });
+    assert.equal(sinais.length, 2);
+    assert.equal(sinais[1].aborted, false);
+    segundo.resolve(null);
+    assert.equal(await r2, null);
+});
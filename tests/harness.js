@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import puppeteer from 'puppeteer';
+
+// --- HARNESS OFFLINE DOS EXTRATORES ---
+// Carrega páginas salvas em tests/fixtures no Puppeteer, sem acesso à rede, e roda os extratores dos providers.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+export async function launchBrowser() {
+    return puppeteer.launch({
+        headless: "new",
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    });
+}
+
+// Bloqueia toda requisição que não seja local: a fixture precisa ser autossuficiente
+async function bloquearRede(page) {
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+        const url = req.url();
+        if (url.startsWith('file:') || url.startsWith('data:')) {
+            req.continue();
+        } else {
+            req.abort();
+        }
+    });
+}
+
+export async function abrirFixture(browser, arquivo) {
+    const page = await browser.newPage();
+    await bloquearRede(page);
+    await page.goto(pathToFileURL(path.join(FIXTURES_DIR, arquivo)).href, { waitUntil: 'domcontentloaded' });
+    return page;
+}
+
+export async function lerFixture(arquivo) {
+    return fs.readFile(path.join(FIXTURES_DIR, arquivo), 'utf8');
+}
+
+export async function lerEsperado(arquivo) {
+    const nome = arquivo.replace(/\.html$/, '.expected.json');
+    return JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, nome), 'utf8'));
+}
+
+// Conta quantos elementos cada seletor do provider encontra e cruza com os campos que vieram nulos
+export async function relatorioDrift(page, provider, resultado) {
+    const contagens = await page.evaluate(
+        (seletores) => seletores.map(s => document.querySelectorAll(s).length),
+        provider.seletores.map(s => s.seletor)
+    );
+    const camposNulos = provider.campos.filter(c => resultado[c] === null || resultado[c] === undefined);
+
+    const seletores = provider.seletores.map((s, i) => ({
+        seletor: s.seletor,
+        encontrados: contagens[i],
+        camposNulos: s.campos.filter(c => camposNulos.includes(c))
+    }));
+
+    return {
+        provider: provider.id,
+        tipo: provider.tipo,
+        seletoresQuebrados: seletores.filter(s => s.encontrados === 0).map(s => s.seletor),
+        seletores,
+        camposNulos
+    };
+}
+
+export function formatarRelatorio(relatorio) {
+    const linhas = [`[${relatorio.provider}/${relatorio.tipo}]`];
+    for (const s of relatorio.seletores) {
+        const status = s.encontrados === 0 ? '❌ SEM MATCH' : `✅ ${s.encontrados}`;
+        const nulos = s.camposNulos.length ? ` | campos nulos: ${s.camposNulos.join(', ')}` : '';
+        linhas.push(`  ${status.padEnd(14)} ${s.seletor}${nulos}`);
+    }
+    if (relatorio.camposNulos.length === 0) linhas.push('  Todos os campos foram extraídos.');
+    return linhas.join('\n');
+}
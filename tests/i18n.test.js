@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { IDIOMAS, FORMATOS_DE_PARAMETRO, idiomaDe, texto, mensagem, textoEm, localizarResposta, comValoresNumericos } from '../lib/i18n.js';
+
+const MENSAGENS = JSON.parse(readFileSync(new URL('../lib/mensagens.json', import.meta.url), 'utf-8'));
+
+// Fontes das rotas; a CLI escreve no terminal em português e fica de fora
+function fontesDasRotas() {
+    const lib = readdirSync(new URL('../lib/', import.meta.url)).filter(f => f.endsWith('.js') && f !== 'cli.js').map(f => `lib/${f}`);
+    return ['server.js', ...lib, 'lib/providers/index.js']
+        .map(arquivo => ({ arquivo, fonte: readFileSync(new URL(`../${arquivo}`, import.meta.url), 'utf-8') }));
+}
+
+// texto('CODIGO', { a, b: valor }) -> { codigo, params: ['a', 'b'] }; o ternário de códigos conta os dois
+function chamadasDeTexto() {
+    const chamada = /\btexto\(((?:[^()'{]*\?\s*)?'[A-Z_]+'(?:\s*:\s*'[A-Z_]+')?)(?:,\s*\{([^{}]*)\})?\s*\)/g;
+    return fontesDasRotas().flatMap(({ arquivo, fonte }) => [...fonte.matchAll(chamada)].flatMap(m => {
+        const semAninhados = (m[2] ?? '').replace(/\([^()]*\)|\[[^\[\]]*\]/g, '');
+        const params = [...semAninhados.matchAll(/(?:^|,)\s*(\w+)\s*(?=:|,|$)/g)].map(p => p[1]).sort();
+        return [...m[1].matchAll(/'([A-Z_]+)'/g)].map(c => ({ arquivo, codigo: c[1], params }));
+    }));
+}
+
+const marcas = (modelo) => [...modelo.matchAll(/\{(\w+)(?::(\w+))?\}/g)].map(m => ({ nome: m[1], formato: m[2] }));
+const nomes = (modelo) => [...new Set(marcas(modelo).map(m => m.nome))].sort();
+
+test('Accept-Language: maior q vence, casa pela língua base e cai no português', () => {
+    assert.equal(idiomaDe('en-US,en;q=0.9,pt;q=0.8'), 'en');
+    assert.equal(idiomaDe('fr-FR, es-AR;q=0.7, en;q=0.5'), 'es');
+    assert.equal(idiomaDe('pt-PT'), 'pt-BR');
+    assert.equal(idiomaDe('en;q=0, es'), 'es');
+    assert.equal(idiomaDe('de'), 'pt-BR');
+    assert.equal(idiomaDe(undefined), 'pt-BR');
+});
+
+test('rotas não escrevem frases: error/message/motivo/aviso saem de texto(codigo, params)', () => {
+    for (const { arquivo, fonte } of fontesDasRotas()) {
+        const literais = [...fonte.matchAll(/\b(?:error|message|motivo|aviso): ['`"]/g)];
+        assert.equal(literais.length, 0, `${arquivo}: texto fixo em vez de texto(codigo)`);
+    }
+});
+
+test('todo código usado existe no catálogo e recebe exatamente os parâmetros do modelo', () => {
+    const chamadas = chamadasDeTexto();
+    assert.ok(chamadas.length > 200);
+    for (const { arquivo, codigo, params } of chamadas) {
+        assert.ok(Object.hasOwn(MENSAGENS, codigo), `${arquivo}: ${codigo} fora de mensagens.json`);
+        assert.deepEqual(params, nomes(MENSAGENS[codigo]['pt-BR']), `${arquivo}: parâmetros de ${codigo}`);
+    }
+});
+
+test('catálogo: três línguas, mesmos parâmetros e só formatos conhecidos', () => {
+    for (const [codigo, traducoes] of Object.entries(MENSAGENS)) {
+        assert.match(codigo, /^[A-Z][A-Z_]+$/);
+        const base = marcas(traducoes['pt-BR']).map(m => `${m.nome}:${m.formato ?? ''}`).sort();
+        for (const idioma of IDIOMAS) {
+            assert.ok(traducoes[idioma], `${codigo} sem ${idioma}`);
+            assert.deepEqual(marcas(traducoes[idioma]).map(m => `${m.nome}:${m.formato ?? ''}`).sort(), base, `${codigo} (${idioma})`);
+            for (const { formato } of marcas(traducoes[idioma])) {
+                if (formato) assert.ok(FORMATOS_DE_PARAMETRO.includes(formato), `${codigo} (${idioma}): formato ${formato}`);
+            }
+        }
+    }
+});
+
+test('valores crus viram texto no idioma: duração, lista com "ou" e classe do ativo', () => {
+    const bloqueio = texto('LOGIN_BLOQUEADO', { espera: 120 });
+    assert.equal(textoEm(bloqueio, 'en'), 'Too many login attempts. Try again in 2 minutes.');
+    assert.equal(textoEm(bloqueio, 'es'), 'Demasiados intentos de inicio de sesión. Inténtalo de nuevo en 2 minutos.');
+    assert.equal(textoEm(texto('LOGIN_BLOQUEADO', { espera: 60 }), 'pt-BR'), 'Muitas tentativas de login. Tente novamente em 1 minuto.');
+    assert.equal(textoEm(texto('LIMITE_EXCEDIDO', { segundos: 45 }), 'en'), 'Too many requests. Try again in 45 seconds.');
+    assert.equal(textoEm(texto('LIMITE_EXCEDIDO', { segundos: 1 }), 'pt-BR'), 'Muitas requisições. Tente novamente em 1 segundo.');
+
+    const tipo = texto('CAMPO_TIPO_INVALIDO', { campo: 'ticker', tipos: ['string', 'array'] });
+    assert.equal(textoEm(tipo, 'en'), 'Field ticker must be string or array.');
+    assert.equal(textoEm(tipo, 'es'), 'El campo ticker debe ser string o array.');
+    assert.equal(textoEm(tipo, 'pt-BR'), 'Campo ticker deve ser string ou array.');
+
+    const classe = (c, idioma) => textoEm(texto('ATIVO_SEM_ANALISE', { ticker: 'BOVA11', classe: c }), idioma);
+    assert.match(classe('etf', 'en'), /BOVA11 is an ETF/);
+    assert.doesNotMatch(classe('acao', 'en'), /ação/);
+    assert.doesNotMatch(classe('acao', 'es'), /ação/);
+    assert.match(classe('acao', 'pt-BR'), /ação/);
+
+    assert.equal(mensagem('TICKER_VAZIO', 'en'), 'Empty ticker');
+    assert.equal(mensagem('NAO_EXISTE', 'en'), null);
+    assert.equal(textoEm('já é texto', 'en'), 'já é texto');
+});
+
+test('resposta localizada: error ganha codigo e params, o resto vira texto, original intacto', () => {
+    const limite = { error: texto('LIMITE_EXCEDIDO', { segundos: 30 }), codigo: 'LIMITE_EXCEDIDO', retryAfterSeg: 30 };
+    assert.deepEqual(localizarResposta(limite, 'en'), {
+        error: 'Too many requests. Try again in 30 seconds.', codigo: 'LIMITE_EXCEDIDO', retryAfterSeg: 30, params: { segundos: 30 }
+    });
+    assert.deepEqual(localizarResposta({ error: texto('TICKER_VAZIO'), campo: 'ticker' }, 'pt-BR'), {
+        error: 'Ticker vazio', campo: 'ticker', codigo: 'TICKER_VAZIO', params: {}
+    });
+
+    const payload = {
+        cotacao: { value: 'R$ 10,00', class: 'neutral' },
+        grahamWarning: texto('GRAHAM_IMPRECISO'),
+        valuation: { modelos: { bazin: { nome: 'Bazin', motivo: texto('MODELO_PRECISA_DY') } } }
+    };
+    const copia = structuredClone(payload);
+    const en = localizarResposta(payload, 'en');
+    assert.deepEqual(payload, copia);
+    assert.equal(en.cotacao, payload.cotacao);
+    assert.equal(en.grahamWarning, mensagem('GRAHAM_IMPRECISO', 'en'));
+    assert.equal(en.valuation.modelos.bazin.motivo, mensagem('MODELO_PRECISA_DY', 'en'));
+    assert.equal(en.codigo, undefined);
+
+    const comparacao = localizarResposta({ tickers: ['ITUB4'], grahamWarnings: { ITUB4: texto('GRAHAM_IMPRECISO') } }, 'es');
+    assert.equal(comparacao.grahamWarnings.ITUB4, mensagem('GRAHAM_IMPRECISO', 'es'));
+    assert.deepEqual(localizarResposta([{ message: texto('MSG_LISTA_REMOVIDA') }], 'es'), [{ message: mensagem('MSG_LISTA_REMOVIDA', 'es') }]);
+
+    // Objeto do usuário que só lembra uma mensagem não é tocado
+    const parecido = { codigo: 'TICKER_VAZIO', params: {}, extra: 1 };
+    assert.equal(localizarResposta(parecido, 'en'), parecido);
+});
+
+test('cards ganham o valor numérico por trás do texto formatado', () => {
+    const dados = comValoresNumericos({
+        cotacao: { value: 'R$ 38,50', class: 'neutral' },
+        dy: { value: '12,35%', class: 'good' },
+        liquidezDiaria: { value: 'R$ 7,85 M', class: 'good' },
+        patrimonio: { value: 'R$ 5,52 Bilhões', class: 'neutral' },
+        segmento: { value: 'Logística', class: 'neutral' },
+        pl: { value: '-', class: 'neutral' },
+        grahamWarning: texto('GRAHAM_IMPRECISO')
+    });
+    assert.equal(dados.cotacao.raw, 38.5);
+    assert.equal(dados.dy.raw, 12.35);
+    assert.equal(dados.liquidezDiaria.raw, 7850000);
+    assert.equal(dados.patrimonio.raw, 5520000000);
+    assert.equal(dados.segmento.raw, null);
+    assert.equal(dados.pl.raw, null);
+    assert.deepEqual(dados.grahamWarning, texto('GRAHAM_IMPRECISO'));
+});
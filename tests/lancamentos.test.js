@@ -0,0 +1,209 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { apurarLancamentos, apurarImposto, vencimentoDarf, relatorioAnual } from '../lib/analiseLancamentos.js';
+import { lerExtratoB3 } from '../lib/extratoB3.js';
+import { pool } from '../lib/db.js';
+import { parseLancamento, contarAtivosEmCarteira, montarPosicoesReais } from '../lib/lancamentos.js';
+import { calcularPosicao } from '../lib/watchlists.js';
+import { texto, textoEm } from '../lib/i18n.js';
+
+const compra = (data, ticker, quantidade, preco, extra = {}) => ({ tipo: 'acao', ticker, operacao: 'compra', data, quantidade, preco, taxas: 0, ...extra });
+const venda = (data, ticker, quantidade, preco, extra = {}) => ({ ...compra(data, ticker, quantidade, preco, extra), operacao: 'venda' });
+// Venda já apurada, no formato que apurarLancamentos entrega para apurarImposto
+const vendaApurada = (data, tipo, valorBruto, resultado) => ({ data, tipo, ticker: tipo === 'fii' ? 'HGLG11' : 'PETR4', valorBruto, resultado });
+
+test('preço médio soma as taxas e atravessa desdobramento, bonificação e grupamento', () => {
+    const { posicoes, vendas, avisos } = apurarLancamentos([
+        compra('2024-01-10', 'PETR4', 100, 30, { taxas: 5 }),
+        compra('2024-02-10', 'PETR4', 100, 40, { taxas: 5 }),
+        { tipo: 'acao', ticker: 'PETR4', operacao: 'desdobramento', data: '2024-03-01', fator: 2 },
+        venda('2024-04-10', 'PETR4', 100, 20, { taxas: 2 }),
+        { tipo: 'acao', ticker: 'PETR4', operacao: 'bonificacao', data: '2024-05-02', quantidade: 30, preco: 10 },
+        { tipo: 'acao', ticker: 'PETR4', operacao: 'grupamento', data: '2024-06-01', fator: 10 }
+    ]);
+    // 200 a R$ 35,05 viram 400 a R$ 17,525; a venda de 100 por R$ 20 (menos R$ 2) dá R$ 245,50 de lucro
+    assert.equal(vendas.length, 1);
+    assert.equal(vendas[0].custo, 1752.5);
+    assert.equal(vendas[0].resultado, 245.5);
+    // Sobram 300 (R$ 5.257,50) + 30 bonificadas a R$ 10 = 330 por R$ 5.557,50; grupamento 10:1 = 33
+    assert.deepEqual(posicoes, [{ tipo: 'acao', ticker: 'PETR4', quantidade: 33, custo: 5557.5, precoMedio: 168.4091 }]);
+    assert.deepEqual(avisos, []);
+});
+
+test('venda maior que a posição e day trade geram avisos', () => {
+    const { posicoes, avisos } = apurarLancamentos([
+        compra('2024-03-05', 'VALE3', 10, 60),
+        venda('2024-03-05', 'VALE3', 10, 61),
+        venda('2024-03-06', 'ITSA4', 50, 10)
+    ]);
+    assert.deepEqual(posicoes, []);
+    assert.equal(avisos.length, 2);
+    assert.deepEqual(avisos[0], texto('VENDA_MAIOR_QUE_POSICAO', { quantidade: 50, ticker: 'ITSA4', data: '2024-03-06', posicao: 0 }));
+    assert.match(textoEm(avisos[0]), /Venda de 50 ITSA4 em 06\/03\/2024 maior que a posição \(0\)/);
+    assert.match(textoEm(avisos[0], 'en'), /Sale of 50 ITSA4 on 3\/6\/2024 is larger than the position \(0\)/);
+    assert.match(textoEm(avisos[1]), /VALE3 em 05\/03\/2024 \(day trade\)/);
+    assert.match(textoEm(avisos[1], 'es'), /VALE3 el 5\/3\/2024 \(day trade\)/);
+});
+
+test('ações: isenção até R$ 20 mil no mês, prejuízo de mês isento compensa depois e IRRF abate o imposto', () => {
+    const { meses, prejuizoAcumulado, saldoIrrf } = apurarImposto([
+        vendaApurada('2024-01-15', 'acao', 15000, 3000),
+        vendaApurada('2024-02-15', 'acao', 10000, -800),
+        vendaApurada('2024-03-15', 'acao', 25000, 1000)
+    ], { fim: '2024-03' });
+
+    assert.equal(meses[0].acao.isento, true);
+    assert.equal(meses[0].acao.ganhoIsento, 3000);
+    assert.equal(meses[0].darf.valor, 0);
+    assert.equal(meses[1].acao.prejuizoAcumulado, 800);
+    // R$ 1.000 - R$ 800 de prejuízo = R$ 200 a 15%; IRRF de R$ 1,25 (0,005% de R$ 25 mil) abatido
+    assert.deepEqual(meses[2].acao, {
+        vendas: 25000, resultado: 1000, isento: false, ganhoIsento: 0, prejuizoCompensado: 800, baseCalculo: 200,
+        aliquota: 0.15, imposto: 30, irrf: 1.25, prejuizoAcumulado: 0
+    });
+    assert.deepEqual(meses[2].darf, { imposto: 30, irrfAbatido: 1.25, acumuladoAnterior: 0, valor: 28.75, codigo: '6015', vencimento: '2024-04-30' });
+    assert.deepEqual(prejuizoAcumulado, { acao: 0, fii: 0 });
+    assert.equal(saldoIrrf, 0);
+});
+
+test('FIIs pagam 20% sem isenção e prejuízo só compensa dentro da mesma categoria', () => {
+    const { meses } = apurarImposto([
+        vendaApurada('2024-01-15', 'fii', 5000, -500),
+        vendaApurada('2024-02-15', 'acao', 21000, 1000),
+        vendaApurada('2024-03-15', 'fii', 4000, 600)
+    ], { fim: '2024-03' });
+
+    // Prejuízo de FII não abate o ganho com ações
+    assert.equal(meses[1].acao.prejuizoCompensado, 0);
+    assert.equal(meses[1].acao.imposto, 150);
+    assert.equal(meses[1].darf.valor, 148.95);
+    assert.equal(meses[1].darf.vencimento, '2024-03-29'); // 31/03/2024 é domingo
+    assert.equal(meses[2].fii.prejuizoCompensado, 500);
+    assert.equal(meses[2].fii.imposto, 20);
+    assert.equal(meses[2].fii.irrf, 0); // R$ 0,20: dispensado
+    assert.equal(meses[2].darf.valor, 20);
+});
+
+test('DARF abaixo de R$ 10 acumula para o mês seguinte; vencimento no último dia útil', () => {
+    const { meses, darfAcumulado } = apurarImposto([
+        vendaApurada('2024-01-10', 'fii', 1000, 40),
+        vendaApurada('2024-02-10', 'fii', 1000, 25)
+    ], { fim: '2024-03' });
+    assert.equal(meses[0].darf.valor, 0);
+    assert.deepEqual(meses[1].darf, { imposto: 5, irrfAbatido: 0, acumuladoAnterior: 8, valor: 13, codigo: '6015', vencimento: '2024-03-29' });
+    assert.equal(meses[2].darf.valor, 0);
+    assert.equal(darfAcumulado, 0);
+
+    assert.equal(vencimentoDarf('2024-12'), '2025-01-31');
+    assert.equal(vencimentoDarf('2024-05'), '2024-06-28'); // 30/06/2024 é domingo
+});
+
+test('relatório anual traz o prejuízo de anos anteriores, os proventos e a posição de 31/12', () => {
+    const lancamentos = [
+        compra('2023-03-01', 'HGLG11', 100, 160, { tipo: 'fii' }),
+        venda('2023-06-01', 'HGLG11', 50, 150, { tipo: 'fii' }),
+        compra('2024-01-05', 'ITSA4', 100, 10),
+        venda('2024-02-01', 'HGLG11', 50, 180, { tipo: 'fii' }),
+        { tipo: 'fii', ticker: 'HGLG11', operacao: 'provento', data: '2024-05-10', valor: 80, proventoTipo: 'rendimento' },
+        { tipo: 'acao', ticker: 'ITSA4', operacao: 'provento', data: '2024-05-10', valor: 20, proventoTipo: 'jcp' },
+        compra('2025-01-10', 'ITSA4', 100, 11)
+    ];
+    const r = relatorioAnual(lancamentos, 2024, new Date(Date.UTC(2025, 2, 1, 12)));
+
+    assert.equal(r.meses.length, 12);
+    // R$ 1.000 de lucro em 2024 - R$ 500 de prejuízo de 2023 = R$ 500 a 20%
+    assert.equal(r.meses[1].fii.prejuizoCompensado, 500);
+    assert.deepEqual(r.darfs, [{ mes: '2024-02', valor: 100, codigo: '6015', vencimento: '2024-03-29' }]);
+    assert.equal(r.totalImposto, 100);
+    assert.deepEqual(r.proventos, { dividendo: 0, rendimento: 80, jcp: 20 });
+    assert.equal(r.posicoesEm, '2024-12-31');
+    assert.deepEqual(r.posicoes, [{ tipo: 'acao', ticker: 'ITSA4', quantidade: 100, custo: 1000, precoMedio: 10 }]);
+});
+
+test('extrato da B3: separador, BOM, fracionário, mercados ignorados e linhas com erro', () => {
+    const csv = [
+        '\uFEFFData do Negócio;Tipo de Movimentação;Mercado;Prazo/Vencimento;Instituição;Código de Negociação;Quantidade;Preço;Valor',
+        '05/03/2024;Compra;Mercado à Vista;-;XP INVESTIMENTOS CCTVM S/A;PETR4;100;R$ 38,50;R$ 3.850,00',
+        '06/03/2024;Venda;Mercado Fracionário;-;XP INVESTIMENTOS CCTVM S/A;PETR4F;5;38,9;194,5',
+        '07/03/2024;Compra;Opção de Compra;15/03/2024;XP INVESTIMENTOS CCTVM S/A;PETRC40;100;1,20;120,00',
+        '08/03/2024;Compra;Mercado à Vista;-;XP INVESTIMENTOS CCTVM S/A;XPTO;10;1,00;10,00',
+        '09/03/2024;Compra;Mercado à Vista;-;XP INVESTIMENTOS CCTVM S/A;ITSA4;1.000;R$ 10,00;R$ 10.000,00',
+        ''
+    ].join('\r\n');
+    const { operacoes, erros, ignoradas } = lerExtratoB3(csv);
+
+    assert.deepEqual(operacoes.map(({ linha, data, operacao, ticker, quantidade, preco }) => ({ linha, data, operacao, ticker, quantidade, preco })), [
+        { linha: 2, data: '2024-03-05', operacao: 'compra', ticker: 'PETR4', quantidade: 100, preco: 38.5 },
+        { linha: 3, data: '2024-03-06', operacao: 'venda', ticker: 'PETR4', quantidade: 5, preco: 38.9 },
+        { linha: 6, data: '2024-03-09', operacao: 'compra', ticker: 'ITSA4', quantidade: 1000, preco: 10 }
+    ]);
+    assert.equal(operacoes[0].instituicao, 'XP INVESTIMENTOS CCTVM S/A');
+    assert.deepEqual(ignoradas, [{ linha: 4, motivo: texto('EXTRATO_MERCADO_IGNORADO', { valor: 'Opção de Compra' }) }]);
+    assert.equal(erros.length, 1);
+    assert.equal(erros[0].linha, 5);
+    assert.match(textoEm(erros[0].error), /Ticker inválido: XPTO/);
+
+    const virgulas = lerExtratoB3('"Data do Negocio","Tipo de Movimentacao","Codigo de Negociacao","Quantidade","Preco"\n"05/03/2024","Compra","HGLG11","10","R$ 160,50"');
+    assert.equal(virgulas.operacoes[0].preco, 160.5);
+    assert.match(textoEm(lerExtratoB3('Data do Negócio;Ativo;Quantidade;Preço\n05/03/2024;PETR4;100;38').error), /faltam as colunas "tipo de movimentacao", "codigo de negociacao"\.$/);
+    assert.equal(textoEm(lerExtratoB3('  ').error), 'Arquivo vazio.');
+});
+
+test('lançamento manual: campos por operação, data no futuro e tipo de provento padrão', () => {
+    const { lancamento } = parseLancamento({ tipo: 'acao', ticker: ' petr4f ', operacao: 'compra', data: '05/03/2024', quantidade: '100', preco: 38.5 });
+    assert.deepEqual(lancamento, {
+        tipo: 'acao', ticker: 'PETR4', operacao: 'compra', data: '2024-03-05', quantidade: 100, preco: 38.5, taxas: 0,
+        fator: null, valor: null, proventoTipo: null, observacao: null
+    });
+
+    const base = { tipo: 'fii', ticker: 'HGLG11', data: '2024-03-05' };
+    assert.equal(parseLancamento({ ...base, operacao: 'venda', quantidade: 10 }).campo, 'preco');
+    assert.equal(parseLancamento({ ...base, operacao: 'compra', quantidade: 10, preco: 100, taxas: -1 }).campo, 'taxas');
+    assert.equal(parseLancamento({ ...base, operacao: 'desdobramento', fator: 1 }).campo, 'fator');
+    assert.equal(textoEm(parseLancamento({ ...base, operacao: 'compra', quantidade: 1, preco: 1, data: '2999-01-01' }).error), 'Data no futuro.');
+    assert.equal(parseLancamento({ ...base, operacao: 'compra', quantidade: 1, preco: 1, data: '31/02/2024' }).campo, 'data');
+    assert.equal(parseLancamento({ ...base, operacao: 'aluguel' }).campo, 'operacao');
+    assert.equal(parseLancamento({ ...base, operacao: 'provento', valor: 12.5 }).lancamento.proventoTipo, 'rendimento');
+    assert.equal(parseLancamento({ ...base, operacao: 'provento', valor: 12.5, proventoTipo: 'amortizacao' }).campo, 'proventoTipo');
+    assert.equal(parseLancamento({ ...base, operacao: 'bonificacao', quantidade: 5 }).lancamento.preco, null);
+});
+
+test('contarAtivosEmCarteira cobra só pelos ativos ainda em carteira do próprio usuário', async (t) => {
+    const linha = (ticker, operacao, quantidade) => ({
+        tipo: 'acao', ticker, operacao, data: '2024-03-05', quantidade, preco: 10, taxas: 0, fator: null, valor: null,
+        provento_tipo: null, instituicao: null, observacao: null, origem: 'manual'
+    });
+    const consultas = [];
+    t.mock.method(pool, 'execute', async (sql, params) => {
+        consultas.push(params);
+        return [[linha('PETR4', 'compra', 10), linha('VALE3', 'compra', 5), linha('VALE3', 'venda', 5), linha('ITSA4', 'compra', 1)]];
+    });
+    const proximo = t.mock.fn();
+    const req = { user: { id: 7 } };
+    await contarAtivosEmCarteira(req, {}, proximo);
+    assert.equal(req.itensDaLista, 2);
+    assert.equal(proximo.mock.callCount(), 1);
+    assert.deepEqual(consultas[0], [7]);
+});
+
+test('upside das posições reais usa as premissas de valuation do usuário', async (t) => {
+    const cell = (value) => ({ value, class: 'neutral' });
+    const payload = {
+        ticker: 'BBSE3', cotacao: cell('R$ 38,50'), lpa: cell('9,35'), vpa: cell('33,72'), dy: cell('12,35%'),
+        dy5Anos: cell('15,20%'), cagrLucros: cell('22,70%'), precoTeto: cell('R$ 10,00'), valorJusto: cell('R$ 10,00')
+    };
+    t.mock.method(pool, 'execute', async (sql) => {
+        if (sql.includes('FROM transactions')) {
+            return [[{
+                tipo: 'acao', ticker: 'BBSE3', operacao: 'compra', data: '2024-03-05', quantidade: 100, preco: 30, taxas: 0, fator: null,
+                valor: null, provento_tipo: null, instituicao: null, observacao: null, origem: 'manual'
+            }]];
+        }
+        if (sql.includes('FROM valuation_params')) return [[{ premissas: { selic: 5, premioRisco: 1 } }]];
+        if (sql.includes('FROM indicator_cache')) return [[{ payload, fetched_at: new Date() }]];
+        return [[]];
+    });
+    const { posicoes: [p] } = await montarPosicoesReais(7);
+    assert.notEqual(p.dados.precoTeto.value, 'R$ 10,00');
+    assert.deepEqual(p.posicao, calcularPosicao(p, p.dados));
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { criarLimitador, criarBloqueio, limitar } from '../lib/limites.js';
+import { validarTicker, validarTickers, validarSchema, tickerValido } from '../lib/validacao.js';
+import { texto, textoEm } from '../lib/i18n.js';
+
+// Relógio controlado pelo teste
+const relogio = () => {
+    const r = { t: 1_000_000 };
+    r.agora = () => r.t;
+    return r;
+};
+
+test('tickers seguem o padrão da B3', () => {
+    for (const t of ['PETR4', 'VALE3', 'TAEE11', 'HGLG11', 'B3SA3', 'AAPL34', 'PETR4F', 'ITSA4', 'BPAC5']) assert.ok(tickerValido(t), t);
+    for (const t of ['PETR', 'PETR44', 'PETR4X', '4PETR', 'PETR1', 'HGLG11/../x', 'petr4', '']) assert.ok(!tickerValido(t), t);
+
+    assert.deepEqual(validarTicker(' taee11 '), { ticker: 'TAEE11' });
+    assert.equal(textoEm(validarTicker('').error), 'Ticker vazio');
+    assert.match(textoEm(validarTicker('https://evil').error), /Ticker inválido/);
+    assert.equal(validarTickers(['PETR4', 'VALE3']), null);
+    assert.match(textoEm(validarTickers(['PETR4', 'X'])), /Ticker inválido: X/);
+});
+
+test('schema do corpo aponta o campo com problema', () => {
+    const schema = { ticker: { tipo: 'string', obrigatorio: true, max: 20 }, tickers: { tipo: ['string', 'array'] }, valuation: { tipo: 'object' } };
+    assert.equal(validarSchema({ ticker: 'PETR4', tickers: ['A'] }, schema), null);
+    assert.deepEqual(validarSchema({}, schema), { error: texto('CAMPO_OBRIGATORIO', { campo: 'ticker' }), campo: 'ticker' });
+    assert.equal(validarSchema({ ticker: ['PETR4'] }, schema).campo, 'ticker');
+    assert.match(textoEm(validarSchema({ ticker: 'x'.repeat(21) }, schema).error), /tamanho máximo/);
+    assert.match(textoEm(validarSchema({ ticker: 'PETR4', tickers: 3 }, schema).error), /string ou array/);
+    assert.equal(validarSchema({ ticker: 'PETR4', valuation: [] }, schema).campo, 'valuation');
+    assert.equal(validarSchema([], schema).campo, null);
+});
+
+test('limitador libera até o máximo e reabre na janela seguinte', () => {
+    const r = relogio();
+    const limitador = criarLimitador({ max: 3, janelaMs: 60_000, agora: r.agora });
+    assert.equal(limitador.consumir('a', 2).restante, 1);
+    assert.equal(limitador.consumir('a').permitido, true);
+    r.t += 15_000;
+    const negado = limitador.consumir('a');
+    assert.deepEqual(negado, { permitido: false, restante: 0, retryAfterSeg: 45 });
+    assert.equal(limitador.consumir('b').permitido, true);
+    r.t += 45_000;
+    assert.equal(limitador.consumir('a').permitido, true);
+});
+
+test('middleware responde 429 com Retry-After e separa por usuário', () => {
+    const mw = limitar({ nome: 'teste', max: 1 });
+    const resposta = () => {
+        const res = { headers: {}, statusCode: 200 };
+        res.setHeader = (k, v) => { res.headers[k] = v; };
+        res.status = (c) => { res.statusCode = c; return res; };
+        res.json = (corpo) => { res.corpo = corpo; return res; };
+        return res;
+    };
+    let proximos = 0;
+    const next = () => proximos++;
+
+    mw({ user: { id: 1 }, ip: '1.1.1.1' }, resposta(), next);
+    const res = resposta();
+    mw({ user: { id: 1 }, ip: '2.2.2.2' }, res, next);
+    mw({ user: { id: 2 }, ip: '1.1.1.1' }, resposta(), next);
+
+    assert.equal(proximos, 2);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.corpo.codigo, 'LIMITE_EXCEDIDO');
+    assert.ok(res.headers['Retry-After'] > 0);
+});
+
+test('bloqueio de login é progressivo e zera com acerto', () => {
+    const r = relogio();
+    const bloqueio = criarBloqueio({ tentativasLivres: 3, baseSeg: 60, maxSeg: 300, agora: r.agora });
+    bloqueio.registrarFalha('x');
+    bloqueio.registrarFalha('x');
+    assert.equal(bloqueio.bloqueadoPor('x'), 0);
+    assert.equal(bloqueio.registrarFalha('x'), 60);
+
+    r.t += 60_000;
+    assert.equal(bloqueio.bloqueadoPor('x'), 0);
+    assert.equal(bloqueio.registrarFalha('x'), 120);
+    r.t += 120_000;
+    assert.equal(bloqueio.registrarFalha('x'), 240);
+    r.t += 240_000;
+    assert.equal(bloqueio.registrarFalha('x'), 300);
+
+    bloqueio.registrarSucesso('x');
+    assert.equal(bloqueio.bloqueadoPor('x'), 0);
+    assert.equal(bloqueio.registrarFalha('x'), 0);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listarMigracoes, aplicarMigracoes, statusMigracoes, verificarSchema, descreverErroDeBanco } from '../lib/migracoes/index.js';
+
+// Conexão de mentira: guarda o SQL executado e simula schema_migrations e information_schema
+function bancoFalso({ colunas = [] } = {}) {
+    const db = { sql: [], versoes: [], temControle: false, colunas };
+    db.execute = async (sql, params = []) => {
+        db.sql.push(sql.replace(/\s+/g, ' ').trim());
+        if (sql.includes('CREATE TABLE IF NOT EXISTS schema_migrations')) db.temControle = true;
+        if (sql.startsWith('SELECT versao FROM schema_migrations')) {
+            if (!db.temControle) throw Object.assign(new Error("Table 'schema_migrations' doesn't exist"), { code: 'ER_NO_SUCH_TABLE' });
+            return [db.versoes.map(versao => ({ versao }))];
+        }
+        if (sql.startsWith('INSERT INTO schema_migrations')) db.versoes.push(params[0]);
+        if (sql.includes('information_schema.COLUMNS')) return [db.colunas.includes(`${params[0]}.${params[1]}`) ? [{ 1: 1 }] : []];
+        return [[]];
+    };
+    db.query = async (sql) => [[{ trava: sql.includes('GET_LOCK') ? 1 : null }]];
+    return db;
+}
+
+test('migrações em ordem, uma por versão, e todas as tabelas do app', async () => {
+    const migracoes = await listarMigracoes();
+    assert.deepEqual(migracoes.map(m => m.versao), migracoes.map((_, i) => i + 1));
+
+    const db = bancoFalso();
+    await aplicarMigracoes({ db, log: () => {} });
+    const criadas = db.sql.map(s => s.match(/CREATE TABLE IF NOT EXISTS (\w+)/)?.[1]).filter(Boolean);
+    for (const tabela of ['users', 'sessions', 'account_tokens', 'indicator_cache', 'indicator_snapshots', 'watchlists', 'watchlist_items',
+        'notifications', 'alerts', 'alert_triggers', 'classification_profiles', 'valuation_params', 'screener_acoes', 'transactions', 'ticker_catalog', 'lesson_progress']) {
+        assert.ok(criadas.includes(tabela), tabela);
+    }
+});
+
+test('banco novo recebe tudo; rodar de novo não aplica nada', async () => {
+    const db = bancoFalso();
+    const antes = await statusMigracoes({ db });
+    assert.equal(antes.versaoAtual, 0);
+    assert.ok(antes.pendentes.length > 0);
+    assert.match(await verificarSchema({ db }), /Schema do banco desatualizado: versão 0.*npm run migrate/);
+
+    const aplicadas = await aplicarMigracoes({ db, log: () => {} });
+    assert.equal(aplicadas.length, antes.pendentes.length);
+    assert.equal(await verificarSchema({ db }), null);
+    assert.deepEqual(await aplicarMigracoes({ db, log: () => {} }), []);
+
+    db.versoes.push(999);
+    assert.deepEqual((await statusMigracoes({ db })).desconhecidas, [999]);
+});
+
+test('coluna de verificação só é criada (e as contas antigas marcadas) quando falta', async () => {
+    const novo = bancoFalso();
+    await aplicarMigracoes({ db: novo, log: () => {} });
+    assert.ok(novo.sql.some(s => s.startsWith('ALTER TABLE users ADD COLUMN email_verificado_em')));
+
+    const existente = bancoFalso({ colunas: ['users.email_verificado_em'] });
+    await aplicarMigracoes({ db: existente, log: () => {} });
+    assert.ok(!existente.sql.some(s => s.startsWith('ALTER TABLE users')));
+    assert.ok(!existente.sql.some(s => s.startsWith('UPDATE users')));
+});
+
+test('erros de instalação nova viram instrução', () => {
+    assert.match(descreverErroDeBanco({ code: 'ER_BAD_DB_ERROR', message: '' }), /CREATE DATABASE investidor_app/);
+    assert.match(descreverErroDeBanco({ code: 'ER_NO_SUCH_TABLE', message: "Table 'users' doesn't exist" }), /npm run migrate/);
+    assert.equal(descreverErroDeBanco({ message: 'outro' }), 'outro');
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { log, comContextoDeLog, definirSaidaLog, definirFormatoLog, idDaRequisicao } from '../lib/log.js';
+import { contador, histograma, registrarColeta, renderizarMetricas } from '../lib/metricas.js';
+import { calcularCompletude, coletarDados, PROVIDERS } from '../lib/providers/index.js';
+import { erroDeBusca } from '../lib/ativos.js';
+
+// Captura as linhas de log enquanto fn roda
+async function capturarLogs(fn) {
+    const linhas = [];
+    const anterior = definirSaidaLog((nivel, linha) => linhas.push({ nivel, linha }));
+    try {
+        await fn();
+    } finally {
+        definirSaidaLog(anterior);
+    }
+    return linhas;
+}
+
+test('log sai em JSON com o requestId do contexto, inclusive depois de await', async () => {
+    const linhas = await capturarLogs(() => comContextoDeLog({ requestId: 'req-12345678' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        log.warn('Coleta incompleta', { ticker: 'PETR4', erro: Object.assign(new Error('falhou'), { code: 'PRAZO_ESGOTADO' }) });
+    }));
+    assert.equal(linhas.length, 1);
+    assert.equal(linhas[0].nivel, 'warn');
+    const registro = JSON.parse(linhas[0].linha);
+    assert.equal(registro.msg, 'Coleta incompleta');
+    assert.equal(registro.requestId, 'req-12345678');
+    assert.equal(registro.ticker, 'PETR4');
+    assert.equal(registro.erro, 'falhou');
+    assert.equal(registro.codigo, 'PRAZO_ESGOTADO');
+    assert.equal(registro.stack, undefined);
+    assert.ok(!Number.isNaN(Date.parse(registro.ts)));
+});
+
+test('LOG_NIVEL filtra e o formato texto fica legível no terminal', async () => {
+    const nivelOriginal = process.env.LOG_NIVEL;
+    process.env.LOG_NIVEL = 'warn';
+    const formatoOriginal = definirFormatoLog('texto');
+    try {
+        const linhas = await capturarLogs(() => {
+            log.info('não aparece');
+            log.error('Erro no provider', { provider: 'xpi', duracaoMs: 120 });
+        });
+        assert.deepEqual(linhas.map(l => l.linha), ['[error] Erro no provider provider=xpi duracaoMs=120']);
+    } finally {
+        definirFormatoLog(formatoOriginal);
+        if (nivelOriginal === undefined) delete process.env.LOG_NIVEL;
+        else process.env.LOG_NIVEL = nivelOriginal;
+    }
+});
+
+test('X-Request-Id do cliente só é aproveitado com formato seguro', () => {
+    assert.equal(idDaRequisicao('abc-123_DEF.456'), 'abc-123_DEF.456');
+    assert.match(idDaRequisicao('curto'), /^[0-9a-f-]{36}$/);
+    assert.match(idDaRequisicao('quebra\nde linha no log'), /^[0-9a-f-]{36}$/);
+    assert.match(idDaRequisicao(undefined), /^[0-9a-f-]{36}$/);
+});
+
+test('métricas saem no formato de exposição do Prometheus', () => {
+    const requisicoes = contador('teste_requisicoes_total', 'Requisições de teste.');
+    requisicoes.inc({ rota: '/buscar', status: 200 });
+    requisicoes.inc({ rota: '/buscar', status: 200 });
+    requisicoes.inc({ status: 404, rota: '/buscar' });
+    const duracao = histograma('teste_duracao_segundos', 'Duração de teste.', [0.5, 1]);
+    duracao.observar({ provider: 'investidor10' }, 0.3);
+    duracao.observar({ provider: 'investidor10' }, 0.8);
+    duracao.observar({ provider: 'investidor10' }, 4);
+    registrarColeta(() => [{ nome: 'teste_quedas_total', tipo: 'counter', ajuda: 'Quedas de teste.', valor: 2 }]);
+
+    const texto = renderizarMetricas();
+    for (const linha of [
+        '# TYPE teste_requisicoes_total counter',
+        'teste_requisicoes_total{rota="/buscar",status="200"} 2',
+        'teste_requisicoes_total{rota="/buscar",status="404"} 1',
+        '# TYPE teste_duracao_segundos histogram',
+        'teste_duracao_segundos_bucket{provider="investidor10",le="0.5"} 1',
+        'teste_duracao_segundos_bucket{provider="investidor10",le="1"} 2',
+        'teste_duracao_segundos_bucket{provider="investidor10",le="+Inf"} 3',
+        'teste_duracao_segundos_sum{provider="investidor10"} 5.1',
+        'teste_duracao_segundos_count{provider="investidor10"} 3',
+        '# TYPE teste_quedas_total counter',
+        'teste_quedas_total 2',
+        // Registradas pelos providers e pelo pool do navegador ao importar os módulos
+        '# TYPE invista_coleta_campos_vazios_total counter',
+        '# TYPE invista_browser_reinicios_total counter'
+    ]) {
+        assert.ok(texto.split('\n').includes(linha), `faltou: ${linha}`);
+    }
+    assert.throws(() => histograma('teste_requisicoes_total', 'Outro tipo.'), /já registrada como counter/);
+});
+
+test('completude conta os campos de todos os providers do tipo; lista vazia é campo faltando', () => {
+    const campos = [...new Set(PROVIDERS.fii.flatMap(p => p.campos))];
+    const dados = Object.fromEntries(campos.map(c => [c, '10,00']));
+    assert.deepEqual(calcularCompletude('fii', dados), { score: 100, preenchidos: campos.length, esperados: campos.length, faltando: [] });
+
+    dados[campos[0]] = '-';
+    dados[campos[1]] = [];
+    const parcial = calcularCompletude('fii', dados);
+    assert.deepEqual(parcial.faltando, [campos[0], campos[1]]);
+    assert.equal(parcial.score, Math.round((campos.length - 2) / campos.length * 100));
+    assert.equal(calcularCompletude('acao', {}).score, 0);
+});
+
+test('todos os providers em pausa viram PROVIDERS_EM_PAUSA com o tempo até a volta', async (t) => {
+    const [fii] = PROVIDERS.fii;
+    t.mock.method(fii, 'fetch', async () => { throw new Error('layout mudou'); });
+    const linhas = await capturarLogs(async () => {
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(coletarDados('fii', 'HGLG11', { modo: 'navegador' }), { code: 'COLETA_FALHOU' });
+        }
+        const erro = await coletarDados('fii', 'HGLG11', { modo: 'navegador' }).catch(e => e);
+        assert.equal(erro.code, 'PROVIDERS_EM_PAUSA');
+        assert.ok(erro.retryAfterSeg > 290 && erro.retryAfterSeg <= 300, String(erro.retryAfterSeg));
+    });
+    // A quarta busca nem chega a chamar o provider
+    assert.equal(fii.fetch.mock.callCount(), 3);
+    assert.equal(linhas.filter(l => l.linha.includes('Erro no provider')).length, 3);
+
+    const respostas = [];
+    const res = {
+        cabecalhos: {},
+        setHeader(nome, valor) { this.cabecalhos[nome] = valor; },
+        status(codigo) { return { json: (corpo) => respostas.push({ codigo, corpo }) }; }
+    };
+    const erro = Object.assign(new Error('pausa'), { code: 'PROVIDERS_EM_PAUSA', retryAfterSeg: 120 });
+    assert.equal(erroDeBusca({ signal: new AbortController().signal }, res, erro), true);
+    assert.equal(res.cabecalhos['Retry-After'], 120);
+    assert.equal(respostas[0].codigo, 503);
+    assert.equal(respostas[0].corpo.codigo, 'PROVIDERS_EM_PAUSA');
+});
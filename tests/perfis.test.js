@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { perfisRouter } from '../lib/perfis.js';
+import { subirRoteador } from './api.js';
+
+const REGRAS = { acao: { indicadores: { pl: { good: [['<', 12]] } } } };
+
+test('nome do perfil que não é texto responde 400 com o campo, sem derrubar o servidor', async (t) => {
+    const api = await subirRoteador(t, '/perfis', perfisRouter, (sql) => {
+        if (sql.startsWith('INSERT INTO classification_profiles')) return [{ insertId: 4 }];
+        if (sql.includes('FROM classification_profiles WHERE id')) {
+            return [[{ id: 4, nome: 'Conservador', regras: JSON.stringify(REGRAS), ativo: 0, created_at: null }]];
+        }
+    });
+    try {
+        for (const corpo of [{ nome: 5, regras: REGRAS }, { nome: ['a'], regras: REGRAS }, { regras: REGRAS }]) {
+            const r = await api.chamar('POST', '/', corpo);
+            assert.equal(r.status, 400);
+            assert.equal(r.corpo.campo, 'nome');
+        }
+        assert.equal((await api.chamar('PUT', '/4', { nome: 5 })).corpo.campo, 'nome');
+        assert.equal((await api.chamar('PUT', '/4', { nome: '  ' })).status, 400);
+        assert.equal((await api.chamar('POST', '/', { nome: 'Conservador', regras: { constructor: {} } })).status, 400);
+
+        assert.equal((await api.chamar('POST', '/', { nome: ' Conservador ', regras: REGRAS })).status, 201);
+        assert.equal((await api.chamar('PUT', '/4', { nome: null, regras: REGRAS })).status, 200);
+    } finally {
+        await api.fechar();
+    }
+});
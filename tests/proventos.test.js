@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizarProventos, projetarRenda, calendarioProventos } from '../lib/analiseProventos.js';
+import { parsePosicoes } from '../lib/proventos.js';
+import { textoEm } from '../lib/i18n.js';
+import { lerEsperado } from './harness.js';
+
+const hoje = new Date(Date.UTC(2024, 9, 15, 12)); // 15/10/2024
+
+test('proventos da página viram datas ISO, tipo e valor líquido (JCP com 15% de IR)', async () => {
+    const { proventos } = await lerEsperado('investidor10-acao-petr4.html');
+    const lista = normalizarProventos(proventos);
+    assert.equal(lista.length, 8);
+    assert.deepEqual(lista[0], { tipo: 'jcp', descricao: 'JSCP', dataCom: '2024-11-21', pagamento: null, valor: 0.37044, valorLiquido: 0.314874 });
+    assert.equal(lista.find(p => p.pagamento === '2024-11-20').tipo, 'dividendo');
+    assert.deepEqual(normalizarProventos([{ tipo: 'Amortização', dataCom: '10/10/2024', pagamento: '-', valor: '0,50' }])[0].tipo, 'amortizacao');
+    assert.deepEqual(normalizarProventos([{ tipo: 'Dividendos', dataCom: '-', pagamento: '-', valor: '1,00' }]), []);
+});
+
+test('projeção usa o anunciado e repete o mesmo mês do ano anterior onde não há anúncio', () => {
+    const ativos = [{
+        ticker: 'TAEE11', tipo: 'acao', quantidade: 100, cotacao: 35,
+        proventos: normalizarProventos([
+            { tipo: 'Dividendos', dataCom: '01/10/2024', pagamento: '30/10/2024', valor: '1,00' },   // anunciado
+            { tipo: 'JCP', dataCom: '10/10/2023', pagamento: '31/10/2023', valor: '2,00' },           // mesmo mês já anunciado: não estima
+            { tipo: 'Dividendos', dataCom: '10/02/2024', pagamento: '29/02/2024', valor: '0,50' },    // vira fev/2025
+            { tipo: 'Dividendos', dataCom: '10/08/2023', pagamento: '20/08/2023', valor: '9,00' },    // mais de 12 meses: fora
+            { tipo: 'Amortização', dataCom: '01/11/2023', pagamento: '15/11/2023', valor: '5,00' }    // não é renda
+        ])
+    }];
+    const projecao = projetarRenda(ativos, hoje);
+
+    assert.equal(projecao.meses.length, 12);
+    assert.equal(projecao.meses[0].mes, '2024-10');
+    assert.deepEqual(projecao.meses[0].itens.map(i => [i.situacao, i.valor]), [['anunciado', 100]]);
+    const fevereiro = projecao.meses.find(m => m.mes === '2025-02');
+    assert.deepEqual(fevereiro.itens[0], {
+        ticker: 'TAEE11', tipo: 'dividendo', situacao: 'estimado', dataCom: '2024-02-10', pagamento: '2025-02-28', valorPorCota: 0.5, valor: 50
+    });
+    assert.equal(projecao.total12m, 150);
+    assert.equal(projecao.anunciado12m, 100);
+    assert.equal(projecao.estimado12m, 50);
+    assert.equal(projecao.mediaMensal, 12.5);
+    assert.deepEqual(projecao.porAtivo, [{ ticker: 'TAEE11', tipo: 'acao', quantidade: 100, total12m: 150, yieldProjetado: 4.29, participacao: 100 }]);
+});
+
+test('anunciado sem data de pagamento fica a definir', () => {
+    const ativos = [{ ticker: 'PETR4', tipo: 'acao', quantidade: 10, proventos: normalizarProventos([{ tipo: 'JSCP', dataCom: '21/11/2024', pagamento: '-', valor: '1,00' }]) }];
+    const projecao = projetarRenda(ativos, hoje);
+    assert.equal(projecao.total12m, 0);
+    assert.deepEqual(projecao.aDefinir.map(i => [i.ticker, i.valor]), [['PETR4', 8.5]]);
+});
+
+test('calendário lista datas com e pagamentos futuros em ordem', () => {
+    const ativos = [
+        { ticker: 'HGLG11', tipo: 'fii', quantidade: 10, proventos: normalizarProventos([{ tipo: 'Rendimento', dataCom: '31/10/2024', pagamento: '14/11/2024', valor: '1,10' }]) },
+        { ticker: 'BBAS3', tipo: 'acao', quantidade: 100, proventos: normalizarProventos([
+            { tipo: 'JCP', dataCom: '10/09/2024', pagamento: '20/10/2024', valor: '0,40' },
+            { tipo: 'Dividendos', dataCom: '01/03/2025', pagamento: '20/03/2025', valor: '1,00' }
+        ]) }
+    ];
+    const eventos = calendarioProventos(ativos, hoje, 60);
+    assert.deepEqual(eventos.map(e => [e.data, e.evento, e.ticker, e.valor]), [
+        ['2024-10-20', 'pagamento', 'BBAS3', 34],
+        ['2024-10-31', 'data_com', 'HGLG11', 11],
+        ['2024-11-14', 'pagamento', 'HGLG11', 11]
+    ]);
+});
+
+test('posições avulsas são validadas e agrupadas por ativo', () => {
+    assert.deepEqual(parsePosicoes({ posicoes: [{ ticker: 'taee11', quantidade: 10 }, { ticker: 'TAEE11', quantidade: '5' }, { ticker: 'HGLG11', tipo: 'fii', quantidade: 2 }] }), {
+        posicoes: [{ ticker: 'TAEE11', tipo: 'acao', quantidade: 15 }, { ticker: 'HGLG11', tipo: 'fii', quantidade: 2 }]
+    });
+    assert.match(textoEm(parsePosicoes({}).error), /Informe as posições/);
+    assert.match(textoEm(parsePosicoes({ posicoes: [{ ticker: 'XYZ', quantidade: 1 }] }).error), /Ticker inválido/);
+    assert.match(textoEm(parsePosicoes({ posicoes: [{ ticker: 'PETR4', quantidade: 0 }] }).error), /Quantidade inválida/);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFiltros, parseOrdenacao, linhaDoPayload, aplicarRanking, ordenarLinhas, screenerRouter } from '../lib/screener.js';
+import { textoEm } from '../lib/i18n.js';
+import { subirRoteador } from './api.js';
+
+const cell = (value) => ({ value, class: 'neutral' });
+
+const linha = (ticker, campos) => ({
+    ticker, setor: 'Bens Industriais', roic: null, earningsYield: null, dy: null, roe: null, dividaLiquidaEbitda: null, ...campos
+});
+
+test('filtros por expressão com números e texto', () => {
+    assert.deepEqual(parseFiltros('pl>0; pl<15; dy >= 6,5; setor=Petróleo e Gás'), {
+        filtros: [
+            { campo: 'pl', op: '>', valor: 0 },
+            { campo: 'pl', op: '<', valor: 15 },
+            { campo: 'dy', op: '>=', valor: 6.5 },
+            { campo: 'setor', op: '=', valor: 'Petróleo e Gás' }
+        ]
+    });
+    assert.deepEqual(parseFiltros(''), { filtros: [] });
+    assert.match(textoEm(parseFiltros('inventado>1').error), /Campo desconhecido/);
+    assert.match(textoEm(parseFiltros('setor>Bancos').error), /apenas = e !=/);
+    assert.match(textoEm(parseFiltros('pl>abc').error), /Valor numérico/);
+    assert.match(textoEm(parseFiltros('pl 10').error), /Filtro inválido/);
+    // Chaves herdadas de Object.prototype não são campos
+    assert.match(textoEm(parseFiltros('constructor>1').error), /Campo desconhecido/);
+    assert.match(textoEm(parseFiltros('toString=a').error), /Campo desconhecido/);
+});
+
+test('ordenação aceita campo:ordem e -campo', () => {
+    assert.deepEqual(parseOrdenacao('dy:desc'), { ordenacao: { campo: 'dy', ordem: 'desc' } });
+    assert.deepEqual(parseOrdenacao('-roe'), { ordenacao: { campo: 'roe', ordem: 'desc' } });
+    assert.deepEqual(parseOrdenacao('pl'), { ordenacao: { campo: 'pl', ordem: 'asc' } });
+    assert.ok(parseOrdenacao('pl:cima').error);
+    assert.ok(parseOrdenacao('xyz').error);
+    assert.ok(parseOrdenacao('constructor:desc').error);
+    assert.ok(parseOrdenacao('-hasOwnProperty').error);
+
+    const ordenadas = ordenarLinhas([linha('A3', { dy: 5 }), linha('B3', { dy: null }), linha('C3', { dy: 9 })], { campo: 'dy', ordem: 'desc' });
+    assert.deepEqual(ordenadas.map(l => l.ticker), ['C3', 'A3', 'B3']);
+});
+
+test('linha do screener sai do payload de /buscar com earnings yield calculado', () => {
+    const l = linhaDoPayload({ ticker: 'petr4', setor: cell('Petróleo, Gás e Biocombustíveis'), segmento: cell('-'), cotacao: cell('R$ 38,50'), lpa: cell('9,35'), pl: cell('4,12'), roic: cell('18,20%') });
+    assert.equal(l.ticker, 'PETR4');
+    assert.equal(l.segmento, null);
+    assert.equal(l.roic, 18.2);
+    assert.equal(l.dy, null);
+    assert.equal(l.earningsYield, Number((9.35 / 38.5 * 100).toFixed(4)));
+});
+
+test('Magic Formula soma as posições de ROIC e earnings yield', () => {
+    const linhas = [
+        linha('AAAA3', { roic: 30, earningsYield: 5 }),   // ROIC 1º, EY 3º = 4
+        linha('BBBB3', { roic: 20, earningsYield: 12 }),  // ROIC 2º, EY 1º = 3
+        linha('CCCC3', { roic: 10, earningsYield: 8 }),   // ROIC 3º, EY 2º = 5
+        linha('BANC4', { roic: 40, earningsYield: 20, setor: 'Financeiro e Outros' }),
+        linha('PREJ3', { roic: 15, earningsYield: -3 }),
+        linha('SEMD3', { roic: 25 })
+    ];
+    const r = aplicarRanking(linhas, 'magicFormula');
+    assert.deepEqual(r.map(l => [l.ticker, l.ranking.posicao, l.ranking.pontos]), [['BBBB3', 1, 3], ['AAAA3', 2, 4], ['CCCC3', 3, 5]]);
+    assert.equal(linhas[0].ranking, undefined);
+});
+
+test('ranking de dividendos considera dívida menor como melhor', () => {
+    const r = aplicarRanking([
+        linha('X3', { dy: 10, roe: 10, dividaLiquidaEbitda: 3 }),
+        linha('Y3', { dy: 8, roe: 20, dividaLiquidaEbitda: 0.5 })
+    ], 'dividendos');
+    assert.deepEqual(r.map(l => l.ticker), ['Y3', 'X3']);
+});
+
+test('ranking que não existe responde 400 sem chegar no banco', async (t) => {
+    const consultas = [];
+    const api = await subirRoteador(t, '/screener', screenerRouter, (sql) => { consultas.push(sql); });
+    try {
+        for (const query of ['?ranking=toString', '?ranking=constructor', '?ranking=magicFormula&ranking=dividendos', '?filtros=constructor>1', '?ordenar=__proto__']) {
+            assert.equal((await api.chamar('GET', `/${query}`)).status, 400, query);
+        }
+        assert.deepEqual(consultas, []);
+        const r = await api.chamar('GET', '/?ranking=magicFormula');
+        assert.equal(r.status, 200);
+        assert.equal(r.corpo.ranking.id, 'magicFormula');
+    } finally {
+        await api.fechar();
+    }
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calcularValuation, aplicarValuation, resolverPremissas, validarPremissas, PREMISSAS_PADRAO } from '../lib/valuation.js';
+import { preferenciasRouter } from '../lib/preferencias.js';
+import { texto, textoEm } from '../lib/i18n.js';
+import { subirRoteador } from './api.js';
+
+const cell = (value) => ({ value, class: 'neutral' });
+
+// Números da fixture investidor10-acao-petr4
+const PETR4 = {
+    ticker: 'PETR4',
+    cotacao: cell('R$ 38,50'),
+    pl: cell('4,12'),
+    lpa: cell('9,35'),
+    vpa: cell('33,72'),
+    dy: cell('12,35%'),
+    dy5Anos: cell('15,20%'),
+    cagrLucros: cell('22,70%')
+};
+
+const premissas = (extra = {}) => resolverPremissas({ selic: 10, premioRisco: 4, ...extra });
+
+test('Graham e Bazin seguem as fórmulas clássicas', () => {
+    const { modelos } = calcularValuation(PETR4, premissas());
+    assert.equal(modelos.graham.valor.raw, Number(Math.sqrt(22.5 * 9.35 * 33.72).toFixed(2)));
+    assert.equal(modelos.bazin.valor.raw, Number((38.5 * 0.1235 / 0.06).toFixed(2)));
+    assert.equal(modelos.bazin5Anos.entradas.dy, 15.2);
+    // CAGR de 22,7% é limitado ao teto padrão de 15%
+    assert.equal(modelos.grahamRevisado.entradas.crescimento, 15);
+    assert.equal(modelos.grahamRevisado.valor.raw, Number((9.35 * (8.5 + 30) * 4.4 / 5.5).toFixed(2)));
+});
+
+test('margem de segurança compara o valor justo com a cotação', () => {
+    const { modelos } = calcularValuation(PETR4, premissas());
+    const valor = modelos.bazin.valor.raw;
+    assert.equal(modelos.bazin.margemSeguranca.raw, Number(((valor - 38.5) / valor * 100).toFixed(2)));
+    assert.equal(modelos.bazin.margemSeguranca.class, 'good');
+    assert.equal(modelos.bazin.valor.value, `R$ ${valor.toFixed(2).replace('.', ',')}`);
+});
+
+test('Gordon, DCF e Lynch usam taxa de desconto = Selic + prêmio', () => {
+    const p = premissas();
+    assert.equal(p.taxaDesconto, 14);
+    const { modelos } = calcularValuation(PETR4, p);
+
+    // Gordon: crescimento dos dividendos limitado à perpetuidade (3%)
+    const d1 = 38.5 * 0.1235 * 1.03;
+    assert.equal(modelos.gordon.valor.raw, Number((d1 / 0.11).toFixed(2)));
+
+    let lucro = 9.35, vp = 0;
+    for (let ano = 1; ano <= 5; ano++) {
+        lucro *= 1.15;
+        vp += lucro / Math.pow(1.14, ano);
+    }
+    const terminal = lucro * 1.03 / 0.11 / Math.pow(1.14, 5);
+    assert.equal(modelos.dcf.valor.raw, Number((vp + terminal).toFixed(2)));
+
+    assert.equal(modelos.lynch.valor.raw, Number((9.35 * (15 + 12.35)).toFixed(2)));
+    assert.equal(modelos.lynch.entradas.peg, Number((4.12 / 15).toFixed(2)));
+});
+
+test('premissas do usuário e da requisição sobrescrevem o padrão em camadas', () => {
+    const p = resolverPremissas({ rendimentoExigido: 8, crescimentoMaximo: 10 }, { rendimentoExigido: 10 });
+    assert.equal(p.rendimentoExigido, 10);
+    assert.equal(p.crescimentoMaximo, 10);
+    assert.equal(p.selic, PREMISSAS_PADRAO.selic);
+
+    const r = aplicarValuation(PETR4, { rendimentoExigido: 10 });
+    assert.equal(r.precoTeto.value, `R$ ${(38.5 * 0.1235 / 0.1).toFixed(2).replace('.', ',')}`);
+    assert.deepEqual(Object.keys(r.precoTeto), ['value', 'class', 'raw']);
+    assert.equal(r.precoTeto.raw, Number((38.5 * 0.1235 / 0.1).toFixed(2)));
+    assert.equal(r.valuation.premissas.rendimentoExigido, 10);
+    assert.equal(PETR4.precoTeto, undefined);
+});
+
+test('modelos sem dados suficientes explicam o motivo', () => {
+    const semLucro = { ...PETR4, lpa: cell('-2,10') };
+    const { modelos } = calcularValuation(semLucro, premissas());
+    assert.equal(modelos.dcf.valor.value, '-');
+    assert.equal(textoEm(modelos.dcf.motivo), 'Precisa de LPA positivo');
+    assert.equal(modelos.graham.margemSeguranca.value, '-');
+
+    const taxaBaixa = calcularValuation(PETR4, resolverPremissas({ taxaDesconto: 2 })).modelos;
+    assert.match(textoEm(taxaBaixa.gordon.motivo), /Taxa de desconto/);
+});
+
+test('validação das premissas', () => {
+    assert.deepEqual(validarPremissas({ selic: '11.25', anosProjecao: 7.4 }), { premissas: { selic: 11.25, anosProjecao: 7 } });
+    assert.deepEqual(validarPremissas({ taxaDesconto: null }), { premissas: { taxaDesconto: null } });
+    assert.deepEqual(validarPremissas(undefined), { premissas: {} });
+    assert.ok(validarPremissas({ inventada: 1 }).error);
+    assert.ok(validarPremissas({ selic: 'abc' }).error);
+    assert.ok(validarPremissas({ rendimentoExigido: 0 }).error);
+    assert.ok(validarPremissas([1]).error);
+    // Chaves herdadas de Object.prototype são desconhecidas, não premissas sem faixa
+    assert.deepEqual(validarPremissas({ toString: 1 }), { error: texto('PREMISSA_DESCONHECIDA', { chave: 'toString' }) });
+    assert.deepEqual(validarPremissas({ constructor: 1 }), { error: texto('PREMISSA_DESCONHECIDA', { chave: 'constructor' }) });
+});
+
+test('PUT /preferencias/valuation com chave herdada responde 400 em vez de derrubar o servidor', async (t) => {
+    const api = await subirRoteador(t, '/preferencias', preferenciasRouter, () => [{ affectedRows: 1 }]);
+    try {
+        const r = await api.chamar('PUT', '/valuation', { toString: 1 });
+        assert.equal(r.status, 400);
+        assert.equal(r.corpo.error, 'Premissa desconhecida: toString.');
+        assert.equal((await api.chamar('PUT', '/valuation', { selic: 12 })).corpo.usuario.selic, 12);
+    } finally {
+        await api.fechar();
+    }
+});
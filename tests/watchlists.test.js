@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../lib/db.js';
+import { watchlistRouter, contarItensDaLista, montarPosicoes, calcularPosicao } from '../lib/watchlists.js';
+import { subirRoteador } from './api.js';
+
+test('nome da lista que não é texto responde 400 com o campo, sem derrubar o servidor', async (t) => {
+    const api = await subirRoteador(t, '/watchlists', watchlistRouter, (sql) => {
+        if (sql.startsWith('INSERT INTO watchlists')) return [{ insertId: 9 }];
+        if (sql.includes('FROM watchlists WHERE id')) return [[{ id: 9, nome: 'Antiga' }]];
+    });
+    try {
+        for (const [metodo, rota] of [['POST', '/'], ['PUT', '/9']]) {
+            const r = await api.chamar(metodo, rota, { nome: 5 });
+            assert.equal(r.status, 400);
+            assert.equal(r.corpo.campo, 'nome');
+            assert.equal((await api.chamar(metodo, rota, {})).corpo.campo, 'nome');
+            assert.equal((await api.chamar(metodo, rota, { nome: '   ' })).status, 400);
+        }
+        assert.deepEqual((await api.chamar('POST', '/', { nome: ' Dividendos ' })).corpo, { id: 9, nome: 'Dividendos' });
+        assert.deepEqual((await api.chamar('PUT', '/9', { nome: 'Renda' })).corpo, { id: 9, nome: 'Renda' });
+    } finally {
+        await api.fechar();
+    }
+});
+
+test('itens: corpo fora do schema responde 400 com o campo', async (t) => {
+    const api = await subirRoteador(t, '/watchlists', watchlistRouter, (sql) => {
+        if (sql.includes('FROM watchlists WHERE id')) return [[{ id: 9, nome: 'Renda' }]];
+        if (sql.startsWith('INSERT INTO watchlist_items')) return [{ insertId: 3 }];
+    });
+    try {
+        const semTipo = await api.chamar('POST', '/9/itens', { ticker: 'TAEE11' });
+        assert.deepEqual([semTipo.status, semTipo.corpo.campo], [400, 'tipo']);
+        const quantidade = await api.chamar('POST', '/9/itens', { ticker: 'TAEE11', tipo: 'acao', quantidade: [1] });
+        assert.deepEqual([quantidade.status, quantidade.corpo.campo], [400, 'quantidade']);
+        assert.equal((await api.chamar('PUT', '/9/itens/3', { ticker: 11 })).corpo.campo, 'ticker');
+
+        const criado = await api.chamar('POST', '/9/itens', { ticker: 'taee11', tipo: 'acao', quantidade: '100', precoMedio: 35.5 });
+        assert.equal(criado.status, 201);
+        assert.deepEqual(criado.corpo, { id: 3, tipo: 'acao', ticker: 'TAEE11', quantidade: 100, precoMedio: 35.5 });
+    } finally {
+        await api.fechar();
+    }
+});
+
+test('contarItensDaLista cobra pelos itens da lista do próprio usuário', async (t) => {
+    const consultas = [];
+    t.mock.method(pool, 'execute', async (sql, params) => {
+        consultas.push(params);
+        return [[{ total: params[1] === 1 ? 12 : 0 }]];
+    });
+    const proximo = t.mock.fn();
+    const req = { params: { id: '9' }, user: { id: 1 } };
+    await contarItensDaLista(req, {}, proximo);
+    assert.equal(req.itensDaLista, 12);
+    assert.equal(proximo.mock.callCount(), 1);
+    assert.deepEqual(consultas[0], ['9', 1]);
+
+    const alheia = { params: { id: '9' }, user: { id: 2 } };
+    await contarItensDaLista(alheia, {}, proximo);
+    assert.equal(alheia.itensDaLista, 0);
+});
+
+test('upside da posição usa o preço teto e o valor justo das premissas do usuário', async (t) => {
+    const cell = (value) => ({ value, class: 'neutral' });
+    const payload = {
+        ticker: 'BBAS3', cotacao: cell('R$ 38,50'), lpa: cell('9,35'), vpa: cell('33,72'), dy: cell('12,35%'),
+        dy5Anos: cell('15,20%'), cagrLucros: cell('22,70%'), precoTeto: cell('R$ 10,00'), valorJusto: cell('R$ 10,00')
+    };
+    t.mock.method(pool, 'execute', async (sql) => {
+        if (sql.includes('FROM watchlist_items')) return [[{ id: 1, tipo: 'acao', ticker: 'BBAS3', quantidade: 100, preco_medio: 30 }]];
+        if (sql.includes('FROM valuation_params')) return [[{ premissas: { selic: 5, premioRisco: 1 } }]];
+        if (sql.includes('FROM indicator_cache')) return [[{ payload, fetched_at: new Date() }]];
+        return [[]];
+    });
+    const { posicoes: [p] } = await montarPosicoes({ id: 9, nome: 'Renda' }, 1);
+    assert.notEqual(p.dados.precoTeto.value, 'R$ 10,00');
+    assert.deepEqual(p.posicao, calcularPosicao(p, p.dados));
+    assert.notDeepEqual(p.posicao.upsidePrecoTeto, calcularPosicao(p, payload).upsidePrecoTeto);
+});